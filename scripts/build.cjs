@@ -2,95 +2,58 @@ const fs = require("node:fs")
 const path = require("node:path")
 
 // Import modules
-const { loadBuildConfig } = require("./lib/constants")
-const { setupOutputDirectory } = require("./lib/file-operations")
+const { loadBuildConfig } = require("./lib/build-config")
 const { performGitOperations } = require("./lib/git-operations")
-const { bundleJavaScript, copyStaticAssets } = require("./lib/asset-management")
-const { configureMarked } = require("./lib/content-processing")
-const { processVersions, writeVersionsFile } = require("./lib/version-processing")
-const { validateMultipleFiles, findMarkdownFiles, formatValidationResults } = require("./lib/jmespath-validation")
+const { loadMarked, performBuildProcess, watchBuild } = require("./lib/build-process")
+const { selectVersions } = require("./lib/version-processing")
+const { VALIDATION_REPORT_FORMATS } = require("./lib/validation-reports")
+
+// Report formats that tools parse as a whole, which the build's progress on the standard output would corrupt
+const FILE_REPORT_FORMATS = ["json", "junit", "sarif"]
 
 // Dynamic import for marked (ES module)
 let marked
 
-// Load config
-const { config, rootDir, tempDir, outputDir, srcDir } = loadBuildConfig(__dirname)
-
 /**
- * Validates JMESPath queries in documentation files
+ * Reads the value following an option, exiting if it is missing
  */
-async function performJmespathValidation(buildContext, options = {}) {
-  const { skipValidation = false, failOnValidationError = false, verbose = false } = options
-
-  if (skipValidation) {
-    console.log("\n--- Skipping JMESPath Validation ---")
-    return true
-  }
-
-  console.log("\n--- Validating JMESPath Queries ---")
-
-  try {
-    // Find all markdown files in local_docs and temp directories
-    const localDocsPath = path.join(buildContext.rootDir, "local_docs")
-    const tempDocsPath = buildContext.tempDir
-
-    const filesToValidate = []
-
-    // Add local docs if they exist
-    if (fs.existsSync(localDocsPath)) {
-      const localFiles = await findMarkdownFiles(localDocsPath)
-      filesToValidate.push(...localFiles)
-    }
-
-    // Add temp docs if they exist
-    if (fs.existsSync(tempDocsPath)) {
-      const tempFiles = await findMarkdownFiles(tempDocsPath)
-      filesToValidate.push(...tempFiles)
-    }
-
-    if (filesToValidate.length === 0) {
-      console.log("No markdown files found for validation.")
-      return true
-    }
-
-    console.log(`Validating ${filesToValidate.length} markdown file(s)...`)
-
-    const results = await validateMultipleFiles(filesToValidate, { verbose })
-
-    formatValidationResults(results, { verbose, showWarnings: true })
-
-    if (!results.success && failOnValidationError) {
-      console.error("\n❌ Build failed due to JMESPath validation errors.")
-      process.exit(1)
-    }
+function readOptionValue(args, option, description) {
+  return readOptionValues(args, option, description)[0] ?? null
+}
 
-    return results.success
-  } catch (error) {
-    console.error(`\nJMESPath validation error: ${error.message}`)
-    if (failOnValidationError) {
+/**
+ * Reads the values following each use of a repeatable option, exiting if one is missing
+ */
+function readOptionValues(args, option, description) {
+  const values = []
+  args.forEach((arg, index) => {
+    if (arg !== option) return
+    const value = args[index + 1]
+    if (value === undefined || value.startsWith("-")) {
+      console.error(`--- Error: ${option} needs ${description}. ---`)
       process.exit(1)
     }
-    return false
-  }
+    values.push(value)
+  })
+  return values
 }
 
 /**
- * Performs the documentation build process.
+ * Checks the format and file of the validation report, exiting if they cannot be used together
  */
-async function performBuildProcess(buildContext, options = {}) {
-  console.log("\nStarting documentation build...")
-
-  await setupOutputDirectory(buildContext)
-  const allVersionsData = await processVersions(buildContext, marked)
-  await bundleJavaScript(buildContext)
-  await copyStaticAssets(buildContext)
-  await writeVersionsFile(buildContext, allVersionsData)
-
-  console.log("\n--- Running Post-processing Steps ---")
-  await performJmespathValidation(buildContext, options)
-
-  console.log("\nDocumentation build finished successfully!")
-  console.log(`Output available in: ${path.relative(buildContext.rootDir, buildContext.outputDir)}`)
+function checkValidationReportOptions(validationFormat, validationOutput) {
+  if (!VALIDATION_REPORT_FORMATS.includes(validationFormat)) {
+    console.error(`--- Error: --validation-format needs one of: ${VALIDATION_REPORT_FORMATS.join(", ")}. ---`)
+    process.exit(1)
+  }
+  if (validationOutput && validationFormat === "text") {
+    console.error("--- Error: --validation-output needs a --validation-format other than text. ---")
+    process.exit(1)
+  }
+  if (!validationOutput && FILE_REPORT_FORMATS.includes(validationFormat)) {
+    console.error(`--- Error: --validation-format ${validationFormat} needs --validation-output. ---`)
+    process.exit(1)
+  }
 }
 
 /**
@@ -103,11 +66,36 @@ function parseArgs(args) {
   const skipValidation = args.includes("--skip-validation")
   const failOnValidationError = args.includes("--fail-on-validation-error")
   const verbose = args.includes("--verbose") || args.includes("-v")
+  const watch = args.includes("--watch")
+  const noCache = args.includes("--no-cache")
+  const offline = args.includes("--offline")
+  const printConfig = args.includes("--print-config")
+  const versions = readOptionValues(args, "--version", "a version ID")
+  const pages = readOptionValues(args, "--page", "a glob")
+  const validationFormat = readOptionValue(args, "--validation-format", "a report format") ?? "text"
+  const validationOutput = readOptionValue(args, "--validation-output", "a file")
 
   if (gitOnly && buildOnly) {
     console.error("--- Error: Cannot use --git-only and --build-only together. ---")
     process.exit(1)
   }
+  if (watch && gitOnly) {
+    console.error("--- Error: Cannot use --watch and --git-only together. ---")
+    process.exit(1)
+  }
+  if (offline && buildOnly) {
+    console.error("--- Error: Cannot use --offline and --build-only together. ---")
+    process.exit(1)
+  }
+  if (pages.length > 0 && gitOnly) {
+    console.error("--- Error: Cannot use --page and --git-only together. ---")
+    process.exit(1)
+  }
+  if (watch && failOnValidationError) {
+    console.error("--- Error: Cannot use --watch and --fail-on-validation-error together. ---")
+    process.exit(1)
+  }
+  checkValidationReportOptions(validationFormat, validationOutput)
   return {
     gitOnly,
     buildOnly,
@@ -115,6 +103,14 @@ function parseArgs(args) {
     skipValidation,
     failOnValidationError,
     verbose,
+    validationFormat,
+    validationOutput,
+    watch,
+    noCache,
+    offline,
+    versions,
+    pages,
+    printConfig,
   }
 }
 
@@ -133,8 +129,29 @@ Options:
                                repositories are already present in the temporary directory (--tempDir).
                                Equivalent to --skip-git.
   --skip-git                   Alias for --build-only.
+  --offline                    Check out the versions from the clones of a previous run (tempDir/.repos)
+                               without fetching remote repositories. Fails if a clone or ref is missing.
   --skip-validation            Skip JMESPath validation during the build process.
   --fail-on-validation-error   Fail the build if JMESPath validation errors are found.
+  --validation-format <format> Report validation results as text (default), json, junit, sarif or github.
+                               The json, junit and sarif reports need --validation-output.
+  --validation-output <file>   Write the validation report to a file instead of the standard output.
+  --watch                      After building, keep watching local_docs, src and config.json, and rebuild
+                               and revalidate only the pages and assets that change. A change to config.json
+                               rebuilds everything.
+  --version <id>               Only clone and build the version with this ID; repeat to build several. The
+                               other versions are kept from the previous build in versions.json.
+  --page <glob>                Only build the pages whose markdown path within the version (under the mount
+                               prefix of their source, if any) matches the glob, such as "jep-012*.md"; repeat
+                               for several globs. The other pages of the built versions are kept from the
+                               previous build. A version with no previous build is skipped with an error:
+                               build it once without --page first.
+  --no-cache                   Render every page, instead of reusing the pages whose markdown did not change
+                               since the previous build from the build cache (cacheDir in config.json,
+                               default: .cache).
+  --print-config               Print the resolved configuration (config.json with the overrides of
+                               config.local.json, environment variables substituted and defaults filled in)
+                               and exit.
   -v, --verbose                Show detailed output including validation results.
   --help, -h                   Show this help message and exit.
 
@@ -153,8 +170,10 @@ async function executeBuildSteps(options, buildContext) {
 
   console.log("\n--- Running Pre-processing Steps (if any) ---")
 
+  const versions = selectVersions(buildContext.config.versions, options.versions)
+
   if (shouldRunGit) {
-    await performGitOperations(buildContext)
+    await performGitOperations(buildContext, versions, { offline: options.offline })
   } else {
     console.log("\n--- Skipping Git Operations ---")
     if (shouldRunBuild && !fs.existsSync(buildContext.tempDir)) {
@@ -165,7 +184,8 @@ async function executeBuildSteps(options, buildContext) {
   }
 
   if (shouldRunBuild) {
-    await performBuildProcess(buildContext, options)
+    const builds = await performBuildProcess(buildContext, marked, options)
+    if (options.watch) watchBuild(buildContext, marked, options, builds)
   } else {
     console.log("\n--- Skipping Documentation Build ---")
   }
@@ -179,30 +199,29 @@ async function executeBuildSteps(options, buildContext) {
  * Main execution function.
  */
 async function main() {
-  // Dynamic import for marked (ES module)
-  const markedModule = await import("marked")
-  marked = markedModule.marked
-
-  // Configure marked
-  configureMarked(marked)
-
   const args = process.argv.slice(2)
   const options = parseArgs(args)
 
-  const buildContext = {
-    config,
-    tempDir,
-    outputDir,
-    srcDir,
-    rootDir,
+  if (options.help) {
+    showHelp(__filename, path.resolve(__dirname, ".."))
+    process.exit(0)
   }
 
-  if (options.help) {
-    showHelp(__filename, buildContext.rootDir)
+  let buildContext
+  try {
+    buildContext = loadBuildConfig(__dirname)
+  } catch (error) {
+    console.error(error.message)
+    process.exit(1)
+  }
+
+  if (options.printConfig) {
+    console.log(JSON.stringify(buildContext.config, null, 2))
     process.exit(0)
   }
 
   try {
+    marked = await loadMarked()
     await executeBuildSteps(options, buildContext)
   } catch (error) {
     console.error("\nProcess failed:", error.message)
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+const fs = require("node:fs")
+const path = require("node:path")
+const { loadBuildConfig } = require("./lib/build-config")
+const { performGitOperations } = require("./lib/git-operations")
+const { loadMarked, performBuildProcess, watchBuild } = require("./lib/build-process")
+const { createDevServer } = require("./lib/dev-server")
+
+const DEFAULT_PORT = 3000
+const DEFAULT_HOST = "localhost"
+
+/**
+ * Parses command line arguments
+ */
+function parseArgs(args) {
+  const options = {
+    port: DEFAULT_PORT,
+    host: DEFAULT_HOST,
+    skipGit: false,
+    offline: false,
+    skipValidation: false,
+    noCache: false,
+    verbose: false,
+    help: false,
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    switch (arg) {
+      case "--port":
+        options.port = Number.parseInt(args[++i], 10)
+        if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+          console.error("Option --port needs a port number")
+          process.exit(1)
+        }
+        break
+      case "--host":
+        options.host = args[++i]
+        if (!options.host) {
+          console.error("Option --host needs a host name or address")
+          process.exit(1)
+        }
+        break
+      case "--skip-git":
+      case "--build-only":
+        options.skipGit = true
+        break
+      case "--offline":
+        options.offline = true
+        break
+      case "--skip-validation":
+        options.skipValidation = true
+        break
+      case "--no-cache":
+        options.noCache = true
+        break
+      case "--verbose":
+      case "-v":
+        options.verbose = true
+        break
+      case "--help":
+      case "-h":
+        options.help = true
+        break
+      default:
+        console.error(`Unknown option: ${arg}`)
+        process.exit(1)
+    }
+  }
+
+  return options
+}
+
+/**
+ * Shows help message
+ */
+function showHelp() {
+  console.log(`
+Usage: node scripts/dev-server.cjs [options]
+
+Builds the documentation site and serves it, rebuilding what changes in local_docs, src and config.json
+and reloading the open pages. Reloads keep the current page and the edits made to its playgrounds; changes
+to styles alone are applied without reloading.
+
+Options:
+  --port <port>        Port to serve on (default: ${DEFAULT_PORT})
+  --host <host>        Host name or address to serve on (default: ${DEFAULT_HOST})
+  --skip-git           Build from the source repositories already in the temporary directory,
+                       without cloning or updating them. Alias: --build-only
+  --offline            Check out the versions from the clones of a previous run without fetching
+                       remote repositories
+  --skip-validation    Skip JMESPath validation
+  --no-cache           Render every page instead of reusing unchanged ones from the build cache
+  -v, --verbose        Show detailed output including validation results
+  -h, --help           Show this help message
+`)
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2))
+
+  if (options.help) {
+    showHelp()
+    process.exit(0)
+  }
+
+  let buildContext
+  try {
+    buildContext = loadBuildConfig(__dirname)
+  } catch (error) {
+    console.error(error.message)
+    process.exit(1)
+  }
+
+  try {
+    const marked = await loadMarked()
+
+    if (!options.skipGit) {
+      await performGitOperations(buildContext, buildContext.config.versions, { offline: options.offline })
+    } else if (!fs.existsSync(buildContext.tempDir)) {
+      const relativePath = path.relative(buildContext.rootDir, buildContext.tempDir)
+      console.error(`--- Error: --skip-git used, but temp dir missing: ${relativePath} ---`)
+      process.exit(1)
+    }
+
+    const builds = await performBuildProcess(buildContext, marked, options)
+    const devServer = createDevServer({ rootDir: buildContext.outputDir })
+    const watcher = watchBuild(buildContext, marked, options, builds, (changedFiles) =>
+      devServer.notifyReload(changedFiles),
+    )
+
+    devServer.server.on("error", (error) => {
+      console.error(`\nDev server failed: ${error.message}`)
+      process.exit(1)
+    })
+    devServer.server.listen(options.port, options.host, () => {
+      const { port } = devServer.server.address()
+      console.log(
+        `\nServing ${path.relative(buildContext.rootDir, buildContext.outputDir)} at http://${options.host}:${port}/`,
+      )
+    })
+
+    process.once("SIGINT", async () => {
+      console.log("\nStopping the dev server...")
+      watcher.close()
+      await devServer.close()
+      process.exit(0)
+    })
+  } catch (error) {
+    console.error("\nDev server failed:", error.message)
+    if (error.stack) {
+      console.error(error.stack)
+    }
+    process.exit(1)
+  }
+}
+
+// Only run if this script is executed directly
+if (require.main === module) {
+  main()
+}
+
+module.exports = { main, parseArgs, showHelp }
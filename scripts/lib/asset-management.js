@@ -2,17 +2,21 @@ const fs = require("node:fs")
 const { mkdir, writeFile, readFile, copyFile } = require("node:fs/promises")
 const path = require("node:path")
 const esbuild = require("esbuild")
-const { ASSETS_DIR, BUNDLE_FILE } = require("./constants")
+const { ASSETS_DIR, BUNDLE_FILE, WORKER_BUNDLE_FILE } = require("./constants")
 const { generateBuildMetadata } = require("./utilities")
 
 /**
- * Bundles the client-side JavaScript using esbuild.
+ * Bundles the client-side JavaScript using esbuild, including the JMESPath engines the playgrounds run,
+ * so the browser evaluates queries with the same library version the validator uses.
+ * The playground evaluation worker is bundled separately, next to the main bundle.
  */
 async function bundleJavaScript(buildContext) {
   console.log("\nBundling client-side JavaScript...")
-  const jsEntryPoint = path.join(buildContext.srcDir, "main.js")
-  const jsOutFile = path.join(buildContext.outputDir, ASSETS_DIR, BUNDLE_FILE)
-  const jsOutDir = path.dirname(jsOutFile)
+  const jsOutDir = path.join(buildContext.outputDir, ASSETS_DIR)
+  const entryPoints = [
+    { in: path.join(buildContext.srcDir, "main.js"), out: path.parse(BUNDLE_FILE).name },
+    { in: path.join(buildContext.srcDir, "evaluationWorker.js"), out: path.parse(WORKER_BUNDLE_FILE).name },
+  ]
 
   try {
     if (fs.existsSync(jsOutDir)) {
@@ -25,8 +29,8 @@ async function bundleJavaScript(buildContext) {
     }
 
     await esbuild.build({
-      entryPoints: [jsEntryPoint],
-      outfile: jsOutFile,
+      entryPoints,
+      outdir: jsOutDir,
       bundle: true,
       minify: true,
       sourcemap: true,
@@ -34,7 +38,7 @@ async function bundleJavaScript(buildContext) {
       format: "iife",
       logLevel: "info",
     })
-    console.log(`Client-side JS bundled successfully to ${path.relative(buildContext.rootDir, jsOutFile)}`)
+    console.log(`Client-side JS bundled successfully to ${path.relative(buildContext.rootDir, jsOutDir)}`)
   } catch (error) {
     console.error("--- Error during client-side JavaScript bundling or directory setup ---")
     console.error(error)
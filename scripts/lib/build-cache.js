@@ -0,0 +1,175 @@
+const crypto = require("node:crypto")
+const fs = require("node:fs")
+const { mkdir, readFile, writeFile } = require("node:fs/promises")
+const path = require("node:path")
+const { FIXTURE_DIRECTIVE } = require("./constants")
+
+// Changed whenever the layout of the cache files changes, which invalidates them
+const CACHE_FORMAT_VERSION = 1
+
+// Packages whose versions change what pages render to
+const RENDERING_PACKAGES = ["marked", "node-html-parser", "gray-matter"]
+
+let rendererFingerprint = null
+
+/**
+ * Hashes the given parts, which are separated so that moving text from one part to the next changes the hash.
+ */
+function hashParts(...parts) {
+  const hash = crypto.createHash("sha256")
+  for (const part of parts) hash.update(String(part)).update("\0")
+  return hash.digest("hex")
+}
+
+/**
+ * Fingerprints what renders the pages besides their markdown: the build scripts of scripts/lib, which
+ * configure marked and extract the sections and search entries, and the versions of the packages they use.
+ * It is computed once per run.
+ */
+function getRendererFingerprint() {
+  if (rendererFingerprint) return rendererFingerprint
+
+  const scripts = fs
+    .readdirSync(__dirname)
+    .filter((file) => file.endsWith(".js"))
+    .sort()
+    .map((file) => `${file}\n${fs.readFileSync(path.join(__dirname, file), "utf8")}`)
+  const packages = RENDERING_PACKAGES.map((name) => `${name}@${require(`${name}/package.json`).version}`)
+  rendererFingerprint = hashParts(CACHE_FORMAT_VERSION, ...scripts, ...packages)
+  return rendererFingerprint
+}
+
+/**
+ * Fingerprints the files of a fixtures directory, which pages using @fixture check their fixtures against.
+ */
+function fingerprintDirectory(directory) {
+  if (!directory || !fs.existsSync(directory)) return hashParts("none")
+
+  const files = fs
+    .readdirSync(directory, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name))
+    .sort()
+  return hashParts(...files.flatMap((file) => [path.relative(directory, file), fs.readFileSync(file)]))
+}
+
+/**
+ * The rendered pages of a version, reused by the next build for the markdown files that did not change.
+ *
+ * Entries are keyed by a hash of the page's markdown and of everything else it renders from: the renderer
+ * (see getRendererFingerprint), the version's custom functions and fixtures, and the page's path. Each
+ * holds the page's output HTML, search entries and navigation entry. Saving keeps only the entries used by
+ * a full build, so that removed and changed pages do not pile up.
+ */
+class VersionBuildCache {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.filePath - The cache file of the version
+   * @param {string} options.versionKey - Hash of what all pages of the version render from
+   * @param {string|null} options.fixturesDir - The version's fixtures directory
+   * @param {Object} [options.entries] - The entries of the previous build, by key
+   */
+  constructor({ filePath, versionKey, fixturesDir, entries = {} }) {
+    this.filePath = filePath
+    this.versionKey = versionKey
+    this.fixturesDir = fixturesDir
+    this.previousEntries = new Map(Object.entries(entries))
+    this.entries = new Map()
+    this.hits = 0
+    this.misses = 0
+    this.fixturesFingerprint = null
+  }
+
+  /**
+   * Loads the cache of a version from the cache directory. A missing, outdated or unreadable cache file
+   * gives an empty cache.
+   * @param {Object} options - Options
+   * @param {string} options.cacheDir - The build cache directory
+   * @param {Object} options.versionConfig - The version's configuration
+   * @param {Array<Object>} options.functions - The version's custom functions
+   * @param {{directory: string|null, url: string}} options.fixtures - The version's fixtures
+   * @returns {Promise<VersionBuildCache>} The cache
+   */
+  static async load({ cacheDir, versionConfig, functions, fixtures }) {
+    const filePath = path.join(cacheDir, `${versionConfig.id}.json`)
+    const versionKey = hashParts(
+      getRendererFingerprint(),
+      JSON.stringify(functions),
+      fixtures.directory ?? "",
+      fixtures.url,
+    )
+    const cache = { filePath, versionKey, fixturesDir: fixtures.directory }
+    if (!fs.existsSync(filePath)) return new VersionBuildCache(cache)
+
+    try {
+      const saved = JSON.parse(await readFile(filePath, "utf8"))
+      const entries = saved.format === CACHE_FORMAT_VERSION ? saved.entries : {}
+      return new VersionBuildCache({ ...cache, entries })
+    } catch (error) {
+      console.warn(`  Ignoring unreadable build cache ${filePath}: ${error.message}`)
+      return new VersionBuildCache(cache)
+    }
+  }
+
+  /**
+   * Gives the key of a page's entry, from the path of its markdown within the version, see toVersionPath.
+   */
+  keyFor(fileSourceType, versionFilePath, rawContent) {
+    const usesFixtures = rawContent.includes(FIXTURE_DIRECTIVE)
+    if (usesFixtures) this.fixturesFingerprint ??= fingerprintDirectory(this.fixturesDir)
+    return hashParts(
+      this.versionKey,
+      fileSourceType,
+      versionFilePath,
+      rawContent,
+      usesFixtures ? this.fixturesFingerprint : "",
+    )
+  }
+
+  /**
+   * Gives the entry of a page rendered from the same markdown by a previous build, and counts the hit or miss.
+   * @returns {Object|null} The entry, as stored by set, or null if the page must be rendered
+   */
+  get(fileSourceType, versionFilePath, rawContent) {
+    const key = this.keyFor(fileSourceType, versionFilePath, rawContent)
+    const entry = this.entries.get(key) ?? this.previousEntries.get(key)
+    if (!entry) {
+      this.misses++
+      return null
+    }
+    this.hits++
+    this.entries.set(key, entry)
+    return entry
+  }
+
+  /**
+   * Stores a rendered page.
+   * @param {Object} entry - The page's output HTML as `html`, and its `searchIndexEntry`, search map entry as
+   *   `mapEntry` and `processedPage`, which are reused with the doc ID of the build that reuses them
+   */
+  set(fileSourceType, versionFilePath, rawContent, entry) {
+    this.entries.set(this.keyFor(fileSourceType, versionFilePath, rawContent), entry)
+  }
+
+  /**
+   * Writes the entries used by this build to the cache file, and with `keepUnused` those of the previous
+   * build too, for builds of some of the version's pages.
+   */
+  async save({ keepUnused = false } = {}) {
+    await mkdir(path.dirname(this.filePath), { recursive: true })
+    const entries = Object.fromEntries(keepUnused ? [...this.previousEntries, ...this.entries] : this.entries)
+    await writeFile(this.filePath, JSON.stringify({ format: CACHE_FORMAT_VERSION, entries }), "utf8")
+  }
+
+  /**
+   * Describes the hits and misses of this build.
+   */
+  describe() {
+    return `${this.hits} hit(s), ${this.misses} miss(es)`
+  }
+}
+
+module.exports = {
+  getRendererFingerprint,
+  VersionBuildCache,
+}
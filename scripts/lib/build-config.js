@@ -0,0 +1,279 @@
+const fs = require("node:fs")
+const path = require("node:path")
+const Ajv = require("ajv")
+const configSchema = require("../../config.schema.json")
+
+// The build configuration, and its local overrides, which are kept out of version control
+const CONFIG_FILE = "config.json"
+const LOCAL_CONFIG_FILE = "config.local.json"
+
+// Environment variable references in strings: ${NAME}, or ${NAME:-default} to default unset or empty
+// variables. $${...} is kept as a literal ${...}.
+const ENV_REFERENCE_PATTERN = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g
+
+const validateSchema = new Ajv({ allErrors: true, useDefaults: true, verbose: true }).compile(configSchema)
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value)
+
+/**
+ * Formats the JSON pointer of a value in the configuration as a path, such as versions[1].includeGlobs.
+ */
+function formatConfigPath(pointer, property = null) {
+  const segments = pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+  if (property !== null) segments.push(property)
+  return (
+    segments
+      .map((segment, index) => (/^\d+$/.test(segment) ? `[${segment}]` : `${index ? "." : ""}${segment}`))
+      .join("") || "(root)"
+  )
+}
+
+function describeValue(value) {
+  if (Array.isArray(value)) return "an array"
+  if (value === null) return "null"
+  if (typeof value === "object") return "an object"
+  return JSON.stringify(value)
+}
+
+/**
+ * Counts the insertions, deletions and substitutions turning one string into another.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1))
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+/**
+ * Gives the known property a misspelled one is closest to, if it differs by case or at most two edits.
+ */
+function suggestProperty(property, knownProperties) {
+  const [closest] = knownProperties
+    .map((known) => ({ known, distance: editDistance(property.toLowerCase(), known.toLowerCase()) }))
+    .filter((candidate) => candidate.distance <= 2)
+    .sort((a, b) => a.distance - b.distance)
+  return closest?.known ?? null
+}
+
+// Messages of the schema errors that read better than ajv's own, by keyword
+const SCHEMA_ERROR_MESSAGES = new Map([
+  ["required", (error) => [formatConfigPath(error.instancePath, error.params.missingProperty), "is required"]],
+  [
+    "additionalProperties",
+    (error) => {
+      const property = error.params.additionalProperty
+      const suggestion = suggestProperty(property, Object.keys(error.parentSchema.properties ?? {}))
+      const hint = suggestion ? `; did you mean "${suggestion}"?` : ""
+      return [formatConfigPath(error.instancePath, property), `is not a known property${hint}`]
+    },
+  ],
+  ["type", (error) => [formatConfigPath(error.instancePath), `${error.message}, not ${describeValue(error.data)}`]],
+  [
+    "const",
+    (error) => [
+      formatConfigPath(error.instancePath),
+      `must be ${describeValue(error.params.allowedValue)}, not ${describeValue(error.data)}`,
+    ],
+  ],
+])
+
+/**
+ * Turns an error of the schema validation into a message naming the path of the offending value.
+ */
+function formatSchemaError(error) {
+  const format = SCHEMA_ERROR_MESSAGES.get(error.keyword)
+  const [configPath, message] = format ? format(error) : [formatConfigPath(error.instancePath), error.message]
+  return `${configPath}: ${message}`
+}
+
+/**
+ * Merges overrides into a configuration: objects are merged property by property, and other values are
+ * replaced. Versions, and the sources of a version, are merged by ID, so that an override of a version or
+ * source needs only its ID and the properties it changes, while those with new IDs are added.
+ */
+function mergeConfig(config, overrides) {
+  if (!isPlainObject(config) || !isPlainObject(overrides)) return overrides
+
+  const { versions, ...otherOverrides } = overrides
+  const merged = mergeObjects(config, otherOverrides)
+  if (versions !== undefined) merged.versions = mergeById(config.versions, versions, mergeVersion)
+  return merged
+}
+
+function mergeVersion(version, override) {
+  if (!isPlainObject(version) || !isPlainObject(override)) return override
+
+  const { sources, ...otherOverrides } = override
+  const merged = mergeObjects(version, otherOverrides)
+  if (sources !== undefined) merged.sources = mergeById(version.sources, sources, mergeObjects)
+  return merged
+}
+
+function mergeObjects(base, overrides) {
+  if (!isPlainObject(base) || !isPlainObject(overrides)) return overrides
+
+  const merged = { ...base }
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = mergeObjects(base[key], value)
+  }
+  return merged
+}
+
+function mergeById(items, overrides, mergeItem) {
+  if (!Array.isArray(items) || !Array.isArray(overrides)) return overrides
+
+  const merged = items.map((item) => {
+    const override = overrides.find((candidate) => candidate?.id !== undefined && candidate.id === item?.id)
+    return override ? mergeItem(item, override) : item
+  })
+  const added = overrides.filter((override) => !items.some((item) => item?.id === override?.id))
+  return [...merged, ...added]
+}
+
+/**
+ * Replaces the environment variable references in the strings of a configuration, see ENV_REFERENCE_PATTERN.
+ * References to unset variables without a default are reported in `errors`.
+ */
+function substituteEnvironment(value, env, errors, pointer = "") {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => substituteEnvironment(item, env, errors, `${pointer}/${index}`))
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, substituteEnvironment(item, env, errors, `${pointer}/${key}`)]),
+    )
+  }
+  if (typeof value !== "string") return value
+
+  return value.replace(ENV_REFERENCE_PATTERN, (reference, escaped, name, defaultValue) => {
+    if (escaped) return reference.slice(1)
+    if (env[name]) return env[name]
+    if (defaultValue !== undefined) return defaultValue
+    if (env[name] !== undefined) return ""
+    errors.push(`${formatConfigPath(pointer)}: environment variable ${name} is not set`)
+    return reference
+  })
+}
+
+/**
+ * Reports the items of a list whose ID is already the ID of an earlier item.
+ */
+function checkUniqueIds(items, itemsPath) {
+  const ids = items.map(({ id }) => id)
+  return ids
+    .map((id, index) => [id, index, ids.indexOf(id)])
+    .filter(([, index, firstIndex]) => firstIndex !== index)
+    .map(
+      ([id, index, firstIndex]) =>
+        `${itemsPath}[${index}].id: "${id}" is already the ID of ${itemsPath}[${firstIndex}]`,
+    )
+}
+
+/**
+ * Checks what the schema cannot: that version IDs, and source IDs within a version, are unique, that the
+ * default version is one of them, and that specRepoUrl is set when a version has no sources.
+ */
+function checkVersions(config) {
+  const errors = checkUniqueIds(config.versions, "versions")
+  config.versions.forEach((version, index) => {
+    if (version.sources) errors.push(...checkUniqueIds(version.sources, `versions[${index}].sources`))
+  })
+
+  const ids = config.versions.map(({ id }) => id)
+  if (!ids.includes(config.defaultVersionId)) {
+    errors.push(`defaultVersionId: "${config.defaultVersionId}" is not the ID of a version (${ids.join(", ")})`)
+  }
+  const specVersionIds = config.versions.filter((version) => !version.sources).map(({ id }) => id)
+  if (!config.specRepoUrl && specVersionIds.length > 0) {
+    errors.push(`specRepoUrl: is required by the versions without sources (${specVersionIds.join(", ")})`)
+  }
+  return errors
+}
+
+/**
+ * Resolves the build configuration: merges the local overrides into it, substitutes environment variables,
+ * validates it against config.schema.json and fills in the defaults of the schema.
+ * @param {Object} options - Options
+ * @param {Object} options.config - The configuration, from config.json
+ * @param {Object|null} [options.localConfig] - The overrides, from config.local.json
+ * @param {Object} [options.env] - The environment variables (default: process.env)
+ * @param {Array<string>} [options.sources] - The files the configuration was read from, for error messages
+ * @returns {Object} The resolved configuration
+ * @throws {Error} If the configuration is invalid, listing every problem found with the path of its value
+ */
+function resolveBuildConfig({ config, localConfig = null, env = process.env, sources = [CONFIG_FILE] }) {
+  const errors = []
+  const resolved = substituteEnvironment(localConfig ? mergeConfig(config, localConfig) : config, env, errors)
+  if (errors.length === 0) {
+    if (validateSchema(resolved)) {
+      errors.push(...checkVersions(resolved))
+    } else {
+      // The errors of "if" only repeat those of the "then" schema it applies
+      errors.push(...validateSchema.errors.filter(({ keyword }) => keyword !== "if").map(formatSchemaError))
+    }
+  }
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid build configuration (${sources.join(", ")}):\n${errors.map((error) => `  - ${error}`).join("\n")}`,
+    )
+  }
+  return resolved
+}
+
+function readConfigFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"))
+  } catch (error) {
+    throw new Error(`Could not read the build configuration ${path.basename(filePath)}: ${error.message}`)
+  }
+}
+
+/**
+ * Loads and resolves the build configuration, see resolveBuildConfig, and the paths it sets. config.json and
+ * config.local.json are read afresh on every call, so that watch mode sees their changes.
+ * @param {string} scriptDir - The directory containing the build script
+ * @param {Object} [options] - Options
+ * @param {Object} [options.env] - The environment variables (default: process.env)
+ * @returns {object} Build configuration with resolved paths
+ * @throws {Error} If the configuration cannot be read or is invalid
+ */
+function loadBuildConfig(scriptDir, { env = process.env } = {}) {
+  const rootDir = path.resolve(scriptDir, "..")
+  const configPath = path.join(rootDir, CONFIG_FILE)
+  const localConfigPath = path.join(rootDir, LOCAL_CONFIG_FILE)
+  const hasLocalConfig = fs.existsSync(localConfigPath)
+  const config = resolveBuildConfig({
+    config: readConfigFile(configPath),
+    localConfig: hasLocalConfig ? readConfigFile(localConfigPath) : null,
+    env,
+    sources: hasLocalConfig ? [CONFIG_FILE, LOCAL_CONFIG_FILE] : [CONFIG_FILE],
+  })
+
+  return {
+    config,
+    configPath,
+    localConfigPath,
+    rootDir,
+    tempDir: path.resolve(rootDir, config.tempDir),
+    outputDir: path.resolve(rootDir, config.outputDir),
+    srcDir: path.resolve(rootDir, "src"),
+    // Kept apart from tempDir, which the git operations recreate
+    cacheDir: path.resolve(rootDir, config.cacheDir),
+  }
+}
+
+module.exports = {
+  LOCAL_CONFIG_FILE,
+  mergeConfig,
+  resolveBuildConfig,
+  loadBuildConfig,
+}
@@ -0,0 +1,299 @@
+const fs = require("node:fs")
+const { mkdir } = require("node:fs/promises")
+const path = require("node:path")
+const { loadBuildConfig } = require("./build-config")
+const { setupOutputDirectory } = require("./file-operations")
+const { bundleJavaScript, copyStaticAssets } = require("./asset-management")
+const { configureMarked } = require("./content-processing")
+const {
+  buildVersions,
+  rebuildVersionFile,
+  resolveVersionFunctionsFile,
+  writeVersionsFile,
+} = require("./version-processing")
+const { validateMultipleFiles, findMarkdownFiles } = require("./jmespath-validation")
+const { reportValidationResults } = require("./validation-reports")
+const { isInsideDirectory } = require("./utilities")
+const { watchPaths } = require("./watch")
+
+/**
+ * Loads marked, an ES module, configured with the site's extensions.
+ */
+async function loadMarked() {
+  const { marked } = await import("marked")
+  configureMarked(marked)
+  return marked
+}
+
+/**
+ * Finds the markdown files of local_docs and of the temp directory
+ */
+async function findFilesToValidate(buildContext) {
+  const localDocsPath = path.join(buildContext.rootDir, "local_docs")
+  const tempDocsPath = buildContext.tempDir
+
+  const filesToValidate = []
+
+  // Add local docs if they exist
+  if (fs.existsSync(localDocsPath)) {
+    const localFiles = await findMarkdownFiles(localDocsPath)
+    filesToValidate.push(...localFiles)
+  }
+
+  // Add temp docs if they exist
+  if (fs.existsSync(tempDocsPath)) {
+    const tempFiles = await findMarkdownFiles(tempDocsPath)
+    filesToValidate.push(...tempFiles)
+  }
+
+  return filesToValidate
+}
+
+/**
+ * Gives the custom functions and fixtures directory of each built page: those of the version it was rendered
+ * for, wherever its markdown is, such as in the version's checkout of the spec repository
+ * @returns {Map<string, {functions: Array<Object>, fixturesDir: string|null}>} The options, by markdown file
+ */
+function getValidationFileOptions(builds) {
+  const fileOptions = new Map()
+  for (const { searchState, functions, fixtures } of builds) {
+    for (const sourceFilePath of searchState.docIdsBySource.keys()) {
+      if (!fileOptions.has(sourceFilePath)) {
+        fileOptions.set(sourceFilePath, { functions, fixturesDir: fixtures.directory })
+      }
+    }
+  }
+  return fileOptions
+}
+
+/**
+ * Validates JMESPath queries in documentation files: the given files, or else all of them. The pages of
+ * `builds` are validated with the custom functions and fixtures of their version.
+ */
+async function performJmespathValidation(buildContext, options = {}, files = null, builds = []) {
+  const {
+    skipValidation = false,
+    failOnValidationError = false,
+    verbose = false,
+    validationFormat = "text",
+    validationOutput = null,
+  } = options
+
+  if (skipValidation) {
+    console.log("\n--- Skipping JMESPath Validation ---")
+    return true
+  }
+
+  console.log("\n--- Validating JMESPath Queries ---")
+
+  try {
+    const filesToValidate = files ?? (await findFilesToValidate(buildContext))
+
+    if (filesToValidate.length === 0) {
+      console.log("No markdown files found for validation.")
+      return true
+    }
+
+    console.log(`Validating ${filesToValidate.length} markdown file(s)...`)
+
+    const results = await validateMultipleFiles(filesToValidate, {
+      verbose,
+      fileOptions: getValidationFileOptions(builds),
+    })
+
+    await reportValidationResults(results, {
+      format: validationFormat,
+      output: validationOutput,
+      verbose,
+      showWarnings: true,
+    })
+
+    if (!results.success && failOnValidationError) {
+      console.error("\n❌ Build failed due to JMESPath validation errors.")
+      process.exit(1)
+    }
+
+    return results.success
+  } catch (error) {
+    console.error(`\nJMESPath validation error: ${error.message}`)
+    if (failOnValidationError) {
+      process.exit(1)
+    }
+    return false
+  }
+}
+
+/**
+ * Reports how many pages of all versions were reused from the build cache and how many were rendered.
+ */
+function reportCacheUsage(builds) {
+  const stats = builds.map(({ cacheStats }) => cacheStats).filter(Boolean)
+  if (stats.length === 0) return
+
+  const hits = stats.reduce((total, { hits }) => total + hits, 0)
+  const misses = stats.reduce((total, { misses }) => total + misses, 0)
+  console.log(`\nBuild cache: ${hits} hit(s), ${misses} miss(es) across ${stats.length} version(s)`)
+}
+
+/**
+ * Checks whether the build options limit the build to some versions or pages, see performBuildProcess.
+ */
+function isPartialBuild(options) {
+  return options.versions?.length > 0 || options.pages?.length > 0
+}
+
+/**
+ * Performs the documentation build process. Unchanged pages are reused from the build cache unless
+ * `options.noCache` is set.
+ *
+ * `options.versions` (version IDs) and `options.pages` (globs, see matchesPageGlobs) limit the build to some
+ * versions and pages. Such a build keeps the rest of the previous build's output, merges what it built into
+ * its versions.json, and validates only the pages it built.
+ * @returns {Promise<Array<Object>>} The builds of the versions, see buildVersion
+ */
+async function performBuildProcess(buildContext, marked, options = {}) {
+  const { versions: versionIds = [], pages: pageGlobs = [], noCache = false } = options
+  const isPartial = isPartialBuild(options)
+  console.log(`\nStarting documentation build${isPartial ? " of the selected versions and pages" : ""}...`)
+
+  if (isPartial) {
+    await mkdir(buildContext.outputDir, { recursive: true })
+  } else {
+    await setupOutputDirectory(buildContext)
+  }
+  const builds = await buildVersions(buildContext, marked, { useCache: !noCache, versionIds, pageGlobs })
+  reportCacheUsage(builds)
+  await bundleJavaScript(buildContext)
+  await copyStaticAssets(buildContext)
+  await writeVersionsFile(
+    buildContext,
+    builds.map(({ versionData }) => versionData),
+    { merge: isPartial },
+  )
+
+  console.log("\n--- Running Post-processing Steps ---")
+  const builtFiles = builds.flatMap(({ searchState }) => [...searchState.docIdsBySource.keys()])
+  await performJmespathValidation(buildContext, options, isPartial ? builtFiles : null, builds)
+
+  console.log("\nDocumentation build finished successfully!")
+  console.log(`Output available in: ${path.relative(buildContext.rootDir, buildContext.outputDir)}`)
+  return builds
+}
+
+/**
+ * Rebuilds what changed files affect, instead of the whole site: the scripts and styles for changes to src,
+ * and for changes to the docs only the changed pages, assets and fixtures of the versions they belong to,
+ * updating their search data and versions.json, which keeps the versions a partial build did not build.
+ * The changed pages are then validated, or all of them if another docs file changed, such as a functions.js
+ * or a fixture.
+ */
+async function rebuildChanges(changedFiles, builds, buildContext, marked, options) {
+  const relativePaths = changedFiles.map((filePath) => path.relative(buildContext.rootDir, filePath))
+  console.log(`\n--- Rebuilding after changes to: ${relativePaths.join(", ")} ---`)
+
+  if (changedFiles.some((filePath) => isInsideDirectory(filePath, buildContext.srcDir))) {
+    await bundleJavaScript(buildContext)
+    await copyStaticAssets(buildContext)
+  }
+
+  let versionsChanged = false
+  for (const build of builds) {
+    for (const filePath of changedFiles) {
+      if (await rebuildVersionFile(build, filePath, buildContext, marked)) versionsChanged = true
+    }
+  }
+  if (!versionsChanged) return
+
+  await writeVersionsFile(
+    buildContext,
+    builds.map(({ versionData }) => versionData),
+    { merge: isPartialBuild(options) },
+  )
+  const docsFiles = changedFiles.filter((filePath) => !isInsideDirectory(filePath, buildContext.srcDir))
+  const onlyPagesChanged = docsFiles.every((filePath) => filePath.endsWith(".md"))
+  await performJmespathValidation(
+    buildContext,
+    options,
+    onlyPagesChanged ? docsFiles.filter((filePath) => fs.existsSync(filePath)) : null,
+    builds,
+  )
+}
+
+/**
+ * Gives the paths watch mode watches: local_docs, src, config.json and config.local.json, which is watched
+ * for by name in the root directory if it does not exist yet, and the functions.js and fixtures of versions
+ * that keep them elsewhere.
+ */
+function getWatchedPaths(buildContext, builds) {
+  const versionPaths = builds.flatMap(({ versionConfig, fixtures }) => [
+    resolveVersionFunctionsFile(versionConfig, buildContext),
+    fixtures.directory,
+  ])
+  const watchedPaths = [
+    path.join(buildContext.rootDir, "local_docs"),
+    buildContext.srcDir,
+    buildContext.configPath,
+    buildContext.localConfigPath,
+  ]
+  for (const versionPath of versionPaths) {
+    if (versionPath && !watchedPaths.some((watchedPath) => isInsideDirectory(versionPath, watchedPath))) {
+      watchedPaths.push(versionPath)
+    }
+  }
+  return watchedPaths
+}
+
+/**
+ * Keeps rebuilding after the initial build as files change, see rebuildChanges. A change to config.json or
+ * config.local.json reloads the configuration and rebuilds everything, or keeps the previous configuration
+ * if the new one is invalid. Runs until interrupted or closed.
+ * @param {Object} buildContext - The build context; a change to the configuration updates it in place
+ * @param {Object} marked - The configured marked, from loadMarked
+ * @param {Object} options - The build options
+ * @param {Array<Object>} initialBuilds - The versions' builds, from performBuildProcess
+ * @param {(changedFiles: Array<string>) => void} [onRebuild] - Called with the changed files after each rebuild
+ * @returns {{close: () => void}} Stops watching
+ */
+function watchBuild(buildContext, marked, options, initialBuilds, onRebuild = null) {
+  let builds = initialBuilds
+  let watcher = null
+
+  const startWatching = () => {
+    watcher = watchPaths(getWatchedPaths(buildContext, builds), async (changedFiles) => {
+      const configChanged = [buildContext.configPath, buildContext.localConfigPath].some((configFile) =>
+        changedFiles.includes(configFile),
+      )
+      if (!configChanged) {
+        await rebuildChanges(changedFiles, builds, buildContext, marked, options)
+        onRebuild?.(changedFiles)
+        return
+      }
+
+      watcher.close()
+      try {
+        console.log("\n--- The configuration changed, rebuilding everything ---")
+        Object.assign(buildContext, loadBuildConfig(path.join(__dirname, "..")))
+        builds = await performBuildProcess(buildContext, marked, options)
+        onRebuild?.(changedFiles)
+      } finally {
+        startWatching()
+      }
+    })
+    console.log("\nWatching for changes (press Ctrl+C to stop)...")
+  }
+  startWatching()
+
+  return {
+    close() {
+      watcher.close()
+    },
+  }
+}
+
+module.exports = {
+  loadMarked,
+  performJmespathValidation,
+  performBuildProcess,
+  rebuildChanges,
+  watchBuild,
+}
@@ -1,5 +1,3 @@
-const path = require("node:path")
-
 // Playground class names
 const PLAYGROUND_CLASSES = {
   container: "jmespath-playground",
@@ -7,15 +5,65 @@ const PLAYGROUND_CLASSES = {
   content: "playground-content",
   inputs: "playground-inputs",
   label: "playground-label",
+  inputHeader: "playground-input-header",
+  formatSelect: "playground-format-select",
   jsonInput: "json-input",
   invalidJson: "invalid-json",
   errorInline: "playground-error-inline",
   queryInput: "query-input",
+  queryTabs: "playground-query-tabs",
+  queryTab: "playground-query-tab",
   outputArea: "output-area",
+  resultHeader: "playground-result-header",
+  outputSelect: "playground-output-select",
+  copyButton: "playground-copy-button",
+  downloadButton: "playground-download-button",
+  outputTable: "playground-output-table",
   errorArea: "error-area",
   toggleIcon: "toggle-icon",
+  resultBadge: "playground-result-badge",
+  note: "playground-note",
+  actions: "playground-actions",
+  shareButton: "playground-share-button",
+  openButton: "playground-open-button",
+  engineLabel: "playground-engine-label",
+  engineSelect: "playground-engine-select",
+  comparison: "playground-comparison",
+  explainButton: "playground-explain-button",
+  explainPanel: "playground-explain",
+  snippetsButton: "playground-snippets-button",
+  snippetsPanel: "playground-snippets",
+  resetButton: "playground-reset-button",
+  diff: "playground-diff",
+  customFunctions: "jmespath-functions",
+}
+
+// Marker lines separating the sections of a jmespath-interactive block
+const BLOCK_MARKERS = {
+  query: "---JMESPATH---",
+  expected: "---EXPECTED---",
 }
 
+// Directive taking the place of a block's JSON input to use a fixture of its version instead
+const FIXTURE_DIRECTIVE = "@fixture"
+
+// Language tag of interactive playground code fences
+const INTERACTIVE_FENCE_LANG = "jmespath-interactive"
+
+// Language tag of static JMESPath code fences, highlighted at build time
+const JMESPATH_FENCE_LANG = "jmespath"
+
+// Error types a block can declare with expect-error="..."
+const EXPECTED_ERROR_TYPES = [
+  "syntax",
+  "invalid-type",
+  "unknown-function",
+  "invalid-arity",
+  "invalid-value",
+  "undefined-variable",
+  "not-a-number",
+]
+
 // Header anchor class name
 const HEADER_ANCHOR_CLASS = "header-anchor"
 
@@ -25,40 +73,36 @@ const PREFERRED_DEFAULT_FILES = ["_index.html", "index.html", "spec.html", "read
 // Asset names / paths
 const ASSETS_DIR = "assets"
 const BUNDLE_FILE = "main.bundle.js"
+const WORKER_BUNDLE_FILE = "evaluation.worker.js"
 const SEARCH_INDEX_FILE = "search_index.json"
 const SEARCH_MAP_FILE = "search_map.json"
 const VERSIONS_FILE = "versions.json"
 
-/**
- * Loads and resolves build configuration paths
- * @param {string} scriptDir - The directory containing the build script
- * @returns {object} Build configuration with resolved paths
- */
-function loadBuildConfig(scriptDir) {
-  const configPath = path.resolve(scriptDir, "../config.json")
-  const config = require(configPath)
-  const rootDir = path.resolve(scriptDir, "..")
-  const tempDir = path.resolve(rootDir, config.tempDir)
-  const outputDir = path.resolve(rootDir, config.outputDir)
-  const srcDir = path.resolve(rootDir, "src")
+// Module of a version's docs declaring the custom JMESPath functions its examples use
+const FUNCTIONS_FILE = "functions.js"
 
-  return {
-    config,
-    rootDir,
-    tempDir,
-    outputDir,
-    srcDir,
-  }
-}
+// Directory of a version's docs holding the JSON fixtures its examples share, and of the fixtures in its output
+const FIXTURES_DIR = "fixtures"
+
+// Path of the dev server's stream of reload events
+const LIVE_RELOAD_PATH = "/__live-reload"
 
 module.exports = {
   PLAYGROUND_CLASSES,
+  BLOCK_MARKERS,
+  FIXTURE_DIRECTIVE,
+  INTERACTIVE_FENCE_LANG,
+  JMESPATH_FENCE_LANG,
+  EXPECTED_ERROR_TYPES,
   HEADER_ANCHOR_CLASS,
   PREFERRED_DEFAULT_FILES,
   ASSETS_DIR,
   BUNDLE_FILE,
+  WORKER_BUNDLE_FILE,
   SEARCH_INDEX_FILE,
   SEARCH_MAP_FILE,
   VERSIONS_FILE,
-  loadBuildConfig,
+  FUNCTIONS_FILE,
+  FIXTURES_DIR,
+  LIVE_RELOAD_PATH,
 }
@@ -2,7 +2,13 @@ const { mkdir, writeFile, readFile } = require("node:fs/promises")
 const path = require("node:path")
 const { parse } = require("node-html-parser")
 const grayMatter = require("gray-matter")
-const { PLAYGROUND_CLASSES, HEADER_ANCHOR_CLASS, PREFERRED_DEFAULT_FILES } = require("./constants")
+const {
+  PLAYGROUND_CLASSES,
+  HEADER_ANCHOR_CLASS,
+  PREFERRED_DEFAULT_FILES,
+  INTERACTIVE_FENCE_LANG,
+  JMESPATH_FENCE_LANG,
+} = require("./constants")
 const {
   extractRawTextFromTokens,
   escapeHtml,
@@ -11,13 +17,58 @@ const {
   generatePlaygroundIds,
   extractNodeText,
 } = require("./utilities")
+const { parseFenceInfo, parseInteractiveBlockBody } = require("./interactive-block")
 const { isContentObsoleted, createSearchIndexEntry, createSearchDocMapEntry } = require("./search-index")
+const { highlightCode } = require("./syntax-highlighting")
+const { mergeFunctionDeclarations, normalizeFunctionDeclarations } = require("./custom-functions")
+const { readFixture } = require("./file-operations")
+
+/**
+ * Renders the tabs switching between the queries of a block with several queries against its input.
+ * Each tab keeps its query and documented result; blocks with a single query get no tabs.
+ */
+function renderQueryTabs(queries, queryInputId) {
+  if (queries.length < 2) return ""
+
+  const tabs = queries.map(({ label, jmespathQuery, expectedOutput }, index) => {
+    const expectedResultAttribute =
+      expectedOutput === null ? "" : ` data-expected-result="${escapeHtml(expectedOutput)}"`
+    return `<button type="button" role="tab" class="${PLAYGROUND_CLASSES.queryTab}" aria-selected="${index === 0}" aria-controls="${queryInputId}" tabindex="${index === 0 ? 0 : -1}" data-query="${escapeHtml(jmespathQuery)}"${expectedResultAttribute}>${escapeHtml(label || `Query ${index + 1}`)}</button>`
+  })
+  return `<div class="${PLAYGROUND_CLASSES.queryTabs}" role="tablist" aria-label="Queries">${tabs.join("")}</div>`
+}
+
+/**
+ * Checks the fixture a block uses as its input. The playground fetches it from the version's output
+ * once expanded, so its URL is rendered rather than its content.
+ * @returns {{url: string|null, error: string|null}} The fixture's URL, or why it cannot be used
+ */
+function resolveFixture(name, fixtures) {
+  try {
+    readFixture(fixtures?.directory ?? null, name, fixtures?.rootDir)
+    return { url: `${fixtures.url}/${name}`, error: null }
+  } catch (error) {
+    console.warn(`    ${error.message}`)
+    return { url: null, error: error.message }
+  }
+}
 
 /**
  * Generates the HTML for an interactive JMESPath playground block.
+ * `attributes` are the fence info attributes, e.g. { "expect-error": "invalid-type" }. `fixtures`
+ * locates the fixtures of the page's version, as `{ directory, url, rootDir }`, for blocks using `@fixture`.
  */
-function renderJmespathInteractiveBlock(token, title, isExpandedInitially = false) {
-  const [initialJson = "", initialQuery = ""] = token.text.split(/^\s*---JMESPATH---\s*$/m).map((s) => s.trim())
+function renderJmespathInteractiveBlock(token, title, isExpandedInitially = false, attributes = {}, fixtures = null) {
+  const {
+    jsonInput,
+    fixture,
+    jmespathQuery: initialQuery,
+    expectedOutput,
+    queries,
+  } = parseInteractiveBlockBody(token.text)
+  // Fixtures are fetched by the playground, which starts out with an empty input
+  const initialJson = fixture ? "" : jsonInput
+  const { url: fixtureUrl, error: fixtureError } = fixture ? resolveFixture(fixture, fixtures) : {}
   const { isValid: isValidJson, hasContent: hasJsonContent } = validateJson(initialJson)
   const { jsonInputId, queryInputId, contentId } = generatePlaygroundIds()
 
@@ -27,8 +78,22 @@ function renderJmespathInteractiveBlock(token, title, isExpandedInitially = fals
     !isValidJson && hasJsonContent
       ? `<p class="${PLAYGROUND_CLASSES.errorInline}">Initial JSON appears invalid.</p>`
       : ""
-
-  return html` <div class="${PLAYGROUND_CLASSES.container} my-6 border rounded-lg">
+  const fixtureWarning = fixtureError
+    ? `<p class="${PLAYGROUND_CLASSES.errorInline}">${escapeHtml(fixtureError)}</p>`
+    : ""
+  const fixtureAttribute = fixtureUrl ? ` data-fixture="${escapeHtml(fixtureUrl)}"` : ""
+  const expectedResultAttribute = expectedOutput === null ? "" : ` data-expected-result="${escapeHtml(expectedOutput)}"`
+  const expectError = attributes["expect-error"]
+  const expectErrorAttribute = expectError ? ` data-expect-error="${escapeHtml(expectError)}"` : ""
+  const evaluationTimeout = attributes.timeout
+  const timeoutAttribute = /^[1-9]\d*$/.test(evaluationTimeout ?? "")
+    ? ` data-evaluation-timeout="${evaluationTimeout}"`
+    : ""
+  const expectErrorNote = expectError
+    ? `<p class="${PLAYGROUND_CLASSES.note}">This example is expected to fail with a <code>${escapeHtml(expectError)}</code> error.</p>`
+    : ""
+
+  return html` <div class="${PLAYGROUND_CLASSES.container} my-6 border rounded-lg"${expectedResultAttribute}${expectErrorAttribute}${timeoutAttribute}${fixtureAttribute}>
     <button type="button" class="${PLAYGROUND_CLASSES.toggleButton}" aria-expanded="${isExpandedInitially}" aria-controls="${contentId}">
       <span>${displayTitle}</span>
       <svg class="${PLAYGROUND_CLASSES.toggleIcon}" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="2" stroke="currentColor">
@@ -37,26 +102,60 @@ function renderJmespathInteractiveBlock(token, title, isExpandedInitially = fals
     </button>
 
     <div id="${contentId}" class="${PLAYGROUND_CLASSES.content}"${isExpandedInitially ? "" : " hidden"}>
+      ${expectErrorNote}
       <div class="${PLAYGROUND_CLASSES.inputs}">
         <div>
-          <label for="${jsonInputId}" class="${PLAYGROUND_CLASSES.label}">Input</label>
+          <div class="${PLAYGROUND_CLASSES.inputHeader}">
+            <label for="${jsonInputId}" class="${PLAYGROUND_CLASSES.label}">Input</label>
+            <select class="${PLAYGROUND_CLASSES.formatSelect}" aria-label="Input format"></select>
+          </div>
           <textarea id="${jsonInputId}" class="${PLAYGROUND_CLASSES.jsonInput} ${jsonWarningClass}" spellcheck="false">${escapeHtml(initialJson)}</textarea>
-          ${invalidJsonWarning}
+          ${invalidJsonWarning}${fixtureWarning}
         </div>
         <div>
           <label for="${queryInputId}" class="${PLAYGROUND_CLASSES.label}">Query</label>
+          ${renderQueryTabs(queries, queryInputId)}
           <textarea id="${queryInputId}" class="${PLAYGROUND_CLASSES.queryInput}" spellcheck="false">${escapeHtml(initialQuery)}</textarea>
         </div>
       </div>
       <div class="mt-4">
-        <label class="${PLAYGROUND_CLASSES.label}">Result</label>
+        <div class="${PLAYGROUND_CLASSES.resultHeader}">
+          <label class="${PLAYGROUND_CLASSES.label}">Result <span class="${PLAYGROUND_CLASSES.resultBadge}" hidden></span></label>
+          <select class="${PLAYGROUND_CLASSES.outputSelect}" aria-label="Output format"></select>
+          <button type="button" class="${PLAYGROUND_CLASSES.copyButton}" disabled>Copy</button>
+          <button type="button" class="${PLAYGROUND_CLASSES.downloadButton}" disabled>Download</button>
+        </div>
         <pre class="${PLAYGROUND_CLASSES.outputArea}"><code class="language-json"></code></pre>
+        <div class="${PLAYGROUND_CLASSES.outputTable}" hidden></div>
         <div class="${PLAYGROUND_CLASSES.errorArea}"></div>
+        <div class="${PLAYGROUND_CLASSES.comparison}" hidden></div>
+        <div class="${PLAYGROUND_CLASSES.diff}" hidden></div>
+      </div>
+      <div class="${PLAYGROUND_CLASSES.explainPanel}" hidden></div>
+      <div class="${PLAYGROUND_CLASSES.snippetsPanel}" hidden></div>
+      <div class="${PLAYGROUND_CLASSES.actions}">
+        <label class="${PLAYGROUND_CLASSES.engineLabel}">Engine <select class="${PLAYGROUND_CLASSES.engineSelect}"></select></label>
+        <button type="button" class="${PLAYGROUND_CLASSES.resetButton}" disabled title="Go back to the example as written">Reset</button>
+        <button type="button" class="${PLAYGROUND_CLASSES.explainButton}" aria-expanded="false" title="Show the syntax tree of the query and step through its evaluation">Explain</button>
+        <button type="button" class="${PLAYGROUND_CLASSES.snippetsButton}" aria-expanded="false" title="Save this example or load one you saved">Snippets</button>
+        <button type="button" class="${PLAYGROUND_CLASSES.openButton}" title="Continue editing this example in the full-page playground">Open in playground</button>
+        <button type="button" class="${PLAYGROUND_CLASSES.shareButton}" title="Copy a link to this example with your edits">Share</button>
       </div>
     </div>
   </div>`
 }
 
+/**
+ * Renders the custom functions a page's playgrounds evaluate with as a JSON script element, read by the
+ * playgrounds when the page is shown. Pages without custom functions get no element.
+ */
+function renderCustomFunctionsScript(functions) {
+  if (functions.length === 0) return ""
+  // Escaping "<" keeps implementations from closing the element
+  const json = JSON.stringify(functions).replace(/</g, "\\u003c")
+  return `<script type="application/json" class="${PLAYGROUND_CLASSES.customFunctions}">${json}</script>\n`
+}
+
 /**
  * Custom renderer for headings to generate more robust IDs and add anchor links.
  */
@@ -81,33 +180,40 @@ const headingRendererExtension = {
 
 /**
  * Marked extension to handle ```jmespath-interactive code blocks
- * via the renderer hook, allowing for options like 'expanded' and an inline title.
- * Format: ```jmespath-interactive [expanded] [Your Title Here]
+ * via the renderer hook, allowing for options like 'expanded', attributes and an inline title.
+ * Format: ```jmespath-interactive [expanded] [name="value" ...] [Your Title Here]
+ * The fixtures of the page's version are passed as the `fixtures` option of marked.parse.
  */
 const jmespathInteractiveExtension = {
   name: "jmespathInteractiveRenderer",
   renderer: {
     code(token) {
-      if (typeof token.lang === "string" && token.lang.startsWith("jmespath-interactive")) {
-        const langString = token.lang.trim()
-        const baseLang = "jmespath-interactive"
-        let remaining = langString.substring(baseLang.length).trim()
-
-        let isExpanded = false
-        if (remaining.startsWith("expanded")) {
-          isExpanded = true
-          remaining = remaining.substring("expanded".length).trim()
-        }
-
-        const title = remaining
-
-        return renderJmespathInteractiveBlock(token, title, isExpanded)
+      if (typeof token.lang === "string" && token.lang.startsWith(INTERACTIVE_FENCE_LANG)) {
+        const { expanded, attributes, title } = parseFenceInfo(token.lang)
+        return renderJmespathInteractiveBlock(token, title, expanded, attributes, this.options?.fixtures)
       }
       return false
     },
   },
 }
 
+/**
+ * Marked extension to highlight static ```jmespath code blocks at build time,
+ * using the tokenizer of the playground editors. `//` line comments are allowed.
+ */
+const jmespathHighlightExtension = {
+  name: "jmespathHighlightRenderer",
+  renderer: {
+    code(token) {
+      if (typeof token.lang !== "string" || token.lang.trim().split(/\s+/)[0] !== JMESPATH_FENCE_LANG) {
+        return false
+      }
+      const highlighted = highlightCode(token.text, "jmespath", { comments: true })
+      return `<pre><code class="language-${JMESPATH_FENCE_LANG}">${highlighted}</code></pre>\n`
+    },
+  },
+}
+
 /**
  * Configures marked with extensions and options
  */
@@ -116,7 +222,7 @@ function configureMarked(marked) {
     gfm: true,
   })
 
-  marked.use(headingRendererExtension, jmespathInteractiveExtension)
+  marked.use(headingRendererExtension, jmespathInteractiveExtension, jmespathHighlightExtension)
 }
 
 /**
@@ -196,7 +302,7 @@ function createFallbackTitle(filePath) {
 /**
  * Processes markdown content and extracts metadata
  */
-function processMarkdownContent(rawContent, filePath, marked) {
+function processMarkdownContent(rawContent, filePath, marked, fixtures = null) {
   let frontMatter = {}
   let markdownBody = rawContent
 
@@ -208,7 +314,7 @@ function processMarkdownContent(rawContent, filePath, marked) {
     console.warn(`    Could not parse front matter for ${filePath}. Error: ${e.message}`)
   }
 
-  const htmlContent = marked.parse(markdownBody)
+  const htmlContent = marked.parse(markdownBody, { fixtures })
   const fallbackTitle = createFallbackTitle(filePath)
 
   return { frontMatter, htmlContent, markdownBody, fallbackTitle }
@@ -241,11 +347,12 @@ function extractContentData(options) {
 /**
  * Main content processing function
  */
-function _extractContentAndProcess(rawFileContent, relativeFilePath, marked) {
+function _extractContentAndProcess(rawFileContent, relativeFilePath, marked, fixtures) {
   const { frontMatter, htmlContent, markdownBody, fallbackTitle } = processMarkdownContent(
     rawFileContent,
     relativeFilePath,
     marked,
+    fixtures,
   )
   const { pageTitle, sections, textContent } = extractContentData({
     htmlContent,
@@ -303,8 +410,16 @@ function extractJepMetadata(frontMatter, relativeFilePath) {
  * Creates navigation page entry
  */
 function createNavPageEntry(options) {
-  const { pageId, relativeFilePath, frontMatter, outputFileName, title, parent } = options
-  const finalId = pageId || relativeFilePath.replace(/\.md$/, "").replace(/\\/g, "/")
+  const {
+    pageId,
+    relativeFilePath,
+    versionFilePath = relativeFilePath,
+    frontMatter,
+    outputFileName,
+    title,
+    parent,
+  } = options
+  const finalId = pageId || versionFilePath.replace(/\.md$/, "").replace(/\\/g, "/")
   const navTitle = frontMatter.nav_label || title
 
   // Extract JEP metadata if this is a JEP file
@@ -330,8 +445,18 @@ function createNavPageEntry(options) {
  * Prepares search and navigation data from processed content
  */
 function _prepareSearchAndNavData(params) {
-  const { docId, pageTitle, textContent, sections, frontMatter, outputFileName, relativeFilePath, pageId, pageParent } =
-    params
+  const {
+    docId,
+    pageTitle,
+    textContent,
+    sections,
+    frontMatter,
+    outputFileName,
+    relativeFilePath,
+    versionFilePath,
+    pageId,
+    pageParent,
+  } = params
 
   const finalTitle = frontMatter.title || pageTitle
   const isObsoleted = isContentObsoleted(frontMatter)
@@ -358,6 +483,7 @@ function _prepareSearchAndNavData(params) {
     processedPage = createNavPageEntry({
       pageId,
       relativeFilePath,
+      versionFilePath,
       frontMatter,
       outputFileName,
       title: finalTitle,
@@ -369,22 +495,59 @@ function _prepareSearchAndNavData(params) {
 }
 
 /**
- * Processes a single Markdown file asynchronously.
+ * Gives the path of a source's markdown file within its version: its path within the source directory,
+ * under the source's mount prefix, if any.
+ */
+function toVersionPath(relativeFilePath, mount = "") {
+  return mount ? path.posix.join(mount, relativeFilePath.replace(/\\/g, "/")) : relativeFilePath
+}
+
+/**
+ * Gives the result of a page rendered by a previous build, with the doc ID of this build.
+ */
+function restoreCachedPage(cached, docId) {
+  return {
+    searchIndexEntry: { ...cached.searchIndexEntry, id: docId },
+    searchDocMapEntry: { docId, mapEntry: cached.mapEntry },
+    processedPage: cached.processedPage,
+    error: null,
+  }
+}
+
+/**
+ * Processes a single Markdown file asynchronously. With a build cache in the context, see
+ * VersionBuildCache, a file whose page was rendered by a previous build reuses it. With a `mount` prefix in
+ * the context, the page is written under it, and its navigation ID, unless set in its front matter, has it too.
  */
 async function processSingleMarkdownFile(options) {
   const { relativeFilePath, docId, context, marked } = options
-  const { sourceDir, versionOutputPath, fileSourceType } = context
+  const {
+    sourceDir,
+    versionOutputPath,
+    fileSourceType,
+    functions: versionFunctions = [],
+    fixtures = null,
+    cache = null,
+    mount = "",
+  } = context
   const sourceFilePath = path.join(sourceDir, relativeFilePath)
-  const outputFileName = relativeFilePath.replace(/\.md$/, ".html")
+  const versionFilePath = toVersionPath(relativeFilePath, mount)
+  const outputFileName = versionFilePath.replace(/\.md$/, ".html")
   const outputFilePath = path.join(versionOutputPath, outputFileName)
 
-  console.log(`  Processing ${fileSourceType} file: ${relativeFilePath} (Doc ID: ${docId})`)
-
   try {
     await mkdir(path.dirname(outputFilePath), { recursive: true })
     const rawFileContent = await readFile(sourceFilePath, "utf-8")
 
-    const contentData = _extractContentAndProcess(rawFileContent, relativeFilePath, marked)
+    const cached = cache?.get(fileSourceType, versionFilePath, rawFileContent)
+    if (cached) {
+      console.log(`  Reusing ${fileSourceType} file: ${relativeFilePath} (Doc ID: ${docId})`)
+      await writeFile(outputFilePath, cached.html)
+      return restoreCachedPage(cached, docId)
+    }
+    console.log(`  Processing ${fileSourceType} file: ${relativeFilePath} (Doc ID: ${docId})`)
+
+    const contentData = _extractContentAndProcess(rawFileContent, relativeFilePath, marked, fixtures)
     const { frontMatter, htmlContent, pageTitle, textContent, sections, id: pageId, parent: pageParent } = contentData
 
     const prepParams = {
@@ -395,12 +558,24 @@ async function processSingleMarkdownFile(options) {
       frontMatter,
       outputFileName,
       relativeFilePath,
+      versionFilePath,
       pageId,
       pageParent,
     }
     const { searchIndexEntry, searchDocMapEntry, processedPage } = _prepareSearchAndNavData(prepParams)
 
-    await writeFile(outputFilePath, htmlContent)
+    const functions = mergeFunctionDeclarations(
+      versionFunctions,
+      normalizeFunctionDeclarations(frontMatter.functions, relativeFilePath),
+    )
+    const pageHtml = renderCustomFunctionsScript(functions) + htmlContent
+    await writeFile(outputFilePath, pageHtml)
+    cache?.set(fileSourceType, versionFilePath, rawFileContent, {
+      html: pageHtml,
+      searchIndexEntry,
+      mapEntry: searchDocMapEntry.mapEntry,
+      processedPage,
+    })
     return { searchIndexEntry, searchDocMapEntry, processedPage, error: null }
   } catch (processError) {
     console.error(`    Failed processing file ${relativeFilePath}: ${processError.message}`)
@@ -432,8 +607,10 @@ function determineDefaultFile(versionNavPages) {
 
 module.exports = {
   renderJmespathInteractiveBlock,
+  renderCustomFunctionsScript,
   headingRendererExtension,
   jmespathInteractiveExtension,
+  jmespathHighlightExtension,
   configureMarked,
   parseHtmlString,
   extractTitleFromHtml,
@@ -447,6 +624,7 @@ module.exports = {
   extractJepMetadata,
   createNavPageEntry,
   _prepareSearchAndNavData,
+  toVersionPath,
   processSingleMarkdownFile,
   determineDefaultFile,
 }
@@ -0,0 +1,168 @@
+// Custom JMESPath functions declared by the docs, so that examples of proposed functions can run and
+// be validated before the engines ship them. Pages declare them in their front matter and versions in
+// a shared functions.js; both use the same declarations:
+//
+//   functions:
+//     to_entries:
+//       signature: [object]
+//       implementation: "([obj]) => Object.entries(obj).map(([key, value]) => ({ key, value }))"
+//
+// Implementations receive the resolved arguments as an array, and a context whose evaluate(expref, value)
+// evaluates expression arguments. They are kept as source text so that the build can hand them to the
+// playgrounds, which compile them in the evaluation worker. Shared by the build, the validator and the
+// playground worker, so this module must not depend on Node.js APIs.
+
+// Argument types of signatures and the names of the JMESPath library's type constants
+const ARGUMENT_TYPES = new Map([
+  ["any", "TYPE_ANY"],
+  ["array", "TYPE_ARRAY"],
+  ["array[array]", "TYPE_ARRAY_ARRAY"],
+  ["array[number]", "TYPE_ARRAY_NUMBER"],
+  ["array[object]", "TYPE_ARRAY_OBJECT"],
+  ["array[string]", "TYPE_ARRAY_STRING"],
+  ["boolean", "TYPE_BOOLEAN"],
+  ["expression", "TYPE_EXPREF"],
+  ["null", "TYPE_NULL"],
+  ["number", "TYPE_NUMBER"],
+  ["object", "TYPE_OBJECT"],
+  ["string", "TYPE_STRING"],
+])
+
+const FUNCTION_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// An argument: types separated by "|", then "?" if it may be left out or "..." if it may repeat
+const ARGUMENT_PATTERN = /^([^?.]+?)\s*(\?|\.\.\.)?$/
+
+/**
+ * Parses one argument of a declared signature, e.g. "string", "number|string?" or "any...".
+ * @param {string} argument - The argument.
+ * @returns {{types: string[], optional: boolean, variadic: boolean}} The argument's types and modifiers
+ * @throws {Error} If the argument is malformed or names an unknown type
+ */
+function parseArgumentType(argument) {
+  const match = typeof argument === "string" ? ARGUMENT_PATTERN.exec(argument.trim()) : null
+  if (!match) throw new Error(`invalid argument ${JSON.stringify(argument)}`)
+
+  const types = match[1].split("|").map((type) => type.trim())
+  const unknownType = types.find((type) => !ARGUMENT_TYPES.has(type))
+  if (unknownType !== undefined) {
+    throw new Error(`unknown type "${unknownType}", expected one of: ${[...ARGUMENT_TYPES.keys()].join(", ")}`)
+  }
+  return { types, optional: match[2] === "?", variadic: match[2] === "..." }
+}
+
+/**
+ * Compiles the source of an implementation into a function.
+ * @param {string} source - A function expression or arrow function
+ * @returns {Function} The implementation
+ * @throws {Error} If the source is not a function expression
+ */
+function compileImplementation(source) {
+  let implementation
+  try {
+    implementation = new Function(`"use strict"; return (${source})`)()
+  } catch (error) {
+    throw new Error(`implementation does not compile: ${error.message}`)
+  }
+  if (typeof implementation !== "function") throw new Error("implementation is not a function expression")
+  return implementation
+}
+
+/**
+ * Checks one declaration, keeping its implementation as source text.
+ */
+function normalizeDeclaration(name, declaration) {
+  if (!FUNCTION_NAME_PATTERN.test(name)) throw new Error("not a valid function name")
+  if (!declaration || !Array.isArray(declaration.signature)) throw new Error("missing signature list")
+
+  const signature = declaration.signature.map((argument) => {
+    parseArgumentType(argument)
+    return argument.trim()
+  })
+  const { implementation } = declaration
+  const source = typeof implementation === "function" ? implementation.toString() : implementation
+  if (typeof source !== "string" || !source.trim()) throw new Error("missing implementation")
+  compileImplementation(source)
+  return { name, signature, implementation: source.trim() }
+}
+
+/**
+ * Checks custom function declarations from front matter or a functions.js module.
+ * @param {Object<string, {signature: string[], implementation: string|Function}>|null|undefined} declarations -
+ *   Declarations by function name. Implementations of functions.js modules may be functions, which must then
+ *   not depend on anything outside their own source.
+ * @param {string} origin - Where the declarations come from, for error messages
+ * @returns {Array<{name: string, signature: string[], implementation: string}>} The declarations, with their
+ *   implementations as source text
+ * @throws {Error} If a declaration is malformed
+ */
+function normalizeFunctionDeclarations(declarations, origin) {
+  if (declarations === null || declarations === undefined) return []
+  if (typeof declarations !== "object" || Array.isArray(declarations)) {
+    throw new Error(`Invalid custom functions in ${origin}: expected an object of functions by name`)
+  }
+
+  return Object.entries(declarations).map(([name, declaration]) => {
+    try {
+      return normalizeDeclaration(name, declaration)
+    } catch (error) {
+      throw new Error(`Invalid custom function ${name}() in ${origin}: ${error.message}`)
+    }
+  })
+}
+
+/**
+ * Combines the functions of a version with those of a page, the page's replacing the version's.
+ * @param {Array<object>} versionFunctions - Normalized declarations of the version
+ * @param {Array<object>} pageFunctions - Normalized declarations of the page
+ * @returns {Array<object>} The combined declarations
+ */
+function mergeFunctionDeclarations(versionFunctions, pageFunctions) {
+  const merged = new Map(versionFunctions.map((declaration) => [declaration.name, declaration]))
+  for (const declaration of pageFunctions) merged.set(declaration.name, declaration)
+  return [...merged.values()]
+}
+
+/**
+ * Replaces the custom functions registered with the JMESPath Community Edition library.
+ * Built-in functions cannot be replaced.
+ * @param {object} jmespath - The library's exports, as the build and the browser bundle load separate copies
+ * @param {Array<{name: string, signature: string[], implementation: string}>} declarations - Normalized
+ *   declarations; an empty list only removes the previously registered functions
+ * @returns {string[]} The names of the registered functions
+ * @throws {Error} If a function cannot be registered; the functions before it stay registered
+ */
+function registerCustomFunctions(jmespath, declarations) {
+  jmespath.clearCustomFunctions()
+
+  for (const { name, signature, implementation } of declarations) {
+    if (jmespath.isRegistered(name)) {
+      throw new Error(`Cannot register custom function ${name}(): it would replace a built-in function`)
+    }
+    const compiled = compileImplementation(implementation)
+    const inputSignature = signature.map((argument) => {
+      const { types, optional, variadic } = parseArgumentType(argument)
+      // The library treats an argument with a variadic key as variadic, whatever its value
+      const modifiers = { ...(optional && { optional }), ...(variadic && { variadic }) }
+      return { types: types.map((type) => jmespath[ARGUMENT_TYPES.get(type)]), ...modifiers }
+    })
+    // The library calls functions with the runtime as this, whose interpreter evaluates expression arguments
+    const registration = jmespath.register(
+      name,
+      function (resolvedArgs) {
+        return compiled(resolvedArgs, { evaluate: (expref, value) => this._interpreter.visit(expref, value) })
+      },
+      inputSignature,
+    )
+    if (!registration.success) {
+      throw new Error(`Cannot register custom function ${name}(): ${registration.message}`)
+    }
+  }
+  return declarations.map(({ name }) => name)
+}
+
+module.exports = {
+  normalizeFunctionDeclarations,
+  mergeFunctionDeclarations,
+  registerCustomFunctions,
+}
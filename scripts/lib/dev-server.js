@@ -0,0 +1,172 @@
+const fs = require("node:fs")
+const http = require("node:http")
+const path = require("node:path")
+const { LIVE_RELOAD_PATH } = require("./constants")
+const { isInsideDirectory } = require("./utilities")
+
+const CONTENT_TYPES = new Map([
+  [".html", "text/html; charset=utf-8"],
+  [".js", "text/javascript; charset=utf-8"],
+  [".css", "text/css; charset=utf-8"],
+  [".json", "application/json; charset=utf-8"],
+  [".map", "application/json; charset=utf-8"],
+  [".svg", "image/svg+xml"],
+  [".png", "image/png"],
+  [".jpg", "image/jpeg"],
+  [".jpeg", "image/jpeg"],
+  [".gif", "image/gif"],
+  [".ico", "image/x-icon"],
+  [".webp", "image/webp"],
+  [".woff2", "font/woff2"],
+  [".txt", "text/plain; charset=utf-8"],
+])
+
+// How long browsers wait before reconnecting to the reload events, such as after the server restarts
+const RECONNECT_DELAY_MS = 1000
+
+// Comments sent to the reload event streams, so that proxies and browsers keep them open
+const KEEP_ALIVE_INTERVAL_MS = 30000
+
+/**
+ * Tells pages served by the dev server where to listen for reloads, see src/liveReload.js.
+ */
+function injectLiveReload(html) {
+  const meta = `<meta name="live-reload" content="${LIVE_RELOAD_PATH}">`
+  return html.includes("</head>") ? html.replace("</head>", `  ${meta}\n  </head>`) : `${meta}\n${html}`
+}
+
+/**
+ * Finds the file a request path is served from: the file itself, or the index.html of a directory.
+ * @returns {string|null} The file, or null if there is none inside the served directory
+ */
+function resolveRequestFile(rootDir, requestPath) {
+  let decodedPath
+  try {
+    decodedPath = decodeURIComponent(requestPath)
+  } catch {
+    return null
+  }
+
+  const filePath = path.join(rootDir, decodedPath)
+  if (!isInsideDirectory(filePath, rootDir) || !fs.existsSync(filePath)) return null
+  if (!fs.statSync(filePath).isDirectory()) return filePath
+
+  const indexPath = path.join(filePath, "index.html")
+  return fs.existsSync(indexPath) ? indexPath : null
+}
+
+/**
+ * Answers a request whose file cannot be served: 404 if it does not exist, 500 if it cannot be read. A
+ * response already started, by a file that failed while being sent, is cut short instead.
+ * @param {Error} [error] - Why the file cannot be read; none if it was not found
+ */
+function respondWithError(response, pathname, error = null) {
+  if (response.headersSent) {
+    response.destroy()
+    return
+  }
+  const notFound = !error || error.code === "ENOENT"
+  response.writeHead(notFound ? 404 : 500, { "Content-Type": "text/plain; charset=utf-8" })
+  response.end(notFound ? `Not found: ${pathname}` : `Cannot read: ${pathname}`)
+}
+
+/**
+ * Describes a reload for the files a rebuild changed: changes to styles alone swap the stylesheets, and
+ * any other change reloads the page.
+ * @param {Array<string>} changedFiles - The changed source files
+ * @returns {{type: "css"|"page"}} The reload event's data
+ */
+function describeReload(changedFiles) {
+  return { type: changedFiles.every((filePath) => filePath.endsWith(".css")) ? "css" : "page" }
+}
+
+/**
+ * Creates the dev server: it serves the built site without caching, and pushes reload events to the pages
+ * it served as server-sent events.
+ * @param {Object} options - Options
+ * @param {string} options.rootDir - The directory to serve, the build's output directory
+ * @returns {{server: http.Server, notifyReload: (changedFiles: Array<string>) => void, close: () => Promise<void>}}
+ *   The server, not yet listening; notifyReload reloads the connected pages after a rebuild
+ */
+function createDevServer({ rootDir }) {
+  const clients = new Set()
+
+  const streamReloads = (response) => {
+    response.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-store",
+      Connection: "keep-alive",
+    })
+    response.write(`retry: ${RECONNECT_DELAY_MS}\n\n`)
+    clients.add(response)
+    response.on("close", () => clients.delete(response))
+  }
+
+  const serveFile = (pathname, response) => {
+    const filePath = resolveRequestFile(rootDir, pathname)
+    if (!filePath) {
+      respondWithError(response, pathname)
+      return
+    }
+
+    const headers = {
+      "Content-Type": CONTENT_TYPES.get(path.extname(filePath).toLowerCase()) ?? "application/octet-stream",
+      "Cache-Control": "no-store",
+    }
+    // Rebuilds empty the output directory while it is served, so files found above may be gone once read
+    if (path.basename(filePath) === "index.html") {
+      let html
+      try {
+        html = fs.readFileSync(filePath, "utf8")
+      } catch (error) {
+        respondWithError(response, pathname, error)
+        return
+      }
+      response.writeHead(200, headers)
+      response.end(injectLiveReload(html))
+    } else {
+      const stream = fs.createReadStream(filePath)
+      stream.on("open", () => {
+        response.writeHead(200, headers)
+        stream.pipe(response)
+      })
+      stream.on("error", (error) => respondWithError(response, pathname, error))
+    }
+  }
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost")
+    if (request.method !== "GET" && request.method !== "HEAD") {
+      response.writeHead(405, { Allow: "GET, HEAD" })
+      response.end()
+    } else if (pathname === LIVE_RELOAD_PATH) {
+      streamReloads(response)
+    } else {
+      serveFile(pathname, response)
+    }
+  })
+
+  const keepAlive = setInterval(() => {
+    for (const client of clients) client.write(": keep-alive\n\n")
+  }, KEEP_ALIVE_INTERVAL_MS)
+  keepAlive.unref()
+
+  return {
+    server,
+    notifyReload(changedFiles) {
+      const data = JSON.stringify(describeReload(changedFiles))
+      for (const client of clients) client.write(`event: reload\ndata: ${data}\n\n`)
+    },
+    close() {
+      clearInterval(keepAlive)
+      for (const client of clients) client.end()
+      return new Promise((resolve) => server.close(() => resolve()))
+    },
+  }
+}
+
+module.exports = {
+  injectLiveReload,
+  describeReload,
+  createDevServer,
+}
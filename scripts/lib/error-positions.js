@@ -0,0 +1,127 @@
+// Locates JMESPath errors in their query and maps error offsets to lines and columns.
+// Neither JMESPath library reports positions, so query errors are located by compiling ever longer
+// prefixes of the query. Shared by the validator and the playground worker, so this module must not
+// depend on Node.js APIs.
+
+const { tokenizeJmespath } = require("./syntax-highlighting")
+
+// Queries longer than this are not located, as each token costs a compilation
+const LOCATE_SIZE_LIMIT = 10000
+
+// Errors raised because the query ended too early
+const END_OF_INPUT_PATTERN = /\bEOF\b|unexpected end/i
+
+// Runtime errors that name the function they were raised by, e.g. "Invalid arity: abs() takes..."
+const FUNCTION_ERROR_PATTERN = /^(?:unknown function|invalid arity|invalid[- ]type):\s*([A-Za-z_][A-Za-z0-9_]*)\(\)/i
+
+const UNDEFINED_VARIABLE_PATTERN = /undefined variable \$?([A-Za-z0-9_]+)/i
+
+// Errors raised while splitting the query into tokens; jmespath.js reports bad literals as SyntaxError
+const LEXER_ERROR_NAMES = new Set(["LexerError", "SyntaxError"])
+
+/**
+ * Finds the first token whose prefix of the query fails to compile with the same kind of error.
+ * Parse errors caused by the prefix ending early are skipped, since the full query continues past them.
+ */
+function findFailingToken(query, tokens, error, compile) {
+  for (const token of tokens) {
+    try {
+      compile(query.slice(0, token.end))
+    } catch (prefixError) {
+      const isSameKind = prefixError.name === error.name
+      if (isSameKind && (LEXER_ERROR_NAMES.has(error.name) || !END_OF_INPUT_PATTERN.test(prefixError.message))) {
+        return { start: token.start, end: token.end }
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Finds the range of a query that a runtime error was raised for, from the function or variable it names.
+ */
+function findNamedToken(tokens, message) {
+  const functionMatch = FUNCTION_ERROR_PATTERN.exec(message)
+  if (functionMatch) {
+    const token = tokens.find(({ type, value }) => type === "function" && value === functionMatch[1])
+    return token ? { start: token.start, end: token.end } : null
+  }
+
+  const variableMatch = UNDEFINED_VARIABLE_PATTERN.exec(message)
+  if (variableMatch) {
+    const token = tokens.find(({ type, value }) => type === "variable" && value === `$${variableMatch[1]}`)
+    return token ? { start: token.start, end: token.end } : null
+  }
+  return null
+}
+
+/**
+ * Locates the part of a query that an error thrown by a JMESPath library refers to.
+ * @param {{name?: string, message: string}} error - The error thrown while compiling or evaluating the query
+ * @param {string} query - The query
+ * @param {Function} [compile] - The library's compile function, used to locate syntax errors
+ * @returns {{start: number, end: number}|null} The offending range of the query, an empty range at the
+ *   end if the query ends too early, or null if it cannot be determined
+ */
+function locateQueryError(error, query, compile) {
+  if (query.length > LOCATE_SIZE_LIMIT) return null
+  const tokens = tokenizeJmespath(query).filter((token) => token.type !== "whitespace")
+  const isLexerError = LEXER_ERROR_NAMES.has(error.name)
+
+  if (!isLexerError && error.name !== "ParserError") return findNamedToken(tokens, error.message)
+  if (error.name === "ParserError" && END_OF_INPUT_PATTERN.test(error.message)) {
+    return { start: query.length, end: query.length }
+  }
+  if (compile) return findFailingToken(query, tokens, error, compile)
+
+  // Without the library's parser only characters the lexer rejects can be located
+  const invalidToken = isLexerError ? tokens.find((token) => token.type === "invalid") : null
+  return invalidToken ? { start: invalidToken.start, end: invalidToken.end } : null
+}
+
+/**
+ * Converts an offset into a 1-based line and column.
+ * @param {string} text - The text
+ * @param {number} offset - The offset into the text
+ * @returns {{line: number, column: number}} The position
+ */
+function offsetToLineColumn(text, offset) {
+  const lines = text.slice(0, offset).split("\n")
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 }
+}
+
+/**
+ * Converts an offset into a section of a larger document into a position in that document.
+ * @param {{line: number, column: number}} sectionStart - Where the section starts in the document
+ * @param {string} sectionText - The section's text
+ * @param {number} offset - The offset into the section
+ * @returns {{line: number, column: number}} The position in the document
+ */
+function offsetToDocumentPosition(sectionStart, sectionText, offset) {
+  const { line, column } = offsetToLineColumn(sectionText, offset)
+  return {
+    line: sectionStart.line + line - 1,
+    column: line === 1 ? sectionStart.column + column - 1 : column,
+  }
+}
+
+/**
+ * Formats the line of text containing an offset with a caret marker underneath it.
+ * @param {string} text - The text
+ * @param {number} offset - The offset to mark
+ * @returns {string} The line and the marker line
+ */
+function formatCaretMarker(text, offset) {
+  const { line, column } = offsetToLineColumn(text, offset)
+  const lineText = text.split("\n")[line - 1]
+  // Tabs are kept in the marker line so the caret lines up however wide they are drawn
+  const indent = lineText.slice(0, column - 1).replace(/[^\t]/g, " ")
+  return `${lineText}\n${indent}^`
+}
+
+module.exports = {
+  locateQueryError,
+  offsetToLineColumn,
+  offsetToDocumentPosition,
+  formatCaretMarker,
+}
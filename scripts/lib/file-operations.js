@@ -2,6 +2,7 @@ const fs = require("node:fs")
 const { mkdir, rm, readdir, copyFile } = require("node:fs/promises")
 const { globSync } = require("node:fs")
 const path = require("node:path")
+const { normalizeFunctionDeclarations } = require("./custom-functions")
 
 /**
  * Finds files matching globs within a base path.
@@ -122,8 +123,57 @@ async function setupOutputDirectory(buildContext) {
   }
 }
 
+/**
+ * Loads the custom JMESPath functions declared by a functions.js module, see custom-functions.js.
+ * The module is read afresh on every call, so that rebuilds see its changes.
+ * @param {string} filePath - Absolute path to the module.
+ * @returns {Array<object>} - The normalized declarations, or an empty list if the module does not exist.
+ * @throws {Error} If the module fails to load or declares invalid functions.
+ */
+function loadFunctionsFile(filePath) {
+  if (!fs.existsSync(filePath)) return []
+  delete require.cache[require.resolve(filePath)]
+  return normalizeFunctionDeclarations(require(filePath), filePath)
+}
+
+// A segment of a fixture name; segments cannot start with a dot, so names stay inside the fixtures directory
+const FIXTURE_NAME_SEGMENT_PATTERN = /^[\w-][\w.-]*$/
+
+/**
+ * Reads a JSON fixture that interactive blocks use as their input with `@fixture <name>`.
+ * @param {string|null} fixturesDir - Absolute path to the fixtures directory of the block's version, if it has one.
+ * @param {string} name - The fixture's path in the directory, e.g. `people.json` or `orders/2024.json`.
+ * @param {string} [rootDir=process.cwd()] - The directory errors give the fixture's path relative to, since
+ *   the build publishes them in the pages of the playgrounds using the fixture.
+ * @returns {string} - The fixture's JSON text.
+ * @throws {Error} If the name is invalid, or the fixture does not exist or is not valid JSON.
+ */
+function readFixture(fixturesDir, name, rootDir = process.cwd()) {
+  if (!name.endsWith(".json") || !name.split("/").every((segment) => FIXTURE_NAME_SEGMENT_PATTERN.test(segment))) {
+    throw new Error(`Invalid fixture name "${name}": expected the path of a .json file in the fixtures directory`)
+  }
+  if (!fixturesDir) throw new Error(`Fixture "${name}" has no fixtures directory to be read from`)
+
+  const fixturePath = path.join(fixturesDir, name)
+  let text
+  try {
+    text = fs.readFileSync(fixturePath, "utf8")
+  } catch (error) {
+    const relativePath = path.relative(rootDir, fixturePath).split(path.sep).join("/")
+    throw new Error(`Fixture "${name}" could not be read from ${relativePath}: ${error.code || error.message}`)
+  }
+  try {
+    JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Fixture "${name}" is not valid JSON: ${error.message}`)
+  }
+  return text
+}
+
 module.exports = {
   findFiles,
   copyStaticAssetsInDir,
   setupOutputDirectory,
+  loadFunctionsFile,
+  readFixture,
 }
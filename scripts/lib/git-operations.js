@@ -1,82 +1,211 @@
+const { execFileSync } = require("node:child_process")
+const crypto = require("node:crypto")
 const fs = require("node:fs")
-const { mkdir, rm } = require("node:fs/promises")
+const { mkdir, readdir, rm } = require("node:fs/promises")
 const path = require("node:path")
+const { fileURLToPath } = require("node:url")
 const { runCommand } = require("./utilities")
+const { resolveVersionSources } = require("./version-sources")
+
+// Directory of tempDir holding a bare clone of each source repository, which the checkouts of the versions
+// are worktrees of. The Git operations keep it, so that later runs fetch instead of cloning, and --offline
+// builds from it as it is.
+const REPOSITORIES_DIR = ".repos"
+
+/**
+ * Checks whether a repository is on the local file system: a file:// URL or a path, rather than a URL with
+ * another scheme or an scp-like address such as git@github.com:jmespath/jmespath.spec.git
+ */
+function isLocalRepository(repoUrl) {
+  if (/^file:\/\//i.test(repoUrl)) return true
+  return !/^[a-z][a-z0-9+.-]*:\/\//i.test(repoUrl) && !/^[^/\\]+@[^/\\]+:/.test(repoUrl)
+}
+
+/**
+ * Gives the location Git clones a repository from: local repositories as absolute paths, relative paths
+ * being relative to the root directory, and other repositories as they are
+ */
+function resolveRepositoryLocation(repoUrl, rootDir) {
+  if (/^file:\/\//i.test(repoUrl)) return fileURLToPath(repoUrl)
+  return isLocalRepository(repoUrl) ? path.resolve(rootDir, repoUrl) : repoUrl
+}
 
 /**
- * Clones or updates a Git repository
+ * Gives the directory of the bare clone of a repository, named after the repository and a hash of its location
+ */
+function getRepositoryPath(repoUrl, buildContext) {
+  const location = resolveRepositoryLocation(repoUrl, buildContext.rootDir)
+  const name = path
+    .basename(location.replace(/[/\\]+$/, ""))
+    .replace(/\.git$/, "")
+    .replace(/[^A-Za-z0-9._-]/g, "_")
+  const hash = crypto.createHash("sha256").update(location).digest("hex").slice(0, 8)
+  return path.join(buildContext.tempDir, REPOSITORIES_DIR, `${name}-${hash}`)
+}
+
+/**
+ * Clones a Git repository, bare, or fetches the branches and tags of the clone made by a previous run.
+ * Offline, remote repositories are neither cloned nor fetched, and the previous clone is used as it is;
+ * local repositories, which need no network, are fetched all the same.
+ * @throws {Error} If offline and the repository was never cloned, or if Git fails
  */
 async function cloneOrUpdateRepo(options) {
-  const { repoUrl, targetPath, ref, rootDir } = options
+  const { repoUrl, targetPath, rootDir, offline = false } = options
   const relativePath = path.relative(rootDir, targetPath)
+  const canFetch = !offline || isLocalRepository(repoUrl)
 
   if (fs.existsSync(targetPath)) {
-    console.log(`Repository already exists at ${relativePath}. Fetching updates...`)
-    runCommand("git fetch --all --tags --prune", targetPath, rootDir)
+    if (!canFetch) {
+      console.log(`Offline: using the clone of ${repoUrl} at ${relativePath} without fetching.`)
+      return
+    }
+    console.log(`Repository already cloned at ${relativePath}. Fetching updates...`)
+    runCommand('git fetch --prune --tags --update-head-ok origin "+refs/heads/*:refs/heads/*"', targetPath, rootDir)
   } else {
-    console.log(`Cloning ${repoUrl} (ref: ${ref}) into ${relativePath}...`)
+    if (!canFetch) {
+      throw new Error(`No clone of ${repoUrl} to build from offline; run once without --offline to clone it`)
+    }
+    console.log(`Cloning ${repoUrl} into ${relativePath}...`)
     await mkdir(path.dirname(targetPath), { recursive: true })
-    runCommand(`git clone --no-checkout ${repoUrl} ${targetPath}`, rootDir, rootDir)
+    runCommand(`git clone --bare "${resolveRepositoryLocation(repoUrl, rootDir)}" "${targetPath}"`, rootDir, rootDir)
+  }
+}
+
+/**
+ * Checks whether a Git reference of a repository names a commit
+ */
+function hasCommit(repoPath, ref) {
+  try {
+    execFileSync("git", ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`], { cwd: repoPath, stdio: "ignore" })
+    return true
+  } catch {
+    return false
   }
 }
 
 /**
- * Checks out a specific Git reference
+ * Checks out a Git reference of a clone into a worktree. Worktrees are detached, so that several versions
+ * can check out the same branch.
+ * @throws {Error} If the clone has no such reference, or if Git fails
  */
 function checkoutRef(options) {
-  const { repoPath, ref, isTag, rootDir } = options
-  const relativePath = path.relative(rootDir, repoPath)
-  console.log(`Checking out ${isTag ? "tag" : "branch"}: ${ref} in ${relativePath}`)
-  runCommand(`git checkout -f ${ref}`, repoPath, rootDir)
-  runCommand("git clean -fdx", repoPath, rootDir)
+  const { repoUrl, repoPath, worktreePath, ref, isTag, rootDir, offline = false } = options
+  if (!hasCommit(repoPath, ref)) {
+    const hint = offline ? "; run without --offline to fetch it" : ""
+    throw new Error(`${isTag ? "Tag" : "Ref"} ${ref} not found in ${repoUrl}${hint}`)
+  }
+
+  console.log(`Checking out ${isTag ? "tag" : "branch"}: ${ref} into ${path.relative(rootDir, worktreePath)}`)
+  runCommand("git worktree prune", repoPath, rootDir)
+  runCommand(`git worktree add --force --detach "${worktreePath}" "${ref}"`, repoPath, rootDir)
 }
 
 /**
- * Prepares Git repository for a single version
+ * Clones or updates a source repository, once per run however many versions use it
+ * @param {Map<string, Promise>} clonedRepositories - The repositories cloned or updated by this run, by clone directory
+ * @returns {Promise<string>} The directory of the clone
  */
-async function prepareVersionRepo(version, buildContext) {
-  const versionClonePath = path.join(buildContext.tempDir, version.id)
+async function prepareRepository(repoUrl, buildContext, { offline, clonedRepositories }) {
+  const targetPath = getRepositoryPath(repoUrl, buildContext)
+  if (!clonedRepositories.has(targetPath)) {
+    clonedRepositories.set(
+      targetPath,
+      cloneOrUpdateRepo({ repoUrl, targetPath, rootDir: buildContext.rootDir, offline }),
+    )
+  }
+  await clonedRepositories.get(targetPath)
+  return targetPath
+}
 
-  try {
-    await cloneOrUpdateRepo({
-      repoUrl: buildContext.config.specRepoUrl,
-      targetPath: versionClonePath,
-      ref: version.ref,
-      rootDir: buildContext.rootDir,
-    })
-    checkoutRef({
-      repoPath: versionClonePath,
-      ref: version.ref,
-      isTag: version.isTag,
-      rootDir: buildContext.rootDir,
-    })
-  } catch {
-    console.error(`--- Error during Git operations for version ${version.label}. Skipping. ---`)
+/**
+ * Prepares the Git repositories of a single version, one per source, see resolveVersionSources: each source
+ * is checked out into a worktree of its repository's clone. A source that fails is skipped, and the version
+ * is built from the others.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.offline] - Whether to build from the clones of a previous run without fetching
+ * @param {Map<string, Promise>} [options.clonedRepositories] - The repositories already cloned or updated by this run
+ * @returns {Promise<Array<string>>} The errors of the sources that failed
+ */
+async function prepareVersionRepo(version, buildContext, options = {}) {
+  const { offline = false, clonedRepositories = new Map() } = options
+  const errors = []
+  for (const source of resolveVersionSources(version, buildContext)) {
+    try {
+      const repoPath = await prepareRepository(source.repoUrl, buildContext, { offline, clonedRepositories })
+      checkoutRef({
+        repoUrl: source.repoUrl,
+        repoPath,
+        worktreePath: source.clonePath,
+        ref: source.ref,
+        isTag: source.isTag,
+        rootDir: buildContext.rootDir,
+        offline,
+      })
+    } catch (error) {
+      const sourceDescription = version.sources ? ` (source ${source.id})` : ""
+      const message = `version ${version.label}${sourceDescription}: ${error.message}`
+      console.error(`--- Error during Git operations for ${message}. Skipping. ---`)
+      errors.push(message)
+    }
   }
+  return errors
 }
 
 /**
- * Performs all Git operations for the build
+ * Gives the directories the Git operations recreate: the checkouts of the given versions, or, when all
+ * versions are prepared, everything in tempDir but the clones of the repositories
  */
-async function performGitOperations(buildContext) {
-  console.log(`\nCleaning up old temporary directory: ${path.relative(buildContext.rootDir, buildContext.tempDir)}...`)
+async function getCleanupPaths(buildContext, versions) {
+  if (versions.length < buildContext.config.versions.length) {
+    return versions.map((version) => path.join(buildContext.tempDir, version.id))
+  }
+  if (!fs.existsSync(buildContext.tempDir)) return []
+
+  const entries = await readdir(buildContext.tempDir)
+  return entries.filter((entry) => entry !== REPOSITORIES_DIR).map((entry) => path.join(buildContext.tempDir, entry))
+}
+
+/**
+ * Performs all Git operations for the build: for every configured version, or for the given ones only, in
+ * which case the checkouts of the other versions are kept. The clones of the repositories are kept too.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.offline] - Whether to build from the clones of a previous run, without fetching
+ *   remote repositories
+ * @throws {Error} Offline, if a source cannot be checked out, such as one whose ref was never fetched
+ */
+async function performGitOperations(buildContext, versions = buildContext.config.versions, options = {}) {
+  const { offline = false } = options
+  const cleanupPaths = await getCleanupPaths(buildContext, versions)
+  for (const cleanupPath of cleanupPaths) {
+    console.log(`\nCleaning up old checkout: ${path.relative(buildContext.rootDir, cleanupPath)}...`)
+  }
 
   try {
-    await rm(buildContext.tempDir, { recursive: true, force: true })
+    await Promise.all(cleanupPaths.map((cleanupPath) => rm(cleanupPath, { recursive: true, force: true })))
     await mkdir(buildContext.tempDir, { recursive: true })
   } catch (err) {
     console.error(`Error cleaning temp directory: ${err.message}`)
   }
 
-  for (const version of buildContext.config.versions) {
-    console.log(`\n--- Preparing source for version: ${version.label} (ref: ${version.ref}) ---`)
-    await prepareVersionRepo(version, buildContext)
+  const clonedRepositories = new Map()
+  const errors = []
+  for (const version of versions) {
+    const refDescription = version.sources ? "" : ` (ref: ${version.ref})`
+    console.log(`\n--- Preparing source for version: ${version.label}${refDescription} ---`)
+    errors.push(...(await prepareVersionRepo(version, buildContext, { offline, clonedRepositories })))
   }
 
+  if (offline && errors.length > 0) {
+    throw new Error(`Offline Git operations failed:\n${errors.map((error) => `  - ${error}`).join("\n")}`)
+  }
   console.log("\n--- Finished Git Operations ---")
 }
 
 module.exports = {
+  REPOSITORIES_DIR,
+  isLocalRepository,
+  resolveRepositoryLocation,
+  getRepositoryPath,
   cloneOrUpdateRepo,
   checkoutRef,
   prepareVersionRepo,
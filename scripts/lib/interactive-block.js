@@ -0,0 +1,142 @@
+const { BLOCK_MARKERS, FIXTURE_DIRECTIVE, INTERACTIVE_FENCE_LANG } = require("./constants")
+
+const INVALID_FORMAT_ERROR = `Invalid block format: expected JSON and JMESPath separated by ${BLOCK_MARKERS.query}`
+const MISPLACED_EXPECTED_ERROR = `Invalid block format: ${BLOCK_MARKERS.expected} must follow the JMESPath query`
+
+// Matches a marker line, capturing the marker itself and the label of a query marker, if any
+const markerLineRegex = new RegExp(
+  `^[ \\t]*(?:(${BLOCK_MARKERS.query})(?:[ \\t]+(\\S.*?))?|(${BLOCK_MARKERS.expected}))[ \\t\\r]*$`,
+  "gm",
+)
+
+// Matches a JSON input consisting of a fixture directive, capturing the fixture's name
+const fixtureDirectiveRegex = new RegExp(`^${FIXTURE_DIRECTIVE}[ \\t]+(\\S+)$`)
+
+// Matches one leading key=value, key="value" or key='value' attribute of a fence info string
+const attributeRegex = /^([a-z][a-z0-9-]*)=(?:"([^"]*)"|'([^']*)'|([^\s"']+))(?:\s+|$)/i
+
+/**
+ * Parses the info string of a jmespath-interactive code fence.
+ *
+ * Grammar: `jmespath-interactive [expanded] [name=value | name="value" ...] [Title]`.
+ * The `expanded` flag and attributes may appear in any order before the title; everything
+ * from the first other word onwards is the title.
+ * @param {string} infoString - The full info string, including the language tag
+ * @returns {{expanded: boolean, attributes: Object<string, string>, title: string}}
+ */
+function parseFenceInfo(infoString) {
+  let remaining = infoString.trim()
+  if (remaining.startsWith(INTERACTIVE_FENCE_LANG)) {
+    remaining = remaining.substring(INTERACTIVE_FENCE_LANG.length).trim()
+  }
+
+  const info = { expanded: false, attributes: {}, title: "" }
+
+  for (;;) {
+    const flagMatch = /^expanded(?:\s+|$)/.exec(remaining)
+    if (flagMatch) {
+      info.expanded = true
+      remaining = remaining.substring(flagMatch[0].length)
+      continue
+    }
+
+    const attributeMatch = attributeRegex.exec(remaining)
+    if (!attributeMatch) break
+
+    const [matched, name, doubleQuoted, singleQuoted, bare] = attributeMatch
+    info.attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare
+    remaining = remaining.substring(matched.length)
+  }
+
+  info.title = remaining.trim()
+  return info
+}
+
+/**
+ * Splits the body of a jmespath-interactive block into its sections.
+ *
+ * The JSON input comes first, followed by one or more queries against it, each after a ---JMESPATH---
+ * line and optionally followed by its documented result after an ---EXPECTED--- line. A query marker
+ * may carry a label, as in `---JMESPATH--- By name`, which names the query's tab in the playground.
+ * In place of JSON, the input may be a single `@fixture <name>` line naming a JSON file of the version's
+ * fixtures directory, which is returned as `fixture`; resolving it is up to the caller.
+ * Malformed bodies still return their best-effort sections so callers can render them, along with an
+ * error. The offsets locate the trimmed JSON input and queries in the block content, so errors found in
+ * them can be reported against the markdown source.
+ *
+ * The first query is also returned on its own, as most blocks have only one.
+ * @param {string} blockContent - The raw text between the code fences
+ * @returns {{jsonInput: string, fixture: string|null, jmespathQuery: string, expectedOutput: string|null,
+ *   error: string|null, jsonInputOffset: number, jmespathQueryOffset: number,
+ *   queries: Array<{label: string, jmespathQuery: string, expectedOutput: string|null, jmespathQueryOffset: number}>}}
+ */
+function parseInteractiveBlockBody(blockContent) {
+  const sections = []
+  let sectionStart = 0
+  let marker = null
+  let label = ""
+  for (const match of blockContent.matchAll(markerLineRegex)) {
+    sections.push(createSection(marker, label, blockContent, sectionStart, match.index))
+    marker = match[1] ?? match[3]
+    label = match[2] ?? ""
+    sectionStart = match.index + match[0].length
+  }
+  sections.push(createSection(marker, label, blockContent, sectionStart, blockContent.length))
+
+  const [jsonSection, ...markedSections] = sections
+  const { queries, error } = pairQueriesWithResults(markedSections)
+  const [firstQuery] = queries
+  return {
+    jsonInput: jsonSection.text,
+    fixture: fixtureDirectiveRegex.exec(jsonSection.text)?.[1] ?? null,
+    jmespathQuery: firstQuery?.jmespathQuery ?? "",
+    expectedOutput: firstQuery?.expectedOutput ?? null,
+    error,
+    jsonInputOffset: jsonSection.offset,
+    jmespathQueryOffset: firstQuery?.jmespathQueryOffset ?? blockContent.length,
+    queries,
+  }
+}
+
+/**
+ * Pairs each query section with the expected result section following it, if any.
+ * @returns {{queries: Array<object>, error: string|null}} The queries, and an error if there are none or
+ *   an expected result does not follow a query
+ */
+function pairQueriesWithResults(markedSections) {
+  const queries = []
+  let error = null
+  for (const [index, section] of markedSections.entries()) {
+    if (section.marker === BLOCK_MARKERS.query) {
+      queries.push({
+        label: section.label,
+        jmespathQuery: section.text,
+        expectedOutput: null,
+        jmespathQueryOffset: section.offset,
+      })
+    } else if (markedSections[index - 1]?.marker === BLOCK_MARKERS.query) {
+      queries.at(-1).expectedOutput = section.text
+    } else {
+      error ??= MISPLACED_EXPECTED_ERROR
+    }
+  }
+  return { queries, error: queries.length === 0 ? INVALID_FORMAT_ERROR : error }
+}
+
+/**
+ * Creates a section from the text between two marker lines, trimmed, with the offset of its trimmed text.
+ */
+function createSection(marker, label, blockContent, start, end) {
+  const rawText = blockContent.substring(start, end)
+  return {
+    marker,
+    label,
+    text: rawText.trim(),
+    offset: start + rawText.length - rawText.trimStart().length,
+  }
+}
+
+module.exports = {
+  parseFenceInfo,
+  parseInteractiveBlockBody,
+}
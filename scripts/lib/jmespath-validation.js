@@ -1,15 +1,35 @@
+const { existsSync } = require("node:fs")
 const fs = require("node:fs/promises")
 const path = require("node:path")
 const grayMatter = require("gray-matter")
 const jmespath = require("@jmespath-community/jmespath")
+const { EXPECTED_ERROR_TYPES, FIXTURES_DIR, FUNCTIONS_FILE, INTERACTIVE_FENCE_LANG } = require("./constants")
+const {
+  mergeFunctionDeclarations,
+  normalizeFunctionDeclarations,
+  registerCustomFunctions,
+} = require("./custom-functions")
+const { locateQueryError, offsetToDocumentPosition, offsetToLineColumn } = require("./error-positions")
+const { loadFunctionsFile, readFixture } = require("./file-operations")
+const { parseFenceInfo, parseInteractiveBlockBody } = require("./interactive-block")
+const { diffJsonValues, formatJsonDifference } = require("./json-diff")
+const { locateJsonError } = require("./syntax-highlighting")
+
+// Maximum number of result differences listed individually per block
+const MAX_REPORTED_DIFFERENCES = 10
 
 /**
- * Extracts JMESPath interactive blocks from markdown content
+ * Extracts JMESPath interactive blocks from markdown content. Blocks with several queries against
+ * their input give one entry per query, titled after the block and the query's label or position.
+ * Blocks using `@fixture <name>` get the fixture's JSON as their input, read as the build reads it.
  * @param {string} markdownContent - The markdown content to parse
  * @param {string} filePath - The file path for error reporting
+ * @param {Object} [options] - Extraction options
+ * @param {number} [options.lineOffset] - Lines preceding the content in the source file, such as front matter
+ * @param {string|null} [options.fixturesDir] - The fixtures directory of the file's version, if it has one
  * @returns {Array} Array of extracted blocks with metadata
  */
-function extractJmespathBlocks(markdownContent, filePath) {
+function extractJmespathBlocks(markdownContent, filePath, { lineOffset = 0, fixturesDir = null } = {}) {
   const blocks = []
 
   // Regular expression to match jmespath-interactive code blocks
@@ -19,38 +39,57 @@ function extractJmespathBlocks(markdownContent, filePath) {
   let match = blockRegex.exec(markdownContent)
 
   while (match !== null) {
-    const [, titleLine, blockContent] = match
-    const title = titleLine.trim() || `Block ${blockIndex + 1}`
-
-    // Split content by ---JMESPATH--- separator
-    const parts = blockContent.split(/^\s*---JMESPATH---\s*$/m)
-
-    if (parts.length !== 2) {
-      blocks.push({
-        index: blockIndex,
-        title,
-        filePath,
-        error: "Invalid block format: expected JSON and JMESPath separated by ---JMESPATH---",
-        jsonInput: blockContent.trim(),
-        jmespathQuery: "",
-        lineNumber: getLineNumber(markdownContent, match.index),
-      })
-      blockIndex++
-      match = blockRegex.exec(markdownContent)
-      continue
+    const [, infoLine, blockContent] = match
+    const { title: fenceTitle, attributes } = parseFenceInfo(infoLine)
+    const title = fenceTitle || `Block ${blockIndex + 1}`
+    const expectError = attributes["expect-error"] ?? null
+
+    const { jsonInput, fixture, queries, error: formatError, jsonInputOffset } = parseInteractiveBlockBody(blockContent)
+    const { json, error: fixtureError } = fixture ? loadBlockFixture(fixturesDir, fixture) : { json: jsonInput }
+    const contentStart = match.index + "```".length + INTERACTIVE_FENCE_LANG.length + infoLine.length + 1
+    const getSourcePosition = (offset) => {
+      const { line, column } = offsetToLineColumn(markdownContent, contentStart + offset)
+      return { line: line + lineOffset, column }
     }
-
-    const [jsonInput, jmespathQuery] = parts.map((part) => part.trim())
-
-    blocks.push({
+    const error =
+      formatError ||
+      fixtureError ||
+      (expectError !== null && !EXPECTED_ERROR_TYPES.includes(expectError)
+        ? `Unknown expect-error type "${expectError}". Expected one of: ${EXPECTED_ERROR_TYPES.join(", ")}`
+        : null)
+    const block = {
       index: blockIndex,
       title,
       filePath,
-      jsonInput,
-      jmespathQuery,
-      lineNumber: getLineNumber(markdownContent, match.index),
-      error: null,
-    })
+      attributes,
+      expectError,
+      fixture,
+      jsonInput: json,
+      lineNumber: getLineNumber(markdownContent, match.index) + lineOffset,
+      jsonInputPosition: getSourcePosition(jsonInputOffset),
+      error,
+    }
+
+    // A malformed block is reported once, at its first query if it has any
+    const blockQueries = error
+      ? [
+          {
+            jmespathQuery: "",
+            expectedOutput: null,
+            jmespathQueryOffset: queries[0]?.jmespathQueryOffset ?? blockContent.length,
+          },
+        ]
+      : queries
+    for (const [queryIndex, query] of blockQueries.entries()) {
+      blocks.push({
+        ...block,
+        title: blockQueries.length > 1 ? `${title} › ${query.label || `Query ${queryIndex + 1}`}` : title,
+        queryIndex,
+        jmespathQuery: query.jmespathQuery,
+        expectedOutput: query.expectedOutput,
+        jmespathQueryPosition: getSourcePosition(query.jmespathQueryOffset),
+      })
+    }
 
     blockIndex++
     match = blockRegex.exec(markdownContent)
@@ -59,6 +98,18 @@ function extractJmespathBlocks(markdownContent, filePath) {
   return blocks
 }
 
+/**
+ * Reads the fixture a block uses as its input.
+ * @returns {{json: string, error: string|null}} The fixture's JSON, or why it cannot be read
+ */
+function loadBlockFixture(fixturesDir, name) {
+  try {
+    return { json: readFixture(fixturesDir, name), error: null }
+  } catch (error) {
+    return { json: "", error: error.message }
+  }
+}
+
 /**
  * Gets the line number for a given character index in text
  * @param {string} text - The text content
@@ -69,6 +120,75 @@ function getLineNumber(text, index) {
   return text.substring(0, index).split("\n").length
 }
 
+/**
+ * Classifies an error thrown by the JMESPath library into one of the error types
+ * a block can declare with expect-error="...".
+ * @param {Error} error - The error thrown while compiling or evaluating a query
+ * @returns {string} The error type, or "unknown" if it cannot be determined
+ */
+function classifyJmespathError(error) {
+  const message = error?.message || ""
+
+  if (error?.name === "LexerError" || error?.name === "ParserError" || /^syntax/i.test(message)) return "syntax"
+  if (/^invalid[- ]type/i.test(message)) return "invalid-type"
+  if (/^unknown function/i.test(message)) return "unknown-function"
+  if (/^invalid arity/i.test(message)) return "invalid-arity"
+  if (/^invalid[- ]value/i.test(message)) return "invalid-value"
+  if (/undefined variable/i.test(message)) return "undefined-variable"
+  if (/^not-a-number/i.test(message)) return "not-a-number"
+  return "unknown"
+}
+
+/**
+ * Compares a query result against the block's documented ---EXPECTED--- section, if any,
+ * recording a structured diff and one error per difference on the validation result.
+ * @param {Object} block - The block being validated
+ * @param {any} queryResult - The value the query produced
+ * @param {Object} result - The validation result to update
+ */
+function compareWithExpectedOutput(block, queryResult, result) {
+  if (block.expectedOutput === null || block.expectedOutput === undefined) {
+    return
+  }
+
+  let expectedResult
+  try {
+    expectedResult = JSON.parse(block.expectedOutput)
+  } catch (error) {
+    result.success = false
+    result.errors.push(`Invalid expected result JSON: ${error.message}`)
+    return
+  }
+
+  const differences = diffJsonValues(expectedResult, queryResult)
+  result.expectedResult = expectedResult
+  result.resultDiff = differences
+
+  if (differences.length > 0) {
+    result.success = false
+    result.errors.push(`Result does not match the documented result (${differences.length} difference(s))`)
+    for (const difference of differences.slice(0, MAX_REPORTED_DIFFERENCES)) {
+      result.errors.push(`  ${formatJsonDifference(difference)}`)
+    }
+    if (differences.length > MAX_REPORTED_DIFFERENCES) {
+      result.errors.push(`  ...and ${differences.length - MAX_REPORTED_DIFFERENCES} more`)
+    }
+  }
+}
+
+/**
+ * Converts the offset of an error in a block section into its line and column in the markdown source.
+ * @param {{line: number, column: number}|undefined} sectionPosition - Where the section starts in the source
+ * @param {string} sectionText - The section's text
+ * @param {Function} locate - Returns the offset of the error in the section, or null
+ * @returns {{line: number, column: number}|null} The error position, or null if it cannot be determined
+ */
+function locateBlockError(sectionPosition, sectionText, locate) {
+  if (!sectionPosition) return null
+  const offset = locate()
+  return offset === null ? null : offsetToDocumentPosition(sectionPosition, sectionText, offset)
+}
+
 /**
  * Validates a single JMESPath block
  * @param {Object} block - The block to validate
@@ -83,17 +203,9 @@ function validateJmespathBlock(block) {
     expectedToFail: false,
   }
 
-  // Check if this block is expected to fail based on title patterns
-  // Only very specific patterns that indicate the query itself should fail
-  const errorPatterns = [
-    /^type.*error.*example$/i,
-    /^type.*validation$/i,
-    /^invalid.*example$/i,
-    /^syntax.*error.*example$/i,
-    /^error.*example$/i,
-  ]
-
-  result.expectedToFail = errorPatterns.some((pattern) => pattern.test(block.title.trim()))
+  // Blocks declare expected failures with expect-error="<type>" in the fence info
+  result.expectedToFail = Boolean(block.expectError)
+  result.expectedErrorType = block.expectError || null
 
   // Skip blocks that already have extraction errors
   if (block.error) {
@@ -114,6 +226,9 @@ function validateJmespathBlock(block) {
   } catch (error) {
     result.success = false
     result.errors.push(`Invalid JSON: ${error.message}`)
+    result.errorLocation = locateBlockError(block.jsonInputPosition, block.jsonInput, () =>
+      locateJsonError(error.message, block.jsonInput),
+    )
     return result
   }
 
@@ -131,13 +246,26 @@ function validateJmespathBlock(block) {
     // If this block was expected to fail but didn't, that's a problem
     if (result.expectedToFail) {
       result.success = false
-      result.errors.push("Expected this query to fail, but it succeeded")
+      result.errors.push(`Expected this query to fail with a ${result.expectedErrorType} error, but it succeeded`)
+    } else {
+      compareWithExpectedOutput(block, queryResult, result)
     }
   } catch (error) {
-    // If this block was expected to fail and did fail, that's success
-    if (result.expectedToFail) {
+    const errorType = classifyJmespathError(error)
+    result.errorType = errorType
+    result.errorLocation = locateBlockError(
+      block.jmespathQueryPosition,
+      block.jmespathQuery,
+      () => locateQueryError(error, block.jmespathQuery, jmespath.compile)?.start ?? null,
+    )
+
+    // If this block was expected to fail with this type of error, that's success
+    if (result.expectedToFail && errorType === result.expectedErrorType) {
       result.success = true
       result.warnings.push(`Expected error occurred: ${error.message}`)
+    } else if (result.expectedToFail) {
+      result.success = false
+      result.errors.push(`Expected a ${result.expectedErrorType} error, but got ${errorType}: ${error.message}`)
     } else {
       result.success = false
       result.errors.push(`JMESPath query error: ${error.message}`)
@@ -148,55 +276,162 @@ function validateJmespathBlock(block) {
 }
 
 /**
- * Validates all JMESPath blocks in a markdown file
+ * Validates the JMESPath blocks of a markdown file's content, with the custom functions of its version
+ * and front matter registered
+ * @param {string} content - The file content
  * @param {string} filePath - Path to the markdown file
+ * @param {Array<Object>} versionFunctions - Custom functions shared by the file's version
+ * @param {string|null} [fixturesDir] - The fixtures directory of the file's version, if it has one
  * @returns {Object} Validation results for the file
+ * @throws {Error} If the front matter declares invalid custom functions
  */
-async function validateMarkdownFile(filePath) {
+function validateMarkdownContent(content, filePath, versionFunctions, fixturesDir = null) {
+  // Parse front matter if present
+  let markdownContent = content
+  let frontMatter = {}
+
   try {
-    const content = await fs.readFile(filePath, "utf-8")
+    const parsed = grayMatter(content)
+    frontMatter = parsed.data || {}
+    markdownContent = parsed.content
+  } catch {
+    // Continue with full content if front matter parsing fails
+  }
 
-    // Parse front matter if present
-    let markdownContent = content
-    let frontMatter = {}
+  // Report lines relative to the source file rather than to the content after the front matter
+  const lineOffset = getLineNumber(content, content.length - markdownContent.length) - 1
+  const blocks = extractJmespathBlocks(markdownContent, filePath, { lineOffset, fixturesDir })
+  const functions = mergeFunctionDeclarations(
+    versionFunctions,
+    normalizeFunctionDeclarations(frontMatter.functions, filePath),
+  )
 
-    try {
-      const parsed = grayMatter(content)
-      frontMatter = parsed.data || {}
-      markdownContent = parsed.content
-    } catch {
-      // Continue with full content if front matter parsing fails
-    }
+  let validationResults
+  try {
+    registerCustomFunctions(jmespath, functions)
+    validationResults = blocks.map(validateJmespathBlock)
+  } finally {
+    registerCustomFunctions(jmespath, [])
+  }
+
+  const totalBlocks = blocks.length
+  const successfulBlocks = validationResults.filter((r) => r.success).length
+  const failedBlocks = validationResults.filter((r) => !r.success).length
+  const blocksWithWarnings = validationResults.filter((r) => r.warnings.length > 0).length
 
-    const blocks = extractJmespathBlocks(markdownContent, filePath)
-    const validationResults = blocks.map(validateJmespathBlock)
+  return {
+    filePath,
+    frontMatter,
+    totalBlocks,
+    successfulBlocks,
+    failedBlocks,
+    blocksWithWarnings,
+    blocks: validationResults,
+    success: failedBlocks === 0,
+  }
+}
 
-    const totalBlocks = blocks.length
-    const successfulBlocks = validationResults.filter((r) => r.success).length
-    const failedBlocks = validationResults.filter((r) => !r.success).length
-    const blocksWithWarnings = validationResults.filter((r) => r.warnings.length > 0).length
+/**
+ * Validates all JMESPath blocks in a markdown file
+ * @param {string} filePath - Path to the markdown file
+ * @param {Object} [options] - Validation options
+ * @param {Array<Object>} [options.functions] - Custom functions shared by the file's version, from loadFunctionsFile;
+ *   the file's front matter can declare more
+ * @param {string|null} [options.fixturesDir] - The fixtures directory of the file's version, for blocks using `@fixture`
+ * @returns {Object} Validation results for the file
+ */
+async function validateMarkdownFile(filePath, { functions = [], fixturesDir = null } = {}) {
+  let content
+  try {
+    content = await fs.readFile(filePath, "utf-8")
+  } catch (error) {
+    return createFileErrorResult(filePath, `Failed to read file: ${error.message}`)
+  }
 
-    return {
-      filePath,
-      frontMatter,
-      totalBlocks,
-      successfulBlocks,
-      failedBlocks,
-      blocksWithWarnings,
-      blocks: validationResults,
-      success: failedBlocks === 0,
-    }
+  try {
+    return validateMarkdownContent(content, filePath, functions, fixturesDir)
   } catch (error) {
-    return {
-      filePath,
-      totalBlocks: 0,
-      successfulBlocks: 0,
-      failedBlocks: 0,
-      blocksWithWarnings: 0,
-      blocks: [],
-      success: false,
-      fileError: `Failed to read file: ${error.message}`,
-    }
+    return createFileErrorResult(filePath, error.message)
+  }
+}
+
+/**
+ * Creates the validation result of a file that could not be validated
+ */
+function createFileErrorResult(filePath, fileError) {
+  return {
+    filePath,
+    totalBlocks: 0,
+    successfulBlocks: 0,
+    failedBlocks: 0,
+    blocksWithWarnings: 0,
+    blocks: [],
+    success: false,
+    fileError,
+  }
+}
+
+/**
+ * Finds the nearest entry with the given name in a markdown file's directory or its parents, up to the
+ * working directory
+ */
+function findNearestEntry(filePath, entryName) {
+  const rootDir = process.cwd()
+  let directory = path.dirname(filePath)
+  while (directory === rootDir || directory.startsWith(`${rootDir}${path.sep}`)) {
+    const candidate = path.join(directory, entryName)
+    if (existsSync(candidate)) return candidate
+    directory = path.dirname(directory)
+  }
+  return null
+}
+
+/**
+ * Finds the functions.js shared by a markdown file's version: the nearest one in the file's directory
+ * or its parents, up to the working directory
+ * @param {string} filePath - Absolute path to the markdown file
+ * @returns {string|null} The path to the functions.js, or null if there is none
+ */
+function findFunctionsFile(filePath) {
+  return findNearestEntry(filePath, FUNCTIONS_FILE)
+}
+
+/**
+ * Finds the fixtures directory of a markdown file's version: the nearest one in the file's directory
+ * or its parents, up to the working directory
+ * @param {string} filePath - Absolute path to the markdown file
+ * @returns {string|null} The path to the fixtures directory, or null if there is none
+ */
+function findFixturesDir(filePath) {
+  return findNearestEntry(filePath, FIXTURES_DIR)
+}
+
+/**
+ * Loads the custom functions for a markdown file, once per functions.js
+ * @param {string} filePath - Absolute path to the markdown file
+ * @param {string|null} functionsFile - The functions.js to use for every file, or null to find each file's own
+ * @param {Map<string, Array<Object>>} cache - Functions loaded so far, by functions.js path
+ * @returns {Array<Object>} The custom functions
+ * @throws {Error} If the functions.js fails to load
+ */
+function loadFunctionsForFile(filePath, functionsFile, cache) {
+  const resolvedFile = functionsFile ? path.resolve(functionsFile) : findFunctionsFile(filePath)
+  if (!resolvedFile) return []
+  if (!cache.has(resolvedFile)) cache.set(resolvedFile, loadFunctionsFile(resolvedFile))
+  return cache.get(resolvedFile)
+}
+
+/**
+ * Gives the custom functions and fixtures directory a markdown file is validated with, see validateMultipleFiles
+ * @throws {Error} If the file's functions.js fails to load
+ */
+function resolveFileOptions(filePath, options, loadedFunctions) {
+  const { functionsFile = null, fixturesDir = null, fileOptions = null } = options
+  const givenOptions = fileOptions?.get(path.resolve(filePath)) ?? {}
+  const defaultFixturesDir = fixturesDir ? path.resolve(fixturesDir) : findFixturesDir(path.resolve(filePath))
+  return {
+    functions: givenOptions.functions ?? loadFunctionsForFile(filePath, functionsFile, loadedFunctions),
+    fixturesDir: "fixturesDir" in givenOptions ? givenOptions.fixturesDir : defaultFixturesDir,
   }
 }
 
@@ -204,10 +439,18 @@ async function validateMarkdownFile(filePath) {
  * Validates multiple markdown files
  * @param {Array<string>} filePaths - Array of file paths to validate
  * @param {Object} options - Validation options
+ * @param {string} [options.functionsFile] - A functions.js declaring custom functions for every file, instead
+ *   of the one found for each file by findFunctionsFile
+ * @param {string} [options.fixturesDir] - The fixtures directory of every file, instead of the one found for
+ *   each file by findFixturesDir
+ * @param {Map<string, {functions: Array<Object>, fixturesDir?: string|null}>} [options.fileOptions] - The
+ *   custom functions and fixtures directory of files, by absolute path, such as those of the version a build
+ *   rendered them for; they replace those found for these files
  * @returns {Object} Combined validation results
  */
 async function validateMultipleFiles(filePaths, options = {}) {
   const { verbose = false, failFast = false } = options
+  const loadedFunctions = new Map()
 
   const results = []
   let totalFiles = 0
@@ -222,7 +465,12 @@ async function validateMultipleFiles(filePaths, options = {}) {
       console.log(`Validating: ${filePath}`)
     }
 
-    const result = await validateMarkdownFile(filePath)
+    let result
+    try {
+      result = await validateMarkdownFile(filePath, resolveFileOptions(filePath, options, loadedFunctions))
+    } catch (error) {
+      result = createFileErrorResult(filePath, `Failed to load custom functions: ${error.message}`)
+    }
     results.push(result)
 
     totalFiles++
@@ -336,9 +584,12 @@ function formatValidationResults(results, options = {}) {
           console.log(
             `   ${prefix} Block "${blockResult.block.title}" (line ${blockResult.block.lineNumber}) - ${label}:`,
           )
-          for (const error of blockResult.errors) {
-            console.log(`     ${prefix} ${error}`)
-          }
+          const location = blockResult.errorLocation
+          blockResult.errors.forEach((error, index) => {
+            const position =
+              index === 0 && location ? `${fileResult.filePath}:${location.line}:${location.column}: ` : ""
+            console.log(`     ${prefix} ${position}${error}`)
+          })
         }
       }
     } else if (verbose) {
@@ -367,8 +618,12 @@ function formatValidationResults(results, options = {}) {
 module.exports = {
   extractJmespathBlocks,
   validateJmespathBlock,
+  classifyJmespathError,
+  compareWithExpectedOutput,
   validateMarkdownFile,
   validateMultipleFiles,
+  findFunctionsFile,
+  findFixturesDir,
   findMarkdownFiles,
   formatValidationResults,
   getLineNumber,
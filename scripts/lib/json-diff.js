@@ -0,0 +1,106 @@
+// Structural comparison of JSON values, for checking query results against their documented result.
+// Shared by the validator and the playgrounds, which must agree on whether a result matches, so this
+// module must not depend on Node.js APIs.
+
+/**
+ * Returns the JSON type name of a value, distinguishing arrays and null from objects.
+ */
+function jsonTypeOf(value) {
+  if (value === null) return "null"
+  if (Array.isArray(value)) return "array"
+  return typeof value
+}
+
+/**
+ * Appends an object key or array index to a JMESPath-style path.
+ */
+function appendPath(basePath, segment) {
+  if (typeof segment === "number") return `${basePath}[${segment}]`
+  const key = /^[A-Za-z_][A-Za-z0-9_]*$/.test(segment) ? segment : JSON.stringify(segment)
+  return basePath ? `${basePath}.${key}` : key
+}
+
+/**
+ * Deep-compares two JSON values and lists every difference found.
+ * @param {any} expected - The documented value
+ * @param {any} actual - The value actually produced
+ * @param {string} [basePath=""] - Path of the values being compared, used for reporting
+ * @returns {Array<{path: string, kind: string, expected?: any, actual?: any}>} Differences;
+ *   `kind` is one of "type", "value", "missing" (absent from actual) or "unexpected" (absent from expected)
+ */
+function diffJsonValues(expected, actual, basePath = "") {
+  const expectedType = jsonTypeOf(expected)
+  const actualType = jsonTypeOf(actual)
+
+  if (expectedType !== actualType) {
+    return [{ path: basePath, kind: "type", expected, actual }]
+  }
+
+  if (expectedType === "array") {
+    const differences = []
+    const length = Math.max(expected.length, actual.length)
+    for (let i = 0; i < length; i++) {
+      const itemPath = appendPath(basePath, i)
+      if (i >= actual.length) {
+        differences.push({ path: itemPath, kind: "missing", expected: expected[i] })
+      } else if (i >= expected.length) {
+        differences.push({ path: itemPath, kind: "unexpected", actual: actual[i] })
+      } else {
+        differences.push(...diffJsonValues(expected[i], actual[i], itemPath))
+      }
+    }
+    return differences
+  }
+
+  if (expectedType === "object") {
+    const differences = []
+    for (const key of Object.keys(expected)) {
+      const keyPath = appendPath(basePath, key)
+      if (Object.hasOwn(actual, key)) {
+        differences.push(...diffJsonValues(expected[key], actual[key], keyPath))
+      } else {
+        differences.push({ path: keyPath, kind: "missing", expected: expected[key] })
+      }
+    }
+    for (const key of Object.keys(actual)) {
+      if (!Object.hasOwn(expected, key)) {
+        differences.push({ path: appendPath(basePath, key), kind: "unexpected", actual: actual[key] })
+      }
+    }
+    return differences
+  }
+
+  return expected === actual ? [] : [{ path: basePath, kind: "value", expected, actual }]
+}
+
+/**
+ * Checks whether two JSON values are equal, that is whether diffJsonValues finds no difference between them.
+ * Object keys may come in any order; array items may not.
+ */
+function isJsonEqual(a, b) {
+  return diffJsonValues(a, b).length === 0
+}
+
+/**
+ * Formats a single difference as a human-readable line.
+ */
+function formatJsonDifference(difference) {
+  const location = difference.path || "@"
+  switch (difference.kind) {
+    case "missing":
+      return `${location}: missing, expected ${JSON.stringify(difference.expected)}`
+    case "unexpected":
+      return `${location}: unexpected ${JSON.stringify(difference.actual)}`
+    case "type":
+      return `${location}: expected ${jsonTypeOf(difference.expected)} ${JSON.stringify(difference.expected)}, got ${jsonTypeOf(difference.actual)} ${JSON.stringify(difference.actual)}`
+    default:
+      return `${location}: expected ${JSON.stringify(difference.expected)}, got ${JSON.stringify(difference.actual)}`
+  }
+}
+
+module.exports = {
+  jsonTypeOf,
+  diffJsonValues,
+  isJsonEqual,
+  formatJsonDifference,
+}
@@ -1,4 +1,5 @@
-const { writeFile } = require("node:fs/promises")
+const fs = require("node:fs")
+const { readFile, writeFile } = require("node:fs/promises")
 const path = require("node:path")
 const FlexSearch = require("flexsearch")
 const { SEARCH_INDEX_FILE, SEARCH_MAP_FILE } = require("./constants")
@@ -14,11 +15,37 @@ class SearchProcessingState {
     })
     this.searchDocMap = {}
     this.docIdCounter = 0
+    // Doc IDs by the path of their markdown file, so that a rebuilt page keeps its ID
+    this.docIdsBySource = new Map()
+    // Doc IDs by output file of the pages of the search data loaded with loadSearchData
+    this.loadedDocIds = new Map()
   }
 
   updateDocId(count) {
     this.docIdCounter += count
   }
+
+  /**
+   * Gives the doc ID of a page's markdown file: the ID the page had in the loaded search data, if any,
+   * or else the next free one.
+   */
+  allocateDocId(sourceFilePath, outputFileName) {
+    let docId = this.docIdsBySource.get(sourceFilePath) ?? this.loadedDocIds.get(outputFileName)
+    if (docId === undefined) {
+      docId = this.docIdCounter
+      this.updateDocId(1)
+    }
+    this.docIdsBySource.set(sourceFilePath, docId)
+    return docId
+  }
+
+  /**
+   * Removes a page from the search data.
+   */
+  removeDoc(docId) {
+    this.searchIndex.remove(docId)
+    delete this.searchDocMap[docId]
+  }
 }
 
 /**
@@ -88,10 +115,33 @@ async function exportSearchData({ versionOutputPath, searchIndex, searchDocMap }
   }
 }
 
+/**
+ * Loads the search index and map a previous build exported to a version's output into a search state, so
+ * that some of its pages can be rebuilt without the others.
+ * @returns {Promise<boolean>} Whether the version's output had search data
+ */
+async function loadSearchData({ versionOutputPath, searchState }) {
+  const searchIndexPath = path.join(versionOutputPath, SEARCH_INDEX_FILE)
+  const searchMapPath = path.join(versionOutputPath, SEARCH_MAP_FILE)
+  if (!fs.existsSync(searchIndexPath) || !fs.existsSync(searchMapPath)) return false
+
+  const indexExports = JSON.parse(await readFile(searchIndexPath, "utf8"))
+  for (const [key, data] of Object.entries(indexExports)) {
+    searchState.searchIndex.import(key, data)
+  }
+  searchState.searchDocMap = JSON.parse(await readFile(searchMapPath, "utf8"))
+  for (const [docId, mapEntry] of Object.entries(searchState.searchDocMap)) {
+    searchState.loadedDocIds.set(mapEntry.href, Number(docId))
+  }
+  searchState.docIdCounter = Math.max(-1, ...searchState.loadedDocIds.values()) + 1
+  return true
+}
+
 module.exports = {
   SearchProcessingState,
   isContentObsoleted,
   createSearchIndexEntry,
   createSearchDocMapEntry,
   exportSearchData,
+  loadSearchData,
 }
@@ -0,0 +1,281 @@
+// Tokenizers and HTML highlighting for JSON and JMESPath.
+// Used at build time for static code fences and bundled into the browser for the playground
+// editors, so this module must not depend on Node.js APIs.
+
+// Inputs longer than this are shown without highlighting, to keep typing responsive
+const HIGHLIGHT_SIZE_LIMIT = 100000
+
+const BRACKET_PAIRS = { "(": ")", "[": "]", "{": "}" }
+const CLOSING_BRACKETS = new Set(Object.values(BRACKET_PAIRS))
+
+// Rules are tried in order at each position; the first match wins
+const JMESPATH_RULES = [
+  ["whitespace", /\s+/y],
+  ["string", /"(?:[^"\\]|\\[\s\S])*"/y],
+  ["raw-string", /'(?:[^'\\]|\\[\s\S])*'/y],
+  ["literal", /`(?:[^`\\]|\\[\s\S])*`/y],
+  ["invalid", /["'`][\s\S]*/y], // unterminated string or literal
+  ["variable", /\$[A-Za-z0-9_]*/y],
+  ["identifier", /[A-Za-z_][A-Za-z0-9_]*/y],
+  ["number", /\d+/y],
+  ["bracket", /[()[\]{}]/y],
+  ["operator", /\|\||&&|==|!=|<=|>=|\/\/|[<>!|.*@&?:,=+\-/%]/y],
+]
+
+// Documentation fences annotate queries with // line comments, which are not JMESPath
+const JMESPATH_COMMENT_RULE = ["comment", /(?<=(?:^|\n)[ \t]*)\/\/[^\n]*/y]
+
+const JSON_RULES = [
+  ["whitespace", /\s+/y],
+  ["string", /"(?:[^"\\\n]|\\.)*"/y],
+  ["invalid", /"[^\n]*/y], // unterminated string
+  ["number", /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+  ["keyword", /(?:true|false|null)\b/y],
+  ["bracket", /[[\]{}]/y],
+  ["punctuation", /[:,]/y],
+  ["invalid", /[^\s"[\]{}:,]+/y],
+]
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+}
+
+/**
+ * Splits text into tokens using a list of sticky regular expressions.
+ * Characters no rule matches become single-character "invalid" tokens.
+ */
+function tokenize(text, rules) {
+  const tokens = []
+  let position = 0
+
+  while (position < text.length) {
+    let token = null
+    for (const [type, regex] of rules) {
+      regex.lastIndex = position
+      const match = regex.exec(text)
+      if (match && match[0].length > 0) {
+        token = { type, value: match[0], start: position, end: position + match[0].length }
+        break
+      }
+    }
+    token ??= { type: "invalid", value: text[position], start: position, end: position + 1 }
+    tokens.push(token)
+    position = token.end
+  }
+
+  return tokens
+}
+
+/**
+ * Returns the first token after the given index that is not whitespace.
+ */
+function nextSignificantToken(tokens, index) {
+  for (let i = index + 1; i < tokens.length; i++) {
+    if (tokens[i].type !== "whitespace") return tokens[i]
+  }
+  return null
+}
+
+/**
+ * Tokenizes a JMESPath expression.
+ * Identifiers followed by an opening parenthesis are typed as "function".
+ * @param {string} text - The expression
+ * @param {{comments?: boolean}} [options] - Set `comments` to recognize `//` line comments
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} The tokens
+ */
+function tokenizeJmespath(text, { comments = false } = {}) {
+  const tokens = tokenize(text, comments ? [JMESPATH_COMMENT_RULE, ...JMESPATH_RULES] : JMESPATH_RULES)
+  tokens.forEach((token, index) => {
+    if (token.type === "identifier" && nextSignificantToken(tokens, index)?.value === "(") {
+      token.type = "function"
+    }
+  })
+  return tokens
+}
+
+/**
+ * Tokenizes a JSON document. Strings followed by a colon are typed as "key".
+ * @param {string} text - The JSON text
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} The tokens
+ */
+function tokenizeJson(text) {
+  const tokens = tokenize(text, JSON_RULES)
+  tokens.forEach((token, index) => {
+    if (token.type === "string" && nextSignificantToken(tokens, index)?.value === ":") {
+      token.type = "key"
+    }
+  })
+  return tokens
+}
+
+/**
+ * Finds the bracket matching the one at or just before a cursor offset.
+ * @param {Array<object>} tokens - Tokens from tokenizeJson or tokenizeJmespath
+ * @param {number} offset - The cursor offset
+ * @returns {{bracket: number, match: number|null}|null} Offsets of the bracket and its match
+ *   (null if unmatched), or null if the cursor is not next to a bracket
+ */
+function findMatchingBracket(tokens, offset) {
+  const brackets = tokens.filter((token) => token.type === "bracket")
+  const index = brackets.findIndex((token) => token.start === offset)
+  const atIndex = index === -1 ? brackets.findIndex((token) => token.end === offset) : index
+  if (atIndex === -1) return null
+
+  const bracket = brackets[atIndex]
+  const isOpening = !CLOSING_BRACKETS.has(bracket.value)
+  const step = isOpening ? 1 : -1
+  let depth = 0
+
+  for (let i = atIndex; i >= 0 && i < brackets.length; i += step) {
+    const current = brackets[i]
+    const opensInDirection = isOpening ? !CLOSING_BRACKETS.has(current.value) : CLOSING_BRACKETS.has(current.value)
+    depth += opensInDirection ? 1 : -1
+    if (depth === 0) {
+      const [open, close] = isOpening ? [bracket, current] : [current, bracket]
+      const isPair = BRACKET_PAIRS[open.value] === close.value
+      return { bracket: bracket.start, match: isPair ? current.start : null }
+    }
+  }
+  return { bracket: bracket.start, match: null }
+}
+
+/**
+ * Renders tokens as HTML, wrapping each in a `tok-<type>` span.
+ * Decorations add classes to arbitrary ranges, such as an error position or matched brackets.
+ * @param {string} text - The tokenized text
+ * @param {Array<object>} tokens - Its tokens
+ * @param {Array<{start: number, end: number, className: string}>} [decorations] - Ranges to decorate
+ * @returns {string} The HTML
+ */
+function renderTokens(text, tokens, decorations = []) {
+  const clamp = (offset) => Math.max(0, Math.min(text.length, offset))
+  const boundaries = new Set([0, text.length])
+  for (const token of tokens) boundaries.add(token.start)
+  for (const decoration of decorations) {
+    boundaries.add(clamp(decoration.start))
+    boundaries.add(clamp(decoration.end))
+  }
+  const points = [...boundaries].sort((a, b) => a - b)
+
+  let html = ""
+  let tokenIndex = 0
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i]
+    const end = points[i + 1]
+    while (tokens[tokenIndex] && tokens[tokenIndex].end <= start) tokenIndex++
+
+    const token = tokens[tokenIndex]
+    const classes = token && token.type !== "whitespace" ? [`tok-${token.type}`] : []
+    for (const decoration of decorations) {
+      if (decoration.start < end && decoration.end > start) classes.push(decoration.className)
+    }
+    const content = escapeHtml(text.slice(start, end))
+    html += classes.length > 0 ? `<span class="${classes.join(" ")}">${content}</span>` : content
+  }
+  return html
+}
+
+/**
+ * Highlights JSON or JMESPath text as HTML.
+ * Text over HIGHLIGHT_SIZE_LIMIT characters is only escaped.
+ * @param {string} text - The text
+ * @param {"json"|"jmespath"|"text"} language - Its language; plain text only gets its decorations
+ * @param {object} [options] - Options
+ * @param {Array<object>} [options.decorations] - Ranges to decorate, see renderTokens
+ * @param {boolean} [options.comments] - Recognize `//` line comments in JMESPath
+ * @returns {string} The HTML
+ */
+function highlightCode(text, language, { decorations = [], comments = false } = {}) {
+  if (text.length > HIGHLIGHT_SIZE_LIMIT) return escapeHtml(text)
+  if (language === "text") return renderTokens(text, [], decorations)
+  const tokens = language === "json" ? tokenizeJson(text) : tokenizeJmespath(text, { comments })
+  return renderTokens(text, tokens, decorations)
+}
+
+/**
+ * Walks JSON tokens to find the first one that breaks the grammar.
+ * @param {string} text - The JSON text
+ * @returns {number|null} The offset of the offending token, the text length if the document
+ *   ends early, or null if the document is well-formed
+ */
+function findJsonSyntaxError(text) {
+  const tokens = tokenizeJson(text).filter((token) => token.type !== "whitespace")
+  let index = 0
+  const fail = () => {
+    throw tokens[index] ? tokens[index].start : text.length
+  }
+  const expect = (value) => {
+    if (tokens[index]?.value !== value) fail()
+    index++
+  }
+
+  const parseValue = () => {
+    const token = tokens[index]
+    if (!token) fail()
+    if (token.value === "{") {
+      index++
+      if (tokens[index]?.value === "}") return index++
+      for (;;) {
+        if (tokens[index]?.type !== "key") fail()
+        index++
+        expect(":")
+        parseValue()
+        if (tokens[index]?.value === "}") return index++
+        expect(",")
+      }
+    }
+    if (token.value === "[") {
+      index++
+      if (tokens[index]?.value === "]") return index++
+      for (;;) {
+        parseValue()
+        if (tokens[index]?.value === "]") return index++
+        expect(",")
+      }
+    }
+    if (!["string", "number", "keyword"].includes(token.type)) fail()
+    return index++
+  }
+
+  try {
+    parseValue()
+    if (index < tokens.length) fail()
+    return null
+  } catch (offset) {
+    return offset
+  }
+}
+
+/**
+ * Locates the offset of a JSON.parse error in its input.
+ * Uses the position in the error message where the engine provides one (V8's "at position N",
+ * Firefox's "line L column C"), and otherwise finds the offending token itself.
+ * @param {string} message - The error message
+ * @param {string} text - The text that failed to parse
+ * @returns {number|null} The offset, or null if it cannot be determined
+ */
+function locateJsonError(message, text) {
+  const positionMatch = /at position (\d+)/.exec(message)
+  if (positionMatch) return Math.min(Number(positionMatch[1]), text.length)
+
+  const lineColumnMatch = /line (\d+) column (\d+)/.exec(message)
+  if (lineColumnMatch) {
+    const lines = text.split("\n")
+    const line = Math.min(Number(lineColumnMatch[1]), lines.length)
+    const offset = lines.slice(0, line - 1).reduce((sum, current) => sum + current.length + 1, 0)
+    return Math.min(offset + Number(lineColumnMatch[2]) - 1, text.length)
+  }
+
+  return text.length > HIGHLIGHT_SIZE_LIMIT ? null : findJsonSyntaxError(text)
+}
+
+module.exports = {
+  HIGHLIGHT_SIZE_LIMIT,
+  tokenizeJmespath,
+  tokenizeJson,
+  findMatchingBracket,
+  renderTokens,
+  highlightCode,
+  findJsonSyntaxError,
+  locateJsonError,
+}
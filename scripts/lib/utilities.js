@@ -119,6 +119,14 @@ function compareNavPages(a, b) {
   return compareParent(a, b) || compareNavOrder(a, b) || compareTitle(a, b)
 }
 
+/**
+ * Tells whether a path is a directory or lies inside it.
+ */
+function isInsideDirectory(filePath, directory) {
+  const relativePath = path.relative(directory, filePath)
+  return relativePath === "" || (!relativePath.startsWith("..") && !path.isAbsolute(relativePath))
+}
+
 /**
  * Executes a shell command with proper error handling and logging
  */
@@ -179,6 +187,7 @@ module.exports = {
   compareNavOrder,
   compareTitle,
   compareNavPages,
+  isInsideDirectory,
   runCommand,
   generateBuildMetadata,
 }
@@ -0,0 +1,320 @@
+const { mkdir, writeFile } = require("node:fs/promises")
+const path = require("node:path")
+const { formatValidationResults } = require("./jmespath-validation")
+
+// Report formats of the validator: the console summary, or a report for CI
+const VALIDATION_REPORT_FORMATS = ["text", "json", "junit", "sarif", "github"]
+
+// Kinds of validation problems, as SARIF rules and JUnit failure types
+const VALIDATION_RULES = new Map([
+  ["invalid-block", "The block is malformed or its fixture cannot be used"],
+  ["invalid-json", "The input or the documented result is not valid JSON"],
+  ["query-error", "The query fails"],
+  ["result-mismatch", "The query result differs from the documented result"],
+  ["expected-error-mismatch", "The query does not fail with the error type the block declares"],
+  ["file-error", "The file cannot be validated"],
+  ["block-warning", "The block has a warning, such as an empty input or an expected error"],
+])
+
+const TOOL_NAME = "validate-jmespath"
+
+/**
+ * Classifies why a block failed validation.
+ * @param {Object} blockResult - The block's validation result
+ * @returns {string} One of the VALIDATION_RULES
+ */
+function classifyBlockFailure(blockResult) {
+  if (blockResult.block.error) return "invalid-block"
+  if (blockResult.expectedToFail) return "expected-error-mismatch"
+  if (blockResult.resultDiff?.length > 0) return "result-mismatch"
+  if (blockResult.errorType) return "query-error"
+  return "invalid-json"
+}
+
+/**
+ * Gives a file's path relative to the working directory with forward slashes, as CI tools expect.
+ */
+function toReportPath(filePath) {
+  return path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join("/")
+}
+
+/**
+ * Lists the problems found by a validation: one per file that could not be validated and per failed
+ * block, and one per block with warnings. Block problems are located at the error in the markdown
+ * source when it is known, or else at the block's opening fence.
+ * @param {Object} results - Validation results from validateMultipleFiles
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.showWarnings] - Whether to list warnings
+ * @returns {Array<{file: string, line: number|null, column: number|null, title: string, rule: string,
+ *   level: "error"|"warning", message: string}>} The problems
+ */
+function collectValidationIssues(results, { showWarnings = true } = {}) {
+  const issues = []
+  for (const fileResult of results.results) {
+    const file = toReportPath(fileResult.filePath)
+    if (fileResult.fileError) {
+      issues.push({
+        file,
+        line: null,
+        column: null,
+        title: "File Error",
+        rule: "file-error",
+        level: "error",
+        message: fileResult.fileError,
+      })
+      continue
+    }
+
+    for (const blockResult of fileResult.blocks) {
+      const { block, errorLocation } = blockResult
+      const title = `Block "${block.title}"`
+      if (!blockResult.success) {
+        issues.push({
+          file,
+          line: errorLocation?.line ?? block.lineNumber,
+          column: errorLocation?.column ?? null,
+          title,
+          rule: classifyBlockFailure(blockResult),
+          level: "error",
+          message: blockResult.errors.join("\n"),
+        })
+      }
+      if (showWarnings && blockResult.warnings.length > 0) {
+        issues.push({
+          file,
+          line: block.lineNumber,
+          column: null,
+          title,
+          rule: "block-warning",
+          level: "warning",
+          message: blockResult.warnings.join("\n"),
+        })
+      }
+    }
+  }
+  return issues
+}
+
+/**
+ * Renders validation results as JSON: the totals, and every file and block with its errors and warnings.
+ */
+function renderJsonReport(results) {
+  const report = {
+    success: results.success,
+    totalFiles: results.totalFiles,
+    successfulFiles: results.successfulFiles,
+    failedFiles: results.failedFiles,
+    totalBlocks: results.totalBlocks,
+    successfulBlocks: results.successfulBlocks,
+    failedBlocks: results.failedBlocks,
+    blocksWithWarnings: results.blocksWithWarnings,
+    files: results.results.map((fileResult) => ({
+      file: toReportPath(fileResult.filePath),
+      success: fileResult.success,
+      ...(fileResult.fileError && { fileError: fileResult.fileError }),
+      blocks: fileResult.blocks.map((blockResult) => ({
+        title: blockResult.block.title,
+        line: blockResult.block.lineNumber,
+        success: blockResult.success,
+        ...(!blockResult.success && { rule: classifyBlockFailure(blockResult) }),
+        expectedError: blockResult.expectedErrorType,
+        errorType: blockResult.errorType ?? null,
+        errorLocation: blockResult.errorLocation ?? null,
+        errors: blockResult.errors,
+        warnings: blockResult.warnings,
+      })),
+    })),
+  }
+  return `${JSON.stringify(report, null, 2)}\n`
+}
+
+// Control characters XML 1.0 can hold: tab, line feed and carriage return
+const XML_CONTROL_CHARACTERS = new Set(["\t", "\n", "\r"])
+
+/**
+ * Checks whether XML 1.0 can hold a character, which it cannot for the other control characters below a space.
+ */
+function isXmlCharacter(char) {
+  return char >= " " || XML_CONTROL_CHARACTERS.has(char)
+}
+
+/**
+ * Escapes text for XML attributes and content, dropping the control characters XML 1.0 cannot hold.
+ */
+function escapeXml(text) {
+  return Array.from(String(text))
+    .filter(isXmlCharacter)
+    .join("")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+}
+
+/**
+ * Renders the test case of one block: a failure if the block failed, and its warnings as output.
+ */
+function renderJunitTestCase(file, blockResult) {
+  const { block, errors, warnings } = blockResult
+  const attributes = `name="${escapeXml(`${block.title} (line ${block.lineNumber})`)}" classname="${escapeXml(file)}" file="${escapeXml(file)}" line="${block.lineNumber}"`
+  const failure = blockResult.success
+    ? ""
+    : `\n      <failure type="${classifyBlockFailure(blockResult)}" message="${escapeXml(errors[0] ?? "")}">${escapeXml(errors.join("\n"))}</failure>`
+  const output = warnings.length > 0 ? `\n      <system-out>${escapeXml(warnings.join("\n"))}</system-out>` : ""
+  return failure || output
+    ? `    <testcase ${attributes}>${failure}${output}\n    </testcase>`
+    : `    <testcase ${attributes}/>`
+}
+
+/**
+ * Renders the test suite of one file, whose blocks are its test cases. A file that could not be
+ * validated has a single test case with an error.
+ */
+function renderJunitTestSuite(fileResult) {
+  const file = toReportPath(fileResult.filePath)
+  if (fileResult.fileError) {
+    return `  <testsuite name="${escapeXml(file)}" tests="1" failures="0" errors="1">
+    <testcase name="${escapeXml(file)}" classname="${escapeXml(file)}" file="${escapeXml(file)}">
+      <error type="file-error" message="${escapeXml(fileResult.fileError)}"/>
+    </testcase>
+  </testsuite>`
+  }
+
+  const testCases = fileResult.blocks.map((blockResult) => renderJunitTestCase(file, blockResult))
+  return `  <testsuite name="${escapeXml(file)}" tests="${fileResult.totalBlocks}" failures="${fileResult.failedBlocks}" errors="0">${testCases.map((testCase) => `\n${testCase}`).join("")}
+  </testsuite>`
+}
+
+/**
+ * Renders validation results as JUnit XML, with a test suite per file and a test case per block.
+ */
+function renderJunitReport(results) {
+  const fileErrors = results.results.filter((fileResult) => fileResult.fileError).length
+  const testSuites = results.results.map(renderJunitTestSuite)
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="JMESPath validation" tests="${results.totalBlocks + fileErrors}" failures="${results.failedBlocks}" errors="${fileErrors}">
+${testSuites.join("\n")}
+</testsuites>
+`
+}
+
+/**
+ * Renders validation problems as a SARIF 2.1.0 log, for code scanning.
+ */
+function renderSarifReport(results, options) {
+  const sarifResults = collectValidationIssues(results, options).map((issue) => ({
+    ruleId: issue.rule,
+    level: issue.level,
+    message: { text: `${issue.title}: ${issue.message}` },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: issue.file },
+          ...(issue.line !== null && {
+            region: { startLine: issue.line, ...(issue.column !== null && { startColumn: issue.column }) },
+          }),
+        },
+      },
+    ],
+  }))
+  const log = {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            rules: [...VALIDATION_RULES].map(([id, description]) => ({ id, shortDescription: { text: description } })),
+          },
+        },
+        results: sarifResults,
+      },
+    ],
+  }
+  return `${JSON.stringify(log, null, 2)}\n`
+}
+
+/**
+ * Escapes the message of a GitHub Actions workflow command, and with `isProperty` one of its properties.
+ */
+function escapeWorkflowCommand(text, isProperty = false) {
+  const escaped = text.replace(/%/g, "%25").replace(/\r/g, "%0D").replace(/\n/g, "%0A")
+  return isProperty ? escaped.replace(/:/g, "%3A").replace(/,/g, "%2C") : escaped
+}
+
+/**
+ * Renders validation problems as GitHub Actions workflow commands, which annotate the markdown lines
+ * of a pull request.
+ */
+function renderGithubReport(results, options) {
+  const commands = collectValidationIssues(results, options).map((issue) => {
+    const properties = [
+      `file=${escapeWorkflowCommand(issue.file, true)}`,
+      ...(issue.line === null ? [] : [`line=${issue.line}`]),
+      ...(issue.column === null ? [] : [`col=${issue.column}`]),
+      `title=${escapeWorkflowCommand(issue.title, true)}`,
+    ]
+    return `::${issue.level} ${properties.join(",")}::${escapeWorkflowCommand(issue.message)}\n`
+  })
+  return commands.join("")
+}
+
+const REPORT_RENDERERS = new Map([
+  ["json", renderJsonReport],
+  ["junit", renderJunitReport],
+  ["sarif", renderSarifReport],
+  ["github", renderGithubReport],
+])
+
+/**
+ * Renders validation results in one of the report formats other than text.
+ * @param {Object} results - Validation results from validateMultipleFiles
+ * @param {string} format - json, junit, sarif or github
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.showWarnings] - Whether SARIF and GitHub reports include warnings
+ * @returns {string} The report
+ * @throws {Error} If the format is unknown
+ */
+function renderValidationReport(results, format, options = {}) {
+  const render = REPORT_RENDERERS.get(format)
+  if (!render) {
+    throw new Error(`Unknown report format "${format}". Expected one of: ${VALIDATION_REPORT_FORMATS.join(", ")}`)
+  }
+  return render(results, options)
+}
+
+/**
+ * Reports validation results: as the console summary in the text format, or else as a report written
+ * to a file or to the standard output.
+ * @param {Object} results - Validation results from validateMultipleFiles
+ * @param {Object} [options] - Options
+ * @param {string} [options.format] - One of VALIDATION_REPORT_FORMATS (default: text)
+ * @param {string|null} [options.output] - The file to write the report to, instead of the standard output
+ * @param {boolean} [options.verbose] - Whether the console summary lists every file
+ * @param {boolean} [options.showWarnings] - Whether to report warnings
+ */
+async function reportValidationResults(results, options = {}) {
+  const { format = "text", output = null } = options
+  if (format === "text") {
+    formatValidationResults(results, options)
+    return
+  }
+
+  const report = renderValidationReport(results, format, options)
+  if (output) {
+    await mkdir(path.dirname(path.resolve(output)), { recursive: true })
+    await writeFile(output, report, "utf8")
+    console.log(`Wrote the ${format} validation report to ${output}`)
+  } else {
+    process.stdout.write(report)
+  }
+}
+
+module.exports = {
+  VALIDATION_REPORT_FORMATS,
+  collectValidationIssues,
+  renderValidationReport,
+  reportValidationResults,
+}
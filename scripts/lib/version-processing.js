@@ -1,11 +1,13 @@
 const fs = require("node:fs")
-const { mkdir, rm, writeFile } = require("node:fs/promises")
+const { copyFile, mkdir, readFile, rm, writeFile } = require("node:fs/promises")
 const path = require("node:path")
-const { VERSIONS_FILE } = require("./constants")
-const { compareNavPages } = require("./utilities")
-const { findFiles, copyStaticAssetsInDir } = require("./file-operations")
-const { SearchProcessingState, exportSearchData } = require("./search-index")
-const { processSingleMarkdownFile, determineDefaultFile } = require("./content-processing")
+const { FIXTURES_DIR, FUNCTIONS_FILE, VERSIONS_FILE } = require("./constants")
+const { compareNavPages, isInsideDirectory } = require("./utilities")
+const { findFiles, copyStaticAssetsInDir, loadFunctionsFile } = require("./file-operations")
+const { SearchProcessingState, exportSearchData, loadSearchData } = require("./search-index")
+const { processSingleMarkdownFile, determineDefaultFile, toVersionPath } = require("./content-processing")
+const { VersionBuildCache } = require("./build-cache")
+const { resolveVersionSources, describeSource, getNavSections } = require("./version-sources")
 
 /**
  * Gets glob patterns for file processing based on source type
@@ -16,6 +18,14 @@ function getGlobPatterns(versionConfig, fileSourceType) {
     : { includeGlobs: versionConfig.localIncludeGlobs || ["**/*.md"], excludeGlobs: versionConfig.localExcludeGlobs }
 }
 
+/**
+ * Checks whether a page is among those selected with --page: globs matched against the path of its
+ * markdown file within the version, see toVersionPath. No globs select every page.
+ */
+function matchesPageGlobs(relativeFilePath, pageGlobs = []) {
+  return pageGlobs.length === 0 || pageGlobs.some((glob) => path.matchesGlob(relativeFilePath, glob))
+}
+
 /**
  * Processes results from file processing and updates search state
  */
@@ -44,7 +54,7 @@ function processFileResults(results, searchState) {
  * Processes a list of Markdown files in parallel
  */
 async function processMarkdownFiles(files, context, marked) {
-  const { sourceDir, versionOutputPath, fileSourceType, searchState } = context
+  const { sourceDir, versionOutputPath, fileSourceType, searchState, functions, fixtures, cache, mount } = context
 
   if (files.length === 0) {
     console.log(`  No ${fileSourceType} files found to process.`)
@@ -53,12 +63,13 @@ async function processMarkdownFiles(files, context, marked) {
 
   console.log(`  Processing ${files.length} ${fileSourceType} files in parallel...`)
 
-  const processingPromises = files.map((file, index) => {
-    const docId = searchState.docIdCounter + index
+  const processingPromises = files.map((file) => {
+    const outputFileName = toVersionPath(file, mount).replace(/\.md$/, ".html")
+    const docId = searchState.allocateDocId(path.join(sourceDir, file), outputFileName)
     return processSingleMarkdownFile({
       relativeFilePath: file,
       docId,
-      context: { sourceDir, versionOutputPath, fileSourceType },
+      context: { sourceDir, versionOutputPath, fileSourceType, functions, fixtures, cache, mount },
       marked,
     })
   })
@@ -67,16 +78,18 @@ async function processMarkdownFiles(files, context, marked) {
   const { processedPages, successfulCount, failedCount } = processFileResults(results, searchState)
 
   console.log(`  Finished processing files. Successful: ${successfulCount}, Failed: ${failedCount}.`)
-  searchState.updateDocId(files.length)
   return processedPages
 }
 
 /**
- * Processes files from a specific source type for a version
+ * Processes the files of one of a version's sources: those of its `includeGlobs` and not of its
+ * `excludeGlobs`, written under its `mount` prefix
  */
 async function _processVersionSourceFiles(options) {
   const { sourceArgs, versionConfig, buildContext, marked } = options
-  const { sourceBasePath, versionOutputPath, searchState, fileSourceType } = sourceArgs
+  const { sourceBasePath, versionOutputPath, searchState, fileSourceType, functions, fixtures, cache, pageGlobs } =
+    sourceArgs
+  const { includeGlobs, excludeGlobs, mount = "" } = sourceArgs
 
   if (!fs.existsSync(sourceBasePath)) {
     const relativePath = path.relative(buildContext.rootDir, sourceBasePath)
@@ -86,49 +99,193 @@ async function _processVersionSourceFiles(options) {
     return []
   }
 
-  const { includeGlobs, excludeGlobs } = getGlobPatterns(versionConfig, fileSourceType)
-  const files = findFiles({ basePath: sourceBasePath, includeGlobs, excludeGlobs }, buildContext)
-  const context = { sourceDir: sourceBasePath, versionOutputPath, searchState, fileSourceType }
+  const files = findFiles({ basePath: sourceBasePath, includeGlobs, excludeGlobs }, buildContext).filter((file) =>
+    matchesPageGlobs(toVersionPath(file, mount), pageGlobs),
+  )
+  const context = {
+    sourceDir: sourceBasePath,
+    versionOutputPath,
+    searchState,
+    fileSourceType,
+    functions,
+    fixtures,
+    cache,
+    mount,
+  }
 
   return await processMarkdownFiles(files, context, marked)
 }
 
 /**
- * Processes a single version's documentation.
+ * Loads the custom functions shared by a version's pages: those of the module set as `functionsFile` in the
+ * version's configuration, or else of the functions.js at the root of its local docs, if there is one.
  */
-async function processSingleVersion(versionConfig, buildContext, marked) {
-  console.log(`\n--- Processing version: ${versionConfig.label} (ref: ${versionConfig.ref}) ---`)
+function loadVersionFunctions(versionConfig, buildContext) {
+  const functionsFile = resolveVersionFunctionsFile(versionConfig, buildContext)
+  if (!functionsFile) return []
 
-  const versionClonePath = path.join(buildContext.tempDir, versionConfig.id)
-  const versionOutputPath = path.join(buildContext.outputDir, versionConfig.id)
+  const functions = loadFunctionsFile(functionsFile)
+  if (functions.length > 0) {
+    console.log(
+      `  Loaded ${functions.length} custom function(s) from ${path.relative(buildContext.rootDir, functionsFile)}: ${functions.map(({ name }) => name).join(", ")}`,
+    )
+  }
+  return functions
+}
 
-  await rm(versionOutputPath, { recursive: true, force: true })
-  await mkdir(versionOutputPath, { recursive: true })
+/**
+ * Gives the absolute path of the functions.js of a version, see loadVersionFunctions, or null if it has none.
+ */
+function resolveVersionFunctionsFile(versionConfig, buildContext) {
+  const functionsFile =
+    versionConfig.functionsFile ||
+    (versionConfig.localDocsPath && path.join(versionConfig.localDocsPath, FUNCTIONS_FILE))
+  return functionsFile ? path.resolve(buildContext.rootDir, functionsFile) : null
+}
+
+/**
+ * Locates the JSON fixtures shared by a version's examples: the directory set as `fixturesDir` in the version's
+ * configuration, or else the fixtures directory at the root of its local docs. Playgrounds fetch them from
+ * the fixtures directory of the version's output.
+ * @returns {{directory: string|null, url: string, rootDir: string}} The fixtures directory, if any, the URL they are
+ *   served from, and the root directory that the fixture errors shown in pages give paths relative to
+ */
+function resolveVersionFixtures(versionConfig, buildContext) {
+  const fixturesDir =
+    versionConfig.fixturesDir || (versionConfig.localDocsPath && path.join(versionConfig.localDocsPath, FIXTURES_DIR))
+  return {
+    directory: fixturesDir ? path.resolve(buildContext.rootDir, fixturesDir) : null,
+    url: `${versionConfig.id}/${FIXTURES_DIR}`,
+    rootDir: buildContext.rootDir,
+  }
+}
+
+/**
+ * Copies a version's fixtures to its output, unless they were copied along with the static assets of its local docs.
+ */
+async function copyVersionFixtures(fixtures, versionConfig, versionOutputPath, buildContext) {
+  if (!fixtures.directory || !fs.existsSync(fixtures.directory)) return
+  const localFixturesDir =
+    versionConfig.localDocsPath && path.resolve(buildContext.rootDir, versionConfig.localDocsPath, FIXTURES_DIR)
+  if (fixtures.directory === localFixturesDir) return
+
+  console.log(`--- Copying fixtures from ${path.relative(buildContext.rootDir, fixtures.directory)}... ---`)
+  await copyStaticAssetsInDir(
+    { sourceDir: fixtures.directory, targetDir: path.join(versionOutputPath, FIXTURES_DIR), excludeExtensions: [] },
+    buildContext,
+  )
+}
+
+/**
+ * Gives a version's entry of versions.json, with its pages in navigation order and, if its sources have
+ * any, its navigation sections, see getNavSections.
+ */
+function createVersionData(versionConfig, pages) {
+  const sortedPages = [...pages].sort(compareNavPages)
+  const sections = getNavSections(versionConfig)
+  return {
+    id: versionConfig.id,
+    label: versionConfig.label,
+    pages: sortedPages,
+    defaultFile: determineDefaultFile(sortedPages),
+    ...(sections.length > 0 && { sections }),
+  }
+}
 
+/**
+ * Loads the build cache of a version, or gives null when the cache is disabled or not configured.
+ */
+async function loadVersionCache(versionConfig, buildContext, { useCache, functions, fixtures }) {
+  if (!useCache || !buildContext.cacheDir) return null
+  return VersionBuildCache.load({ cacheDir: buildContext.cacheDir, versionConfig, functions, fixtures })
+}
+
+/**
+ * Prepares a version's output and search state. A full build empties the output, while a build of some of
+ * its pages starts from the search data of the previous build, whose other pages it keeps.
+ */
+async function prepareVersionOutput(versionConfig, versionOutputPath, { pageGlobs, previousVersionData }) {
   const searchState = new SearchProcessingState()
-  let versionNavPages = []
+  if (pageGlobs.length === 0) {
+    await rm(versionOutputPath, { recursive: true, force: true })
+  } else if (!previousVersionData || !(await loadSearchData({ versionOutputPath, searchState }))) {
+    throw new Error(`No previous build of version ${versionConfig.label} to update; build it without --page first.`)
+  }
+  await mkdir(versionOutputPath, { recursive: true })
+  return searchState
+}
 
-  const specSourceDir = path.join(versionClonePath, versionConfig.sourcePath || "")
-  const specSourceArgs = {
-    sourceBasePath: specSourceDir,
-    versionOutputPath,
-    searchState,
-    fileSourceType: "Spec",
+/**
+ * Merges the pages rebuilt by a build of some of a version's pages into the previous build's: the selected
+ * pages that were not rebuilt, such as removed ones, leave the navigation and the search data.
+ * @returns {Array<Object>} The version's pages
+ */
+function mergeRebuiltPages(previousVersionData, rebuiltPages, searchState, pageGlobs) {
+  const rebuiltDocIds = new Set(searchState.docIdsBySource.values())
+  for (const [docId, { href }] of Object.entries(searchState.searchDocMap)) {
+    if (!rebuiltDocIds.has(Number(docId)) && matchesPageGlobs(href.replace(/\.html$/, ".md"), pageGlobs)) {
+      searchState.removeDoc(Number(docId))
+    }
   }
-  const specProcessedPages = await _processVersionSourceFiles({
-    sourceArgs: specSourceArgs,
-    versionConfig,
-    buildContext,
-    marked,
-  })
-  versionNavPages = versionNavPages.concat(specProcessedPages)
+  const keptPages = previousVersionData.pages.filter(
+    (page) => !matchesPageGlobs(page.file.replace(/\.html$/, ".md"), pageGlobs),
+  )
+  return [...keptPages, ...rebuiltPages]
+}
+
+/**
+ * Processes the files of a version's sources, see resolveVersionSources. The pages of a source with a
+ * `navSection` are placed in its navigation section: their `section` is the source's ID.
+ * @returns {Promise<Array<Object>>} The pages of the sources
+ */
+async function processVersionSources(versionConfig, buildContext, marked, sharedArgs) {
+  let pages = []
+  for (const source of resolveVersionSources(versionConfig, buildContext)) {
+    const sourceArgs = {
+      ...sharedArgs,
+      sourceBasePath: path.join(source.clonePath, source.sourcePath),
+      fileSourceType: describeSource(versionConfig, source),
+      includeGlobs: source.includeGlobs,
+      excludeGlobs: source.excludeGlobs,
+      mount: source.mount,
+    }
+    const sourcePages = await _processVersionSourceFiles({ sourceArgs, versionConfig, buildContext, marked })
+    pages = pages.concat(source.navSection ? sourcePages.map((page) => ({ ...page, section: source.id })) : sourcePages)
+  }
+  return pages
+}
+
+/**
+ * Builds a single version's documentation. Pages whose markdown did not change since the previous build
+ * are reused from the build cache, unless `options.useCache` is false.
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.useCache] - Whether to use the build cache (default: true)
+ * @param {Array<string>} [options.pageGlobs] - Globs selecting the pages to build, see matchesPageGlobs; the
+ *   other pages are kept from the previous build, whose entry of versions.json is `options.previousVersionData`
+ * @returns {Promise<Object>} The version's build: its entry of versions.json as `versionData`, and the state
+ *   rebuildVersionFile needs to update the version when its files change
+ */
+async function buildVersion(versionConfig, buildContext, marked, options = {}) {
+  const { useCache = true, pageGlobs = [], previousVersionData = null } = options
+  const refDescription = versionConfig.sources ? "" : ` (ref: ${versionConfig.ref})`
+  console.log(`\n--- Processing version: ${versionConfig.label}${refDescription} ---`)
 
-  if (versionConfig.localDocsPath) {
-    const localSourceDir = path.resolve(buildContext.rootDir, versionConfig.localDocsPath)
+  const versionOutputPath = path.join(buildContext.outputDir, versionConfig.id)
+  const searchState = await prepareVersionOutput(versionConfig, versionOutputPath, { pageGlobs, previousVersionData })
+  const functions = loadVersionFunctions(versionConfig, buildContext)
+  const fixtures = resolveVersionFixtures(versionConfig, buildContext)
+  const cache = await loadVersionCache(versionConfig, buildContext, { useCache, functions, fixtures })
+  const sharedArgs = { versionOutputPath, searchState, functions, fixtures, cache, pageGlobs }
+  let versionNavPages = await processVersionSources(versionConfig, buildContext, marked, sharedArgs)
+
+  const localSourceDir = versionConfig.localDocsPath
+    ? path.resolve(buildContext.rootDir, versionConfig.localDocsPath)
+    : null
+  if (localSourceDir) {
     const localSourceArgs = {
+      ...sharedArgs,
+      ...getGlobPatterns(versionConfig, "Local"),
       sourceBasePath: localSourceDir,
-      versionOutputPath,
-      searchState,
       fileSourceType: "Local",
     }
     const localProcessedPages = await _processVersionSourceFiles({
@@ -144,9 +301,16 @@ async function processSingleVersion(versionConfig, buildContext, marked) {
     )
     await copyStaticAssetsInDir({ sourceDir: localSourceDir, targetDir: versionOutputPath }, buildContext)
   }
+  await copyVersionFixtures(fixtures, versionConfig, versionOutputPath, buildContext)
 
-  versionNavPages.sort(compareNavPages)
-  const defaultFile = determineDefaultFile(versionNavPages)
+  if (pageGlobs.length > 0) {
+    versionNavPages = mergeRebuiltPages(previousVersionData, versionNavPages, searchState, pageGlobs)
+  }
+
+  if (cache) {
+    await cache.save({ keepUnused: pageGlobs.length > 0 })
+    console.log(`  Build cache: ${cache.describe()}`)
+  }
 
   await exportSearchData({
     versionOutputPath,
@@ -155,42 +319,229 @@ async function processSingleVersion(versionConfig, buildContext, marked) {
   })
 
   return {
-    id: versionConfig.id,
-    label: versionConfig.label,
-    pages: versionNavPages,
-    defaultFile: defaultFile,
+    versionConfig,
+    versionOutputPath,
+    localSourceDir,
+    searchState,
+    functions,
+    fixtures,
+    useCache,
+    pageGlobs,
+    cacheStats: cache && { hits: cache.hits, misses: cache.misses },
+    versionData: createVersionData(versionConfig, versionNavPages),
   }
 }
 
 /**
- * Processes all configured versions.
+ * Processes a single version's documentation.
  */
-async function processVersions(buildContext, marked) {
-  const allVersionsData = []
-  for (const version of buildContext.config.versions) {
+async function processSingleVersion(versionConfig, buildContext, marked) {
+  const build = await buildVersion(versionConfig, buildContext, marked)
+  return build.versionData
+}
+
+/**
+ * Gives the configured versions with the given IDs, or all of them when no IDs are given.
+ * @throws {Error} If an ID is not configured
+ */
+function selectVersions(versions, versionIds = []) {
+  if (versionIds.length === 0) return versions
+
+  const unknownIds = versionIds.filter((id) => !versions.some((version) => version.id === id))
+  if (unknownIds.length > 0) {
+    throw new Error(
+      `Unknown version(s): ${unknownIds.join(", ")}. Configured versions: ${versions.map(({ id }) => id).join(", ")}`,
+    )
+  }
+  return versions.filter((version) => versionIds.includes(version.id))
+}
+
+/**
+ * Builds the configured versions, see buildVersion: all of them, or those selected by `options.versionIds`,
+ * and all their pages, or those selected by `options.pageGlobs`.
+ */
+async function buildVersions(buildContext, marked, options = {}) {
+  const { versionIds = [], pageGlobs = [], ...buildOptions } = options
+  const previousVersions = pageGlobs.length > 0 ? ((await readVersionsFile(buildContext))?.versions ?? []) : []
+  const builds = []
+  for (const version of selectVersions(buildContext.config.versions, versionIds)) {
+    const previousVersionData = previousVersions.find(({ id }) => id === version.id) ?? null
     try {
-      const versionData = await processSingleVersion(version, buildContext, marked)
-      allVersionsData.push(versionData)
+      builds.push(
+        await buildVersion(version, buildContext, marked, { ...buildOptions, pageGlobs, previousVersionData }),
+      )
     } catch (error) {
       console.error(
         `\n--- Fatal Error processing version ${version.label}. Skipping this version. Error: ${error.message} ---`,
       )
     }
   }
-  return allVersionsData
+  return builds
+}
+
+/**
+ * Processes all configured versions.
+ */
+async function processVersions(buildContext, marked) {
+  const builds = await buildVersions(buildContext, marked)
+  return builds.map(({ versionData }) => versionData)
 }
 
 /**
- * Writes the versions.json file.
+ * Rebuilds a changed or added page of a version's local docs, or removes a deleted one, then updates the
+ * version's search data and its entry of versions.json.
+ * @returns {Promise<boolean>} Whether the page was rebuilt or removed: false for markdown files that are not
+ *   among the version's pages and for pages that fail to build, whose previous output is kept
  */
-async function writeVersionsFile(buildContext, allVersionsData) {
+async function rebuildVersionPage(build, sourceFilePath, buildContext, marked) {
+  const { versionConfig, versionOutputPath, localSourceDir, searchState } = build
+  const relativeFilePath = path.relative(localSourceDir, sourceFilePath)
+  const outputFileName = relativeFilePath.replace(/\.md$/, ".html")
+  const { includeGlobs, excludeGlobs } = getGlobPatterns(versionConfig, "Local")
+  const isPage =
+    fs.existsSync(sourceFilePath) &&
+    findFiles({ basePath: localSourceDir, includeGlobs, excludeGlobs }, buildContext).includes(relativeFilePath)
+  const previousDocId = searchState.docIdsBySource.get(sourceFilePath)
+  if (!isPage && previousDocId === undefined) return false
+
+  const otherPages = build.versionData.pages.filter((page) => page.file !== outputFileName)
+  if (isPage) {
+    const docId = previousDocId ?? searchState.docIdCounter
+    const result = await processSingleMarkdownFile({
+      relativeFilePath,
+      docId,
+      context: {
+        sourceDir: localSourceDir,
+        versionOutputPath,
+        fileSourceType: "Local",
+        functions: build.functions,
+        fixtures: build.fixtures,
+      },
+      marked,
+    })
+    if (result.error) return false
+
+    if (previousDocId === undefined) {
+      searchState.docIdsBySource.set(sourceFilePath, docId)
+      searchState.updateDocId(1)
+    }
+    searchState.searchIndex.update(result.searchIndexEntry)
+    searchState.searchDocMap[docId] = result.searchDocMapEntry.mapEntry
+    build.versionData = createVersionData(versionConfig, [
+      ...otherPages,
+      ...(result.processedPage ? [result.processedPage] : []),
+    ])
+  } else {
+    console.log(`  Removing Local file: ${relativeFilePath}`)
+    searchState.docIdsBySource.delete(sourceFilePath)
+    searchState.removeDoc(previousDocId)
+    await rm(path.join(versionOutputPath, outputFileName), { force: true })
+    build.versionData = createVersionData(versionConfig, otherPages)
+  }
+
+  await exportSearchData({
+    versionOutputPath,
+    searchIndex: searchState.searchIndex,
+    searchDocMap: searchState.searchDocMap,
+  })
+  return true
+}
+
+/**
+ * Copies a changed or added static asset or fixture of a version to its output, or removes a deleted one.
+ * @returns {Promise<boolean>} Whether the file is one of the version's assets or fixtures
+ */
+async function updateVersionAsset(build, sourceFilePath, buildContext) {
+  const { localSourceDir, fixtures, versionOutputPath } = build
+  const targets = [
+    [localSourceDir, versionOutputPath],
+    [fixtures.directory, path.join(versionOutputPath, FIXTURES_DIR)],
+  ]
+  const target = targets.find(([sourceDir]) => sourceDir && isInsideDirectory(sourceFilePath, sourceDir))
+  if (!target) return false
+
+  const [sourceDir, targetDir] = target
+  const targetPath = path.join(targetDir, path.relative(sourceDir, sourceFilePath))
+  if (fs.existsSync(sourceFilePath)) {
+    await mkdir(path.dirname(targetPath), { recursive: true })
+    await copyFile(sourceFilePath, targetPath)
+    console.log(
+      `   Copied: ${path.relative(buildContext.rootDir, sourceFilePath)} -> ${path.relative(buildContext.rootDir, targetPath)}`,
+    )
+  } else {
+    await rm(targetPath, { force: true })
+    console.log(`   Removed: ${path.relative(buildContext.rootDir, targetPath)}`)
+  }
+  return true
+}
+
+/**
+ * Updates a version's build after one of its files changed, was added or was removed. A page of its local
+ * docs is rebuilt on its own, with the version's search data and its entry of versions.json; other files of
+ * its local docs and its fixtures are copied to its output; and its functions.js, which every page depends
+ * on, rebuilds the whole version, or the pages of its build's `pageGlobs` if it was limited to some pages.
+ * @param {Object} build - The version's build, from buildVersion; it is updated in place
+ * @param {string} sourceFilePath - Absolute path to the changed file
+ * @returns {Promise<boolean>} Whether the version was updated, false if the file is none of its own
+ */
+async function rebuildVersionFile(build, sourceFilePath, buildContext, marked) {
+  if (sourceFilePath === resolveVersionFunctionsFile(build.versionConfig, buildContext)) {
+    const { versionConfig, useCache, pageGlobs, versionData: previousVersionData } = build
+    Object.assign(
+      build,
+      await buildVersion(versionConfig, buildContext, marked, { useCache, pageGlobs, previousVersionData }),
+    )
+    return true
+  }
+  if (
+    build.localSourceDir &&
+    sourceFilePath.endsWith(".md") &&
+    isInsideDirectory(sourceFilePath, build.localSourceDir)
+  ) {
+    return rebuildVersionPage(build, sourceFilePath, buildContext, marked)
+  }
+  return updateVersionAsset(build, sourceFilePath, buildContext)
+}
+
+/**
+ * Reads the versions.json file of a previous build, or gives null if there is none.
+ */
+async function readVersionsFile(buildContext) {
   const versionsJsonPath = path.join(buildContext.outputDir, VERSIONS_FILE)
-  console.log(`Creating ${path.relative(buildContext.rootDir, versionsJsonPath)}...`)
+  if (!fs.existsSync(versionsJsonPath)) return null
+  return JSON.parse(await readFile(versionsJsonPath, "utf8"))
+}
+
+/**
+ * Merges the entries of versions.json of the versions just built into those of the previous build, in the
+ * order of the configured versions. Versions no longer configured are dropped.
+ */
+function mergeVersionsData(configuredVersions, previousVersionsData, builtVersionsData) {
+  const findById = (versionsData, id) => versionsData.find((versionData) => versionData.id === id)
+  return configuredVersions
+    .map(({ id }) => findById(builtVersionsData, id) ?? findById(previousVersionsData, id))
+    .filter(Boolean)
+}
+
+/**
+ * Writes the versions.json file. With `merge`, the entries of the given versions replace theirs in the
+ * versions.json of the previous build, which keeps the other configured versions.
+ */
+async function writeVersionsFile(buildContext, allVersionsData, { merge = false } = {}) {
+  const versionsJsonPath = path.join(buildContext.outputDir, VERSIONS_FILE)
+  const versions = merge
+    ? mergeVersionsData(
+        buildContext.config.versions,
+        (await readVersionsFile(buildContext))?.versions ?? [],
+        allVersionsData,
+      )
+    : allVersionsData
+  console.log(`${merge ? "Updating" : "Creating"} ${path.relative(buildContext.rootDir, versionsJsonPath)}...`)
   await writeFile(
     versionsJsonPath,
     JSON.stringify(
       {
-        versions: allVersionsData,
+        versions,
         defaultVersionId: buildContext.config.defaultVersionId,
       },
       null,
@@ -202,10 +553,19 @@ async function writeVersionsFile(buildContext, allVersionsData) {
 
 module.exports = {
   getGlobPatterns,
+  matchesPageGlobs,
   processFileResults,
   processMarkdownFiles,
   _processVersionSourceFiles,
+  loadVersionFunctions,
+  resolveVersionFunctionsFile,
+  resolveVersionFixtures,
+  buildVersion,
   processSingleVersion,
+  selectVersions,
+  buildVersions,
   processVersions,
+  rebuildVersionFile,
+  readVersionsFile,
   writeVersionsFile,
 }
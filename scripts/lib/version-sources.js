@@ -0,0 +1,68 @@
+const path = require("node:path")
+
+// ID of the source of a version that declares no sources: the spec repository of specRepoUrl
+const SPEC_SOURCE_ID = "spec"
+
+/**
+ * Gives the sources a version's pages are built from. A version declaring `sources` is built from each of
+ * them, cloned into a directory of its own under the version's clone directory. Any other version is built
+ * from the spec repository of `specRepoUrl`, at the version's `ref` and with its `sourcePath` and globs,
+ * cloned into the version's clone directory and mounted at the root of the version.
+ * @param {Object} versionConfig - The version's configuration
+ * @param {Object} buildContext - Build context with config and tempDir
+ * @returns {Array<Object>} The sources, each with `id`, `repoUrl`, `ref`, `isTag`, `sourcePath`, `includeGlobs`,
+ *   `excludeGlobs`, `mount` and `navSection`, and `clonePath`, the directory the Git operations check it out to
+ */
+function resolveVersionSources(versionConfig, buildContext) {
+  const versionClonePath = path.join(buildContext.tempDir, versionConfig.id)
+  if (!versionConfig.sources) {
+    return [
+      {
+        id: SPEC_SOURCE_ID,
+        repoUrl: buildContext.config.specRepoUrl,
+        ref: versionConfig.ref,
+        isTag: versionConfig.isTag ?? false,
+        sourcePath: versionConfig.sourcePath || "",
+        includeGlobs: versionConfig.includeGlobs,
+        excludeGlobs: versionConfig.excludeGlobs,
+        mount: "",
+        navSection: null,
+        clonePath: versionClonePath,
+      },
+    ]
+  }
+
+  return versionConfig.sources.map((source) => ({
+    ...source,
+    isTag: source.isTag ?? false,
+    sourcePath: source.sourcePath || "",
+    mount: source.mount || "",
+    navSection: source.navSection || null,
+    clonePath: path.join(versionClonePath, source.id),
+  }))
+}
+
+/**
+ * Names a version's source in logs: "Spec" for the spec repository of a version without sources, and the
+ * source's ID otherwise.
+ */
+function describeSource(versionConfig, source) {
+  return versionConfig.sources ? source.id : "Spec"
+}
+
+/**
+ * Gives the navigation sections of a version, one per source with a `navSection`, in the order of its sources.
+ * @returns {Array<{id: string, title: string}>} The sections, which pages refer to by the ID of their source
+ */
+function getNavSections(versionConfig) {
+  return (versionConfig.sources ?? [])
+    .filter((source) => source.navSection)
+    .map((source) => ({ id: source.id, title: source.navSection }))
+}
+
+module.exports = {
+  SPEC_SOURCE_ID,
+  resolveVersionSources,
+  describeSource,
+  getNavSections,
+}
@@ -0,0 +1,71 @@
+const fs = require("node:fs")
+const path = require("node:path")
+
+// How long changes settle before they are handled, so that a save touching several files is handled once
+const WATCH_DEBOUNCE_MS = 150
+
+// Hidden files and editor backups, which change while editing without being part of the docs
+const IGNORED_FILE_PATTERN = /(^\.|~$|\.swp$)/
+
+/**
+ * Watches files and directories, directories recursively, and calls back with the files changed, added or
+ * removed once changes settle. Callbacks run one at a time: changes made while one runs are handled after it.
+ * Files are watched through their directory, so that editors replacing them on save are still noticed, and
+ * files created later, such as a config.local.json added while watching, are too.
+ * @param {Array<string>} paths - Files and directories to watch; those in a directory that does not exist are
+ *   skipped
+ * @param {(changedFiles: Array<string>) => Promise<void>|void} onChange - Called with the absolute paths of the
+ *   changed files
+ * @param {Object} [options] - Options
+ * @param {number} [options.debounceMs] - How long changes settle before onChange is called
+ * @returns {{close: () => void}} Stops watching
+ */
+function watchPaths(paths, onChange, { debounceMs = WATCH_DEBOUNCE_MS } = {}) {
+  let pending = new Set()
+  let timer = null
+  let queue = Promise.resolve()
+
+  const handlePending = () => {
+    timer = null
+    const changedFiles = [...pending].sort()
+    pending = new Set()
+    queue = queue
+      .then(() => onChange(changedFiles))
+      .catch((error) => console.error(`Error handling changes: ${error.message}`))
+  }
+
+  const recordChange = (filePath) => {
+    if (IGNORED_FILE_PATTERN.test(path.basename(filePath))) return
+    pending.add(filePath)
+    clearTimeout(timer)
+    timer = setTimeout(handlePending, debounceMs)
+  }
+
+  const watchers = []
+  for (const watchedPath of paths.map((p) => path.resolve(p))) {
+    const directory = path.dirname(watchedPath)
+    if (fs.statSync(watchedPath, { throwIfNoEntry: false })?.isDirectory()) {
+      const watcher = fs.watch(watchedPath, { recursive: true }, (_event, fileName) => {
+        if (fileName) recordChange(path.join(watchedPath, fileName.toString()))
+      })
+      watchers.push(watcher)
+    } else if (fs.existsSync(directory)) {
+      const watcher = fs.watch(directory, (_event, fileName) => {
+        if (fileName && path.join(directory, fileName.toString()) === watchedPath) recordChange(watchedPath)
+      })
+      watchers.push(watcher)
+    }
+  }
+
+  return {
+    close() {
+      clearTimeout(timer)
+      for (const watcher of watchers) watcher.close()
+    },
+  }
+}
+
+module.exports = {
+  WATCH_DEBOUNCE_MS,
+  watchPaths,
+}
@@ -1,7 +1,9 @@
 #!/usr/bin/env node
 
 const path = require("node:path")
-const { validateMultipleFiles, findMarkdownFiles, formatValidationResults } = require("./lib/jmespath-validation")
+const { validateMultipleFiles, findMarkdownFiles } = require("./lib/jmespath-validation")
+const { VALIDATION_REPORT_FORMATS, reportValidationResults } = require("./lib/validation-reports")
+const { watchPaths } = require("./lib/watch")
 
 /**
  * Parses command line arguments
@@ -14,6 +16,11 @@ function parseArgs(args) {
     showWarnings: true,
     help: false,
     recursive: true,
+    functionsFile: null,
+    fixturesDir: null,
+    format: "text",
+    output: null,
+    watch: false,
   }
 
   for (let i = 0; i < args.length; i++) {
@@ -33,6 +40,37 @@ function parseArgs(args) {
       case "--no-recursive":
         options.recursive = false
         break
+      case "--functions":
+        options.functionsFile = args[++i]
+        if (!options.functionsFile) {
+          console.error("Option --functions needs a file")
+          process.exit(1)
+        }
+        break
+      case "--fixtures":
+        options.fixturesDir = args[++i]
+        if (!options.fixturesDir) {
+          console.error("Option --fixtures needs a directory")
+          process.exit(1)
+        }
+        break
+      case "--format":
+        options.format = args[++i]
+        if (!VALIDATION_REPORT_FORMATS.includes(options.format)) {
+          console.error(`Option --format needs one of: ${VALIDATION_REPORT_FORMATS.join(", ")}`)
+          process.exit(1)
+        }
+        break
+      case "--output":
+        options.output = args[++i]
+        if (!options.output) {
+          console.error("Option --output needs a file")
+          process.exit(1)
+        }
+        break
+      case "--watch":
+        options.watch = true
+        break
       case "--help":
       case "-h":
         options.help = true
@@ -47,6 +85,14 @@ function parseArgs(args) {
     }
   }
 
+  if (options.output && options.format === "text") {
+    console.error("Option --output needs a --format other than text")
+    process.exit(1)
+  }
+  if (options.watch && options.format !== "text") {
+    console.error("Option --watch reports as text and cannot be used with --format")
+    process.exit(1)
+  }
   return options
 }
 
@@ -67,6 +113,15 @@ Options:
   --fail-fast          Stop validation on first error
   --no-warnings        Don't show warnings in output
   --no-recursive       Don't recursively search directories
+  --functions <file>   Register the custom functions of this functions.js for every file
+                       (default: the nearest functions.js above each file)
+  --fixtures <dir>     Read the fixtures of @fixture blocks from this directory for every file
+                       (default: the nearest fixtures directory above each file)
+  --format <format>    Report the results as text (default), json, junit (JUnit XML),
+                       sarif (SARIF 2.1.0) or github (GitHub Actions annotations)
+  --output <file>      Write the report of --format to a file instead of the standard output
+  --watch              Keep running and revalidate the markdown files that change, or every file
+                       when a functions.js or fixture changes
   -h, --help           Show this help message
 
 Examples:
@@ -74,20 +129,27 @@ Examples:
   node scripts/validate-jmespath.cjs local_docs/current
   node scripts/validate-jmespath.cjs --verbose local_docs/current/array_slicing_advanced_indexing.md
   node scripts/validate-jmespath.cjs --fail-fast local_docs
+  node scripts/validate-jmespath.cjs --format junit --output test-results/jmespath.xml
+  node scripts/validate-jmespath.cjs --watch local_docs/current
 `)
 }
 
+/**
+ * Gives the paths to validate, defaulting to local_docs if no paths are provided
+ */
+function getPathsToProcess(inputPaths) {
+  return inputPaths.length === 0 ? ["local_docs"] : inputPaths
+}
+
 /**
  * Resolves file paths from command line arguments
+ * @throws {Error} If a path cannot be accessed, such as a file removed since validation started
  */
 async function resolveFilePaths(inputPaths, options) {
   const { recursive } = options
   const allFiles = []
 
-  // Default to local_docs if no paths provided
-  const pathsToProcess = inputPaths.length === 0 ? ["local_docs"] : inputPaths
-
-  for (const inputPath of pathsToProcess) {
+  for (const inputPath of getPathsToProcess(inputPaths)) {
     const resolvedPath = path.resolve(inputPath)
 
     try {
@@ -104,14 +166,62 @@ async function resolveFilePaths(inputPaths, options) {
         allFiles.push(...foundFiles)
       }
     } catch (error) {
-      console.error(`Error: Cannot access path '${inputPath}': ${error.message}`)
-      process.exit(1)
+      throw new Error(`Cannot access path '${inputPath}': ${error.message}`)
     }
   }
 
   return allFiles
 }
 
+/**
+ * Validates files and reports the results
+ * @returns {Promise<boolean>} Whether every file passed validation
+ */
+async function validateAndReport(filePaths, options, reportsToStdout) {
+  const results = await validateMultipleFiles(filePaths, {
+    verbose: options.verbose && !reportsToStdout,
+    failFast: options.failFast,
+    functionsFile: options.functionsFile,
+    fixturesDir: options.fixturesDir,
+  })
+
+  await reportValidationResults(results, {
+    format: options.format,
+    output: options.output,
+    verbose: options.verbose,
+    showWarnings: options.showWarnings,
+  })
+  return results.success
+}
+
+/**
+ * Revalidates the markdown files that change under the validated paths, or every file when another file
+ * changes, such as a functions.js or a fixture that any file may use. Runs until interrupted.
+ */
+function watchAndValidate(options) {
+  const watchedPaths = [...getPathsToProcess(options.paths), options.functionsFile, options.fixturesDir].filter(Boolean)
+
+  watchPaths(watchedPaths, async (changedFiles) => {
+    let filePaths
+    try {
+      filePaths = await resolveFilePaths(options.paths, options)
+    } catch (error) {
+      // A validated file removed or renamed is reported, and validated again once it is back
+      console.error(`\nError: ${error.message}`)
+      return
+    }
+    const onlyMarkdownChanged = changedFiles.every((filePath) => filePath.endsWith(".md"))
+    const filesToValidate = onlyMarkdownChanged
+      ? filePaths.filter((filePath) => changedFiles.includes(filePath))
+      : filePaths
+    if (filesToValidate.length === 0) return
+
+    console.log(`\n🔍 Revalidating ${filesToValidate.length} markdown file(s)...`)
+    await validateAndReport(filesToValidate, options, false)
+  })
+  console.log("\n👀 Watching for changes (press Ctrl+C to stop)...")
+}
+
 /**
  * Main execution function
  */
@@ -124,37 +234,37 @@ async function main() {
     process.exit(0)
   }
 
+  // Progress goes to the standard error while the standard output carries a report
+  const reportsToStdout = options.format !== "text" && !options.output
+  const log = reportsToStdout ? console.error : console.log
+
   try {
-    console.log("🔍 JMESPath Documentation Validator")
+    log("🔍 JMESPath Documentation Validator")
 
     const filePaths = await resolveFilePaths(options.paths, options)
 
-    if (filePaths.length === 0) {
-      console.log("No markdown files found to validate.")
+    if (filePaths.length === 0 && !options.watch) {
+      log("No markdown files found to validate.")
       process.exit(0)
     }
 
-    console.log(`Found ${filePaths.length} markdown file(s) to validate`)
+    log(`Found ${filePaths.length} markdown file(s) to validate`)
 
     if (options.verbose) {
-      console.log("Files to validate:")
+      log("Files to validate:")
       for (const filePath of filePaths) {
-        console.log(`  ${path.relative(process.cwd(), filePath)}`)
+        log(`  ${path.relative(process.cwd(), filePath)}`)
       }
     }
 
-    const results = await validateMultipleFiles(filePaths, {
-      verbose: options.verbose,
-      failFast: options.failFast,
-    })
+    const success = await validateAndReport(filePaths, options, reportsToStdout)
 
-    formatValidationResults(results, {
-      verbose: options.verbose,
-      showWarnings: options.showWarnings,
-    })
+    // Exit with error code if validation failed, once the report is written out
+    process.exitCode = success ? 0 : 1
 
-    // Exit with error code if validation failed
-    process.exit(results.success ? 0 : 1)
+    if (options.watch) {
+      watchAndValidate(options)
+    }
   } catch (error) {
     console.error(`\nValidation failed: ${error.message}`)
     if (options.verbose && error.stack) {
@@ -0,0 +1,125 @@
+import {
+  findMatchingBracket,
+  HIGHLIGHT_SIZE_LIMIT,
+  highlightCode,
+  tokenizeJmespath,
+  tokenizeJson,
+} from "../scripts/lib/syntax-highlighting.js"
+
+/**
+ * Turns a textarea into a lightweight code editor: a syntax-highlighted layer is drawn behind the
+ * (transparent) textarea text, with line numbers, matching-bracket highlighting and an optional
+ * error underline. The textarea stays the source of truth for the value, focus and selection.
+ */
+export class CodeEditor {
+  /**
+   * @param {HTMLTextAreaElement} textarea - The textarea to enhance.
+   * @param {"json" | "jmespath" | "text"} language - The language to highlight.
+   */
+  constructor(textarea, language) {
+    this.textarea = textarea
+    this.language = language
+    this.errorRange = null
+    this.lineCount = 0
+
+    this.wrapper = document.createElement("div")
+    this.wrapper.className = `code-editor code-editor-${language}`
+    this.gutter = document.createElement("div")
+    this.gutter.className = "code-editor-gutter"
+    this.gutter.setAttribute("aria-hidden", "true")
+    const body = document.createElement("div")
+    body.className = "code-editor-body"
+    const highlightLayer = document.createElement("pre")
+    highlightLayer.className = "code-editor-highlight"
+    highlightLayer.setAttribute("aria-hidden", "true")
+    this.highlightTarget = document.createElement("code")
+    highlightLayer.appendChild(this.highlightTarget)
+    this.highlightLayer = highlightLayer
+
+    textarea.parentNode.insertBefore(this.wrapper, textarea)
+    body.append(highlightLayer, textarea)
+    this.wrapper.append(this.gutter, body)
+    textarea.classList.add("code-editor-input")
+    textarea.setAttribute("wrap", "off")
+
+    this.render = this.render.bind(this)
+    textarea.addEventListener("input", () => {
+      // Edits move the text away from the reported error
+      this.errorRange = null
+      this.render()
+    })
+    for (const eventName of ["keyup", "click", "focus", "blur"]) {
+      textarea.addEventListener(eventName, this.render)
+    }
+    textarea.addEventListener("scroll", () => this.syncScroll())
+
+    this.render()
+  }
+
+  /**
+   * Switches the language the text is highlighted as.
+   * @param {"json" | "jmespath" | "text"} language - The language.
+   */
+  setLanguage(language) {
+    this.wrapper.classList.replace(`code-editor-${this.language}`, `code-editor-${language}`)
+    this.language = language
+    this.render()
+  }
+
+  /**
+   * Underlines a range of the text as erroneous, or clears the underline.
+   * @param {{ start: number, end: number } | null} range - The range, in character offsets.
+   */
+  setErrorRange(range) {
+    this.errorRange = range
+    this.render()
+  }
+
+  /**
+   * Returns the offsets of the bracket next to the cursor and its match, if any.
+   * @returns {{ bracket: number, match: number | null } | null}
+   */
+  getBracketMatch() {
+    const { value, selectionStart, selectionEnd } = this.textarea
+    if (document.activeElement !== this.textarea || selectionStart !== selectionEnd) return null
+    if (value.length > HIGHLIGHT_SIZE_LIMIT || this.language === "text") return null
+    const tokens = this.language === "json" ? tokenizeJson(value) : tokenizeJmespath(value)
+    return findMatchingBracket(tokens, selectionStart)
+  }
+
+  // Redraws the highlighted layer and line numbers from the textarea's current value.
+  render() {
+    const text = this.textarea.value
+    const decorations = []
+
+    if (this.errorRange) {
+      // Zero-width errors (such as a missing closing bracket at the end) underline the previous character
+      const start = Math.min(this.errorRange.start, Math.max(text.length - 1, 0))
+      decorations.push({ start, end: Math.max(this.errorRange.end, start + 1), className: "code-error" })
+    }
+    const bracketMatch = this.getBracketMatch()
+    if (bracketMatch) {
+      const className = bracketMatch.match === null ? "bracket-unmatched" : "bracket-match"
+      decorations.push({ start: bracketMatch.bracket, end: bracketMatch.bracket + 1, className })
+      if (bracketMatch.match !== null) {
+        decorations.push({ start: bracketMatch.match, end: bracketMatch.match + 1, className })
+      }
+    }
+
+    // The trailing newline keeps the layer as tall as the textarea when the text ends with a newline
+    this.highlightTarget.innerHTML = `${highlightCode(text, this.language, { decorations })}\n`
+
+    const lineCount = text.split("\n").length
+    if (lineCount !== this.lineCount) {
+      this.lineCount = lineCount
+      this.gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join("\n")
+    }
+    this.syncScroll()
+  }
+
+  syncScroll() {
+    this.highlightLayer.scrollTop = this.textarea.scrollTop
+    this.highlightLayer.scrollLeft = this.textarea.scrollLeft
+    this.gutter.scrollTop = this.textarea.scrollTop
+  }
+}
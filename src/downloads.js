@@ -0,0 +1,15 @@
+/**
+ * Saves text as a file through the browser's download prompt.
+ * @param {string} text - The file contents.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} mimeType - The type of the file.
+ */
+export function downloadTextFile(text, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = fileName
+  link.click()
+  // Revoked once the download has started
+  setTimeout(() => URL.revokeObjectURL(url))
+}
@@ -0,0 +1,145 @@
+import { handleRequest } from "./queryEvaluation.js"
+
+// Time a single evaluation may take before the worker is stopped
+export const DEFAULT_EVALUATION_TIMEOUT_MS = 2000
+
+// Location of the worker bundle, relative to index.html
+const WORKER_URL = "assets/evaluation.worker.js"
+
+let worker = null
+let isWorkerUnavailable = false
+let nextRequestId = 1
+
+// Requests posted to the worker and not yet answered, by id
+const pendingRequests = new Map()
+
+// The latest request id of each channel, used to supersede older requests
+const latestRequestIds = new WeakMap()
+
+// Custom functions of the page shown, sent along with every request
+let customFunctions = []
+
+function settle(id, response) {
+  const pending = pendingRequests.get(id)
+  if (!pending) return
+  clearTimeout(pending.timer)
+  pendingRequests.delete(id)
+  pending.resolve(response)
+}
+
+function startTimer(id) {
+  const pending = pendingRequests.get(id)
+  pending.timer = setTimeout(() => handleTimeout(id), pending.timeoutMs)
+}
+
+function postRequest(id) {
+  worker.postMessage({ type: "evaluate", id, request: pendingRequests.get(id).request })
+  startTimer(id)
+}
+
+// The running query cannot be interrupted, so the worker is replaced and the other requests re-posted.
+function handleTimeout(id) {
+  settle(id, { status: "timeout", timeoutMs: pendingRequests.get(id)?.timeoutMs })
+  restartWorker()
+}
+
+function restartWorker() {
+  worker?.terminate()
+  worker = null
+  if (pendingRequests.size === 0) return
+
+  if (!getWorker()) {
+    for (const id of [...pendingRequests.keys()]) {
+      settle(id, { status: "done", result: handleRequest(pendingRequests.get(id).request) })
+    }
+    return
+  }
+  for (const [id, pending] of pendingRequests) {
+    clearTimeout(pending.timer)
+    postRequest(id)
+  }
+}
+
+function getWorker() {
+  if (worker || isWorkerUnavailable) return worker
+  if (typeof Worker !== "function") {
+    isWorkerUnavailable = true
+    return null
+  }
+
+  try {
+    worker = new Worker(WORKER_URL)
+  } catch (e) {
+    console.warn(`Could not start the evaluation worker, evaluating on the main thread: ${e.message}`)
+    isWorkerUnavailable = true
+    return null
+  }
+
+  worker.addEventListener("message", (event) => {
+    const { id, result } = event.data
+    settle(id, { status: "done", result })
+  })
+  worker.addEventListener("error", (event) => {
+    console.warn(`Evaluation worker failed, evaluating on the main thread: ${event.message || "script error"}`)
+    event.preventDefault?.()
+    isWorkerUnavailable = true
+    restartWorker()
+  })
+  return worker
+}
+
+/**
+ * Sets the custom functions that requests are evaluated with, replacing those of the previous page.
+ * @param {Array<{ name: string, signature: string[], implementation: string }>} functions - The functions
+ *   the page declares, see useCustomFunctions.
+ */
+export function setCustomFunctions(functions) {
+  customFunctions = functions
+}
+
+/**
+ * Evaluates a playground request, or computes query completions, in the evaluation worker.
+ *
+ * Each channel (any object identifying the requester, such as a playground) has at most one live
+ * request: a new request supersedes the previous one, which resolves as "cancelled". Without worker
+ * support the request is evaluated on the main thread, without a time limit.
+ * @param {object} channel - Identifies the requester.
+ * @param {object} request - The request for handleRequest: { json, query, engineId, compare } to evaluate a
+ *   query, or { kind: "complete", json, query, cursor, engineId } for completions.
+ * @param {object} [options] - Options.
+ * @param {number} [options.timeoutMs] - Time budget, after which the request resolves as "timeout".
+ * @returns {Promise<{ status: "done", result: object } | { status: "timeout", timeoutMs: number } | { status: "cancelled" }>}
+ */
+export function requestEvaluation(channel, request, { timeoutMs = DEFAULT_EVALUATION_TIMEOUT_MS } = {}) {
+  const postedRequest = customFunctions.length > 0 ? { ...request, functions: customFunctions } : request
+  const id = nextRequestId++
+  const previousId = latestRequestIds.get(channel)
+  latestRequestIds.set(channel, id)
+
+  if (previousId !== undefined && pendingRequests.has(previousId)) {
+    worker?.postMessage({ type: "cancel", id: previousId })
+    settle(previousId, { status: "cancelled" })
+  }
+
+  if (!getWorker()) {
+    const result = handleRequest(postedRequest)
+    return Promise.resolve(latestRequestIds.get(channel) === id ? { status: "done", result } : { status: "cancelled" })
+  }
+
+  return new Promise((resolve) => {
+    pendingRequests.set(id, { request: postedRequest, resolve, timeoutMs, timer: null })
+    postRequest(id)
+  })
+}
+
+/**
+ * Stops the worker and forgets all pending requests. Intended for tests.
+ */
+export function resetEvaluationWorker() {
+  for (const pending of pendingRequests.values()) clearTimeout(pending.timer)
+  pendingRequests.clear()
+  customFunctions = []
+  worker?.terminate()
+  worker = null
+  isWorkerUnavailable = false
+}
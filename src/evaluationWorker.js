@@ -0,0 +1,42 @@
+// Web Worker evaluating playground queries off the main thread.
+//
+// Protocol:
+//   -> { type: "evaluate", id, request }   queue a request (see handleRequest)
+//   -> { type: "cancel", id }              drop a queued request that has not started yet
+//   <- { id, result }                      the result of a request
+//
+// Requests are started from a zero-delay timer rather than straight from the message handler, so
+// cancellations posted right after a request (e.g. by the next keystroke) are seen before it starts.
+// A request that is already running cannot be interrupted; the client terminates the worker instead.
+
+import { handleRequest } from "./queryEvaluation.js"
+
+const queue = new Map()
+let isScheduled = false
+
+function processQueue() {
+  isScheduled = false
+  const next = queue.entries().next()
+  if (next.done) return
+
+  const [id, request] = next.value
+  queue.delete(id)
+  self.postMessage({ id, result: handleRequest(request) })
+  scheduleProcessing()
+}
+
+function scheduleProcessing() {
+  if (isScheduled || queue.size === 0) return
+  isScheduled = true
+  setTimeout(processQueue, 0)
+}
+
+self.addEventListener("message", (event) => {
+  const { type, id, request } = event.data
+  if (type === "evaluate") {
+    queue.set(id, request)
+    scheduleProcessing()
+  } else if (type === "cancel") {
+    queue.delete(id)
+  }
+})
@@ -0,0 +1,45 @@
+// Signatures of the built-in JMESPath functions, in the notation of the specification and the
+// function reference pages, shown next to function names in query completions.
+export const FUNCTION_SIGNATURES = new Map([
+  ["abs", "number abs(number $value)"],
+  ["avg", "number avg(array[number] $numbers)"],
+  ["ceil", "number ceil(number $value)"],
+  ["contains", "boolean contains(array|string $subject, any $search)"],
+  ["ends_with", "boolean ends_with(string $subject, string $suffix)"],
+  ["find_first", "number find_first(string $subject, string $sub[, number $start[, number $end]])"],
+  ["find_last", "number find_last(string $subject, string $sub[, number $start[, number $end]])"],
+  ["floor", "number floor(number $value)"],
+  ["from_items", "object from_items(array[array[any]] $pairs)"],
+  ["group_by", "object group_by(array[object] $elements, expression->string $expr)"],
+  ["items", "array[array[any]] items(object $obj)"],
+  ["join", "string join(string $glue, array[string] $stringsarray)"],
+  ["keys", "array[string] keys(object $obj)"],
+  ["length", "number length(string|array|object $value)"],
+  ["lower", "string lower(string $subject)"],
+  ["map", "array[any] map(expression->any->any $expr, array[any] $elements)"],
+  ["max", "number|string max(array[number]|array[string] $collection)"],
+  ["max_by", "any max_by(array $elements, expression->number|expression->string $expr)"],
+  ["merge", "object merge(object $obj1[, object $obj2, ...])"],
+  ["min", "number|string min(array[number]|array[string] $collection)"],
+  ["min_by", "any min_by(array $elements, expression->number|expression->string $expr)"],
+  ["not_null", "any not_null(any $arg1[, any $arg2, ...])"],
+  ["pad_left", "string pad_left(string $subject, number $width[, string $pad])"],
+  ["pad_right", "string pad_right(string $subject, number $width[, string $pad])"],
+  ["replace", "string replace(string $subject, string $old, string $new[, number $count])"],
+  ["reverse", "array|string reverse(array|string $argument)"],
+  ["sort", "array sort(array[number]|array[string] $list)"],
+  ["sort_by", "array sort_by(array $elements, expression->number|expression->string $expr)"],
+  ["split", "array[string] split(string $subject, string $search[, number $count])"],
+  ["starts_with", "boolean starts_with(string $subject, string $prefix)"],
+  ["sum", "number sum(array[number] $numbers)"],
+  ["to_array", "array to_array(any $arg)"],
+  ["to_number", "number to_number(any $arg)"],
+  ["to_string", "string to_string(any $arg)"],
+  ["trim", "string trim(string $subject[, string $chars])"],
+  ["trim_left", "string trim_left(string $subject[, string $chars])"],
+  ["trim_right", "string trim_right(string $subject[, string $chars])"],
+  ["type", "string type(any $value)"],
+  ["upper", "string upper(string $subject)"],
+  ["values", "array values(object $obj)"],
+  ["zip", "array[array[any]] zip(array $arg1[, array $arg2, ...])"],
+])
@@ -0,0 +1,179 @@
+import { CORE_SCHEMA, loadAll, types } from "js-yaml"
+import JSON5 from "json5"
+import { locateJsonError } from "../scripts/lib/syntax-highlighting.js"
+
+// Format playground inputs are parsed as unless the reader picks another one
+export const DEFAULT_INPUT_FORMAT = "json"
+
+// YAML 1.2 core types plus merge keys (<<), which Kubernetes and Compose files use. Timestamps and
+// other YAML-only types are left as strings, so every document converts to JSON.
+const YAML_SCHEMA = CORE_SCHEMA.extend({ implicit: [types.merge] })
+
+function lineStartOffset(text, line) {
+  return text
+    .split("\n")
+    .slice(0, line - 1)
+    .reduce((offset, current) => offset + current.length + 1, 0)
+}
+
+function parseJson(text) {
+  try {
+    return { data: JSON.parse(text) }
+  } catch (e) {
+    return { error: { message: `Invalid JSON: ${e.message}`, offset: locateJsonError(e.message, text) } }
+  }
+}
+
+// A stream of several documents, as in multi-resource Kubernetes manifests, is queried as an array
+// of its documents, leaving out empty ones such as those after a trailing "---"
+function parseYaml(text) {
+  try {
+    const documents = loadAll(text, null, { schema: YAML_SCHEMA })
+    return { data: documents.length > 1 ? documents.filter((document) => document !== null) : documents[0] }
+  } catch (e) {
+    return { error: { message: `Invalid YAML: ${e.reason || e.message}`, offset: e.mark?.position ?? null } }
+  }
+}
+
+function parseJson5(text) {
+  try {
+    return { data: JSON5.parse(text) }
+  } catch (e) {
+    const message = e.message.replace(/^JSON5: /, "").replace(/ at \d+:\d+$/, "")
+    const offset = e.lineNumber ? lineStartOffset(text, e.lineNumber) + e.columnNumber - 1 : null
+    return {
+      error: { message: `Invalid JSON5: ${message}`, offset: offset === null ? null : Math.min(offset, text.length) },
+    }
+  }
+}
+
+// One JSON value per line, queried as an array; blank lines are skipped
+function parseNdjson(text) {
+  const data = []
+  let lineStart = 0
+  for (const [index, line] of text.split("\n").entries()) {
+    if (line.trim() !== "") {
+      try {
+        data.push(JSON.parse(line))
+      } catch (e) {
+        const offset = locateJsonError(e.message, line)
+        return {
+          error: {
+            message: `Invalid NDJSON on line ${index + 1}: ${e.message}`,
+            offset: lineStart + (offset ?? 0),
+          },
+        }
+      }
+    }
+    lineStart += line.length + 1
+  }
+  return { data }
+}
+
+const QUOTED_FIELD_PATTERN = /"((?:[^"]|"")*)"/y
+const PLAIN_FIELD_PATTERN = /[^,\r\n]*/y
+
+// Reads the field starting at an offset, returning its value and where it ends
+function readCsvField(text, offset) {
+  if (text[offset] !== '"') {
+    PLAIN_FIELD_PATTERN.lastIndex = offset
+    const [value] = PLAIN_FIELD_PATTERN.exec(text)
+    return { value, end: offset + value.length }
+  }
+
+  QUOTED_FIELD_PATTERN.lastIndex = offset
+  const match = QUOTED_FIELD_PATTERN.exec(text)
+  if (!match) return { error: { message: "Invalid CSV: unterminated quoted field", offset } }
+  const end = offset + match[0].length
+  if (end < text.length && !",\r\n".includes(text[end])) {
+    return { error: { message: "Invalid CSV: unexpected text after a quoted field", offset: end } }
+  }
+  return { value: match[1].replace(/""/g, '"'), end }
+}
+
+// Reads the fields of the row starting at an offset, up to the line break ending it
+function readCsvRow(text, offset) {
+  const fields = []
+  let end = offset
+  for (;;) {
+    const field = readCsvField(text, end)
+    if (field.error) return { error: field.error }
+    fields.push(field.value)
+    end = field.end
+    if (text[end] !== ",") return { fields, end }
+    end += 1
+  }
+}
+
+/**
+ * Splits CSV text into rows of fields, following RFC 4180: fields are separated by commas, rows by
+ * CRLF or LF, and fields in double quotes may contain commas, line breaks and doubled quotes.
+ * @param {string} text - The CSV text.
+ * @returns {{ rows: Array<{ offset: number, fields: string[] }> } | { error: { message: string, offset: number } }}
+ *   - The rows with the offsets they start at, or the error and its offset.
+ */
+export function splitCsvRows(text) {
+  const rows = []
+  let offset = 0
+  while (offset < text.length) {
+    const row = readCsvRow(text, offset)
+    if (row.error) return { error: row.error }
+    rows.push({ offset, fields: row.fields })
+    offset = row.end
+    // Skip the line break ending the row
+    if (text[offset] === "\r") offset += 1
+    if (text[offset] === "\n") offset += 1
+  }
+  return { rows }
+}
+
+// Rows after the header become objects keyed by the header's names; values stay strings
+function parseCsv(text) {
+  const { rows, error } = splitCsvRows(text)
+  if (error) return { error }
+
+  const [header, ...records] = rows.filter((row) => row.fields.some((field) => field !== ""))
+  if (!header) return { data: [] }
+  const data = []
+  for (const record of records) {
+    if (record.fields.length !== header.fields.length) {
+      return {
+        error: {
+          message: `Invalid CSV: row ${rows.indexOf(record) + 1} has ${record.fields.length} fields, but the header has ${header.fields.length}`,
+          offset: record.offset,
+        },
+      }
+    }
+    data.push(Object.fromEntries(header.fields.map((name, index) => [name, record.fields[index]])))
+  }
+  return { data }
+}
+
+const INPUT_FORMATS = new Map([
+  ["json", { label: "JSON", parse: parseJson }],
+  ["yaml", { label: "YAML", parse: parseYaml }],
+  ["json5", { label: "JSON5 / JSONC", parse: parseJson5 }],
+  ["ndjson", { label: "NDJSON", parse: parseNdjson }],
+  ["csv", { label: "CSV", parse: parseCsv }],
+])
+
+/**
+ * Lists the formats a playground's input can be written in.
+ * @returns {Array<{ id: string, label: string }>} - The formats, JSON first.
+ */
+export function listInputFormats() {
+  return [...INPUT_FORMATS].map(([id, { label }]) => ({ id, label }))
+}
+
+/**
+ * Parses a playground's input into the JSON value queries run against. Empty input is null in every
+ * format. Errors name the format and give the offset of the problem in the input where it is known.
+ * @param {string} text - The input.
+ * @param {string} [format] - The input format; unknown formats are parsed as JSON.
+ * @returns {{ data: any } | { error: { message: string, offset: number | null } }} - The parsed value or the error.
+ */
+export function parseInput(text, format = DEFAULT_INPUT_FORMAT) {
+  if (text.trim() === "") return { data: null }
+  const { parse } = INPUT_FORMATS.get(format) || INPUT_FORMATS.get(DEFAULT_INPUT_FORMAT)
+  return parse(text)
+}
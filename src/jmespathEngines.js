@@ -0,0 +1,82 @@
+import * as communityJmespath from "@jmespath-community/jmespath"
+import legacyJmespath from "jmespath"
+import { registerCustomFunctions } from "../scripts/lib/custom-functions.js"
+
+// Engine used by playgrounds unless the reader picks another one
+export const DEFAULT_ENGINE_ID = "community"
+
+const engines = new Map()
+
+// The custom functions registered last, as JSON, so that requests from the same page do not register them again
+let registeredFunctionsKey = "[]"
+
+/**
+ * Registers a JMESPath implementation the playgrounds can evaluate queries with.
+ * Registering an id again replaces the previous engine.
+ * @param {object} engine - The engine.
+ * @param {string} engine.id - Unique identifier, used in the engine selectors.
+ * @param {string} engine.label - Human-readable name.
+ * @param {(data: any, query: string) => any} engine.search - Evaluates a query against parsed JSON, throwing on errors.
+ * @param {(query: string) => any} [engine.compile] - Parses a query, throwing on syntax errors. Lets the
+ *   playgrounds point at the position of a syntax error.
+ * @param {() => string[]} [engine.listFunctions] - Lists the functions the engine provides, for query
+ *   completions. Defaults to the built-in functions of the specification.
+ */
+export function registerEngine({ id, label, search, compile, listFunctions }) {
+  if (!id || typeof search !== "function") {
+    throw new Error("A JMESPath engine needs an id and a search function.")
+  }
+  engines.set(id, { id, label: label || id, search, compile, listFunctions })
+}
+
+/**
+ * Returns a registered engine, falling back to the default engine for unknown ids.
+ * @param {string} [id] - The engine id.
+ * @returns {{ id: string, label: string, search: Function, compile?: Function }} - The engine.
+ */
+export function getEngine(id) {
+  return engines.get(id) || engines.get(DEFAULT_ENGINE_ID)
+}
+
+/**
+ * Lists the registered engines in registration order.
+ * @returns {Array<{ id: string, label: string, search: Function, compile?: Function }>} - The engines.
+ */
+export function listEngines() {
+  return [...engines.values()]
+}
+
+/**
+ * Registers the custom functions of the page a request comes from with the Community Edition, replacing
+ * those of other pages. The legacy engine does not support custom functions, so queries using them fail
+ * there with an unknown function error.
+ * @param {Array<{ name: string, signature: string[], implementation: string }>} [functions] - The
+ *   functions, as declared by the page, see scripts/lib/custom-functions.js.
+ */
+export function useCustomFunctions(functions = []) {
+  const key = JSON.stringify(functions)
+  if (key === registeredFunctionsKey) return
+  registeredFunctionsKey = key
+
+  try {
+    registerCustomFunctions(communityJmespath, functions)
+  } catch (e) {
+    console.warn(e.message)
+  }
+}
+
+registerEngine({
+  id: DEFAULT_ENGINE_ID,
+  label: "Community Edition",
+  search: communityJmespath.search,
+  compile: communityJmespath.compile,
+  listFunctions: communityJmespath.getRegisteredFunctions,
+})
+
+// The original jmespath.js implements the 2015 specification, without the community extensions
+registerEngine({
+  id: "jmespath.js",
+  label: "jmespath.js (legacy)",
+  search: (data, query) => legacyJmespath.search(data, query),
+  compile: (query) => legacyJmespath.compile(query),
+})
@@ -1,67 +1,385 @@
+import { formatCaretMarker, offsetToLineColumn } from "../scripts/lib/error-positions.js"
+import { isJsonEqual } from "../scripts/lib/json-diff.js"
+import { highlightCode } from "../scripts/lib/syntax-highlighting.js"
+import { CodeEditor } from "./codeEditor.js"
+import { downloadTextFile } from "./downloads.js"
+import { DEFAULT_EVALUATION_TIMEOUT_MS, requestEvaluation, setCustomFunctions } from "./evaluationClient.js"
+import { DEFAULT_INPUT_FORMAT, listInputFormats } from "./inputFormats.js"
+import { DEFAULT_ENGINE_ID, listEngines } from "./jmespathEngines.js"
+import { DEFAULT_OUTPUT_MODE, formatOutput, listOutputModes } from "./outputFormats.js"
+import {
+  buildPlaygroundHash,
+  buildWorkbenchHash,
+  decodePlaygroundState,
+  encodePlaygroundState,
+} from "./playgroundState.js"
+import { buildHistoryKey } from "./playgroundStorage.js"
+import { QueryAutocomplete } from "./queryAutocomplete.js"
+import { QueryExplainPanel } from "./queryExplainPanel.js"
+import { QueryHistory } from "./queryHistory.js"
+import { QueryTabs } from "./queryTabs.js"
+import { ResultDiff } from "./resultDiff.js"
+import { ResultTable } from "./resultTable.js"
+import { SnippetLibrary } from "./snippetLibrary.js"
+
+// Engine selector value showing the results of every registered engine
+export const COMPARE_ENGINES = "compare"
+
 /**
- * Parses the JSON input string and handles potential errors.
- * @param {HTMLTextAreaElement} jsonInput - The JSON input element.
- * @param {HTMLElement} errorArea - The error display area.
- * @returns {object | null | undefined} - The parsed JSON data, null if input is empty, or undefined if parsing fails.
+ * Shows per-engine results side by side, marking those that differ from the first engine.
+ * @param {HTMLElement | null} comparisonArea - The comparison container.
+ * @param {Array<{ engine: object, outcome: object }> | null} results - The results from compareEngines, or null to hide the comparison.
  */
-function parseJsonInput(jsonInput, errorArea) {
-  const jsonString = jsonInput.value
-  jsonInput.classList.remove("invalid-json")
-  errorArea.textContent = ""
+export function renderEngineComparison(comparisonArea, results) {
+  if (!comparisonArea) return
+  comparisonArea.innerHTML = ""
+  comparisonArea.hidden = !results
+  if (!results) return
 
-  if (jsonString.trim() === "") {
-    return null
+  const [reference] = results
+  for (const { engine, outcome } of results) {
+    const agrees =
+      "value" in outcome
+        ? "value" in reference.outcome && isJsonEqual(reference.outcome.value, outcome.value)
+        : "error" in reference.outcome
+
+    const column = document.createElement("div")
+    column.className = `playground-engine-result ${agrees ? "agrees" : "differs"}`
+    const heading = document.createElement("div")
+    heading.className = "playground-engine-name"
+    heading.textContent = engine.label
+    const body = document.createElement("pre")
+    body.textContent = "value" in outcome ? JSON.stringify(outcome.value, null, 2) : `Error: ${outcome.error.message}`
+    column.append(heading, body)
+    comparisonArea.appendChild(column)
   }
+}
 
-  try {
-    return JSON.parse(jsonString)
-  } catch (e) {
-    errorArea.textContent = `Invalid JSON: ${e.message}`
-    jsonInput.classList.add("invalid-json")
-    return undefined
+/**
+ * Fills an engine selector with the registered engines and a "compare" option.
+ * The selector stays hidden when only one engine is registered.
+ * @param {HTMLSelectElement | null} engineSelect - The selector.
+ */
+export function populateEngineSelect(engineSelect) {
+  if (!engineSelect) return
+  const engines = listEngines()
+  const options = [
+    ...engines.map(({ id, label }) => ({ id, label })),
+    { id: COMPARE_ENGINES, label: "Compare all engines" },
+  ]
+  engineSelect.innerHTML = ""
+  for (const { id, label } of options) {
+    const option = document.createElement("option")
+    option.value = id
+    option.textContent = label
+    engineSelect.appendChild(option)
   }
+  engineSelect.value = DEFAULT_ENGINE_ID
+
+  const wrapper = engineSelect.closest("label") || engineSelect
+  wrapper.hidden = engines.length < 2
 }
 
 /**
- * Executes the JMESPath query and handles potential errors.
- * @param {any} jsonData - The data to query.
- * @param {HTMLTextAreaElement} queryInput - The query input element.
- * @param {HTMLElement} outputArea - The output display area.
- * @param {HTMLElement} errorArea - The error display area.
+ * Fills an input format selector with the supported formats, selecting JSON.
+ * @param {HTMLSelectElement | null} formatSelect - The selector.
  */
-function executeJmespathQuery(jsonData, queryInput, outputArea, errorArea) {
-  const queryString = queryInput.value
-  outputArea.textContent = ""
-  queryInput.classList.remove("border-red-500", "dark:border-red-400")
+export function populateFormatSelect(formatSelect) {
+  if (!formatSelect) return
+  formatSelect.innerHTML = ""
+  for (const { id, label } of listInputFormats()) {
+    const option = document.createElement("option")
+    option.value = id
+    option.textContent = label
+    formatSelect.appendChild(option)
+  }
+  formatSelect.value = DEFAULT_INPUT_FORMAT
+}
 
-  if (queryString.trim() === "") {
-    outputArea.textContent = "// Enter a JMESPath query"
-    return
+/**
+ * Fills an output mode selector with the supported modes, selecting JSON.
+ * @param {HTMLSelectElement | null} outputSelect - The selector.
+ */
+export function populateOutputSelect(outputSelect) {
+  if (!outputSelect) return
+  outputSelect.innerHTML = ""
+  for (const { id, label } of listOutputModes()) {
+    const option = document.createElement("option")
+    option.value = id
+    option.textContent = label
+    outputSelect.appendChild(option)
   }
+  outputSelect.value = DEFAULT_OUTPUT_MODE
+}
+
+/**
+ * Highlights the input editor for the selected input format; only JSON is highlighted.
+ * @param {object} elements - The playground's elements.
+ */
+export function applyInputFormat({ formatSelect, jsonEditor }) {
+  const inputFormat = formatSelect?.value || DEFAULT_INPUT_FORMAT
+  jsonEditor?.setLanguage(inputFormat === "json" ? "json" : "text")
+}
+
+/**
+ * Reads a playground's input, its format and the query, as shared in links.
+ * @param {object} elements - The playground's elements.
+ * @returns {{ json: string, query: string, inputFormat: string }} - The playground state.
+ */
+export function readPlaygroundState({ jsonInput, queryInput, formatSelect }) {
+  return { json: jsonInput.value, query: queryInput.value, inputFormat: formatSelect?.value || DEFAULT_INPUT_FORMAT }
+}
+
+/**
+ * Reads the input and query a playground was rendered with, which the textareas keep as their default values.
+ * @param {object} elements - The playground's elements.
+ * @returns {{ json: string, query: string, inputFormat: string }} - The authored example; always JSON.
+ */
+export function readOriginalState({ jsonInput, queryInput }) {
+  return { json: jsonInput.defaultValue, query: queryInput.defaultValue, inputFormat: DEFAULT_INPUT_FORMAT }
+}
+
+/**
+ * Loads a state into a playground's inputs, dispatching the events edits would, so that the editors
+ * follow and the playground re-evaluates.
+ * @param {object} elements - The playground's elements.
+ * @param {{ json: string, query: string, inputFormat?: string }} state - The state to load.
+ */
+export function loadPlaygroundState({ jsonInput, queryInput, formatSelect }, state) {
+  if (formatSelect) {
+    formatSelect.value = state.inputFormat || DEFAULT_INPUT_FORMAT
+    formatSelect.dispatchEvent(new Event("change"))
+  }
+  jsonInput.value = state.json
+  queryInput.value = state.query
+  jsonInput.dispatchEvent(new Event("input"))
+  queryInput.dispatchEvent(new Event("input"))
+}
+
+/**
+ * Reads the documented result a playground's query is expected to produce.
+ * @param {HTMLElement} playground - The playground container element.
+ * @returns {{ value: any } | null} - The expected result, or null if none is documented or it is not valid JSON.
+ */
+export function readExpectedResult(playground) {
+  const expectedText = playground.dataset.expectedResult
+  if (expectedText === undefined) return null
 
   try {
-    const result = jmespath.search(jsonData, queryString)
-    outputArea.textContent = JSON.stringify(result, null, 2)
+    return { value: JSON.parse(expectedText) }
   } catch (e) {
-    errorArea.textContent = `Query Error: ${e.message}`
-    queryInput.classList.add("border-red-500", "dark:border-red-400")
+    console.warn(`Ignoring invalid documented result: ${e.message}`)
+    return null
   }
 }
 
+/**
+ * Shows whether the query outcome matches the documented result.
+ * The badge stays hidden when nothing is documented or there is no outcome to compare.
+ * @param {HTMLElement | null} resultBadge - The badge element.
+ * @param {{ value: any } | null} expectedResult - The documented result.
+ * @param {{ value: any } | { error: Error } | null} outcome - The query outcome.
+ */
+export function updateResultBadge(resultBadge, expectedResult, outcome) {
+  if (!resultBadge) return
+
+  if (!expectedResult || !outcome) {
+    resultBadge.hidden = true
+    return
+  }
+
+  const matches = "value" in outcome && isJsonEqual(expectedResult.value, outcome.value)
+  resultBadge.hidden = false
+  resultBadge.textContent = matches ? "Matches documented result" : "Differs from documented result"
+  resultBadge.classList.toggle("matches", matches)
+  resultBadge.classList.toggle("differs", !matches)
+}
+
+/**
+ * Reads a playground's evaluation time budget from its `data-evaluation-timeout` attribute.
+ * @param {HTMLElement} playground - The playground container element.
+ * @returns {number} - The time budget in milliseconds.
+ */
+export function readEvaluationTimeout(playground) {
+  const timeoutMs = Number.parseInt(playground.dataset.evaluationTimeout, 10)
+  return timeoutMs > 0 ? timeoutMs : DEFAULT_EVALUATION_TIMEOUT_MS
+}
+
 /**
  * Evaluates the JMESPath query based on the current input values.
+ * Evaluation runs in the evaluation worker; a newer evaluation of the same playground supersedes
+ * an older one, whose result is then discarded.
+ * Shared by the inline playgrounds and the full-page workbench.
+ * @param {object} elements - The playground's elements, its documented result and time budget, if any.
+ * @returns {Promise<{ value: any } | { error: object } | null>} - The query outcome, or null if nothing was evaluated.
  */
-const evaluate = (jsonInput, queryInput, outputArea, errorArea) => {
+export async function evaluatePlayground(elements) {
+  const {
+    jsonInput,
+    queryInput,
+    formatSelect,
+    outputArea,
+    errorArea,
+    resultBadge,
+    expectedResult,
+    engineSelect,
+    comparisonArea,
+  } = elements
+  const selectedEngineId = engineSelect?.value || DEFAULT_ENGINE_ID
+  const isComparing = selectedEngineId === COMPARE_ENGINES
+  const timeoutMs = elements.timeoutMs || DEFAULT_EVALUATION_TIMEOUT_MS
+
+  const response = await requestEvaluation(
+    elements,
+    {
+      json: jsonInput.value,
+      query: queryInput.value,
+      inputFormat: formatSelect?.value || DEFAULT_INPUT_FORMAT,
+      engineId: isComparing ? DEFAULT_ENGINE_ID : selectedEngineId,
+      compare: isComparing,
+    },
+    { timeoutMs },
+  )
+  if (response.status === "cancelled") return null
+  elements.explainPanel?.refresh()
+
   errorArea.textContent = ""
+  errorArea.classList.remove("timed-out")
   outputArea.textContent = ""
+  showResultOutput(elements, null)
   jsonInput.classList.remove("invalid-json")
   queryInput.classList.remove("border-red-500", "dark:border-red-400")
+  elements.jsonEditor?.setErrorRange(null)
+  elements.queryEditor?.setErrorRange(null)
 
-  const jsonData = parseJsonInput(jsonInput, errorArea)
+  const outcome = showEvaluationResult(elements, response, timeoutMs)
+  updateResultBadge(resultBadge, expectedResult, outcome)
+  renderEngineComparison(comparisonArea, outcome ? response.result.comparison : null)
+  showChangesFromOriginal(elements, outcome)
+  return outcome
+}
 
-  if (jsonData !== undefined) {
-    executeJmespathQuery(jsonData, queryInput, outputArea, errorArea)
+/**
+ * Enables the Reset button of an edited playground and compares its result with the authored one.
+ * @param {object} elements - The playground's elements.
+ * @param {{ value: any } | { error: object } | null} outcome - The query outcome.
+ */
+function showChangesFromOriginal(elements, outcome) {
+  const { originalState, resetButton, resultDiff } = elements
+  if (!originalState) return
+  const state = readPlaygroundState(elements)
+  if (resetButton) {
+    resetButton.disabled =
+      state.json === originalState.json &&
+      state.query === originalState.query &&
+      state.inputFormat === originalState.inputFormat
   }
+  resultDiff?.update(state, outcome)
+}
+
+/**
+ * Shows the result of an evaluation request in the playground's output and error areas.
+ * @param {object} elements - The playground's elements.
+ * @param {object} response - The response from requestEvaluation.
+ * @param {number} timeoutMs - The time budget the request had.
+ * @returns {{ value: any } | { error: object } | null} - The query outcome, or null if there is none.
+ */
+function showEvaluationResult(elements, response, timeoutMs) {
+  const { jsonInput, queryInput, outputArea, errorArea, jsonEditor, queryEditor } = elements
+  if (response.status === "timeout") {
+    errorArea.textContent = `Evaluation timed out after ${timeoutMs} ms. Try a simpler query or a smaller input.`
+    errorArea.classList.add("timed-out")
+    return null
+  }
+
+  const { inputError, outcome } = response.result
+  if (inputError) {
+    const { message, offset } = inputError
+    jsonInput.classList.add("invalid-json")
+    showPositionedError(errorArea, message, jsonInput.value, offset)
+    if (offset !== null) jsonEditor?.setErrorRange({ start: offset, end: offset + 1 })
+    return null
+  }
+  if (!outcome) {
+    outputArea.textContent = "// Enter a JMESPath query"
+    return null
+  }
+
+  if ("value" in outcome) {
+    showResultOutput(elements, formatResult(elements, outcome.value))
+  } else {
+    const { message, range } = outcome.error
+    showPositionedError(errorArea, `Query Error: ${message}`, queryInput.value, range?.start ?? null)
+    if (range) queryEditor?.setErrorRange(range)
+    queryInput.classList.add("border-red-500", "dark:border-red-400")
+  }
+  return outcome
+}
+
+/**
+ * Formats a query result in the playground's selected output mode.
+ * @param {object} elements - The playground's elements.
+ * @param {any} value - The query result.
+ * @returns {object} - The output from formatOutput, with its mode.
+ */
+function formatResult({ outputSelect }, value) {
+  const mode = outputSelect?.value || DEFAULT_OUTPUT_MODE
+  return { mode, ...formatOutput(value, mode) }
+}
+
+/**
+ * Shows a formatted result in the output area, or in the table view in table mode, and enables the
+ * copy and download buttons while there is a result to copy.
+ * @param {object} elements - The playground's elements.
+ * @param {object | null} output - The output from formatResult, or null to clear the result.
+ */
+function showResultOutput(elements, output) {
+  const { outputArea, resultTable, copyButton, downloadButton } = elements
+  const isTable = output?.mode === "table" && Boolean(output.table) && Boolean(resultTable)
+  elements.resultOutput = output?.error ? null : output
+  resultTable?.render(isTable ? output.table : null)
+  const outputBlock = outputArea.closest(".output-area")
+  if (outputBlock) outputBlock.hidden = isTable
+  if (copyButton) copyButton.disabled = !elements.resultOutput
+  if (downloadButton) downloadButton.disabled = !elements.resultOutput
+
+  if (output?.error) {
+    outputArea.textContent = `// ${output.error}`
+  } else if (output && !isTable) {
+    outputArea.innerHTML = highlightCode(output.text, output.language || "text")
+  }
+}
+
+/**
+ * Returns the result as shown, to copy or download: tables in their current sort order.
+ * @param {object} elements - The playground's elements.
+ * @returns {{ text: string, fileName: string, mimeType: string } | null} - The result, or null if there is none.
+ */
+export function readResultOutput({ resultOutput, resultTable }) {
+  if (!resultOutput) return null
+  return resultOutput.mode === "table" && resultTable ? { ...resultOutput, text: resultTable.text } : resultOutput
+}
+
+/**
+ * Shows an error message. When the error's position is known, the message gives its line and column,
+ * followed by the offending line with a caret under the position.
+ * @param {HTMLElement} errorArea - The playground's error area.
+ * @param {string} message - The error message.
+ * @param {string} text - The input or query the error occurred in.
+ * @param {number | null} offset - The position of the error in the text, or null if unknown.
+ */
+function showPositionedError(errorArea, message, text, offset) {
+  if (offset === null) {
+    errorArea.textContent = message
+    return
+  }
+
+  const { line, column } = offsetToLineColumn(text, offset)
+  errorArea.textContent = `${message} (line ${line}, column ${column})`
+  const caretMarker = document.createElement("pre")
+  caretMarker.className = "error-caret"
+  caretMarker.textContent = formatCaretMarker(text, offset)
+  errorArea.appendChild(caretMarker)
 }
 
 /**
@@ -79,47 +397,248 @@ function syncPlaygroundVisualState(content, toggleButton) {
 }
 
 /**
- * Initializes all JMESPath playgrounds within a given container.
- * @param {HTMLElement} container - The parent element containing the playgrounds.
+ * Lets a playground's toggle button expand and collapse its content.
+ * @param {HTMLElement} toggleButton - The toggle button element.
+ * @param {HTMLElement} content - The content div element.
+ * @param {() => void} onExpand - Called when the playground is expanded.
  */
-export function initializeJmespathPlaygrounds(container) {
-  if (typeof jmespath === "undefined" || typeof jmespath.search !== "function") {
-    console.warn("JMESPath library not loaded. Interactive examples disabled.")
-    return
+function setUpToggleButton(toggleButton, content, onExpand) {
+  syncPlaygroundVisualState(content, toggleButton)
+
+  toggleButton.addEventListener("click", () => {
+    const currentState = toggleButton.getAttribute("aria-expanded") === "true"
+    const nextState = !currentState
+
+    toggleButton.setAttribute("aria-expanded", nextState)
+
+    syncPlaygroundVisualState(content, toggleButton)
+
+    if (nextState) onExpand()
+  })
+}
+
+/**
+ * Creates the Explain panel of a playground or the workbench and lets its Explain button toggle it.
+ * @param {HTMLElement} root - The element containing the Explain button and panel.
+ * @param {object} elements - The playground's elements and time budget.
+ * @returns {QueryExplainPanel | null} - The panel, or null if the markup has none.
+ */
+export function setUpExplainPanel(root, { jsonInput, queryInput, formatSelect, engineSelect, timeoutMs }) {
+  const explainButton = root.querySelector(".playground-explain-button")
+  const panelElement = root.querySelector(".playground-explain")
+  if (!explainButton || !panelElement) return null
+
+  const explainPanel = new QueryExplainPanel(panelElement, {
+    getJson: () => jsonInput.value,
+    getInputFormat: () => formatSelect?.value,
+    getQuery: () => queryInput.value,
+    getEngineId: () => engineSelect?.value,
+    timeoutMs,
+  })
+  explainButton.addEventListener("click", () => {
+    explainButton.setAttribute("aria-expanded", String(explainPanel.toggle()))
+  })
+  return explainPanel
+}
+
+/**
+ * Creates the saved snippets panel of a playground or the workbench and lets its Snippets button toggle it.
+ * @param {HTMLElement} root - The element containing the Snippets button and panel.
+ * @param {object} elements - The playground's elements.
+ * @returns {SnippetLibrary | null} - The panel, or null if the markup has none.
+ */
+export function setUpSnippetLibrary(root, elements) {
+  const snippetsButton = root.querySelector(".playground-snippets-button")
+  const panelElement = root.querySelector(".playground-snippets")
+  if (!snippetsButton || !panelElement) return null
+
+  const snippetLibrary = new SnippetLibrary(panelElement, {
+    getState: () => readPlaygroundState(elements),
+    onLoad: (snippet) => loadPlaygroundState(elements, snippet),
+  })
+  snippetsButton.addEventListener("click", () => {
+    snippetsButton.setAttribute("aria-expanded", String(snippetLibrary.toggle()))
+  })
+  return snippetLibrary
+}
+
+/**
+ * Switches a playground to the query of another tab: its documented result, the example Reset goes
+ * back to and the result the diff compares with follow the tab.
+ * @param {object} elements - The playground's elements.
+ * @param {HTMLButtonElement} tab - The selected tab.
+ * @returns {Promise<{ value: any } | { error: object } | null>} - The outcome of the tab's query.
+ */
+export function selectQueryTab(elements, tab) {
+  elements.expectedResult = readExpectedResult(tab)
+  elements.originalState = readOriginalState(elements)
+  elements.resultDiff?.setOriginalState(elements.originalState)
+  elements.queryEditor?.render()
+  return evaluatePlayground(elements)
+}
+
+/**
+ * Loads the fixture a playground uses as its input, which becomes the input as written: Reset goes back
+ * to it and the diff compares with its result. An input the reader entered meanwhile, such as the state
+ * of a shared link, is kept.
+ * @param {object} elements - The playground's elements.
+ * @param {string} fixtureUrl - The URL of the fixture, from the playground's `data-fixture` attribute.
+ * @returns {Promise<boolean>} - Whether the fixture was loaded.
+ */
+export async function loadPlaygroundFixture(elements, fixtureUrl) {
+  const { jsonInput, errorArea } = elements
+  try {
+    const response = await fetch(fixtureUrl)
+    if (!response.ok) {
+      throw new Error(`HTTP error: ${response.status}`)
+    }
+    const json = await response.text()
+    const enteredJson = jsonInput.value !== jsonInput.defaultValue ? jsonInput.value : json
+    jsonInput.defaultValue = json
+    jsonInput.value = enteredJson
+  } catch (error) {
+    errorArea.textContent = `Could not load the input from ${fixtureUrl}: ${error.message}`
+    return false
   }
 
+  elements.originalState = readOriginalState(elements)
+  elements.resultDiff?.setOriginalState(elements.originalState)
+  elements.jsonEditor?.render()
+  return true
+}
+
+/**
+ * Returns a function evaluating a playground once its input is there. Playgrounds using a fixture
+ * fetch it when first evaluated while expanded, so fixtures of playgrounds that are never expanded
+ * are not downloaded.
+ * @param {object} elements - The playground's elements.
+ * @param {string | undefined} fixtureUrl - The URL of the playground's fixture, if it uses one.
+ * @param {() => boolean} isExpanded - Whether the playground is expanded.
+ * @returns {() => Promise<{ value: any } | { error: object } | null>} - Evaluates the playground.
+ */
+function createInputEvaluation(elements, fixtureUrl, isExpanded) {
+  if (!fixtureUrl) return () => evaluatePlayground(elements)
+
+  let fixtureLoad = null
+  return async () => {
+    if (!fixtureLoad && !isExpanded()) return null
+    fixtureLoad ??= loadPlaygroundFixture(elements, fixtureUrl)
+    return (await fixtureLoad) ? evaluatePlayground(elements) : null
+  }
+}
+
+/**
+ * Fills the output mode selector of a playground or the workbench and lets its copy and download
+ * buttons export the result in the selected mode.
+ * @param {object} elements - The playground's elements.
+ */
+export function setUpResultActions(elements) {
+  const { outputSelect, copyButton, downloadButton } = elements
+  populateOutputSelect(outputSelect)
+  copyButton?.addEventListener("click", () => copyResult(copyButton, elements))
+  downloadButton?.addEventListener("click", () => downloadResult(elements))
+}
+
+/**
+ * Reads the custom functions a page declares for its playgrounds, which the build renders as a JSON script element.
+ * @param {HTMLElement} container - The element containing the page.
+ * @returns {Array<{ name: string, signature: string[], implementation: string }>} - The functions; none if the
+ *   page declares none or they cannot be read.
+ */
+export function readCustomFunctions(container) {
+  const script = container.querySelector("script.jmespath-functions")
+  if (!script) return []
+
+  try {
+    const functions = JSON.parse(script.textContent)
+    return Array.isArray(functions) ? functions : []
+  } catch (e) {
+    console.warn(`Ignoring invalid custom functions: ${e.message}`)
+    return []
+  }
+}
+
+/**
+ * Initializes all JMESPath playgrounds within a given container, with the custom functions of its page.
+ * The full-page workbench keeps the functions of the page shown last. Playgrounds already initialized, such
+ * as those of a page whose hash changed without reloading it, are left as they are.
+ * @param {HTMLElement} container - The parent element containing the playgrounds.
+ */
+export function initializeJmespathPlaygrounds(container) {
+  setCustomFunctions(readCustomFunctions(container))
   const playgrounds = container.querySelectorAll(".jmespath-playground")
 
   playgrounds.forEach((playground, index) => {
+    if (playground.dataset.initialized) return
     const toggleButton = playground.querySelector(".playground-toggle-button")
     const content = playground.querySelector(".playground-content")
     const jsonInput = playground.querySelector(".json-input")
     const queryInput = playground.querySelector(".query-input")
     const outputArea = playground.querySelector(".output-area code")
     const errorArea = playground.querySelector(".error-area")
+    const resultBadge = playground.querySelector(".playground-result-badge")
+    const engineSelect = playground.querySelector(".playground-engine-select")
+    const comparisonArea = playground.querySelector(".playground-comparison")
+    const formatSelect = playground.querySelector(".playground-format-select")
+    const queryTabList = playground.querySelector(".playground-query-tabs")
+    const tableArea = playground.querySelector(".playground-output-table")
+    const diffArea = playground.querySelector(".playground-diff")
 
-    if (!toggleButton || !content || !jsonInput || !queryInput || !outputArea || !errorArea) {
+    if ([toggleButton, content, jsonInput, queryInput, outputArea, errorArea].some((element) => !element)) {
       console.warn(
         `Playground #${index} missing required elements (toggle, content, inputs, output, or error area):`,
         playground,
       )
       return
     }
+    playground.dataset.initialized = "true"
 
-    syncPlaygroundVisualState(content, toggleButton)
-
-    toggleButton.addEventListener("click", () => {
-      const currentState = toggleButton.getAttribute("aria-expanded") === "true"
-      const nextState = !currentState
-
-      toggleButton.setAttribute("aria-expanded", nextState)
+    const originalState = readOriginalState({ jsonInput, queryInput })
+    const timeoutMs = readEvaluationTimeout(playground)
+    const elements = {
+      jsonInput,
+      queryInput,
+      formatSelect,
+      outputArea,
+      errorArea,
+      resultBadge,
+      expectedResult: readExpectedResult(playground),
+      engineSelect,
+      comparisonArea,
+      outputSelect: playground.querySelector(".playground-output-select"),
+      copyButton: playground.querySelector(".playground-copy-button"),
+      downloadButton: playground.querySelector(".playground-download-button"),
+      resultTable: tableArea ? new ResultTable(tableArea) : null,
+      originalState,
+      resetButton: playground.querySelector(".playground-reset-button"),
+      resultDiff: diffArea ? new ResultDiff(diffArea, { originalState, timeoutMs }) : null,
+      timeoutMs,
+      jsonEditor: new CodeEditor(jsonInput, "json"),
+      queryEditor: new CodeEditor(queryInput, "jmespath"),
+    }
 
-      syncPlaygroundVisualState(content, toggleButton)
+    new QueryAutocomplete(queryInput, {
+      getJson: () => jsonInput.value,
+      getInputFormat: () => formatSelect?.value,
+      getEngineId: () => engineSelect?.value,
+    })
+    populateEngineSelect(engineSelect)
+    populateFormatSelect(formatSelect)
+    setUpResultActions(elements)
+    elements.explainPanel = setUpExplainPanel(playground, elements)
+    setUpSnippetLibrary(playground, elements)
+    if (queryTabList) {
+      new QueryTabs(queryTabList, { queryInput, onSelect: (tab) => selectQueryTab(elements, tab) })
+    }
 
-      if (nextState) {
-        evaluate(jsonInput, queryInput, outputArea, errorArea)
-        jsonInput.focus()
-      }
+    const evaluateWithInput = createInputEvaluation(
+      elements,
+      playground.dataset.fixture,
+      () => toggleButton.getAttribute("aria-expanded") === "true",
+    )
+    setUpToggleButton(toggleButton, content, () => {
+      evaluateWithInput()
+      jsonInput.focus()
     })
 
     let debounceTimeout
@@ -128,14 +647,158 @@ export function initializeJmespathPlaygrounds(container) {
       debounceTimeout = setTimeout(() => {
         const isExpanded = toggleButton.getAttribute("aria-expanded") === "true"
         if (isExpanded) {
-          evaluate(jsonInput, queryInput, outputArea, errorArea)
+          evaluatePlayground(elements)
         }
       }, 250)
     }
 
+    const queryHistory = new QueryHistory(queryInput, {
+      historyKey: buildHistoryKey(getCurrentPagePath(), index),
+      onRecall: () => {
+        elements.queryEditor.render()
+        debouncedEvaluate()
+      },
+    })
+
     jsonInput.addEventListener("input", debouncedEvaluate)
     queryInput.addEventListener("input", debouncedEvaluate)
+    // Queries are recorded once edited and left, rather than on every keystroke
+    queryInput.addEventListener("change", async () => {
+      const query = queryInput.value
+      const outcome = await evaluatePlayground(elements)
+      if (outcome && "value" in outcome) queryHistory.record(query)
+    })
+    engineSelect?.addEventListener("change", () => evaluatePlayground(elements))
+    formatSelect?.addEventListener("change", () => {
+      applyInputFormat(elements)
+      evaluatePlayground(elements)
+    })
+    elements.outputSelect?.addEventListener("change", () => evaluatePlayground(elements))
+
+    const shareButton = playground.querySelector(".playground-share-button")
+    shareButton?.addEventListener("click", () => sharePlayground(shareButton, index, readPlaygroundState(elements)))
+
+    elements.resetButton?.addEventListener("click", () => loadPlaygroundState(elements, elements.originalState))
+
+    const openButton = playground.querySelector(".playground-open-button")
+    openButton?.addEventListener("click", () => openInWorkbench(readPlaygroundState(elements)))
 
-    evaluate(jsonInput, queryInput, outputArea, errorArea)
+    evaluateWithInput()
   })
 }
+
+/**
+ * Returns the "version/file" part of the current hash route.
+ * @returns {string} - The page path.
+ */
+function getCurrentPagePath() {
+  return window.location.hash.substring(1).split("#")[0].split("?")[0]
+}
+
+/**
+ * Briefly replaces a button's label with a status message.
+ * @param {HTMLButtonElement} button - The button.
+ * @param {string} message - The message to show.
+ */
+function flashButtonLabel(button, message) {
+  const originalLabel = button.dataset.label || button.textContent
+  button.dataset.label = originalLabel
+  button.textContent = message
+  setTimeout(() => {
+    button.textContent = originalLabel
+  }, 2000)
+}
+
+/**
+ * Copies a link restoring this playground's current input and query to the clipboard.
+ * Falls back to putting the link in the address bar when the clipboard is unavailable.
+ * @param {HTMLButtonElement} shareButton - The share button, used for feedback.
+ * @param {number} playgroundIndex - The position of the playground on the page.
+ * @param {{ json: string, query: string, inputFormat: string }} state - The state from readPlaygroundState.
+ */
+export async function sharePlayground(shareButton, playgroundIndex, state) {
+  const encodedState = await encodePlaygroundState(state)
+  const hash = buildPlaygroundHash(getCurrentPagePath(), playgroundIndex, encodedState)
+  const url = `${window.location.origin}${window.location.pathname}${hash}`
+
+  try {
+    await navigator.clipboard.writeText(url)
+    flashButtonLabel(shareButton, "Link copied")
+  } catch (e) {
+    console.warn(`Could not copy playground link: ${e.message}`)
+    history.replaceState(null, "", hash)
+    flashButtonLabel(shareButton, "Link in address bar")
+  }
+}
+
+/**
+ * Copies the result, as shown in the selected output mode, to the clipboard.
+ * @param {HTMLButtonElement} copyButton - The copy button, used for feedback.
+ * @param {object} elements - The playground's elements.
+ */
+export async function copyResult(copyButton, elements) {
+  const output = readResultOutput(elements)
+  if (!output) return
+
+  try {
+    await navigator.clipboard.writeText(output.text)
+    flashButtonLabel(copyButton, "Copied")
+  } catch (e) {
+    console.warn(`Could not copy the result: ${e.message}`)
+    flashButtonLabel(copyButton, "Copy failed")
+  }
+}
+
+/**
+ * Downloads the result, as shown in the selected output mode, as a file named after the mode,
+ * such as result.yaml.
+ * @param {object} elements - The playground's elements.
+ */
+export function downloadResult(elements) {
+  const output = readResultOutput(elements)
+  if (!output) return
+
+  downloadTextFile(`${output.text}\n`, output.fileName, output.mimeType)
+}
+
+/**
+ * Navigates to the full-page workbench, carrying over this playground's current input and query.
+ * @param {{ json: string, query: string, inputFormat: string }} state - The state from readPlaygroundState.
+ */
+export async function openInWorkbench(state) {
+  const encodedState = await encodePlaygroundState(state)
+  window.location.hash = buildWorkbenchHash(encodedState)
+}
+
+/**
+ * Restores a shared playground state: fills in the inputs, expands the playground,
+ * evaluates it and scrolls it into view.
+ * @param {HTMLElement} container - The parent element containing the playgrounds.
+ * @param {{ playgroundIndex: number, state: string }} link - The playground link from the hash route.
+ * @returns {Promise<boolean>} - True if the playground was found and restored.
+ */
+export async function restorePlaygroundLink(container, link) {
+  const playground = container.querySelectorAll(".jmespath-playground")[link.playgroundIndex]
+  const decoded = await decodePlaygroundState(link.state)
+  if (!playground || !decoded) {
+    console.warn(`Could not restore shared playground #${link.playgroundIndex}.`)
+    return false
+  }
+
+  const toggleButton = playground.querySelector(".playground-toggle-button")
+  // In an expanded playground, loading the state re-evaluates it
+  loadPlaygroundState(
+    {
+      jsonInput: playground.querySelector(".json-input"),
+      queryInput: playground.querySelector(".query-input"),
+      formatSelect: playground.querySelector(".playground-format-select"),
+    },
+    decoded,
+  )
+
+  if (toggleButton.getAttribute("aria-expanded") !== "true") {
+    toggleButton.click()
+  }
+  playground.scrollIntoView({ block: "start" })
+  return true
+}
@@ -0,0 +1,131 @@
+import { loadPlaygroundState, readOriginalState, readPlaygroundState } from "./jmespathPlayground.js"
+
+// sessionStorage key keeping the state of the page across a reload by the dev server
+const RELOAD_STATE_KEY = "jmespath-live-reload-state"
+
+/**
+ * Returns the URL of the dev server's reload events, which the dev server (scripts/dev-server.cjs) sets in a
+ * `live-reload` meta element of the pages it serves, or null for pages it did not serve.
+ * @returns {string | null} - The URL.
+ */
+export function getLiveReloadUrl() {
+  return document.querySelector('meta[name="live-reload"]')?.content || null
+}
+
+function getPlaygroundElements(playground) {
+  return {
+    jsonInput: playground.querySelector(".json-input"),
+    queryInput: playground.querySelector(".query-input"),
+    formatSelect: playground.querySelector(".playground-format-select"),
+    toggleButton: playground.querySelector(".playground-toggle-button"),
+  }
+}
+
+function isEdited(state, originalState) {
+  return (
+    state.json !== originalState.json ||
+    state.query !== originalState.query ||
+    state.inputFormat !== originalState.inputFormat
+  )
+}
+
+/**
+ * Keeps the page's state for after a reload: the route, the scroll position, which playgrounds are
+ * expanded and the edits made to them. Playgrounds as authored are not kept, so that they show the
+ * rebuilt example.
+ * @param {HTMLElement} container - The element containing the page's playgrounds.
+ */
+export function savePageState(container) {
+  const playgrounds = [...container.querySelectorAll(".jmespath-playground")].map((playground) => {
+    const elements = getPlaygroundElements(playground)
+    if (!elements.jsonInput || !elements.queryInput) return { state: null, expanded: false }
+
+    const state = readPlaygroundState(elements)
+    return {
+      state: isEdited(state, readOriginalState(elements)) ? state : null,
+      expanded: elements.toggleButton?.getAttribute("aria-expanded") === "true",
+    }
+  })
+
+  try {
+    sessionStorage.setItem(
+      RELOAD_STATE_KEY,
+      JSON.stringify({ hash: window.location.hash, scrollY: window.scrollY, playgrounds }),
+    )
+  } catch (e) {
+    console.warn(`Could not keep the page state across the reload: ${e.message}`)
+  }
+}
+
+function restorePlayground(playground, { state, expanded }) {
+  const elements = getPlaygroundElements(playground)
+  if (!elements.jsonInput || !elements.queryInput) return
+
+  if (state) loadPlaygroundState(elements, state)
+  if (expanded && elements.toggleButton?.getAttribute("aria-expanded") !== "true") {
+    elements.toggleButton.click()
+  }
+}
+
+function readSavedPageState() {
+  try {
+    const text = sessionStorage.getItem(RELOAD_STATE_KEY)
+    sessionStorage.removeItem(RELOAD_STATE_KEY)
+    return text === null ? null : JSON.parse(text)
+  } catch (e) {
+    console.warn(`Could not read the page state kept across the reload: ${e.message}`)
+    return null
+  }
+}
+
+/**
+ * Restores the state savePageState kept before the page reloaded, if the page still shows the same route.
+ * Edits are restored only while the page has as many playgrounds as before, so that they cannot land in
+ * another example after one was added or removed.
+ * @param {HTMLElement} container - The element containing the page's playgrounds, once initialized.
+ * @returns {boolean} - True if there was a state to restore.
+ */
+export function restorePageState(container) {
+  const saved = readSavedPageState()
+  if (!saved || saved.hash !== window.location.hash) return false
+
+  const playgrounds = container.querySelectorAll(".jmespath-playground")
+  if (playgrounds.length === saved.playgrounds.length) {
+    saved.playgrounds.forEach((playgroundState, index) => restorePlayground(playgrounds[index], playgroundState))
+  }
+  window.scrollTo(0, saved.scrollY)
+  return true
+}
+
+/**
+ * Reloads the page's own stylesheets, bypassing the browser cache.
+ */
+export function reloadStylesheets() {
+  for (const link of document.querySelectorAll('link[rel="stylesheet"]')) {
+    const url = new URL(link.href, window.location.href)
+    if (url.origin !== window.location.origin) continue
+    url.searchParams.set("reload", String(Date.now()))
+    link.href = url.href
+  }
+}
+
+/**
+ * Listens to the dev server's reload events: changed styles are reloaded in place, and other changes
+ * reload the page, keeping its state, see savePageState.
+ * @param {string} url - The URL of the reload events, from getLiveReloadUrl.
+ * @param {HTMLElement} container - The element containing the page's playgrounds.
+ * @returns {EventSource} - The connection to the reload events.
+ */
+export function connectLiveReload(url, container) {
+  const events = new EventSource(url)
+  events.addEventListener("reload", (event) => {
+    const { type } = JSON.parse(event.data)
+    if (type === "css") {
+      reloadStylesheets()
+      return
+    }
+    savePageState(container)
+    window.location.reload()
+  })
+  return events
+}
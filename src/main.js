@@ -1,5 +1,8 @@
-import { initializeJmespathPlaygrounds } from "./jmespathPlayground.js"
+import { initializeJmespathPlaygrounds, restorePlaygroundLink } from "./jmespathPlayground.js"
+import { connectLiveReload, getLiveReloadUrl, restorePageState } from "./liveReload.js"
 import { Navigation } from "./navigation.js"
+import { decodePlaygroundState, WORKBENCH_ROUTE } from "./playgroundState.js"
+import { PlaygroundWorkbench } from "./playgroundWorkbench.js"
 import { initializeSearch, loadSearchIndex } from "./search.js"
 import { initializeTheme } from "./theme.js"
 
@@ -24,23 +27,45 @@ class App {
     // Navigation
     this.navigation = new Navigation(this.sidebarListElement)
 
+    // Full-page playground, shown on the #playground route
+    this.workbench = new PlaygroundWorkbench()
+
     // Event handlers
     this.handleContentAreaClick = this.handleContentAreaClick.bind(this)
     this.handleHashChange = this.handleHashChange.bind(this)
     this.handleVersionChange = this.handleVersionChange.bind(this)
   }
 
-  // Parses the hash and returns an object with versionId, fileName, and sectionId.
+  // Parses the hash and returns an object with versionId, fileName, sectionId and playgroundLink.
+  // Shared playground links look like #version/file?playground=<index>&state=<encoded state>.
   parseHash() {
     const hash = window.location.hash.substring(1)
-    if (!hash) return { versionId: null, fileName: null, sectionId: null }
+    if (!hash) return { versionId: null, fileName: null, sectionId: null, playgroundLink: null }
     const hashParts = hash.split("#")
-    const pathPart = hashParts[0]
+    const [pathPart, queryPart = ""] = hashParts[0].split("?")
     const sectionId = hashParts[1] || null
     const pathSegments = pathPart.split("/")
     const versionId = pathSegments[0] || null
     const fileName = pathSegments.slice(1).join("/") || null
-    return { versionId, fileName, sectionId }
+    const playgroundLink = this.parsePlaygroundLink(queryPart)
+    return { versionId, fileName, sectionId, playgroundLink }
+  }
+
+  // Parses the query part of a shared playground link, returning null if it is absent or malformed.
+  parsePlaygroundLink(queryPart) {
+    if (!queryPart) return null
+    const params = new URLSearchParams(queryPart)
+    const playgroundIndex = Number.parseInt(params.get("playground"), 10)
+    const state = params.get("state")
+    if (Number.isNaN(playgroundIndex) || playgroundIndex < 0 || !state) return null
+    return { playgroundIndex, state }
+  }
+
+  // Returns { state } if the hash is the full-page playground route (#playground or #playground?state=...), otherwise null.
+  parseWorkbenchRoute() {
+    const [pathPart, queryPart = ""] = window.location.hash.substring(1).split("?")
+    if (pathPart !== WORKBENCH_ROUTE) return null
+    return { state: new URLSearchParams(queryPart).get("state") }
   }
 
   // Checks if a version exists in the versions data.
@@ -155,22 +180,30 @@ class App {
   }
 
   determineInitialTargets() {
-    const { versionId: hashVersion, fileName: hashFile, sectionId: hashSection } = this.parseHash()
+    const {
+      versionId: hashVersion,
+      fileName: hashFile,
+      sectionId: hashSection,
+      playgroundLink: hashPlaygroundLink,
+    } = this.parseHash()
     const targetVersionId = this.determineTargetVersionId(hashVersion)
     const targetVersion = this.findVersion(targetVersionId)
 
     if (!targetVersion) {
       console.error(`Determined target version '${targetVersionId}' not found. Cannot determine targets.`)
-      return { targetVersionId: null, targetFile: null, targetSectionId: null }
+      return { targetVersionId: null, targetFile: null, targetSectionId: null, targetPlaygroundLink: null }
     }
 
     const targetFile = this.determineTargetFile(hashFile, targetVersion)
-    const targetSectionId = hashVersion === targetVersionId && hashFile === targetFile ? hashSection : null
+    const hashMatchesTarget = hashVersion === targetVersionId && hashFile === targetFile
+    const targetSectionId = hashMatchesTarget ? hashSection : null
+    const targetPlaygroundLink = hashMatchesTarget ? hashPlaygroundLink : null
 
-    return { targetVersionId, targetFile, targetSectionId }
+    return { targetVersionId, targetFile, targetSectionId, targetPlaygroundLink }
   }
 
-  async loadContentAndScroll(versionId, fileName, sectionId, forceReload) {
+  async loadContentAndScroll(versionId, fileName, sectionId, forceReload, playgroundLink = null) {
+    this.setWorkbenchActive(false)
     if (!versionId || !fileName) {
       this.contentArea.innerHTML = "<p>Select a version and document.</p>"
       this.navigation.updateActiveState(null)
@@ -201,7 +234,11 @@ class App {
     }
 
     initializeJmespathPlaygrounds(this.contentArea)
-    this.scrollToSection(sectionId)
+    if (playgroundLink) {
+      await restorePlaygroundLink(this.contentArea, playgroundLink)
+    } else {
+      this.scrollToSection(sectionId)
+    }
 
     return { success: true, versionId: versionId, fileName: fileName }
   }
@@ -212,15 +249,16 @@ class App {
       return
     }
 
-    const { targetVersionId, targetFile, targetSectionId } = this.determineInitialTargets()
+    const workbenchRoute = this.parseWorkbenchRoute()
+    if (workbenchRoute) {
+      await this.loadInitialWorkbench(workbenchRoute.state)
+      return
+    }
 
-    if (!targetVersionId || !targetFile) {
-      console.error("Could not determine initial content targets.")
-      this.contentArea.innerHTML = "<p>Could not determine initial content.</p>"
-      this.searchInput.disabled = true
-      this.searchInput.placeholder = "Error"
-      this.versionSelector.disabled = true
-      this.versionSelector.innerHTML = "<option value=''>Error</option>"
+    const { targetVersionId, targetFile, targetSectionId, targetPlaygroundLink } = this.determineInitialTargets()
+
+    if (!this.hasValidTargets(targetVersionId, targetFile)) {
+      this.handleInvalidTargets()
       return
     }
 
@@ -232,6 +270,7 @@ class App {
       targetFile,
       targetSectionId,
       forceReload || this.isInitialLoad,
+      targetPlaygroundLink,
     )
 
     if (result.success) {
@@ -249,6 +288,44 @@ class App {
     this.isInitialLoad = false
   }
 
+  // Opens the full-page playground on first load, preparing the default version for navigating back to the docs.
+  async loadInitialWorkbench(encodedState) {
+    const defaultVersion = this.findVersion(this.versionsData.defaultVersionId)
+    if (defaultVersion) {
+      this.versionSelector.value = defaultVersion.id
+      this.navigation.populate(this.versionsData, defaultVersion.id, defaultVersion.defaultFile)
+      loadSearchIndex(defaultVersion.id)
+      this.currentVersionId = defaultVersion.id
+      this.searchInput.disabled = false
+      this.searchInput.placeholder = "Search..."
+    }
+    await this.showWorkbench(encodedState)
+    this.isInitialLoad = false
+  }
+
+  // Renders the full-page playground in place of the current document.
+  async showWorkbench(encodedState) {
+    const state = encodedState ? await decodePlaygroundState(encodedState) : null
+    const returnVersion = this.findVersion(this.currentVersionId)
+    const returnFile = this.currentFile || returnVersion?.defaultFile
+    const returnHash = returnVersion && returnFile ? `#${returnVersion.id}/${returnFile}` : "#"
+
+    this.setWorkbenchActive(true)
+    this.navigation.updateActiveState(null)
+    this.workbench.render(this.contentArea, { state, returnHash })
+    // The document was replaced, so navigating back to it must reload it
+    this.currentFile = null
+  }
+
+  // Switches the layout between the documentation and the full-page playground.
+  setWorkbenchActive(active) {
+    if (active) {
+      this.htmlElement.classList.add("workbench-active")
+    } else {
+      this.htmlElement.classList.remove("workbench-active")
+    }
+  }
+
   async initialize() {
     try {
       const response = await fetch("versions.json")
@@ -279,6 +356,13 @@ class App {
     })
 
     await this.loadInitialContent()
+
+    // Pages served by the dev server reload as the docs are rebuilt
+    const liveReloadUrl = getLiveReloadUrl()
+    if (liveReloadUrl) {
+      restorePageState(this.contentArea)
+      connectLiveReload(liveReloadUrl, this.contentArea)
+    }
   }
 
   // Handles changes to the version selector.
@@ -311,7 +395,13 @@ class App {
       return
     }
 
-    const { versionId, fileName, sectionId } = this.parseHash()
+    const workbenchRoute = this.parseWorkbenchRoute()
+    if (workbenchRoute) {
+      this.showWorkbench(workbenchRoute.state)
+      return
+    }
+
+    const { versionId, fileName, sectionId, playgroundLink } = this.parseHash()
 
     if (!versionId || !fileName) {
       console.warn("Incomplete hash. Reloading initial content based on defaults or corrected hash.")
@@ -334,7 +424,7 @@ class App {
 
     // Load content and scroll to section
     //
-    this.loadContentAndScroll(versionId, fileName, sectionId, forceReloadContent).then((result) => {
+    this.loadContentAndScroll(versionId, fileName, sectionId, forceReloadContent, playgroundLink).then((result) => {
       if (result.success) {
         this.currentVersionId = result.versionId
         this.currentFile = result.fileName
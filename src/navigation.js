@@ -125,9 +125,14 @@ export class Navigation {
   /**
    * Builds a hierarchical tree structure from a flat list of pages.
    * @param {Array<object>} pages - Flat array of page objects.
+   * @param {Array<object>} [sections] - The version's navigation sections, each listing the pages whose `section` is its `id`.
    * @returns {Array<object>} - Array representing the root level of the navigation tree.
    */
-  buildNavigationTree(pages) {
+  buildNavigationTree(pages, sections = []) {
+    if (sections.length > 0) {
+      return this.buildSectionedNavigationTree(pages, sections)
+    }
+
     const { regularPages, jepPages } = this.separateJepsFromPages(pages)
 
     // Build regular navigation tree
@@ -155,6 +160,29 @@ export class Navigation {
     return regularTree
   }
 
+  /**
+   * Builds the navigation tree of a version with sections: its pages of no section, followed by a container
+   * per section holding the tree of its pages. Sections without pages are left out.
+   * @param {Array<object>} pages - Flat array of page objects.
+   * @param {Array<object>} sections - The version's navigation sections, with an `id` and a `title`.
+   * @returns {Array<object>} - Array representing the root level of the navigation tree.
+   */
+  buildSectionedNavigationTree(pages, sections) {
+    const sectionIds = new Set(sections.map((section) => section.id))
+    const unsectionedPages = pages.filter((page) => !sectionIds.has(page.section))
+
+    const sectionContainers = sections
+      .map((section) => ({
+        id: `section-${section.id}`,
+        title: section.title,
+        isNavSection: true,
+        children: this.buildNavigationTree(pages.filter((page) => page.section === section.id)),
+      }))
+      .filter((container) => container.children.length > 0)
+
+    return [...this.buildNavigationTree(unsectionedPages), ...sectionContainers]
+  }
+
   /**
    * Builds navigation tree for regular (non-JEP) pages
    * @param {Array<object>} pages - Array of regular page objects
@@ -351,6 +379,9 @@ export class Navigation {
 
     // Add special classes for JEP containers and status groups
     this.addJepClasses(li, page)
+    if (page.isNavSection) {
+      li.classList.add("nav-section")
+    }
 
     const contentWrapper = document.createElement("div")
     contentWrapper.classList.add("nav-link-content-wrapper")
@@ -368,7 +399,7 @@ export class Navigation {
     }
 
     // Create link or span based on whether this is a container/group or actual page
-    if (page.isJepContainer || page.isJepStatusGroup) {
+    if (page.isJepContainer || page.isJepStatusGroup || page.isNavSection) {
       const span = document.createElement("span")
       span.textContent = page.title
       span.classList.add("nav-label")
@@ -441,7 +472,7 @@ export class Navigation {
       return
     }
 
-    const navTree = this.buildNavigationTree(version.pages)
+    const navTree = this.buildNavigationTree(version.pages, version.sections)
     this.renderNavigation(navTree, versionId, 0, this.sidebarList)
     this.updateActiveState(this.currentFile)
     this.initializeToggles()
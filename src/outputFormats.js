@@ -0,0 +1,181 @@
+import { dump } from "js-yaml"
+
+// Mode playground results are shown in unless the reader picks another one
+export const DEFAULT_OUTPUT_MODE = "json"
+
+const NOT_TABULAR_MESSAGE = "needs an array of objects or an array of arrays"
+
+/**
+ * Returns the text of a table cell: strings as they are, null and missing values as empty text and
+ * other values as compact JSON.
+ * @param {any} value - The cell value.
+ * @returns {string} - The cell text.
+ */
+export function formatCell(value) {
+  if (value === null || value === undefined) return ""
+  return typeof value === "string" ? value : JSON.stringify(value)
+}
+
+/**
+ * Arranges a query result as a table. Arrays of objects give one row per object and one column per
+ * key, in the order keys first appear; arrays of arrays give one row per array and one column per
+ * index, without a header.
+ * @param {any} value - The query result.
+ * @returns {{ columns: string[], hasHeader: boolean, rows: any[][] } | null} - The table, or null if the
+ *   result is not an array of objects or an array of arrays.
+ */
+export function toTable(value) {
+  if (!Array.isArray(value)) return null
+  if (value.every(Array.isArray)) {
+    const width = Math.max(0, ...value.map((row) => row.length))
+    const columns = Array.from({ length: width }, (_, index) => String(index))
+    return { columns, hasHeader: false, rows: value.map((row) => columns.map((_, index) => row[index])) }
+  }
+  if (!value.every((row) => row !== null && typeof row === "object" && !Array.isArray(row))) return null
+
+  const columns = [...new Set(value.flatMap(Object.keys))]
+  return { columns, hasHeader: true, rows: value.map((row) => columns.map((column) => row[column])) }
+}
+
+function compareCells(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a - b
+  return formatCell(a).localeCompare(formatCell(b), undefined, { numeric: true })
+}
+
+/**
+ * Sorts table rows by a column. Numbers compare numerically and other values by their text, so
+ * "item 9" comes before "item 10"; empty cells come last in both directions.
+ * @param {any[][]} rows - The rows; not modified.
+ * @param {number} columnIndex - The index of the column to sort by.
+ * @param {boolean} [isDescending] - Whether to sort in descending order.
+ * @returns {any[][]} - The sorted rows; rows with equal cells keep their order.
+ */
+export function sortRows(rows, columnIndex, isDescending = false) {
+  const isEmpty = (row) => row[columnIndex] === null || row[columnIndex] === undefined
+  return [...rows].sort((a, b) => {
+    if (isEmpty(a) || isEmpty(b)) return Number(isEmpty(a)) - Number(isEmpty(b))
+    const order = compareCells(a[columnIndex], b[columnIndex])
+    return isDescending ? -order : order
+  })
+}
+
+// Quotes CSV fields containing separators, quotes or line breaks, doubling their quotes (RFC 4180)
+function escapeCsvField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// TSV fields cannot contain tabs or line breaks, so those and backslashes are written as escapes
+const TSV_ESCAPES = new Map([
+  ["\\", "\\\\"],
+  ["\t", "\\t"],
+  ["\n", "\\n"],
+  ["\r", "\\r"],
+])
+
+function escapeTsvField(text) {
+  return text.replace(/[\\\t\n\r]/g, (character) => TSV_ESCAPES.get(character))
+}
+
+/**
+ * Writes a table as CSV or TSV, with a header line if the table has one.
+ * @param {{ columns: string[], hasHeader: boolean, rows: any[][] }} table - The table from toTable.
+ * @param {"csv" | "tsv"} format - The format.
+ * @returns {string} - The text, one line per row.
+ */
+export function formatDelimited({ columns, hasHeader, rows }, format) {
+  const [separator, escapeField] = format === "tsv" ? ["\t", escapeTsvField] : [",", escapeCsvField]
+  const lines = hasHeader ? [columns] : []
+  for (const row of rows) lines.push(row.map(formatCell))
+  return lines.map((fields) => fields.map(escapeField).join(separator)).join("\n")
+}
+
+function formatTabular(value, format, label) {
+  const table = toTable(value)
+  return table ? { text: formatDelimited(table, format), table } : { error: `${label} output ${NOT_TABULAR_MESSAGE}.` }
+}
+
+const OUTPUT_MODES = new Map([
+  [
+    "json",
+    {
+      label: "JSON",
+      extension: "json",
+      mimeType: "application/json",
+      format: (value) => ({ text: JSON.stringify(value, null, 2), language: "json" }),
+    },
+  ],
+  [
+    "compact",
+    {
+      label: "Compact JSON",
+      extension: "json",
+      mimeType: "application/json",
+      format: (value) => ({ text: JSON.stringify(value), language: "json" }),
+    },
+  ],
+  [
+    "yaml",
+    {
+      label: "YAML",
+      extension: "yaml",
+      mimeType: "application/yaml",
+      format: (value) => ({ text: dump(value, { lineWidth: -1, noRefs: true }).replace(/\n$/, "") }),
+    },
+  ],
+  [
+    "csv",
+    { label: "CSV", extension: "csv", mimeType: "text/csv", format: (value) => formatTabular(value, "csv", "CSV") },
+  ],
+  [
+    "tsv",
+    {
+      label: "TSV",
+      extension: "tsv",
+      mimeType: "text/tab-separated-values",
+      format: (value) => formatTabular(value, "tsv", "TSV"),
+    },
+  ],
+  // Tables are copied and downloaded as TSV, which spreadsheets paste as cells
+  [
+    "table",
+    {
+      label: "Table",
+      extension: "tsv",
+      mimeType: "text/tab-separated-values",
+      format: (value) => formatTabular(value, "tsv", "Table"),
+    },
+  ],
+  // Like `jp -u`: string results without their quotes, other results as JSON
+  [
+    "raw",
+    {
+      label: "Raw string",
+      extension: "txt",
+      mimeType: "text/plain",
+      format: (value) =>
+        typeof value === "string" ? { text: value } : { text: JSON.stringify(value, null, 2), language: "json" },
+    },
+  ],
+])
+
+/**
+ * Lists the modes a playground's result can be shown in.
+ * @returns {Array<{ id: string, label: string }>} - The modes, JSON first.
+ */
+export function listOutputModes() {
+  return [...OUTPUT_MODES].map(([id, { label }]) => ({ id, label }))
+}
+
+/**
+ * Formats a query result for an output mode.
+ * @param {any} value - The query result.
+ * @param {string} [mode] - The output mode; unknown modes format as JSON.
+ * @returns {{ text: string, language?: string, table?: object, fileName: string, mimeType: string } |
+ *   { error: string }} - The text, with the language to highlight it as, if any, the table for tabular
+ *   modes and the name and type of the file to download it as; or why the result cannot be shown in the mode.
+ */
+export function formatOutput(value, mode = DEFAULT_OUTPUT_MODE) {
+  const { format, extension, mimeType } = OUTPUT_MODES.get(mode) || OUTPUT_MODES.get(DEFAULT_OUTPUT_MODE)
+  const output = format(value)
+  return output.error ? output : { ...output, fileName: `result.${extension}`, mimeType }
+}
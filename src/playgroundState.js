@@ -0,0 +1,114 @@
+import { DEFAULT_INPUT_FORMAT } from "./inputFormats.js"
+
+// Hash route of the full-page playground workbench
+export const WORKBENCH_ROUTE = "playground"
+
+// Prefixes identifying how a playground state payload is encoded
+const COMPRESSED_PREFIX = "z"
+const PLAIN_PREFIX = "j"
+
+/**
+ * Encodes bytes as URL-safe base64 without padding.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} - The encoded string.
+ */
+function toBase64Url(bytes) {
+  let binary = ""
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+}
+
+/**
+ * Decodes URL-safe base64, with or without padding.
+ * @param {string} text - The encoded string.
+ * @returns {Uint8Array} - The decoded bytes.
+ */
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"))
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+}
+
+/**
+ * Pipes bytes through a CompressionStream or DecompressionStream.
+ * @param {Uint8Array} bytes - The input bytes.
+ * @param {CompressionStream | DecompressionStream} transform - The stream to pipe through.
+ * @returns {Promise<Uint8Array>} - The transformed bytes.
+ */
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform)
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+const supportsCompression = () => typeof CompressionStream === "function" && typeof DecompressionStream === "function"
+
+/**
+ * Encodes a playground's input, its format and the query into a compact, URL-safe string.
+ * Uses deflate compression when the browser supports it. The format is left out for JSON input,
+ * which keeps links to JSON examples as they were before other formats existed.
+ * @param {{ json: string, query: string, inputFormat?: string }} state - The playground state.
+ * @returns {Promise<string>} - The encoded state.
+ */
+export async function encodePlaygroundState({ json, query, inputFormat = DEFAULT_INPUT_FORMAT }) {
+  const payload = { j: json, q: query }
+  if (inputFormat !== DEFAULT_INPUT_FORMAT) payload.f = inputFormat
+  const bytes = new TextEncoder().encode(JSON.stringify(payload))
+
+  if (supportsCompression()) {
+    const compressed = await pipeBytes(bytes, new CompressionStream("deflate-raw"))
+    return COMPRESSED_PREFIX + toBase64Url(compressed)
+  }
+  return PLAIN_PREFIX + toBase64Url(bytes)
+}
+
+/**
+ * Decodes a string produced by encodePlaygroundState.
+ * @param {string} encoded - The encoded state.
+ * @returns {Promise<{ json: string, query: string, inputFormat: string } | null>} - The playground state, or null
+ *   if it cannot be decoded.
+ */
+export async function decodePlaygroundState(encoded) {
+  if (!encoded) return null
+
+  try {
+    const prefix = encoded[0]
+    let bytes = fromBase64Url(encoded.substring(1))
+
+    if (prefix === COMPRESSED_PREFIX) {
+      if (!supportsCompression()) throw new Error("compressed playground links are not supported by this browser")
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"))
+    } else if (prefix !== PLAIN_PREFIX) {
+      throw new Error(`unknown encoding '${prefix}'`)
+    }
+
+    const { j: json, q: query, f: inputFormat = DEFAULT_INPUT_FORMAT } = JSON.parse(new TextDecoder().decode(bytes))
+    if (typeof json !== "string" || typeof query !== "string") throw new Error("missing input or query")
+    return { json, query, inputFormat: String(inputFormat) }
+  } catch (e) {
+    console.warn(`Could not decode playground link: ${e.message}`)
+    return null
+  }
+}
+
+/**
+ * Builds the hash route linking to a playground on a page with the given state.
+ * @param {string} pagePath - The "version/file" part of the current route.
+ * @param {number} playgroundIndex - The position of the playground on the page.
+ * @param {string} encodedState - The state from encodePlaygroundState.
+ * @returns {string} - The hash, including the leading "#".
+ */
+export function buildPlaygroundHash(pagePath, playgroundIndex, encodedState) {
+  const params = new URLSearchParams({ playground: String(playgroundIndex), state: encodedState })
+  return `#${pagePath}?${params}`
+}
+
+/**
+ * Builds the hash route opening the full-page workbench, optionally with a given state.
+ * @param {string} [encodedState] - The state from encodePlaygroundState.
+ * @returns {string} - The hash, including the leading "#".
+ */
+export function buildWorkbenchHash(encodedState) {
+  if (!encodedState) return `#${WORKBENCH_ROUTE}`
+  return `#${WORKBENCH_ROUTE}?${new URLSearchParams({ state: encodedState })}`
+}
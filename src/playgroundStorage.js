@@ -0,0 +1,160 @@
+import { DEFAULT_INPUT_FORMAT } from "./inputFormats.js"
+
+// Maximum number of queries kept in each playground's history
+export const HISTORY_LIMIT = 25
+
+// localStorage keys; each playground's history is stored under the prefix followed by its history key
+const HISTORY_KEY_PREFIX = "jmespath-playground-history:"
+const SNIPPETS_KEY = "jmespath-playground-snippets"
+
+// Marks exported snippet files, so that importing another JSON file fails clearly
+const SNIPPETS_FILE_FORMAT = "jmespath-playground-snippets"
+
+/**
+ * Reads a JSON value from localStorage. Unreadable storage, such as in private browsing modes that
+ * block it, and corrupt values both read as the fallback.
+ */
+function readItem(key, fallback) {
+  try {
+    const text = localStorage.getItem(key)
+    return text === null ? fallback : JSON.parse(text)
+  } catch (e) {
+    console.warn(`Could not read ${key} from localStorage: ${e.message}`)
+    return fallback
+  }
+}
+
+function writeItem(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (e) {
+    console.error(`Could not save ${key} to localStorage:`, e)
+  }
+}
+
+/**
+ * Builds the history key of an inline playground from its page and position on the page.
+ * @param {string} pagePath - The "version/file" path of the page.
+ * @param {number} playgroundIndex - The position of the playground on the page.
+ * @returns {string} - The history key.
+ */
+export function buildHistoryKey(pagePath, playgroundIndex) {
+  return `${pagePath}#${playgroundIndex}`
+}
+
+/**
+ * Loads the queries recorded for a playground, most recent first.
+ * @param {string} historyKey - The playground's history key.
+ * @returns {string[]} - The queries.
+ */
+export function loadQueryHistory(historyKey) {
+  const history = readItem(`${HISTORY_KEY_PREFIX}${historyKey}`, [])
+  return Array.isArray(history) ? history.filter((query) => typeof query === "string") : []
+}
+
+/**
+ * Moves a query to the top of a playground's history, dropping duplicates and the oldest entries.
+ * Blank queries are not recorded.
+ * @param {string} historyKey - The playground's history key.
+ * @param {string} query - The query.
+ * @returns {string[]} - The updated history, most recent first.
+ */
+export function recordQuery(historyKey, query) {
+  const history = loadQueryHistory(historyKey)
+  const trimmed = query.trim()
+  if (!trimmed) return history
+
+  const updated = [trimmed, ...history.filter((entry) => entry !== trimmed)].slice(0, HISTORY_LIMIT)
+  writeItem(`${HISTORY_KEY_PREFIX}${historyKey}`, updated)
+  return updated
+}
+
+/**
+ * Checks a stored or imported snippet, filling in the input and its format if they are missing.
+ * @returns {object | null} - The snippet, or null if it has no name or query.
+ */
+function normalizeSnippet(snippet) {
+  if (!snippet || typeof snippet.name !== "string" || !snippet.name.trim() || typeof snippet.query !== "string") {
+    return null
+  }
+  return {
+    name: snippet.name.trim(),
+    query: snippet.query,
+    json: typeof snippet.json === "string" ? snippet.json : "",
+    inputFormat: typeof snippet.inputFormat === "string" ? snippet.inputFormat : DEFAULT_INPUT_FORMAT,
+    savedAt: typeof snippet.savedAt === "string" ? snippet.savedAt : null,
+  }
+}
+
+/**
+ * Loads the saved snippets, shared by every playground of the site.
+ * @returns {Array<{ name: string, query: string, json: string, inputFormat: string, savedAt: string | null }>} -
+ *   The snippets, sorted by name.
+ */
+export function loadSnippets() {
+  const snippets = readItem(SNIPPETS_KEY, [])
+  return Array.isArray(snippets) ? snippets.map(normalizeSnippet).filter(Boolean) : []
+}
+
+function storeSnippets(snippets) {
+  const sorted = [...snippets].sort((a, b) => a.name.localeCompare(b.name))
+  writeItem(SNIPPETS_KEY, sorted)
+  return sorted
+}
+
+/**
+ * Saves a playground state as a snippet, replacing any snippet with the same name.
+ * @param {{ name: string, query: string, json: string, inputFormat: string }} snippet - The snippet.
+ * @returns {Array<object>} - The updated snippets, sorted by name.
+ */
+export function saveSnippet(snippet) {
+  const saved = normalizeSnippet({ ...snippet, savedAt: new Date().toISOString() })
+  if (!saved) throw new Error("A snippet needs a name and a query.")
+  return storeSnippets([...loadSnippets().filter(({ name }) => name !== saved.name), saved])
+}
+
+/**
+ * Deletes the snippet with a name.
+ * @param {string} name - The name of the snippet.
+ * @returns {Array<object>} - The remaining snippets.
+ */
+export function deleteSnippet(name) {
+  return storeSnippets(loadSnippets().filter((snippet) => snippet.name !== name))
+}
+
+/**
+ * Writes the saved snippets as the contents of a snippets file.
+ * @returns {string} - The file contents, as JSON.
+ */
+export function exportSnippets() {
+  return JSON.stringify({ format: SNIPPETS_FILE_FORMAT, version: 1, snippets: loadSnippets() }, null, 2)
+}
+
+/**
+ * Adds the snippets of an exported snippets file to the saved ones. Imported snippets replace saved
+ * snippets with the same name.
+ * @param {string} text - The file contents.
+ * @returns {{ snippets: Array<object>, importedCount: number }} - The updated snippets and how many were imported.
+ * @throws {Error} If the text is not a snippets file.
+ */
+export function importSnippets(text) {
+  let file
+  try {
+    file = JSON.parse(text)
+  } catch (e) {
+    throw new Error(`Not a snippets file: ${e.message}`)
+  }
+  if (file?.format !== SNIPPETS_FILE_FORMAT || !Array.isArray(file.snippets)) {
+    throw new Error("Not a snippets file: it was not exported from the playground.")
+  }
+
+  // The last of several snippets with the same name wins, as when saving them one after another
+  const imported = new Map(
+    file.snippets
+      .map(normalizeSnippet)
+      .filter(Boolean)
+      .map((snippet) => [snippet.name, snippet]),
+  )
+  const snippets = storeSnippets([...loadSnippets().filter(({ name }) => !imported.has(name)), ...imported.values()])
+  return { snippets, importedCount: imported.size }
+}
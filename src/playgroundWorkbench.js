@@ -0,0 +1,233 @@
+import { CodeEditor } from "./codeEditor.js"
+import { DEFAULT_INPUT_FORMAT } from "./inputFormats.js"
+import { DEFAULT_ENGINE_ID } from "./jmespathEngines.js"
+import {
+  applyInputFormat,
+  evaluatePlayground,
+  populateEngineSelect,
+  populateFormatSelect,
+  readPlaygroundState,
+  setUpExplainPanel,
+  setUpResultActions,
+  setUpSnippetLibrary,
+} from "./jmespathPlayground.js"
+import { DEFAULT_OUTPUT_MODE } from "./outputFormats.js"
+import { QueryAutocomplete } from "./queryAutocomplete.js"
+import { QueryHistory } from "./queryHistory.js"
+import { ResultTable } from "./resultTable.js"
+
+// Key the workbench's query history is stored under
+const HISTORY_KEY = "playground"
+
+// Delay before re-evaluating after an edit, matching the inline playgrounds
+const EVALUATE_DELAY_MS = 250
+
+const DEFAULT_STATE = {
+  json: `{
+  "locations": [
+    {"name": "Seattle", "state": "WA"},
+    {"name": "New York", "state": "NY"},
+    {"name": "Bellevue", "state": "WA"},
+    {"name": "Olympia", "state": "WA"}
+  ]
+}`,
+  query: "locations[?state == 'WA'].name | sort(@) | {WashingtonCities: join(', ', @)}",
+  inputFormat: DEFAULT_INPUT_FORMAT,
+}
+
+const WORKBENCH_TEMPLATE = `
+<div class="playground-workbench">
+  <div class="workbench-header">
+    <h1>JMESPath Playground</h1>
+    <label class="playground-engine-label">Engine <select class="playground-engine-select"></select></label>
+    <a class="workbench-back-link">Back to documentation</a>
+  </div>
+  <div class="workbench-layout">
+    <div class="workbench-pane workbench-input-pane">
+      <div class="playground-input-header">
+        <label for="workbench-json-input" class="playground-label">Input</label>
+        <select class="playground-format-select" aria-label="Input format"></select>
+      </div>
+      <textarea id="workbench-json-input" class="json-input" spellcheck="false"></textarea>
+    </div>
+    <div class="workbench-pane workbench-query-pane">
+      <label for="workbench-query-input" class="playground-label">Query</label>
+      <textarea id="workbench-query-input" class="query-input" spellcheck="false"></textarea>
+      <div class="playground-result-header">
+        <label class="playground-label">Result</label>
+        <select class="playground-output-select" aria-label="Output format"></select>
+        <button type="button" class="playground-copy-button" disabled>Copy</button>
+        <button type="button" class="playground-download-button" disabled>Download</button>
+      </div>
+      <pre class="output-area"><code class="language-json"></code></pre>
+      <div class="playground-output-table" hidden></div>
+      <div class="error-area"></div>
+      <div class="playground-comparison" hidden></div>
+      <div class="playground-actions">
+        <button type="button" class="playground-explain-button" aria-expanded="false">Explain</button>
+        <button type="button" class="playground-snippets-button" aria-expanded="false">Snippets</button>
+      </div>
+      <div class="playground-explain" hidden></div>
+      <div class="playground-snippets" hidden></div>
+    </div>
+    <aside class="workbench-pane workbench-history-pane">
+      <h2 class="playground-label">History</h2>
+      <ol class="workbench-history"></ol>
+      <p class="workbench-history-empty">Queries you run with Enter appear here.</p>
+    </aside>
+  </div>
+</div>`
+
+/**
+ * Full-page JMESPath workbench shown on the #playground route.
+ * Keeps its input and query while the reader browses the documentation; the history of queries
+ * run there is kept in localStorage.
+ */
+export class PlaygroundWorkbench {
+  constructor() {
+    this.state = { ...DEFAULT_STATE }
+    this.engineId = DEFAULT_ENGINE_ID
+    this.outputMode = DEFAULT_OUTPUT_MODE
+    this.queryHistory = null
+    this.elements = null
+    this.debounceTimeout = null
+  }
+
+  /**
+   * Renders the workbench into a container, replacing its content.
+   * @param {HTMLElement} container - The element to render into.
+   * @param {object} options - Render options.
+   * @param {{ json: string, query: string, inputFormat?: string } | null} [options.state] - Input, its format and
+   *   query to load; keeps the previous ones if omitted.
+   * @param {string} options.returnHash - The hash route of the documentation page to go back to.
+   */
+  render(container, { state = null, returnHash }) {
+    if (state) this.state = { inputFormat: DEFAULT_INPUT_FORMAT, ...state }
+
+    container.innerHTML = WORKBENCH_TEMPLATE
+    const root = container.querySelector(".playground-workbench")
+    this.elements = {
+      jsonInput: root.querySelector(".json-input"),
+      queryInput: root.querySelector(".query-input"),
+      formatSelect: root.querySelector(".playground-format-select"),
+      outputArea: root.querySelector(".output-area code"),
+      errorArea: root.querySelector(".error-area"),
+      engineSelect: root.querySelector(".playground-engine-select"),
+      comparisonArea: root.querySelector(".playground-comparison"),
+      outputSelect: root.querySelector(".playground-output-select"),
+      copyButton: root.querySelector(".playground-copy-button"),
+      downloadButton: root.querySelector(".playground-download-button"),
+      resultTable: new ResultTable(root.querySelector(".playground-output-table")),
+      historyList: root.querySelector(".workbench-history"),
+      historyEmpty: root.querySelector(".workbench-history-empty"),
+    }
+    root.querySelector(".workbench-back-link").setAttribute("href", returnHash)
+
+    const { jsonInput, queryInput, formatSelect, engineSelect, outputSelect, historyList } = this.elements
+    jsonInput.value = this.state.json
+    queryInput.value = this.state.query
+    this.elements.jsonEditor = new CodeEditor(jsonInput, "json")
+    this.elements.queryEditor = new CodeEditor(queryInput, "jmespath")
+    // Created before the Enter handler below, so Enter picks an open completion instead of running the query
+    new QueryAutocomplete(queryInput, {
+      getJson: () => jsonInput.value,
+      getInputFormat: () => formatSelect.value,
+      getEngineId: () => engineSelect.value,
+    })
+    populateEngineSelect(engineSelect)
+    engineSelect.value = this.engineId
+    populateFormatSelect(formatSelect)
+    formatSelect.value = this.state.inputFormat
+    applyInputFormat(this.elements)
+    setUpResultActions(this.elements)
+    outputSelect.value = this.outputMode
+    this.elements.explainPanel = setUpExplainPanel(root, this.elements)
+    setUpSnippetLibrary(root, this.elements)
+    // Created after the autocompletion, which keeps the arrow keys while its list is open
+    this.queryHistory = new QueryHistory(queryInput, {
+      historyKey: HISTORY_KEY,
+      onRecall: () => {
+        this.elements.queryEditor.render()
+        this.scheduleEvaluation()
+      },
+    })
+
+    jsonInput.addEventListener("input", () => this.scheduleEvaluation())
+    queryInput.addEventListener("input", () => this.scheduleEvaluation())
+    formatSelect.addEventListener("change", () => {
+      applyInputFormat(this.elements)
+      this.evaluate()
+    })
+    engineSelect.addEventListener("change", () => {
+      this.engineId = engineSelect.value
+      this.evaluate()
+    })
+    outputSelect.addEventListener("change", () => {
+      this.outputMode = outputSelect.value
+      this.evaluate()
+    })
+    queryInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" && !event.shiftKey) {
+        event.preventDefault()
+        const query = queryInput.value
+        this.evaluate().then((succeeded) => {
+          if (succeeded) this.addToHistory(query)
+        })
+      }
+    })
+    historyList.addEventListener("click", (event) => {
+      const item = event.target.closest("[data-query]")
+      if (!item) return
+      queryInput.value = item.dataset.query
+      this.elements.queryEditor.render()
+      this.evaluate()
+      queryInput.focus()
+    })
+
+    this.renderHistory()
+    this.evaluate()
+    queryInput.focus()
+  }
+
+  scheduleEvaluation() {
+    clearTimeout(this.debounceTimeout)
+    this.debounceTimeout = setTimeout(() => this.evaluate(), EVALUATE_DELAY_MS)
+  }
+
+  /**
+   * Evaluates the current query and remembers the input and query.
+   * @returns {Promise<boolean>} - True if the query produced a result.
+   */
+  async evaluate() {
+    clearTimeout(this.debounceTimeout)
+    this.state = readPlaygroundState(this.elements)
+    const outcome = await evaluatePlayground(this.elements)
+    return Boolean(outcome && "value" in outcome)
+  }
+
+  /**
+   * Moves a query to the top of the history, dropping duplicates and the oldest entries.
+   * @param {string} query - The query to record.
+   */
+  addToHistory(query) {
+    this.queryHistory.record(query)
+    this.renderHistory()
+  }
+
+  renderHistory() {
+    const { historyList, historyEmpty } = this.elements
+    historyList.innerHTML = ""
+    const { entries } = this.queryHistory
+    for (const query of entries) {
+      const li = document.createElement("li")
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = "workbench-history-item"
+      button.dataset.query = query
+      button.textContent = query
+      li.appendChild(button)
+      historyList.appendChild(li)
+    }
+    historyEmpty.hidden = entries.length > 0
+  }
+}
@@ -0,0 +1,188 @@
+import { requestEvaluation } from "./evaluationClient.js"
+
+// Time a completion request may take before it is dropped
+const COMPLETION_TIMEOUT_MS = 500
+
+/**
+ * Completion list for a playground's query input: fields of the JSON input at the cursor's path,
+ * functions with their signatures and let variables. Completions are computed in the evaluation
+ * worker from the text as it is typed; Ctrl+Space opens the list on demand.
+ *
+ * Create it before other keydown listeners of the query input, so that Enter picks a completion
+ * rather than running the query while the list is open.
+ */
+export class QueryAutocomplete {
+  /**
+   * @param {HTMLTextAreaElement} queryInput - The query input, optionally enhanced by a CodeEditor.
+   * @param {object} options - Options.
+   * @param {() => string} options.getJson - Returns the current input.
+   * @param {() => string | undefined} [options.getInputFormat] - Returns the format of the input.
+   * @param {() => string | undefined} [options.getEngineId] - Returns the engine to complete for.
+   */
+  constructor(queryInput, { getJson, getInputFormat = () => undefined, getEngineId = () => undefined }) {
+    this.queryInput = queryInput
+    this.getJson = getJson
+    this.getInputFormat = getInputFormat
+    this.getEngineId = getEngineId
+    this.completions = null
+    this.activeIndex = 0
+    this.isInserting = false
+
+    this.list = document.createElement("ul")
+    this.list.className = "query-completions"
+    this.list.setAttribute("role", "listbox")
+    this.list.hidden = true
+    const anchor = queryInput.closest(".code-editor") || queryInput
+    anchor.after(this.list)
+    queryInput.setAttribute("aria-autocomplete", "list")
+    queryInput.setAttribute("aria-expanded", "false")
+
+    queryInput.addEventListener("input", (event) => {
+      // Deleting only refreshes an open list
+      if (this.isInserting || (event.inputType?.startsWith("delete") && !this.completions)) return
+      this.update()
+    })
+    queryInput.addEventListener("keydown", (event) => this.handleKeydown(event))
+    queryInput.addEventListener("click", () => this.close())
+    queryInput.addEventListener("blur", () => this.close())
+    // Keep the focus in the query input while picking a completion with the mouse
+    this.list.addEventListener("mousedown", (event) => event.preventDefault())
+    this.list.addEventListener("click", (event) => {
+      const option = event.target.closest("[data-index]")
+      if (option) this.accept(Number(option.dataset.index))
+    })
+  }
+
+  /**
+   * Requests completions for the cursor position and shows them.
+   * Does nothing unless the query input has the focus and no selection.
+   */
+  async update() {
+    const { value, selectionStart, selectionEnd } = this.queryInput
+    if (document.activeElement !== this.queryInput || selectionStart !== selectionEnd) {
+      this.close()
+      return
+    }
+
+    const response = await requestEvaluation(
+      this,
+      {
+        kind: "complete",
+        json: this.getJson(),
+        inputFormat: this.getInputFormat(),
+        query: value,
+        cursor: selectionStart,
+        engineId: this.getEngineId(),
+      },
+      { timeoutMs: COMPLETION_TIMEOUT_MS },
+    )
+    // Completions for text that has changed since are superseded by a newer request
+    const isCurrent = this.queryInput.value === value && this.queryInput.selectionStart === selectionStart
+    if (response.status === "done" && isCurrent) this.show(response.result)
+  }
+
+  /**
+   * Shows a list of completions, or closes the list if there are none.
+   * @param {{ from: number, to: number, items: Array<object> }} completions - The completions from completeQuery.
+   */
+  show(completions) {
+    if (completions.items.length === 0) {
+      this.close()
+      return
+    }
+
+    this.completions = completions
+    this.activeIndex = 0
+    this.list.replaceChildren(
+      ...completions.items.map((item, index) => {
+        const option = document.createElement("li")
+        option.className = `query-completion query-completion-${item.kind}`
+        option.setAttribute("role", "option")
+        option.dataset.index = index
+        const label = document.createElement("span")
+        label.className = "query-completion-label"
+        label.textContent = item.label
+        const detail = document.createElement("span")
+        detail.className = "query-completion-detail"
+        detail.textContent = item.detail || item.kind
+        option.append(label, detail)
+        return option
+      }),
+    )
+    this.list.hidden = false
+    this.queryInput.setAttribute("aria-expanded", "true")
+    this.highlightActive()
+  }
+
+  close() {
+    this.completions = null
+    this.list.hidden = true
+    this.list.replaceChildren()
+    this.queryInput.setAttribute("aria-expanded", "false")
+  }
+
+  handleKeydown(event) {
+    if (event.key === " " && event.ctrlKey) {
+      event.preventDefault()
+      this.update()
+      return
+    }
+    if (!this.completions || event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) return
+
+    const action = this.getKeyAction(event.key)
+    if (!action) return
+    event.preventDefault()
+    event.stopImmediatePropagation()
+    action()
+  }
+
+  getKeyAction(key) {
+    switch (key) {
+      case "ArrowDown":
+        return () => this.move(1)
+      case "ArrowUp":
+        return () => this.move(-1)
+      case "Enter":
+      case "Tab":
+        return () => this.accept(this.activeIndex)
+      case "Escape":
+        return () => this.close()
+      default:
+        return null
+    }
+  }
+
+  move(step) {
+    const count = this.completions.items.length
+    this.activeIndex = (this.activeIndex + step + count) % count
+    this.highlightActive()
+  }
+
+  highlightActive() {
+    for (const [index, option] of [...this.list.children].entries()) {
+      const isActive = index === this.activeIndex
+      option.setAttribute("aria-selected", String(isActive))
+      option.classList.toggle("active", isActive)
+      if (isActive) option.scrollIntoView?.({ block: "nearest" })
+    }
+  }
+
+  /**
+   * Replaces the word being typed with a completion.
+   * @param {number} index - The index of the completion in the list.
+   */
+  accept(index) {
+    const { from, to, items } = this.completions
+    const { insertText } = items[index]
+    const { value } = this.queryInput
+    this.queryInput.value = value.slice(0, from) + insertText + value.slice(to)
+    const cursor = from + insertText.length
+    this.queryInput.setSelectionRange(cursor, cursor)
+    this.close()
+
+    // Let the editor and playground react to the edit, without completing again straight away
+    this.isInserting = true
+    this.queryInput.dispatchEvent(new Event("input"))
+    this.isInserting = false
+  }
+}
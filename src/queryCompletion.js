@@ -0,0 +1,278 @@
+import { tokenizeJmespath } from "../scripts/lib/syntax-highlighting.js"
+import { FUNCTION_SIGNATURES } from "./functionSignatures.js"
+
+// Most completions returned for one request
+const MAX_COMPLETIONS = 50
+
+// Most candidate values of the current node kept while walking into arrays
+const MAX_SAMPLES = 100
+
+// Operators after which a new operand starts
+const OPERAND_SEPARATORS = new Set([
+  "|",
+  "||",
+  "&&",
+  "==",
+  "!=",
+  "<",
+  "<=",
+  ">",
+  ">=",
+  "!",
+  ",",
+  ":",
+  "=",
+  "&",
+  "?",
+  "+",
+  "-",
+  "/",
+  "%",
+  "//",
+])
+
+// Keywords of let expressions, which are tokenized as identifiers
+const KEYWORDS = new Set(["let", "in"])
+
+const OPENING_BRACKETS = new Set(["(", "[", "{"])
+const CLOSING_BRACKETS = new Set([")", "]", "}"])
+const OPERAND_END_TYPES = new Set(["identifier", "string", "raw-string", "literal", "number", "variable"])
+const WORD_TYPES = new Set(["identifier", "function", "variable"])
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// Expressions whose result is projected, so the next field applies to each element
+const PROJECTION_PATTERN = /\*|\[\s*\]|\[\s*\?|\[[^\]]*:/
+
+function isOperandEnd(token) {
+  return (
+    Boolean(token) && (OPERAND_END_TYPES.has(token.type) || token.value === "@" || CLOSING_BRACKETS.has(token.value))
+  )
+}
+
+function isOperandSeparator(tokens, index) {
+  const { type, value } = tokens[index]
+  if (type === "identifier") return KEYWORDS.has(value)
+  if (type !== "operator") return false
+  // "*" after an operand multiplies; anywhere else it is a wildcard
+  if (value === "*") return isOperandEnd(tokens[index - 1])
+  return OPERAND_SEPARATORS.has(value)
+}
+
+function createFrame(kind, openIndex, contentStart, name = null) {
+  return {
+    kind,
+    name,
+    openIndex,
+    contentStart,
+    operandStart: contentStart,
+    pipeIndex: -1,
+    argStarts: [contentStart],
+    isExpressionReference: false,
+    variables: [],
+  }
+}
+
+function openFrame(tokens, index) {
+  const { value } = tokens[index]
+  const previous = tokens[index - 1]
+  if (value === "(" && previous?.type === "function") return createFrame("function", index, index + 1, previous.value)
+  if (value === "[" && tokens[index + 1]?.value === "?") return createFrame("filter", index, index + 2)
+  return createFrame(value === "(" ? "group" : "select", index, index + 1)
+}
+
+function recordToken(frame, tokens, index) {
+  const { type, value } = tokens[index]
+  if (type === "variable" && tokens[index + 1]?.value === "=") frame.variables.push(value)
+  if (!isOperandSeparator(tokens, index)) return
+
+  if (value === "&" && frame.argStarts.at(-1) === index) frame.isExpressionReference = true
+  if (value === "|") frame.pipeIndex = index
+  if (value === ",") {
+    frame.argStarts.push(index + 1)
+    frame.isExpressionReference = false
+  }
+  frame.operandStart = index + 1
+}
+
+/**
+ * Walks the tokens before the cursor, tracking the brackets, function calls and pipes enclosing it.
+ * Each frame records where its current operand starts, so the expression a field belongs to can be
+ * cut out of the query and evaluated.
+ */
+function analyzeFrames(tokens) {
+  const frames = [createFrame("root", -1, 0)]
+  tokens.forEach((token, index) => {
+    if (token.type !== "bracket") {
+      recordToken(frames.at(-1), tokens, index)
+    } else if (OPENING_BRACKETS.has(token.value)) {
+      frames.push(openFrame(tokens, index))
+    } else if (frames.length > 1) {
+      frames.pop()
+    }
+  })
+  return frames
+}
+
+function textBetween(context, start, end) {
+  if (start >= end) return ""
+  return context.text.slice(context.tokens[start].start, context.tokens[end - 1].end)
+}
+
+// Evaluates an expression against each candidate value, dropping values it fails or yields null for
+function evaluateOn(context, samples, expression) {
+  if (expression === null) return []
+  if (expression.trim() === "") return samples
+
+  const results = []
+  for (const sample of samples) {
+    try {
+      const value = context.search(sample, expression)
+      if (value !== null && value !== undefined) results.push(value)
+    } catch {
+      // Incomplete expressions, or an element of the wrong type
+    }
+  }
+  return results
+}
+
+function elementsOf(values) {
+  return values.flatMap((value) => (Array.isArray(value) ? value : [])).slice(0, MAX_SAMPLES)
+}
+
+function chainSamples(context, samples, start, end) {
+  const expression = textBetween(context, start, end)
+  const values = evaluateOn(context, samples, expression)
+  return PROJECTION_PATTERN.test(expression) ? elementsOf(values) : values
+}
+
+// The text of the argument an expression reference applies to: the array sort_by, max_by, etc.
+// take first, or the second argument of map
+function expressionReferenceSubject(context, frame) {
+  const subjectIndex = frame.name === "map" ? 1 : 0
+  const end = frame.argStarts[subjectIndex + 1]
+  return end === undefined ? null : textBetween(context, frame.argStarts[subjectIndex], end - 1)
+}
+
+/**
+ * Returns candidate values of the current node (@) at the start of a frame.
+ */
+function frameBaseSamples(context, depth) {
+  const frame = context.frames[depth]
+  const parent = context.frames[depth - 1]
+  const parentSamples = nodeSamples(context, depth - 1)
+  const previous = context.tokens[frame.openIndex - 1]
+
+  if (frame.kind === "filter") {
+    return elementsOf(evaluateOn(context, parentSamples, textBetween(context, parent.operandStart, frame.openIndex)))
+  }
+  if (frame.kind === "function" && frame.isExpressionReference) {
+    return elementsOf(evaluateOn(context, parentSamples, expressionReferenceSubject(context, frame)))
+  }
+  if (previous?.value === ".") return chainSamples(context, parentSamples, parent.operandStart, frame.openIndex - 1)
+  // An index or slice rather than a multi-select
+  if (frame.kind === "select" && isOperandEnd(previous)) return []
+  return parentSamples
+}
+
+/**
+ * Returns candidate values of the current node (@) at the cursor's position in a frame, after any pipes.
+ */
+function nodeSamples(context, depth) {
+  const frame = context.frames[depth]
+  const base = depth === 0 ? context.rootSamples : frameBaseSamples(context, depth)
+  if (frame.pipeIndex === -1) return base
+  return evaluateOn(context, base, textBetween(context, frame.contentStart, frame.pipeIndex))
+}
+
+function fieldCompletions(samples) {
+  const names = new Set()
+  for (const sample of samples) {
+    if (sample && typeof sample === "object" && !Array.isArray(sample)) {
+      for (const name of Object.keys(sample)) names.add(name)
+    }
+  }
+  return [...names].map((name) => ({
+    label: name,
+    kind: "field",
+    insertText: IDENTIFIER_PATTERN.test(name) ? name : JSON.stringify(name),
+  }))
+}
+
+function variableCompletions(frames) {
+  return [...new Set(frames.flatMap((frame) => frame.variables))].map((name) => ({
+    label: name,
+    kind: "variable",
+    insertText: name,
+  }))
+}
+
+function functionCompletions(functionNames) {
+  return [...new Set(functionNames)].sort().map((name) => ({
+    label: name,
+    kind: "function",
+    detail: FUNCTION_SIGNATURES.get(name) || `${name}(...)`,
+    insertText: `${name}(`,
+  }))
+}
+
+/**
+ * Lists the completions that apply at the cursor, before filtering them by the word being typed.
+ */
+function collectCompletions(context, word, functionNames) {
+  const { tokens, frames } = context
+  const previousIndex = tokens.length - 1
+  const previous = tokens[previousIndex]
+  const depth = frames.length - 1
+
+  if (previous?.value === ".") {
+    if (word?.type === "variable") return []
+    return fieldCompletions(
+      chainSamples(context, nodeSamples(context, depth), frames[depth].operandStart, previousIndex),
+    )
+  }
+
+  const isExpressionStart =
+    !previous || OPENING_BRACKETS.has(previous.value) || isOperandSeparator(tokens, previousIndex)
+  if (!isExpressionStart) return []
+  if (word?.type === "variable") return variableCompletions(frames)
+  return [
+    ...fieldCompletions(nodeSamples(context, depth)),
+    ...variableCompletions(frames),
+    ...functionCompletions(functionNames),
+  ]
+}
+
+/**
+ * Computes completions for a partially typed query: the fields of the data at the cursor's path,
+ * the functions the engine provides with their signatures, and the variables bound by enclosing
+ * let expressions. The query before the cursor does not need to be valid; the expression a field
+ * belongs to is cut out of it and evaluated against the data, so `people[?age > \`30\`].na`
+ * suggests the fields of the matching people.
+ * @param {object} options - The completion request.
+ * @param {any} options.data - The parsed JSON input.
+ * @param {string} options.query - The query.
+ * @param {number} options.cursor - The cursor offset in the query.
+ * @param {(data: any, query: string) => any} options.search - The engine's search function.
+ * @param {string[]} [options.functionNames] - The functions the engine provides; defaults to the built-in functions.
+ * @returns {{ from: number, to: number, items: Array<{ label: string, kind: string, insertText: string, detail?: string }> }}
+ *   - The completions, and the range of the query they replace.
+ */
+export function completeQuery({ data, query, cursor, search, functionNames = [...FUNCTION_SIGNATURES.keys()] }) {
+  const text = query.slice(0, cursor)
+  const allTokens = tokenizeJmespath(text).filter((token) => token.type !== "whitespace")
+  const last = allTokens.at(-1)
+  const word = last && last.end === cursor && WORD_TYPES.has(last.type) ? last : null
+  const tokens = word ? allTokens.slice(0, -1) : allTokens
+  const empty = { from: cursor, to: cursor, items: [] }
+
+  // Nothing to complete inside strings, literals and numbers, or right after a closing bracket
+  if (!word && last?.end === cursor && isOperandEnd(last)) return empty
+
+  const context = { text, tokens, frames: analyzeFrames(tokens), search, rootSamples: [data] }
+  const prefix = word ? word.value.toLowerCase() : ""
+  const items = collectCompletions(context, word, functionNames).filter(
+    (item) => item.label.toLowerCase().startsWith(prefix) && item.insertText !== word?.value,
+  )
+  return { from: word ? word.start : cursor, to: cursor, items: items.slice(0, MAX_COMPLETIONS) }
+}
@@ -0,0 +1,119 @@
+import { locateQueryError } from "../scripts/lib/error-positions.js"
+import { parseInput } from "./inputFormats.js"
+import { DEFAULT_ENGINE_ID, getEngine, listEngines, useCustomFunctions } from "./jmespathEngines.js"
+import { completeQuery } from "./queryCompletion.js"
+import { explainQuery } from "./queryExplanation.js"
+
+/**
+ * Runs a query with a single engine.
+ * Errors are reduced to their name, message and the range of the query they refer to (null if
+ * unknown), so outcomes can be posted between threads.
+ * @param {{ search: Function, compile?: Function }} engine - The JMESPath engine.
+ * @param {any} jsonData - The data to query.
+ * @param {string} queryString - The query.
+ * @returns {{ value: any } | { error: { name: string, message: string, range: object | null } }} - The query outcome.
+ */
+export function runQuery(engine, jsonData, queryString) {
+  try {
+    return { value: engine.search(jsonData, queryString) }
+  } catch (e) {
+    return { error: { name: e.name, message: e.message, range: locateQueryError(e, queryString, engine.compile) } }
+  }
+}
+
+/**
+ * Runs a query with every registered engine.
+ * @param {any} jsonData - The data to query.
+ * @param {string} queryString - The query.
+ * @returns {Array<{ engine: { id: string, label: string }, outcome: object }>} - One outcome per engine.
+ */
+export function compareEngines(jsonData, queryString) {
+  return listEngines().map(({ id, label, search, compile }) => ({
+    engine: { id, label },
+    outcome: runQuery({ search, compile }, jsonData, queryString),
+  }))
+}
+
+/**
+ * Parses a playground's input and evaluates its query.
+ * This is the whole evaluation a playground needs, whether it runs in the worker or on the main thread.
+ * @param {object} request - The evaluation request.
+ * @param {string} request.json - The input; empty input is evaluated as null.
+ * @param {string} request.query - The JMESPath query.
+ * @param {string} [request.inputFormat] - The format of the input, see parseInput; JSON by default.
+ * @param {string} [request.engineId] - The engine to evaluate with.
+ * @param {boolean} [request.compare] - Whether to also evaluate with every registered engine.
+ * @returns {{ inputError: { message: string, offset: number | null } } |
+ *   { outcome: object | null, comparison: Array<object> | null }} - The result; the outcome is null when the query is empty.
+ */
+export function evaluateRequest({ json, query, inputFormat, engineId = DEFAULT_ENGINE_ID, compare = false }) {
+  const { data, error } = parseInput(json, inputFormat)
+  if (error) {
+    return { inputError: error }
+  }
+
+  if (query.trim() === "") {
+    return { outcome: null, comparison: null }
+  }
+
+  return {
+    outcome: runQuery(getEngine(engineId), data, query),
+    comparison: compare ? compareEngines(data, query) : null,
+  }
+}
+
+/**
+ * Computes query completions at a cursor position, see completeQuery.
+ * Invalid input still completes functions and variables.
+ * @param {object} request - The completion request.
+ * @param {string} request.json - The input.
+ * @param {string} request.query - The query.
+ * @param {number} request.cursor - The cursor offset in the query.
+ * @param {string} [request.inputFormat] - The format of the input.
+ * @param {string} [request.engineId] - The engine to complete for.
+ * @returns {{ from: number, to: number, items: Array<object> }} - The completions.
+ */
+export function completeRequest({ json, query, cursor, inputFormat, engineId = DEFAULT_ENGINE_ID }) {
+  const engine = getEngine(engineId)
+  return completeQuery({
+    data: parseInput(json, inputFormat).data ?? null,
+    query,
+    cursor,
+    search: engine.search,
+    functionNames: engine.listFunctions?.(),
+  })
+}
+
+/**
+ * Parses a playground's input and explains its query, see explainQuery.
+ * Queries are always explained with the Community Edition, whose syntax tree the trace follows.
+ * @param {object} request - The explanation request.
+ * @param {string} request.json - The input; empty input is explained as null.
+ * @param {string} request.query - The query.
+ * @param {string} [request.inputFormat] - The format of the input.
+ * @returns {{ inputError: object } | object} - The explanation.
+ */
+export function explainRequest({ json, query, inputFormat }) {
+  const { data, error } = parseInput(json, inputFormat)
+  return error ? { inputError: error } : explainQuery(data, query)
+}
+
+/**
+ * Handles a request posted to the evaluation worker: completions for `kind: "complete"`, an
+ * explanation for `kind: "explain"`, otherwise an evaluation. Requests carry the custom functions of
+ * their page, if it declares any, which are registered first.
+ * @param {object} request - The request for completeRequest, explainRequest or evaluateRequest.
+ * @param {Array<object>} [request.functions] - The page's custom functions, see useCustomFunctions.
+ * @returns {object} - The result.
+ */
+export function handleRequest(request) {
+  useCustomFunctions(request.functions)
+  switch (request.kind) {
+    case "complete":
+      return completeRequest(request)
+    case "explain":
+      return explainRequest(request)
+    default:
+      return evaluateRequest(request)
+  }
+}
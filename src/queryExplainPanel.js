@@ -0,0 +1,234 @@
+import { DEFAULT_EVALUATION_TIMEOUT_MS, requestEvaluation } from "./evaluationClient.js"
+import { DEFAULT_ENGINE_ID } from "./jmespathEngines.js"
+
+const PANEL_TEMPLATE = `
+<p class="explain-message" hidden></p>
+<div class="explain-section">
+  <div class="playground-label">Syntax tree</div>
+  <div class="explain-tree"></div>
+</div>
+<div class="explain-section">
+  <div class="playground-label">Evaluation steps</div>
+  <div class="explain-controls">
+    <button type="button" class="explain-previous">Previous</button>
+    <span class="explain-position"></span>
+    <button type="button" class="explain-next">Next</button>
+  </div>
+  <dl class="explain-step"></dl>
+  <ol class="explain-steps"></ol>
+</div>`
+
+function createSpan(className, text) {
+  const span = document.createElement("span")
+  span.className = className
+  span.textContent = text
+  return span
+}
+
+// The role, type and details of a syntax tree node, e.g. "condition: Comparator >"
+function appendNodeLabel(parent, node) {
+  if (node.role) parent.appendChild(createSpan("explain-role", `${node.role}:`))
+  parent.appendChild(createSpan("explain-type", node.type))
+  if (node.detail) parent.appendChild(createSpan("explain-detail", node.detail))
+}
+
+function renderTreeNode(node) {
+  if (node.children.length === 0) {
+    const leaf = document.createElement("div")
+    leaf.className = "explain-node explain-label"
+    leaf.dataset.nodeId = node.id
+    appendNodeLabel(leaf, node)
+    return leaf
+  }
+
+  const details = document.createElement("details")
+  details.className = "explain-node"
+  details.open = true
+  const summary = document.createElement("summary")
+  summary.className = "explain-label"
+  summary.dataset.nodeId = node.id
+  appendNodeLabel(summary, node)
+  const children = document.createElement("div")
+  children.className = "explain-children"
+  children.append(...node.children.map(renderTreeNode))
+  details.append(summary, children)
+  return details
+}
+
+function indexNodes(node, nodes = new Map()) {
+  nodes.set(node.id, node)
+  for (const child of node.children) indexNodes(child, nodes)
+  return nodes
+}
+
+/**
+ * Explain panel of a playground: the syntax tree of the query as a collapsible tree, and the values
+ * flowing through its nodes as evaluation steps to go through one at a time. Selecting a step
+ * highlights its node in the tree. Explanations are computed in the evaluation worker.
+ */
+export class QueryExplainPanel {
+  /**
+   * @param {HTMLElement} panel - The (initially hidden) element to render the panel into.
+   * @param {object} options - Options.
+   * @param {() => string} options.getJson - Returns the current input.
+   * @param {() => string | undefined} [options.getInputFormat] - Returns the format of the input.
+   * @param {() => string} options.getQuery - Returns the current query.
+   * @param {() => string | undefined} [options.getEngineId] - Returns the engine the playground evaluates with.
+   * @param {number} [options.timeoutMs] - The time an explanation may take.
+   */
+  constructor(
+    panel,
+    {
+      getJson,
+      getInputFormat = () => undefined,
+      getQuery,
+      getEngineId = () => undefined,
+      timeoutMs = DEFAULT_EVALUATION_TIMEOUT_MS,
+    },
+  ) {
+    this.panel = panel
+    this.getJson = getJson
+    this.getInputFormat = getInputFormat
+    this.getQuery = getQuery
+    this.getEngineId = getEngineId
+    this.timeoutMs = timeoutMs
+    this.explanation = null
+    this.nodes = new Map()
+    this.stepIndex = 0
+
+    panel.innerHTML = PANEL_TEMPLATE
+    this.message = panel.querySelector(".explain-message")
+    this.tree = panel.querySelector(".explain-tree")
+    this.position = panel.querySelector(".explain-position")
+    this.previousButton = panel.querySelector(".explain-previous")
+    this.nextButton = panel.querySelector(".explain-next")
+    this.stepDetails = panel.querySelector(".explain-step")
+    this.stepList = panel.querySelector(".explain-steps")
+
+    this.previousButton.addEventListener("click", () => this.selectStep(this.stepIndex - 1))
+    this.nextButton.addEventListener("click", () => this.selectStep(this.stepIndex + 1))
+    this.stepList.addEventListener("click", (event) => {
+      const item = event.target.closest("[data-step]")
+      if (item) this.selectStep(Number(item.dataset.step))
+    })
+  }
+
+  get isOpen() {
+    return !this.panel.hidden
+  }
+
+  /**
+   * Shows or hides the panel, explaining the current query when it is shown.
+   * @param {boolean} [isOpen] - Whether to show the panel; toggles it if omitted.
+   * @returns {boolean} - Whether the panel is shown.
+   */
+  toggle(isOpen = !this.isOpen) {
+    this.panel.hidden = !isOpen
+    if (isOpen) this.refresh()
+    return isOpen
+  }
+
+  /**
+   * Explains the current query and JSON input. Does nothing while the panel is hidden.
+   */
+  async refresh() {
+    if (!this.isOpen) return
+    const query = this.getQuery()
+    if (query.trim() === "") {
+      this.render(null, "Enter a query to explain it.")
+      return
+    }
+
+    const response = await requestEvaluation(
+      this,
+      { kind: "explain", json: this.getJson(), inputFormat: this.getInputFormat(), query },
+      { timeoutMs: this.timeoutMs },
+    )
+    if (response.status === "cancelled") return
+    if (response.status === "timeout") {
+      this.render(null, `Explaining the query timed out after ${this.timeoutMs} ms.`)
+    } else if (response.result.inputError) {
+      this.render(null, "Fix the input to explain the query.")
+    } else {
+      const { error } = response.result
+      this.render(response.result, error ? `Query Error: ${error.message}` : this.engineNote())
+    }
+  }
+
+  engineNote() {
+    const engineId = this.getEngineId()
+    return engineId && engineId !== DEFAULT_ENGINE_ID ? "Steps are traced with the Community Edition engine." : ""
+  }
+
+  /**
+   * Shows an explanation from explainQuery, or only a message.
+   * @param {object | null} explanation - The explanation.
+   * @param {string} message - A message shown above the explanation; hidden if empty.
+   */
+  render(explanation, message) {
+    this.explanation = explanation
+    this.message.textContent = message
+    this.message.hidden = !message
+    this.nodes = explanation?.ast ? indexNodes(explanation.ast) : new Map()
+    this.tree.replaceChildren(...(explanation?.ast ? [renderTreeNode(explanation.ast)] : []))
+
+    const steps = explanation?.steps || []
+    this.stepList.replaceChildren(
+      ...steps.map((step, index) => {
+        const item = document.createElement("li")
+        item.className = `explain-step-item${step.error ? " failed" : ""}`
+        item.dataset.step = index
+        item.style.setProperty("--explain-depth", step.depth)
+        appendNodeLabel(item, this.nodes.get(step.nodeId))
+        item.appendChild(createSpan("explain-output", `→ ${step.error ? "error" : step.output}`))
+        return item
+      }),
+    )
+    this.selectStep(0)
+  }
+
+  /**
+   * Selects an evaluation step, showing its input and output and highlighting its node.
+   * @param {number} index - The index of the step; clamped to the available steps.
+   */
+  selectStep(index) {
+    const steps = this.explanation?.steps || []
+    this.stepIndex = Math.max(0, Math.min(index, steps.length - 1))
+    const step = steps[this.stepIndex]
+
+    this.position.textContent = step
+      ? `Step ${this.stepIndex + 1} of ${steps.length}${this.explanation.isTruncated ? " (trace cut short)" : ""}`
+      : "No steps"
+    this.previousButton.disabled = !step || this.stepIndex === 0
+    this.nextButton.disabled = !step || this.stepIndex === steps.length - 1
+    for (const [itemIndex, item] of [...this.stepList.children].entries()) {
+      item.classList.toggle("active", itemIndex === this.stepIndex)
+    }
+
+    this.highlightNode(step?.nodeId)
+    this.stepDetails.replaceChildren()
+    if (!step) return
+    this.appendStepValue("Input", step.input)
+    this.appendStepValue(step.error ? "Error" : "Output", step.error || step.output)
+  }
+
+  highlightNode(nodeId) {
+    for (const label of this.tree.querySelectorAll(".explain-current")) label.classList.remove("explain-current")
+    const label = nodeId === undefined ? null : this.tree.querySelector(`[data-node-id="${nodeId}"]`)
+    if (!label) return
+
+    label.classList.add("explain-current")
+    // Reveal the node if a collapsed ancestor hides it
+    for (let details = label.closest("details"); details; details = details.parentElement.closest("details")) {
+      details.open = true
+    }
+  }
+
+  appendStepValue(name, value) {
+    const term = document.createElement("dt")
+    term.textContent = name
+    const description = document.createElement("dd")
+    description.appendChild(document.createElement("code")).textContent = value
+    this.stepDetails.append(term, description)
+  }
+}
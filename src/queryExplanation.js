@@ -0,0 +1,223 @@
+import { compile, TreeInterpreter } from "@jmespath-community/jmespath"
+
+// Evaluation steps recorded for one query before the trace stops following new nodes
+const MAX_TRACE_STEPS = 1000
+
+// Longest preview of an intermediate value, in characters
+const MAX_PREVIEW_LENGTH = 200
+
+const COMPARATOR_SYMBOLS = new Map([
+  ["EQ", "=="],
+  ["NE", "!="],
+  ["LT", "<"],
+  ["LTE", "<="],
+  ["GT", ">"],
+  ["GTE", ">="],
+])
+
+// How the elements of a node's list of children are named in the tree
+const LIST_ROLES = new Map([
+  ["Function", "argument"],
+  ["MultiSelectList", "element"],
+  ["MultiSelectHash", "entry"],
+  ["LetExpression", "binding"],
+])
+
+function isNode(value) {
+  return Boolean(value) && typeof value === "object" && typeof value.type === "string"
+}
+
+/**
+ * Returns the details shown next to a node's type, such as a field name or a literal value.
+ */
+function describeNode(node) {
+  switch (node.type) {
+    case "Literal":
+    case "Index":
+      return previewValue(node.value)
+    case "Slice":
+      return [node.start, node.stop, node.step].map((part) => part ?? "").join(":")
+    case "Comparator":
+      return COMPARATOR_SYMBOLS.get(node.name) || node.name
+    case "Arithmetic":
+      return node.operator
+    case "Variable":
+      return `$${node.name}`
+    case "Binding":
+      return `$${node.variable}`
+    default:
+      return typeof node.name === "string" ? node.name : ""
+  }
+}
+
+function childEntries(node) {
+  // Literal values are JSON and may look like nodes
+  if (node.type === "Literal") return []
+
+  const entries = []
+  for (const [key, value] of Object.entries(node)) {
+    if (isNode(value)) {
+      entries.push({ role: key, child: value })
+    } else if (Array.isArray(value)) {
+      const role = LIST_ROLES.get(node.type) || key
+      value.forEach((child, index) => {
+        if (isNode(child)) entries.push({ role: `${role} ${index + 1}`, child })
+      })
+    }
+  }
+  return entries
+}
+
+/**
+ * Converts a parsed query into a tree that can be posted between threads, numbering its nodes in
+ * document order and recording the number of each parsed node in nodeIds.
+ */
+function buildTree(node, nodeIds, role = null) {
+  const id = nodeIds.size
+  nodeIds.set(node, id)
+  return {
+    id,
+    type: node.type,
+    detail: describeNode(node),
+    role,
+    children: childEntries(node).map((entry) => buildTree(entry.child, nodeIds, entry.role)),
+  }
+}
+
+function previewParts(value, parts, budget) {
+  if (budget.remaining <= 0) return
+  if (value && typeof value === "object") {
+    previewContainer(value, parts, budget)
+  } else {
+    appendPart(parts, budget, JSON.stringify(value ?? null))
+  }
+}
+
+function previewContainer(value, parts, budget) {
+  const isArray = Array.isArray(value)
+  appendPart(parts, budget, isArray ? "[" : "{")
+  const entries = isArray ? value.map((item) => [null, item]) : Object.entries(value)
+  entries.forEach(([key, item], index) => {
+    if (index > 0) appendPart(parts, budget, ", ")
+    if (key !== null) appendPart(parts, budget, `${JSON.stringify(key)}: `)
+    previewParts(item, parts, budget)
+  })
+  appendPart(parts, budget, isArray ? "]" : "}")
+}
+
+function appendPart(parts, budget, text) {
+  if (budget.remaining <= 0) return
+  parts.push(text)
+  budget.remaining -= text.length
+}
+
+/**
+ * Formats a value as compact JSON, cut short after MAX_PREVIEW_LENGTH characters.
+ * Serializing stops at the limit, so large inputs are cheap to preview at every step.
+ * @param {any} value - The value.
+ * @returns {string} - The preview.
+ */
+export function previewValue(value) {
+  const parts = []
+  const budget = { remaining: MAX_PREVIEW_LENGTH + 1 }
+  previewParts(value, parts, budget)
+  const text = parts.join("")
+  return text.length > MAX_PREVIEW_LENGTH ? `${text.slice(0, MAX_PREVIEW_LENGTH)}…` : text
+}
+
+function previewTraced(trace, value) {
+  return trace.referenceIds.has(value) ? `&${describeReference(value)}` : previewValue(value)
+}
+
+/**
+ * Visits a node with the interpreter's own visit method, recording the node's input and output.
+ */
+function recordVisit(trace, node, nodeId, value, visit) {
+  const step = { nodeId, depth: trace.depth, input: previewTraced(trace, value), output: null, error: null }
+  trace.depth += 1
+  try {
+    const result = visit()
+    // Expression references are evaluated from copies of their node, made when the reference is visited
+    if (node.type === "ExpressionReference") trace.referenceIds.set(result, trace.nodeIds.get(node.child))
+    step.output = previewTraced(trace, result)
+    trace.steps.push(step)
+    return result
+  } catch (e) {
+    // Only the innermost node is blamed for an error; its ancestors just pass it on
+    if (!trace.isFailureRecorded) {
+      trace.isFailureRecorded = true
+      step.error = e.message
+      trace.steps.push(step)
+    }
+    throw e
+  } finally {
+    trace.depth -= 1
+  }
+}
+
+/**
+ * Evaluates a parsed query with the Community Edition interpreter, recording the input and output of
+ * every node it visits. The interpreter only exposes its visit method, so it is wrapped for the
+ * duration of the search; scoped interpreters created by let expressions share the same prototype.
+ */
+function traceSearch(ast, data, nodeIds) {
+  const trace = {
+    nodeIds,
+    referenceIds: new Map(),
+    steps: [],
+    depth: 0,
+    isTruncated: false,
+    isFailureRecorded: false,
+  }
+
+  const prototype = Object.getPrototypeOf(TreeInterpreter)
+  const originalVisit = prototype.visit
+  prototype.visit = function visit(node, value) {
+    const nodeId = nodeIds.get(node) ?? trace.referenceIds.get(node)
+    const evaluate = () => originalVisit.call(this, node, value)
+    if (nodeId === undefined) return evaluate()
+    if (trace.steps.length >= MAX_TRACE_STEPS) {
+      trace.isTruncated = true
+      return evaluate()
+    }
+    return recordVisit(trace, node, nodeId, value, evaluate)
+  }
+
+  const { steps } = trace
+  try {
+    TreeInterpreter.search(ast, data)
+    return { steps, isTruncated: trace.isTruncated, error: null }
+  } catch (e) {
+    return { steps, isTruncated: trace.isTruncated, error: { name: e.name, message: e.message } }
+  } finally {
+    prototype.visit = originalVisit
+  }
+}
+
+function describeReference(node) {
+  return [node.type, describeNode(node)].filter(Boolean).join(" ")
+}
+
+/**
+ * Parses a query and traces its evaluation against some data, for the playgrounds' Explain panel.
+ * Steps are listed in the order nodes finish evaluating, so the steps of a node's children come
+ * before its own; a projection lists one step of its right-hand side per element and a filter one
+ * predicate result per element. Values are reduced to short JSON previews.
+ * @param {any} data - The parsed JSON input.
+ * @param {string} query - The query.
+ * @returns {{ ast: object | null, steps: Array<{ nodeId: number, depth: number, input: string, output: string | null,
+ *   error: string | null }>, isTruncated: boolean, error: { name: string, message: string } | null }} - The
+ *   syntax tree, with nodes numbered by id, the evaluation steps and the error that stopped the query, if any.
+ */
+export function explainQuery(data, query) {
+  let parsed
+  try {
+    parsed = compile(query)
+  } catch (e) {
+    return { ast: null, steps: [], isTruncated: false, error: { name: e.name, message: e.message } }
+  }
+
+  const nodeIds = new Map()
+  const ast = buildTree(parsed, nodeIds)
+  return { ast, ...traceSearch(parsed, data, nodeIds) }
+}
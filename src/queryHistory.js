@@ -0,0 +1,67 @@
+import { loadQueryHistory, recordQuery } from "./playgroundStorage.js"
+
+/**
+ * Persistent history of a playground's query input. ArrowUp on the first line of the query recalls
+ * older queries and ArrowDown on its last line newer ones, then the query that was being written.
+ *
+ * Create it after the query input's QueryAutocomplete, which keeps the arrow keys while its list is open.
+ */
+export class QueryHistory {
+  /**
+   * @param {HTMLTextAreaElement} queryInput - The query input.
+   * @param {object} options - Options.
+   * @param {string} options.historyKey - The key the history is stored under, from buildHistoryKey.
+   * @param {() => void} options.onRecall - Called after a query is recalled into the input.
+   */
+  constructor(queryInput, { historyKey, onRecall }) {
+    this.queryInput = queryInput
+    this.historyKey = historyKey
+    this.onRecall = onRecall
+    this.entries = loadQueryHistory(historyKey)
+    // Index of the recalled entry, or -1 while the reader's own query is shown
+    this.position = -1
+    this.draft = ""
+
+    queryInput.addEventListener("keydown", (event) => this.handleKeydown(event))
+    queryInput.addEventListener("input", () => {
+      this.position = -1
+    })
+  }
+
+  /**
+   * Records a query at the top of the history.
+   * @param {string} query - The query.
+   */
+  record(query) {
+    this.entries = recordQuery(this.historyKey, query)
+    this.position = -1
+  }
+
+  handleKeydown(event) {
+    if (event.defaultPrevented || event.shiftKey || event.altKey || event.ctrlKey || event.metaKey) return
+    const { value, selectionStart, selectionEnd } = this.queryInput
+    if (selectionStart !== selectionEnd) return
+
+    const isOlder = event.key === "ArrowUp" && !value.slice(0, selectionStart).includes("\n")
+    const isNewer = event.key === "ArrowDown" && !value.slice(selectionEnd).includes("\n")
+    if ((isOlder || isNewer) && this.recall(isOlder ? 1 : -1)) event.preventDefault()
+  }
+
+  /**
+   * Replaces the query with an older or newer history entry.
+   * @param {number} step - 1 for the next older entry, -1 for the next newer one.
+   * @returns {boolean} - True if there was an entry to recall.
+   */
+  recall(step) {
+    const position = this.position + step
+    if (position < -1 || position >= this.entries.length) return false
+
+    if (this.position === -1) this.draft = this.queryInput.value
+    this.position = position
+    const query = position === -1 ? this.draft : this.entries[position]
+    this.queryInput.value = query
+    this.queryInput.setSelectionRange(query.length, query.length)
+    this.onRecall()
+    return true
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Tabs of a playground whose block has several queries against its input. The query editor shows the
+ * selected tab's query, and each tab keeps the reader's edits while another one is selected. Each tab
+ * button carries its query as written in `data-query` and its documented result, if any, in
+ * `data-expected-result`.
+ *
+ * Follows the ARIA tabs pattern: ArrowLeft and ArrowRight, Home and End move between the tabs.
+ */
+export class QueryTabs {
+  /**
+   * @param {HTMLElement} tabList - The element containing the tab buttons.
+   * @param {object} options - Options.
+   * @param {HTMLTextAreaElement} options.queryInput - The query input the tabs share.
+   * @param {(tab: HTMLButtonElement) => void} options.onSelect - Called after another tab is selected and
+   *   its query loaded into the input.
+   */
+  constructor(tabList, { queryInput, onSelect }) {
+    this.tabs = [...tabList.querySelectorAll("[role=tab]")]
+    this.queryInput = queryInput
+    this.onSelect = onSelect
+    this.queries = this.tabs.map((tab) => tab.dataset.query ?? "")
+    this.selectedIndex = Math.max(
+      0,
+      this.tabs.findIndex((tab) => tab.getAttribute("aria-selected") === "true"),
+    )
+
+    tabList.addEventListener("click", (event) => {
+      const index = this.tabs.indexOf(event.target.closest("[role=tab]"))
+      if (index !== -1) this.select(index)
+    })
+    tabList.addEventListener("keydown", (event) => this.handleKeydown(event))
+  }
+
+  get selectedTab() {
+    return this.tabs[this.selectedIndex]
+  }
+
+  handleKeydown(event) {
+    const lastIndex = this.tabs.length - 1
+    const targets = new Map([
+      ["ArrowLeft", this.selectedIndex === 0 ? lastIndex : this.selectedIndex - 1],
+      ["ArrowRight", this.selectedIndex === lastIndex ? 0 : this.selectedIndex + 1],
+      ["Home", 0],
+      ["End", lastIndex],
+    ])
+    if (!targets.has(event.key)) return
+
+    event.preventDefault()
+    this.select(targets.get(event.key))
+    this.selectedTab.focus()
+  }
+
+  /**
+   * Selects a tab, keeping the edited query of the previous one and loading the query of the new one.
+   * The input's default value becomes the tab's query as written, which Reset goes back to.
+   * @param {number} index - The position of the tab.
+   */
+  select(index) {
+    if (index === this.selectedIndex) return
+
+    this.queries[this.selectedIndex] = this.queryInput.value
+    this.selectedIndex = index
+    for (const [tabIndex, tab] of this.tabs.entries()) {
+      tab.setAttribute("aria-selected", String(tabIndex === index))
+      tab.tabIndex = tabIndex === index ? 0 : -1
+    }
+    this.queryInput.defaultValue = this.selectedTab.dataset.query ?? ""
+    this.queryInput.value = this.queries[index]
+    this.onSelect(this.selectedTab)
+  }
+}
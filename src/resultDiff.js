@@ -0,0 +1,142 @@
+import { DEFAULT_EVALUATION_TIMEOUT_MS, requestEvaluation } from "./evaluationClient.js"
+import { diffLines } from "./textDiff.js"
+
+// Unchanged lines shown around each change; longer unchanged stretches are collapsed
+const CONTEXT_LINES = 3
+
+const LINE_PREFIXES = new Map([
+  ["same", "  "],
+  ["added", "+ "],
+  ["removed", "- "],
+])
+
+/**
+ * Writes a query outcome as text to diff: results as indented JSON, errors as their message.
+ */
+function describeOutcome(outcome) {
+  return "value" in outcome ? JSON.stringify(outcome.value, null, 2) : `Error: ${outcome.error.message}`
+}
+
+function isSameState(a, b) {
+  return a.json === b.json && a.query === b.query && a.inputFormat === b.inputFormat
+}
+
+/**
+ * Collapses unchanged lines further than CONTEXT_LINES from any change into a count of the lines left out.
+ */
+function collapseUnchanged(lines) {
+  const isNearChange = lines.map(() => false)
+  lines.forEach((line, index) => {
+    if (line.type === "same") return
+    const end = Math.min(lines.length - 1, index + CONTEXT_LINES)
+    for (let near = Math.max(0, index - CONTEXT_LINES); near <= end; near++) isNearChange[near] = true
+  })
+
+  const collapsed = []
+  for (const [index, line] of lines.entries()) {
+    if (isNearChange[index]) {
+      collapsed.push(line)
+    } else if (collapsed.at(-1)?.type === "skipped") {
+      collapsed.at(-1).count += 1
+    } else {
+      collapsed.push({ type: "skipped", count: 1 })
+    }
+  }
+  return collapsed
+}
+
+/**
+ * Compares a playground's current result with the result of the example as authored, once the
+ * reader has edited the input or query. The authored result is evaluated once, in the evaluation
+ * worker, and shown as a line diff of both results as indented JSON.
+ */
+export class ResultDiff {
+  /**
+   * @param {HTMLElement} container - The (initially hidden) element to render the diff into.
+   * @param {object} options - Options.
+   * @param {{ json: string, query: string, inputFormat: string }} options.originalState - The authored example.
+   * @param {number} [options.timeoutMs] - The time evaluating the authored example may take.
+   */
+  constructor(container, { originalState, timeoutMs = DEFAULT_EVALUATION_TIMEOUT_MS }) {
+    this.container = container
+    this.originalState = originalState
+    this.timeoutMs = timeoutMs
+    this.originalOutcome = null
+    this.updateCount = 0
+
+    container.innerHTML = '<details><summary class="playground-diff-summary"></summary><pre></pre></details>'
+    this.summary = container.querySelector("summary")
+    this.lines = container.querySelector("pre")
+  }
+
+  /**
+   * Shows how the current outcome differs from the authored one, or hides the diff while the playground
+   * shows the authored example or has no outcome to compare.
+   * @param {{ json: string, query: string, inputFormat: string }} state - The playground's current state.
+   * @param {{ value: any } | { error: object } | null} outcome - The current query outcome.
+   */
+  async update(state, outcome) {
+    this.updateCount += 1
+    const updateCount = this.updateCount
+    if (!outcome || isSameState(state, this.originalState)) {
+      this.container.hidden = true
+      return
+    }
+
+    const originalOutcome = await this.evaluateOriginal()
+    // A later update has taken over
+    if (updateCount !== this.updateCount) return
+    this.container.hidden = !originalOutcome
+    if (originalOutcome) this.render(diffLines(describeOutcome(originalOutcome), describeOutcome(outcome)))
+  }
+
+  /**
+   * Compares with another authored example from now on, such as the query of another tab of the playground.
+   * @param {{ json: string, query: string, inputFormat: string }} originalState - The authored example.
+   */
+  setOriginalState(originalState) {
+    this.originalState = originalState
+    this.originalOutcome = null
+    // Updates waiting for the previous example's outcome are dropped
+    this.updateCount += 1
+  }
+
+  /**
+   * Evaluates the authored example, once.
+   * @returns {Promise<{ value: any } | { error: object } | null>} - Its outcome, or null if it timed out.
+   */
+  async evaluateOriginal() {
+    if (!this.originalOutcome) {
+      this.originalOutcome = requestEvaluation(this, this.originalState, { timeoutMs: this.timeoutMs }).then(
+        (response) => (response.status === "done" ? response.result.outcome : null),
+      )
+    }
+    return this.originalOutcome
+  }
+
+  render(lines) {
+    if (!lines) {
+      this.summary.textContent = "The result is too different from the original one to compare"
+      this.lines.replaceChildren()
+      return
+    }
+
+    const added = lines.filter((line) => line.type === "added").length
+    const removed = lines.filter((line) => line.type === "removed").length
+    this.summary.textContent =
+      added + removed === 0
+        ? "Same result as the original example"
+        : `Changes from the original result: +${added} −${removed} lines`
+    this.lines.replaceChildren(
+      ...collapseUnchanged(lines).map((line) => {
+        const row = document.createElement("span")
+        row.className = `diff-line diff-${line.type}`
+        row.textContent =
+          line.type === "skipped"
+            ? `⋯ ${line.count} unchanged line${line.count === 1 ? "" : "s"}\n`
+            : `${LINE_PREFIXES.get(line.type)}${line.text}\n`
+        return row
+      }),
+    )
+  }
+}
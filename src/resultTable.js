@@ -0,0 +1,97 @@
+import { formatCell, formatDelimited, sortRows } from "./outputFormats.js"
+
+/**
+ * Table view of a playground result, whose rows can be sorted by clicking a column header; clicking
+ * the same header again reverses the order. The rows keep their order in the result until then.
+ */
+export class ResultTable {
+  /**
+   * @param {HTMLElement} container - The (initially hidden) element to render the table into.
+   */
+  constructor(container) {
+    this.container = container
+    this.table = null
+    this.sort = null
+
+    container.addEventListener("click", (event) => {
+      const header = event.target.closest("[data-column]")
+      if (header) this.sortBy(Number(header.dataset.column))
+    })
+  }
+
+  /**
+   * Shows a table, or hides the view.
+   * @param {{ columns: string[], hasHeader: boolean, rows: any[][] } | null} table - The table from toTable.
+   */
+  render(table) {
+    this.table = table
+    this.sort = null
+    this.container.hidden = !table
+    this.renderTable()
+  }
+
+  /**
+   * Sorts the rows by a column, in ascending order unless they are sorted by it already.
+   * @param {number} columnIndex - The index of the column.
+   */
+  sortBy(columnIndex) {
+    const isDescending = this.sort?.columnIndex === columnIndex && !this.sort.isDescending
+    this.sort = { columnIndex, isDescending }
+    this.renderTable()
+  }
+
+  /**
+   * The rows in their displayed order, as TSV.
+   * @returns {string} - The text.
+   */
+  get text() {
+    return this.table ? formatDelimited({ ...this.table, rows: this.rows }, "tsv") : ""
+  }
+
+  get rows() {
+    const { sort, table } = this
+    return sort ? sortRows(table.rows, sort.columnIndex, sort.isDescending) : table.rows
+  }
+
+  renderTable() {
+    if (!this.table) {
+      this.container.replaceChildren()
+      return
+    }
+
+    const headerRow = document.createElement("tr")
+    for (const [index, column] of this.table.columns.entries()) {
+      const header = document.createElement("th")
+      header.scope = "col"
+      header.setAttribute("aria-sort", this.getSortOrder(index))
+      const button = document.createElement("button")
+      button.type = "button"
+      button.className = "output-table-sort"
+      button.dataset.column = index
+      button.textContent = column
+      header.appendChild(button)
+      headerRow.appendChild(header)
+    }
+
+    const body = document.createElement("tbody")
+    for (const row of this.rows) {
+      const tableRow = document.createElement("tr")
+      for (const value of row) {
+        const cell = document.createElement("td")
+        cell.textContent = formatCell(value)
+        tableRow.appendChild(cell)
+      }
+      body.appendChild(tableRow)
+    }
+
+    const table = document.createElement("table")
+    table.createTHead().appendChild(headerRow)
+    table.appendChild(body)
+    this.container.replaceChildren(table)
+  }
+
+  getSortOrder(columnIndex) {
+    if (this.sort?.columnIndex !== columnIndex) return "none"
+    return this.sort.isDescending ? "descending" : "ascending"
+  }
+}
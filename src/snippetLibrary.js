@@ -0,0 +1,155 @@
+import { downloadTextFile } from "./downloads.js"
+import { deleteSnippet, exportSnippets, importSnippets, loadSnippets, saveSnippet } from "./playgroundStorage.js"
+
+// Name of exported snippet files
+const EXPORT_FILE_NAME = "jmespath-snippets.json"
+
+const PANEL_TEMPLATE = `
+<form class="snippets-save">
+  <input type="text" class="snippets-name" placeholder="Snippet name" aria-label="Snippet name" required>
+  <button type="submit">Save current</button>
+</form>
+<p class="snippets-message" hidden></p>
+<ul class="snippets-list"></ul>
+<p class="snippets-empty">No saved snippets yet.</p>
+<div class="snippets-file-actions">
+  <button type="button" class="snippets-export">Export</button>
+  <button type="button" class="snippets-import">Import</button>
+  <input type="file" class="snippets-file" accept=".json,application/json" hidden>
+</div>`
+
+/**
+ * Saved snippets panel of a playground: saves the current input, its format and query under a name,
+ * and loads or deletes saved snippets. Snippets are stored in localStorage, shared by every playground
+ * of the site, and can be exported to and imported from a JSON file.
+ */
+export class SnippetLibrary {
+  /**
+   * @param {HTMLElement} panel - The (initially hidden) element to render the panel into.
+   * @param {object} options - Options.
+   * @param {() => { json: string, query: string, inputFormat: string }} options.getState - Returns the
+   *   playground state to save.
+   * @param {(snippet: object) => void} options.onLoad - Loads a snippet into the playground.
+   */
+  constructor(panel, { getState, onLoad }) {
+    this.panel = panel
+    this.getState = getState
+    this.onLoad = onLoad
+
+    panel.innerHTML = PANEL_TEMPLATE
+    this.nameInput = panel.querySelector(".snippets-name")
+    this.message = panel.querySelector(".snippets-message")
+    this.list = panel.querySelector(".snippets-list")
+    this.emptyNote = panel.querySelector(".snippets-empty")
+    this.fileInput = panel.querySelector(".snippets-file")
+
+    panel.querySelector(".snippets-save").addEventListener("submit", (event) => {
+      event.preventDefault()
+      this.save(this.nameInput.value)
+    })
+    panel.querySelector(".snippets-export").addEventListener("click", () => this.export())
+    panel.querySelector(".snippets-import").addEventListener("click", () => this.fileInput.click())
+    this.fileInput.addEventListener("change", () => {
+      const [file] = this.fileInput.files
+      this.fileInput.value = ""
+      if (file) this.import(file)
+    })
+    this.list.addEventListener("click", (event) => {
+      const button = event.target.closest("[data-action]")
+      if (!button) return
+      const { name } = button.closest("[data-name]").dataset
+      if (button.dataset.action === "load") this.load(name)
+      else this.delete(name)
+    })
+  }
+
+  get isOpen() {
+    return !this.panel.hidden
+  }
+
+  /**
+   * Shows or hides the panel, listing the snippets saved so far when it is shown.
+   * @param {boolean} [isOpen] - Whether to show the panel; toggles it if omitted.
+   * @returns {boolean} - Whether the panel is shown.
+   */
+  toggle(isOpen = !this.isOpen) {
+    this.panel.hidden = !isOpen
+    if (isOpen) {
+      this.showMessage("")
+      this.render(loadSnippets())
+    }
+    return isOpen
+  }
+
+  /**
+   * Lists snippets with buttons to load and delete them.
+   * @param {Array<object>} snippets - The snippets from loadSnippets.
+   */
+  render(snippets) {
+    this.list.replaceChildren(
+      ...snippets.map(({ name, query }) => {
+        const item = document.createElement("li")
+        item.className = "snippets-item"
+        item.dataset.name = name
+        const label = document.createElement("span")
+        label.className = "snippets-item-name"
+        label.textContent = name
+        label.title = query
+        item.append(label, createButton("load", "Load"), createButton("delete", "Delete"))
+        return item
+      }),
+    )
+    this.emptyNote.hidden = snippets.length > 0
+  }
+
+  save(name) {
+    try {
+      this.render(saveSnippet({ ...this.getState(), name }))
+      this.nameInput.value = ""
+      this.showMessage(`Saved "${name.trim()}".`)
+    } catch (e) {
+      this.showMessage(e.message)
+    }
+  }
+
+  load(name) {
+    const snippet = loadSnippets().find((saved) => saved.name === name)
+    if (snippet) this.onLoad(snippet)
+  }
+
+  delete(name) {
+    this.render(deleteSnippet(name))
+    this.showMessage(`Deleted "${name}".`)
+  }
+
+  export() {
+    downloadTextFile(exportSnippets(), EXPORT_FILE_NAME, "application/json")
+  }
+
+  /**
+   * Imports the snippets of a file exported from the panel.
+   * @param {Blob} file - The file.
+   */
+  async import(file) {
+    try {
+      const { snippets, importedCount } = importSnippets(await file.text())
+      this.render(snippets)
+      this.showMessage(`Imported ${importedCount} snippet${importedCount === 1 ? "" : "s"}.`)
+    } catch (e) {
+      this.showMessage(e.message)
+    }
+  }
+
+  showMessage(text) {
+    this.message.textContent = text
+    this.message.hidden = !text
+  }
+}
+
+function createButton(action, label) {
+  const button = document.createElement("button")
+  button.type = "button"
+  button.dataset.action = action
+  button.textContent = label
+  return button
+}
@@ -0,0 +1,77 @@
+// Edits after which two texts are considered too different to diff line by line
+const MAX_EDIT_DISTANCE = 2000
+
+/**
+ * Whether the path reaching diagonal k after d edits comes down from diagonal k + 1, inserting a line,
+ * rather than across from diagonal k - 1, removing one. furthestX returns the furthest x of a diagonal.
+ */
+function isInsertionStep(furthestX, k, d) {
+  return k === -d || (k !== d && furthestX(k - 1) < furthestX(k + 1))
+}
+
+// Follows the diagonal k through equal lines from x, returning the x where it ends
+function followSnake(before, after, x, k) {
+  let end = x
+  while (end < before.length && end - k < after.length && before[end] === after[end - k]) end += 1
+  return end
+}
+
+// Adds the equal lines from x back to start, last first, as the edit script is collected backwards
+function pushSameLines(lines, before, start, x) {
+  for (let index = x - 1; index >= start; index--) lines.push({ type: "same", text: before[index] })
+}
+
+/**
+ * Walks the recorded furthest-reaching paths back from the end, collecting the lines of the shortest edit script.
+ */
+function backtrack(trace, before, after) {
+  const lines = []
+  let x = before.length
+  let y = after.length
+  for (let d = trace.length - 1; d > 0; d--) {
+    // The furthest x of each diagonal k after d - 1 edits, indexed by k + d
+    const previous = trace[d]
+    const k = x - y
+    const isInsertion = isInsertionStep((diagonal) => previous[diagonal + d], k, d)
+    const previousK = isInsertion ? k + 1 : k - 1
+    const previousX = previous[previousK + d]
+    const previousY = previousX - previousK
+
+    pushSameLines(lines, before, isInsertion ? previousX : previousX + 1, x)
+    if (isInsertion) lines.push({ type: "added", text: after[previousY] })
+    else lines.push({ type: "removed", text: before[previousX] })
+    x = previousX
+    y = previousY
+  }
+  pushSameLines(lines, before, 0, x)
+  return lines.reverse()
+}
+
+/**
+ * Compares two texts line by line with Myers' algorithm, which finds the fewest lines to add and
+ * remove. Its cost grows with the number of changes, so small edits to large texts stay cheap.
+ * @param {string} beforeText - The original text.
+ * @param {string} afterText - The changed text.
+ * @returns {Array<{ type: "same" | "added" | "removed", text: string }> | null} - The lines of both texts in
+ *   order, with removed lines before the lines added in their place; or null if the texts differ in more
+ *   than MAX_EDIT_DISTANCE lines.
+ */
+export function diffLines(beforeText, afterText) {
+  const before = beforeText.split("\n")
+  const after = afterText.split("\n")
+  const offset = before.length + after.length
+  const furthest = new Int32Array(2 * offset + 2)
+  const trace = []
+  const furthestX = (k) => furthest[offset + k]
+
+  for (let d = 0; d <= Math.min(offset, MAX_EDIT_DISTANCE); d++) {
+    trace.push(furthest.slice(offset - d, offset + d + 1))
+    for (let k = -d; k <= d; k += 2) {
+      const start = isInsertionStep(furthestX, k, d) ? furthestX(k + 1) : furthestX(k - 1) + 1
+      const x = followSnake(before, after, start, k)
+      furthest[offset + k] = x
+      if (x >= before.length && x - k >= after.length) return backtrack(trace, before, after)
+    }
+  }
+  return null
+}
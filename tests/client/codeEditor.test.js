@@ -0,0 +1,83 @@
+/**
+ * Tests for codeEditor.js - Syntax-highlighted textarea editor
+ */
+
+import { beforeEach, describe, expect, it } from "vitest"
+import { CodeEditor } from "../../src/codeEditor.js"
+
+describe("Code Editor", () => {
+  let container
+  let textarea
+
+  beforeEach(() => {
+    document.body.innerHTML = ""
+    container = document.createElement("div")
+    textarea = document.createElement("textarea")
+    container.appendChild(textarea)
+    document.body.appendChild(container)
+  })
+
+  const highlighted = (editor) => editor.highlightTarget.innerHTML
+
+  it("should wrap the textarea with a highlight layer and gutter", () => {
+    textarea.value = '{"a": 1}'
+    const editor = new CodeEditor(textarea, "json")
+
+    expect(container.firstElementChild).toBe(editor.wrapper)
+    expect(editor.wrapper.classList.contains("code-editor-json")).toBe(true)
+    expect(editor.wrapper.querySelector(".code-editor-body textarea")).toBe(textarea)
+    expect(textarea.classList.contains("code-editor-input")).toBe(true)
+    expect(highlighted(editor)).toContain('<span class="tok-key">"a"</span>')
+  })
+
+  it("should number lines and follow edits", () => {
+    textarea.value = "a"
+    const editor = new CodeEditor(textarea, "jmespath")
+    expect(editor.gutter.textContent).toBe("1")
+
+    textarea.value = "a\n| b\n| c"
+    textarea.dispatchEvent(new Event("input"))
+
+    expect(editor.gutter.textContent).toBe("1\n2\n3")
+    expect(highlighted(editor)).toContain('<span class="tok-identifier">c</span>')
+  })
+
+  it("should underline the error range until the text is edited", () => {
+    textarea.value = "[1, }"
+    const editor = new CodeEditor(textarea, "json")
+
+    editor.setErrorRange({ start: 4, end: 5 })
+    expect(highlighted(editor)).toContain('class="tok-bracket code-error"')
+
+    textarea.dispatchEvent(new Event("input"))
+    expect(highlighted(editor)).not.toContain("code-error")
+  })
+
+  it("should highlight the bracket matching the cursor while focused", () => {
+    textarea.value = "a[0]"
+    const editor = new CodeEditor(textarea, "jmespath")
+    textarea.focus()
+    textarea.setSelectionRange(1, 1)
+    editor.render()
+
+    expect(editor.getBracketMatch()).toEqual({ bracket: 1, match: 3 })
+    expect(highlighted(editor).match(/bracket-match/g)).toHaveLength(2)
+
+    textarea.blur()
+    editor.render()
+    expect(highlighted(editor)).not.toContain("bracket-match")
+  })
+  it("should switch languages, highlighting plain text without tokens", () => {
+    textarea.value = "a: [1]"
+    const editor = new CodeEditor(textarea, "json")
+
+    editor.setLanguage("text")
+
+    expect(editor.wrapper.classList.contains("code-editor-json")).toBe(false)
+    expect(editor.wrapper.classList.contains("code-editor-text")).toBe(true)
+    expect(highlighted(editor)).toBe("a: [1]\n")
+    textarea.focus()
+    textarea.setSelectionRange(3, 3)
+    expect(editor.getBracketMatch()).toBeNull()
+  })
+})
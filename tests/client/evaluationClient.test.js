@@ -0,0 +1,120 @@
+/**
+ * Tests for evaluationClient.js - Worker-based playground evaluation
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { requestEvaluation, resetEvaluationWorker, setCustomFunctions } from "../../src/evaluationClient.js"
+
+class FakeWorker {
+  static instances = []
+
+  constructor(url) {
+    this.url = url
+    this.listeners = {}
+    this.posted = []
+    this.terminated = false
+    FakeWorker.instances.push(this)
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener
+  }
+
+  postMessage(message) {
+    this.posted.push(message)
+  }
+
+  terminate() {
+    this.terminated = true
+  }
+
+  respond(id, result) {
+    this.listeners.message({ data: { id, result } })
+  }
+}
+
+const request = { json: '{"a": 1}', query: "a" }
+
+describe("Evaluation Client", () => {
+  beforeEach(() => {
+    FakeWorker.instances = []
+    vi.stubGlobal("Worker", FakeWorker)
+  })
+
+  afterEach(() => {
+    resetEvaluationWorker()
+    vi.unstubAllGlobals()
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it("should evaluate requests in the worker", async () => {
+    const pending = requestEvaluation({}, request)
+    const [worker] = FakeWorker.instances
+    const [message] = worker.posted
+
+    expect(worker.url).toBe("assets/evaluation.worker.js")
+    expect(message).toEqual({ type: "evaluate", id: message.id, request })
+
+    worker.respond(message.id, { outcome: { value: 1 }, comparison: null })
+    await expect(pending).resolves.toEqual({ status: "done", result: { outcome: { value: 1 }, comparison: null } })
+  })
+
+  it("should cancel the previous request of the same channel", async () => {
+    const channel = {}
+    const first = requestEvaluation(channel, request)
+    const second = requestEvaluation(channel, { ...request, query: "b" })
+    const other = requestEvaluation({}, request)
+    const [worker] = FakeWorker.instances
+
+    await expect(first).resolves.toEqual({ status: "cancelled" })
+    expect(worker.posted[1]).toEqual({ type: "cancel", id: worker.posted[0].id })
+
+    worker.respond(worker.posted[2].id, { outcome: { value: null }, comparison: null })
+    worker.respond(worker.posted[3].id, { outcome: { value: 1 }, comparison: null })
+    await expect(second).resolves.toMatchObject({ status: "done", result: { outcome: { value: null } } })
+    await expect(other).resolves.toMatchObject({ status: "done", result: { outcome: { value: 1 } } })
+  })
+
+  it("should time out, replace the worker and re-post the other requests", async () => {
+    vi.useFakeTimers()
+    const slow = requestEvaluation({}, request, { timeoutMs: 100 })
+    const queued = requestEvaluation({}, request, { timeoutMs: 500 })
+    const [firstWorker] = FakeWorker.instances
+
+    vi.advanceTimersByTime(100)
+    await expect(slow).resolves.toEqual({ status: "timeout", timeoutMs: 100 })
+    expect(firstWorker.terminated).toBe(true)
+
+    const secondWorker = FakeWorker.instances[1]
+    const [reposted] = secondWorker.posted
+    expect(reposted).toMatchObject({ type: "evaluate", request })
+    secondWorker.respond(reposted.id, { outcome: { value: 1 }, comparison: null })
+    await expect(queued).resolves.toMatchObject({ status: "done" })
+  })
+
+  it("should send the custom functions of the page along with each request", () => {
+    const functions = [{ name: "double", signature: ["number"], implementation: "([value]) => value * 2" }]
+    setCustomFunctions(functions)
+    requestEvaluation({}, request)
+
+    expect(FakeWorker.instances[0].posted[0].request).toEqual({ ...request, functions })
+  })
+
+  it("should evaluate on the main thread without worker support", async () => {
+    vi.stubGlobal("Worker", undefined)
+    await expect(requestEvaluation({}, request)).resolves.toEqual({
+      status: "done",
+      result: { outcome: { value: 1 }, comparison: null },
+    })
+  })
+
+  it("should fall back to the main thread when the worker fails to load", async () => {
+    vi.spyOn(console, "warn").mockImplementation(vi.fn())
+    const pending = requestEvaluation({}, request)
+    FakeWorker.instances[0].listeners.error({ message: "404" })
+
+    await expect(pending).resolves.toMatchObject({ status: "done", result: { outcome: { value: 1 } } })
+    expect(FakeWorker.instances).toHaveLength(1)
+  })
+})
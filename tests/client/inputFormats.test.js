@@ -0,0 +1,114 @@
+/**
+ * Tests for inputFormats.js - Parsing playground input written in other formats than JSON
+ */
+
+import { describe, expect, it } from "vitest"
+import { listInputFormats, parseInput, splitCsvRows } from "../../src/inputFormats.js"
+
+describe("Input Formats", () => {
+  it("should list JSON first", () => {
+    expect(listInputFormats().map(({ id }) => id)).toEqual(["json", "yaml", "json5", "ndjson", "csv"])
+  })
+
+  it("should parse empty input as null in every format", () => {
+    for (const { id } of listInputFormats()) {
+      expect(parseInput(" \n", id)).toEqual({ data: null })
+    }
+  })
+
+  it("should parse unknown formats as JSON", () => {
+    expect(parseInput("[1]", "xml")).toEqual({ data: [1] })
+  })
+
+  describe("JSON", () => {
+    it("should locate syntax errors", () => {
+      const { error } = parseInput('{"a": }', "json")
+      expect(error.message).toMatch(/^Invalid JSON: /)
+      expect(error.offset).toBe(6)
+    })
+  })
+
+  describe("YAML", () => {
+    it("should parse documents with merge keys, keeping timestamps as strings", () => {
+      const yaml = "defaults: &defaults\n  replicas: 2\nspec:\n  <<: *defaults\n  created: 2024-01-01\n"
+      expect(parseInput(yaml, "yaml")).toEqual({
+        data: { defaults: { replicas: 2 }, spec: { replicas: 2, created: "2024-01-01" } },
+      })
+    })
+
+    it("should query a stream of documents as an array, without empty documents", () => {
+      const manifests = "kind: Deployment\n---\nkind: Service\n---\n"
+      expect(parseInput(manifests, "yaml")).toEqual({ data: [{ kind: "Deployment" }, { kind: "Service" }] })
+    })
+
+    it("should locate syntax errors", () => {
+      expect(parseInput("a: [1\nb: 2", "yaml")).toEqual({
+        error: { message: "Invalid YAML: missed comma between flow collection entries", offset: 6 },
+      })
+    })
+  })
+
+  describe("JSON5", () => {
+    it("should accept comments, unquoted keys and trailing commas", () => {
+      expect(parseInput("// JSONC\n{a: 1, /* note */ 'b': [1, 2,],}", "json5")).toEqual({ data: { a: 1, b: [1, 2] } })
+    })
+
+    it("should locate syntax errors", () => {
+      expect(parseInput("{\n  a: 1,,\n}", "json5")).toEqual({
+        error: { message: "Invalid JSON5: invalid character ','", offset: 9 },
+      })
+    })
+  })
+
+  describe("NDJSON", () => {
+    it("should parse one value per line into an array, skipping blank lines", () => {
+      expect(parseInput('{"level": "info"}\r\n\n{"level": "error"}\n', "ndjson")).toEqual({
+        data: [{ level: "info" }, { level: "error" }],
+      })
+    })
+
+    it("should name and locate the line that fails", () => {
+      const { error } = parseInput('{"a": 1}\n{"a": }', "ndjson")
+      expect(error.message).toMatch(/^Invalid NDJSON on line 2: /)
+      expect(error.offset).toBe(15)
+    })
+  })
+
+  describe("CSV", () => {
+    it("should turn rows into objects keyed by the header, with string values", () => {
+      expect(parseInput('name,age\nAnn,40\r\n"Smith, Bo","say ""hi"""\n\n', "csv")).toEqual({
+        data: [
+          { name: "Ann", age: "40" },
+          { name: "Smith, Bo", age: 'say "hi"' },
+        ],
+      })
+      expect(parseInput("name,age\n", "csv")).toEqual({ data: [] })
+    })
+
+    it("should report rows that do not match the header", () => {
+      expect(parseInput("a,b\n1,2\n3\n", "csv")).toEqual({
+        error: { message: "Invalid CSV: row 3 has 1 fields, but the header has 2", offset: 8 },
+      })
+    })
+
+    it("should report malformed quoted fields", () => {
+      expect(parseInput('a\n"open', "csv").error).toEqual({
+        message: "Invalid CSV: unterminated quoted field",
+        offset: 2,
+      })
+      expect(parseInput('a\n"x"y', "csv").error).toEqual({
+        message: "Invalid CSV: unexpected text after a quoted field",
+        offset: 5,
+      })
+    })
+
+    it("should keep line breaks inside quoted fields", () => {
+      expect(splitCsvRows('a,b\n"two\nlines",2')).toEqual({
+        rows: [
+          { offset: 0, fields: ["a", "b"] },
+          { offset: 4, fields: ["two\nlines", "2"] },
+        ],
+      })
+    })
+  })
+})
@@ -0,0 +1,58 @@
+/**
+ * Tests for jmespathEngines.js - JMESPath engine registry
+ */
+
+import { describe, expect, it, vi } from "vitest"
+import {
+  DEFAULT_ENGINE_ID,
+  getEngine,
+  listEngines,
+  registerEngine,
+  useCustomFunctions,
+} from "../../src/jmespathEngines.js"
+
+describe("JMESPath Engines", () => {
+  it("should register the bundled community edition as the default engine", () => {
+    const engine = getEngine(DEFAULT_ENGINE_ID)
+    expect(engine.label).toBe("Community Edition")
+    expect(engine.search({ a: 1, b: 2 }, "a + b")).toBe(3)
+  })
+
+  it("should provide the legacy jmespath.js engine", () => {
+    const engine = getEngine("jmespath.js")
+    expect(engine.search({ a: [1, 2] }, "length(a)")).toBe(2)
+    expect(() => engine.search({}, "items(@)")).toThrow(/Unknown function/)
+  })
+
+  it("should fall back to the default engine for unknown ids", () => {
+    expect(getEngine("missing")).toBe(getEngine(DEFAULT_ENGINE_ID))
+  })
+
+  it("should register custom engines in order", () => {
+    registerEngine({ id: "test-engine", label: "Test", search: () => "test" })
+    expect(listEngines().map((engine) => engine.id)).toEqual([DEFAULT_ENGINE_ID, "jmespath.js", "test-engine"])
+    expect(() => registerEngine({ id: "broken" })).toThrow("A JMESPath engine needs an id and a search function.")
+  })
+
+  it("should register the custom functions of a page with the community edition only", () => {
+    const community = getEngine(DEFAULT_ENGINE_ID)
+    useCustomFunctions([{ name: "double", signature: ["number"], implementation: "([value]) => value * 2" }])
+
+    expect(community.search({ a: 2 }, "double(a)")).toBe(4)
+    expect(community.listFunctions()).toContain("double")
+    expect(() => getEngine("jmespath.js").search({ a: 2 }, "double(a)")).toThrow(/Unknown function/)
+
+    useCustomFunctions()
+    expect(() => community.search({ a: 2 }, "double(a)")).toThrow("Unknown function: double()")
+  })
+
+  it("should warn about custom functions that cannot be registered", () => {
+    vi.spyOn(console, "warn").mockReturnValue(undefined)
+    useCustomFunctions([{ name: "abs", signature: ["any"], implementation: "() => 0" }])
+
+    expect(console.warn).toHaveBeenCalledWith(
+      "Cannot register custom function abs(): it would replace a built-in function",
+    )
+    useCustomFunctions()
+  })
+})
@@ -2,12 +2,30 @@
  * Tests for jmespathPlayground.js - Interactive JMESPath evaluation
  */
 
-import { beforeEach, describe, expect, it, vi } from "vitest"
-
-// Mock jmespath library
-global.jmespath = {
-  search: vi.fn(),
-}
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { DEFAULT_EVALUATION_TIMEOUT_MS, resetEvaluationWorker, setCustomFunctions } from "../../src/evaluationClient.js"
+import { getEngine } from "../../src/jmespathEngines.js"
+import {
+  copyResult,
+  downloadResult,
+  evaluatePlayground,
+  initializeJmespathPlaygrounds,
+  loadPlaygroundFixture,
+  loadPlaygroundState,
+  populateEngineSelect,
+  populateFormatSelect,
+  populateOutputSelect,
+  readCustomFunctions,
+  readEvaluationTimeout,
+  readExpectedResult,
+  readOriginalState,
+  renderEngineComparison,
+  selectQueryTab,
+  setUpExplainPanel,
+  updateResultBadge,
+} from "../../src/jmespathPlayground.js"
+import { compareEngines } from "../../src/queryEvaluation.js"
+import { ResultTable } from "../../src/resultTable.js"
 
 describe("JMESPath Playground", () => {
   let mockJsonInput
@@ -142,7 +160,7 @@ describe("JMESPath Playground", () => {
       }
 
       try {
-        const result = jmespath.search(jsonData, queryString)
+        const result = getEngine().search(jsonData, queryString)
         outputArea.textContent = JSON.stringify(result, null, 2)
       } catch (e) {
         errorArea.textContent = `Query Error: ${e.message}`
@@ -150,18 +168,23 @@ describe("JMESPath Playground", () => {
       }
     }
 
+    let search
+
     beforeEach(() => {
-      global.jmespath.search.mockClear()
+      search = vi.spyOn(getEngine(), "search")
+    })
+
+    afterEach(() => {
+      search.mockRestore()
     })
 
     it("should execute simple query successfully", () => {
       const testData = { name: "Alice", age: 30 }
       mockQueryInput.value = "name"
-      global.jmespath.search.mockReturnValue("Alice")
 
       executeJmespathQuery(testData, mockQueryInput, mockOutputArea, mockErrorArea)
 
-      expect(global.jmespath.search).toHaveBeenCalledWith(testData, "name")
+      expect(search).toHaveBeenCalledWith(testData, "name")
       expect(mockOutputArea.textContent).toBe('"Alice"')
       expect(mockQueryInput.classList.remove).toHaveBeenCalledWith("border-red-500", "dark:border-red-400")
     })
@@ -172,7 +195,7 @@ describe("JMESPath Playground", () => {
 
       executeJmespathQuery(testData, mockQueryInput, mockOutputArea, mockErrorArea)
 
-      expect(global.jmespath.search).not.toHaveBeenCalled()
+      expect(search).not.toHaveBeenCalled()
       expect(mockOutputArea.textContent).toBe("// Enter a JMESPath query")
     })
 
@@ -182,21 +205,18 @@ describe("JMESPath Playground", () => {
 
       executeJmespathQuery(testData, mockQueryInput, mockOutputArea, mockErrorArea)
 
-      expect(global.jmespath.search).not.toHaveBeenCalled()
+      expect(search).not.toHaveBeenCalled()
       expect(mockOutputArea.textContent).toBe("// Enter a JMESPath query")
     })
 
     it("should handle query errors", () => {
       const testData = { name: "Alice" }
       mockQueryInput.value = "invalid[query"
-      global.jmespath.search.mockImplementation(() => {
-        throw new Error("Syntax error in JMESPath expression")
-      })
 
       executeJmespathQuery(testData, mockQueryInput, mockOutputArea, mockErrorArea)
 
-      expect(global.jmespath.search).toHaveBeenCalledWith(testData, "invalid[query")
-      expect(mockErrorArea.textContent).toBe("Query Error: Syntax error in JMESPath expression")
+      expect(search).toHaveBeenCalledWith(testData, "invalid[query")
+      expect(mockErrorArea.textContent).toMatch(/^Query Error: /)
       expect(mockQueryInput.classList.add).toHaveBeenCalledWith("border-red-500", "dark:border-red-400")
     })
 
@@ -210,18 +230,16 @@ describe("JMESPath Playground", () => {
       const expectedResult = ["Alice", "Bob"]
 
       mockQueryInput.value = "users[*].name"
-      global.jmespath.search.mockReturnValue(expectedResult)
 
       executeJmespathQuery(testData, mockQueryInput, mockOutputArea, mockErrorArea)
 
-      expect(global.jmespath.search).toHaveBeenCalledWith(testData, "users[*].name")
-      expect(mockOutputArea.textContent).toBe('[\n  "Alice",\n  "Bob"\n]')
+      expect(search).toHaveBeenCalledWith(testData, "users[*].name")
+      expect(mockOutputArea.textContent).toBe(JSON.stringify(expectedResult, null, 2))
     })
 
     it("should handle null/undefined results", () => {
       const testData = { name: "Alice" }
       mockQueryInput.value = "nonexistent"
-      global.jmespath.search.mockReturnValue(null)
 
       executeJmespathQuery(testData, mockQueryInput, mockOutputArea, mockErrorArea)
 
@@ -241,7 +259,7 @@ describe("JMESPath Playground", () => {
         }
 
         try {
-          const result = jmespath.search(jsonData, queryString)
+          const result = getEngine().search(jsonData, queryString)
           outputArea.textContent = JSON.stringify(result, null, 2)
         } catch (e) {
           errorArea.textContent = `Query Error: ${e.message}`
@@ -251,7 +269,6 @@ describe("JMESPath Playground", () => {
 
       const testData = { name: "Alice" }
       mockQueryInput.value = "name"
-      global.jmespath.search.mockReturnValue("Alice")
 
       // Set initial error state
       mockErrorArea.textContent = "Previous error"
@@ -286,11 +303,11 @@ describe("JMESPath Playground", () => {
 
       // Execute query
       mockQueryInput.value = query
-      global.jmespath.search.mockReturnValue(expectedResult)
+      const search = vi.spyOn(getEngine(), "search")
 
       const executeJmespathQuery = (jsonData, queryInput, outputArea, errorArea) => {
         try {
-          const result = jmespath.search(jsonData, queryInput.value)
+          const result = getEngine().search(jsonData, queryInput.value)
           outputArea.textContent = JSON.stringify(result, null, 2)
         } catch (e) {
           errorArea.textContent = `Query Error: ${e.message}`
@@ -299,8 +316,9 @@ describe("JMESPath Playground", () => {
 
       executeJmespathQuery(parsedData, mockQueryInput, mockOutputArea, mockErrorArea)
 
-      expect(global.jmespath.search).toHaveBeenCalledWith(testData, query)
-      expect(mockOutputArea.textContent).toBe('[\n  "Alice"\n]')
+      expect(search).toHaveBeenCalledWith(testData, query)
+      expect(mockOutputArea.textContent).toBe(JSON.stringify(expectedResult, null, 2))
+      search.mockRestore()
     })
 
     it("should handle invalid JSON followed by valid query", () => {
@@ -323,4 +341,445 @@ describe("JMESPath Playground", () => {
       expect(mockJsonInput.classList.add).toHaveBeenCalledWith("invalid-json")
     })
   })
+
+  describe("Documented Result Badge", () => {
+    const createBadge = () => {
+      const badge = document.createElement("span")
+      badge.hidden = true
+      return badge
+    }
+
+    it("should read the documented result from the playground element", () => {
+      const playground = document.createElement("div")
+      playground.dataset.expectedResult = '["Alice"]'
+
+      expect(readExpectedResult(playground)).toEqual({ value: ["Alice"] })
+      expect(readExpectedResult(document.createElement("div"))).toBeNull()
+    })
+
+    it("should ignore a documented result that is not valid JSON", () => {
+      const playground = document.createElement("div")
+      playground.dataset.expectedResult = "{oops"
+
+      expect(readExpectedResult(playground)).toBeNull()
+    })
+
+    it("should show a match when the result equals the documented result", () => {
+      const badge = createBadge()
+
+      updateResultBadge(badge, { value: { name: "Alice" } }, { value: { name: "Alice" } })
+
+      expect(badge.hidden).toBe(false)
+      expect(badge.textContent).toBe("Matches documented result")
+      expect(badge.classList.contains("matches")).toBe(true)
+    })
+
+    it("should show a difference when the result or query fails", () => {
+      const badge = createBadge()
+
+      updateResultBadge(badge, { value: "Alice" }, { value: "Bob" })
+      expect(badge.textContent).toBe("Differs from documented result")
+      expect(badge.classList.contains("differs")).toBe(true)
+
+      updateResultBadge(badge, { value: "Alice" }, { error: new Error("boom") })
+      expect(badge.textContent).toBe("Differs from documented result")
+    })
+
+    it("should stay hidden without a documented result or an outcome", () => {
+      const badge = createBadge()
+
+      updateResultBadge(badge, null, { value: 1 })
+      expect(badge.hidden).toBe(true)
+
+      updateResultBadge(badge, { value: 1 }, null)
+      expect(badge.hidden).toBe(true)
+    })
+  })
+
+  describe("Engine Comparison", () => {
+    it("should run the query with every registered engine", () => {
+      const results = compareEngines({ a: 1, b: 2 }, "a + b")
+      expect(results.map(({ engine }) => engine.id)).toEqual(["community", "jmespath.js"])
+      expect(results[0].outcome).toEqual({ value: 3 })
+      expect(results[1].outcome.error.message).toMatch(/Unknown character/)
+    })
+
+    it("should mark engines that differ from the first one", () => {
+      const comparisonArea = document.createElement("div")
+      renderEngineComparison(comparisonArea, compareEngines({ a: 1, b: 2 }, "a + b"))
+
+      const columns = comparisonArea.querySelectorAll(".playground-engine-result")
+      expect(comparisonArea.hidden).toBe(false)
+      expect(columns).toHaveLength(2)
+      expect(columns[0].classList.contains("agrees")).toBe(true)
+      expect(columns[1].classList.contains("differs")).toBe(true)
+      expect(columns[1].querySelector("pre").textContent).toMatch(/^Error: /)
+    })
+
+    it("should hide the comparison when there are no results", () => {
+      const comparisonArea = document.createElement("div")
+      renderEngineComparison(comparisonArea, compareEngines({ a: 1 }, "a"))
+      renderEngineComparison(comparisonArea, null)
+      expect(comparisonArea.hidden).toBe(true)
+      expect(comparisonArea.children).toHaveLength(0)
+    })
+
+    it("should list the engines and a compare option in the selector", () => {
+      const label = document.createElement("label")
+      const engineSelect = document.createElement("select")
+      label.appendChild(engineSelect)
+      populateEngineSelect(engineSelect)
+
+      expect([...engineSelect.options].map((option) => option.value)).toEqual(["community", "jmespath.js", "compare"])
+      expect(engineSelect.value).toBe("community")
+      expect(label.hidden).toBe(false)
+    })
+
+    it("should list the input formats in the format selector", () => {
+      const formatSelect = document.createElement("select")
+      populateFormatSelect(formatSelect)
+
+      expect([...formatSelect.options].map((option) => option.value)).toEqual([
+        "json",
+        "yaml",
+        "json5",
+        "ndjson",
+        "csv",
+      ])
+      expect(formatSelect.value).toBe("json")
+    })
+  })
+
+  describe("Evaluation", () => {
+    const createElements = (json, query) => ({
+      jsonInput: Object.assign(document.createElement("textarea"), { value: json }),
+      queryInput: Object.assign(document.createElement("textarea"), { value: query }),
+      outputArea: document.createElement("code"),
+      errorArea: document.createElement("div"),
+    })
+
+    it("should show the query result", async () => {
+      const elements = createElements('{"a": [1]}', "a")
+      await expect(evaluatePlayground(elements)).resolves.toEqual({ value: [1] })
+      expect(elements.outputArea.textContent).toBe(JSON.stringify([1], null, 2))
+    })
+
+    it("should show invalid JSON and query errors", async () => {
+      const invalidJson = createElements("{", "a")
+      await expect(evaluatePlayground(invalidJson)).resolves.toBeNull()
+      expect(invalidJson.errorArea.textContent).toMatch(/^Invalid JSON: /)
+      expect(invalidJson.jsonInput.classList.contains("invalid-json")).toBe(true)
+
+      const invalidQuery = createElements("{}", "a[")
+      await expect(evaluatePlayground(invalidQuery)).resolves.toHaveProperty("error")
+      expect(invalidQuery.errorArea.textContent).toMatch(/^Query Error: /)
+    })
+
+    it("should mark the position of query and JSON errors", async () => {
+      const invalidQuery = { ...createElements("{}", "a |\n  b[?c == ]"), queryEditor: { setErrorRange: vi.fn() } }
+      await evaluatePlayground(invalidQuery)
+      expect(invalidQuery.errorArea.textContent).toContain("(line 2, column 11)")
+      expect(invalidQuery.errorArea.querySelector(".error-caret").textContent).toBe("  b[?c == ]\n          ^")
+      expect(invalidQuery.queryEditor.setErrorRange).toHaveBeenLastCalledWith({ start: 14, end: 15 })
+
+      const invalidJson = { ...createElements('{\n  "a": }', "a"), jsonEditor: { setErrorRange: vi.fn() } }
+      await evaluatePlayground(invalidJson)
+      expect(invalidJson.errorArea.textContent).toContain("(line 2, column 8)")
+      expect(invalidJson.jsonEditor.setErrorRange).toHaveBeenLastCalledWith({ start: 9, end: 10 })
+    })
+
+    it("should parse the input in the selected format", async () => {
+      const formatSelect = Object.assign(document.createElement("select"), {
+        innerHTML: '<option value="json">JSON</option><option value="yaml">YAML</option>',
+        value: "yaml",
+      })
+      const elements = { ...createElements("a:\n  - 1\n  - 2", "a[1]"), formatSelect }
+      await expect(evaluatePlayground(elements)).resolves.toEqual({ value: 2 })
+
+      elements.jsonInput.value = "a: [1"
+      elements.jsonEditor = { setErrorRange: vi.fn() }
+      await expect(evaluatePlayground(elements)).resolves.toBeNull()
+      expect(elements.errorArea.textContent).toMatch(/^Invalid YAML: /)
+      expect(elements.jsonEditor.setErrorRange).toHaveBeenCalled()
+    })
+
+    describe("Output modes", () => {
+      const createOutputElements = (json, query, mode) => {
+        const outputBlock = document.createElement("pre")
+        outputBlock.className = "output-area"
+        const elements = createElements(json, query)
+        outputBlock.appendChild(elements.outputArea)
+        const outputSelect = document.createElement("select")
+        populateOutputSelect(outputSelect)
+        outputSelect.value = mode
+        return {
+          ...elements,
+          outputSelect,
+          copyButton: document.createElement("button"),
+          downloadButton: document.createElement("button"),
+          resultTable: new ResultTable(document.createElement("div")),
+        }
+      }
+
+      it("should show the result in the selected mode", async () => {
+        const elements = createOutputElements('{"a": {"b": [1]}}', "a", "yaml")
+        await evaluatePlayground(elements)
+
+        expect(elements.outputArea.textContent).toBe("b:\n  - 1")
+        expect(elements.copyButton.disabled).toBe(false)
+        expect(elements.downloadButton.disabled).toBe(false)
+      })
+
+      it("should explain why a result cannot be shown as a table", async () => {
+        const elements = createOutputElements('{"a": 1}', "a", "csv")
+        await evaluatePlayground(elements)
+
+        expect(elements.outputArea.textContent).toBe("// CSV output needs an array of objects or an array of arrays.")
+        expect(elements.errorArea.textContent).toBe("")
+        expect(elements.copyButton.disabled).toBe(true)
+      })
+
+      it("should show tables in place of the output area", async () => {
+        const elements = createOutputElements('[{"a": 2}, {"a": 1}]', "@", "table")
+        await evaluatePlayground(elements)
+
+        expect(elements.outputArea.parentElement.hidden).toBe(true)
+        expect(elements.resultTable.container.hidden).toBe(false)
+
+        elements.outputSelect.value = "json"
+        await evaluatePlayground(elements)
+        expect(elements.outputArea.parentElement.hidden).toBe(false)
+        expect(elements.resultTable.container.hidden).toBe(true)
+      })
+
+      it("should copy the result as shown, with tables in their sort order", async () => {
+        const writeText = vi.fn().mockResolvedValue()
+        vi.stubGlobal("navigator", { clipboard: { writeText } })
+        const elements = createOutputElements('[{"a": 2}, {"a": 1}]', "@", "table")
+        await evaluatePlayground(elements)
+        elements.resultTable.sortBy(0)
+
+        await copyResult(elements.copyButton, elements)
+
+        expect(writeText).toHaveBeenCalledWith("a\n1\n2")
+        expect(elements.copyButton.textContent).toBe("Copied")
+        vi.unstubAllGlobals()
+      })
+
+      it("should download the result as a file named after the mode", async () => {
+        const createObjectURL = vi.spyOn(URL, "createObjectURL").mockReturnValue("blob:result")
+        vi.spyOn(URL, "revokeObjectURL").mockReturnValue(undefined)
+        const click = vi.spyOn(HTMLAnchorElement.prototype, "click").mockImplementation(function () {
+          expect(this.download).toBe("result.csv")
+          expect(this.href).toBe("blob:result")
+        })
+        const elements = createOutputElements('[{"a": "x"}]', "@", "csv")
+        await evaluatePlayground(elements)
+
+        downloadResult(elements)
+
+        expect(click).toHaveBeenCalledTimes(1)
+        const [blob] = createObjectURL.mock.calls[0]
+        expect(blob.type).toBe("text/csv")
+        await expect(blob.text()).resolves.toBe("a\nx\n")
+        vi.restoreAllMocks()
+      })
+    })
+
+    it("should show an evaluation that runs out of time as timed out", async () => {
+      vi.useFakeTimers()
+      // A worker that never answers
+      vi.stubGlobal(
+        "Worker",
+        class {
+          addEventListener = vi.fn()
+          postMessage = vi.fn()
+          terminate = vi.fn()
+        },
+      )
+      resetEvaluationWorker()
+      const elements = { ...createElements("{}", "a"), timeoutMs: 100 }
+
+      const pending = evaluatePlayground(elements)
+      await vi.advanceTimersByTimeAsync(100)
+
+      await expect(pending).resolves.toBeNull()
+      expect(elements.errorArea.textContent).toBe(
+        "Evaluation timed out after 100 ms. Try a simpler query or a smaller input.",
+      )
+      expect(elements.errorArea.classList.contains("timed-out")).toBe(true)
+
+      resetEvaluationWorker()
+      vi.unstubAllGlobals()
+      vi.useRealTimers()
+    })
+
+    it("should refresh an open Explain panel with each evaluation", async () => {
+      const root = document.createElement("div")
+      root.innerHTML =
+        '<button class="playground-explain-button"></button><div class="playground-explain" hidden></div>'
+      const elements = createElements('{"a": [1]}', "a")
+      elements.explainPanel = setUpExplainPanel(root, elements)
+      const explainButton = root.querySelector(".playground-explain-button")
+
+      explainButton.click()
+      expect(explainButton.getAttribute("aria-expanded")).toBe("true")
+      await vi.waitFor(() => expect(elements.explainPanel.explanation).not.toBeNull())
+
+      elements.queryInput.value = "a[0]"
+      await evaluatePlayground(elements)
+      await vi.waitFor(() => expect(elements.explainPanel.explanation.ast.type).toBe("IndexExpression"))
+
+      explainButton.click()
+      expect(explainButton.getAttribute("aria-expanded")).toBe("false")
+      expect(root.querySelector(".playground-explain").hidden).toBe(true)
+    })
+
+    it("should load a state into the inputs as if it was typed", () => {
+      const elements = createElements("{}", "a")
+      elements.formatSelect = document.createElement("select")
+      elements.formatSelect.innerHTML = '<option value="json">JSON</option><option value="yaml">YAML</option>'
+      const onInput = vi.fn()
+      const onChange = vi.fn()
+      elements.queryInput.addEventListener("input", onInput)
+      elements.formatSelect.addEventListener("change", onChange)
+
+      loadPlaygroundState(elements, { json: "a: 1", query: "a", inputFormat: "yaml" })
+
+      expect(elements.jsonInput.value).toBe("a: 1")
+      expect(elements.formatSelect.value).toBe("yaml")
+      expect(onInput).toHaveBeenCalledTimes(1)
+      expect(onChange).toHaveBeenCalledTimes(1)
+    })
+
+    it("should enable Reset once the example is edited and compare with its result", async () => {
+      const elements = createElements('{"a": [1, 2]}', "a")
+      elements.originalState = readOriginalState({
+        jsonInput: Object.assign(document.createElement("textarea"), { defaultValue: '{"a": [1, 2]}' }),
+        queryInput: Object.assign(document.createElement("textarea"), { defaultValue: "a" }),
+      })
+      elements.resetButton = document.createElement("button")
+      elements.resultDiff = { update: vi.fn() }
+
+      await evaluatePlayground(elements)
+      expect(elements.resetButton.disabled).toBe(true)
+
+      elements.queryInput.value = "a[0]"
+      await evaluatePlayground(elements)
+      expect(elements.resetButton.disabled).toBe(false)
+      expect(elements.resultDiff.update).toHaveBeenLastCalledWith(
+        { json: '{"a": [1, 2]}', query: "a[0]", inputFormat: "json" },
+        { value: 1 },
+      )
+    })
+
+    it("should evaluate with the custom functions of the page", async () => {
+      const page = document.createElement("div")
+      page.innerHTML = `<script type="application/json" class="jmespath-functions">${JSON.stringify([
+        { name: "double", signature: ["number"], implementation: "([value]) => value * 2" },
+      ])}</script>`
+      const elements = createElements('{"a": 21}', "double(a)")
+
+      setCustomFunctions(readCustomFunctions(page))
+      await expect(evaluatePlayground(elements)).resolves.toEqual({ value: 42 })
+
+      setCustomFunctions(readCustomFunctions(document.createElement("div")))
+      await expect(evaluatePlayground(elements)).resolves.toHaveProperty("error.message", "Unknown function: double()")
+    })
+
+    it("should ignore unreadable custom functions", () => {
+      const page = document.createElement("div")
+      page.innerHTML = '<script type="application/json" class="jmespath-functions">{</script>'
+      vi.spyOn(console, "warn").mockReturnValue(undefined)
+
+      expect(readCustomFunctions(page)).toEqual([])
+      expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/^Ignoring invalid custom functions: /))
+    })
+
+    it("should follow the documented result and authored query of the selected tab", async () => {
+      const elements = createElements('{"a": 1, "b": 2}', "b")
+      elements.jsonInput.defaultValue = elements.jsonInput.value
+      elements.queryInput.defaultValue = "b"
+      elements.resultBadge = document.createElement("span")
+      elements.resultDiff = { setOriginalState: vi.fn(), update: vi.fn() }
+      const tab = document.createElement("button")
+      tab.dataset.expectedResult = "3"
+
+      await expect(selectQueryTab(elements, tab)).resolves.toEqual({ value: 2 })
+      expect(elements.resultBadge.textContent).toBe("Differs from documented result")
+      expect(elements.originalState).toEqual({ json: '{"a": 1, "b": 2}', query: "b", inputFormat: "json" })
+      expect(elements.resultDiff.setOriginalState).toHaveBeenCalledWith(elements.originalState)
+    })
+
+    it("should load a fixture as the input as written, keeping an input entered meanwhile", async () => {
+      vi.stubGlobal("fetch", vi.fn().mockResolvedValue({ ok: true, text: () => Promise.resolve('{"a": 1}') }))
+      const elements = { ...createElements("", "a"), resultDiff: { setOriginalState: vi.fn() } }
+
+      await expect(loadPlaygroundFixture(elements, "current/fixtures/a.json")).resolves.toBe(true)
+      expect(fetch).toHaveBeenCalledWith("current/fixtures/a.json")
+      expect(elements.jsonInput.value).toBe('{"a": 1}')
+      expect(elements.originalState).toEqual({ json: '{"a": 1}', query: "", inputFormat: "json" })
+      expect(elements.resultDiff.setOriginalState).toHaveBeenCalledWith(elements.originalState)
+
+      const shared = createElements('{"a": 2}', "a")
+      await loadPlaygroundFixture(shared, "current/fixtures/a.json")
+      expect(shared.jsonInput.value).toBe('{"a": 2}')
+      expect(shared.jsonInput.defaultValue).toBe('{"a": 1}')
+      vi.unstubAllGlobals()
+    })
+
+    it("should report fixtures that cannot be loaded", async () => {
+      vi.stubGlobal("fetch", vi.fn().mockResolvedValue({ ok: false, status: 404 }))
+      const elements = createElements("", "a")
+
+      await expect(loadPlaygroundFixture(elements, "current/fixtures/missing.json")).resolves.toBe(false)
+      expect(elements.errorArea.textContent).toBe(
+        "Could not load the input from current/fixtures/missing.json: HTTP error: 404",
+      )
+      vi.unstubAllGlobals()
+    })
+
+    it("should not set up an Explain panel without its markup", () => {
+      expect(setUpExplainPanel(document.createElement("div"), createElements("{}", "a"))).toBeNull()
+    })
+
+    it("should read the time budget from the playground", () => {
+      const playground = document.createElement("div")
+      expect(readEvaluationTimeout(playground)).toBe(DEFAULT_EVALUATION_TIMEOUT_MS)
+      playground.dataset.evaluationTimeout = "5000"
+      expect(readEvaluationTimeout(playground)).toBe(5000)
+    })
+  })
+
+  describe("initializeJmespathPlaygrounds", () => {
+    const createPlayground = () => {
+      const playground = document.createElement("div")
+      playground.className = "jmespath-playground"
+      playground.innerHTML = `
+        <button class="playground-toggle-button" aria-expanded="false"></button>
+        <div class="playground-content">
+          <textarea class="json-input">{"a": 1}</textarea>
+          <textarea class="query-input">a</textarea>
+          <pre class="output-area"><code></code></pre>
+          <div class="error-area"></div>
+        </div>`
+      return playground
+    }
+
+    it("should leave playgrounds already initialized as they are", () => {
+      const container = document.createElement("div")
+      container.append(createPlayground(), createPlayground())
+      document.body.append(container)
+
+      initializeJmespathPlaygrounds(container)
+      initializeJmespathPlaygrounds(container)
+
+      expect(container.querySelectorAll(".code-editor")).toHaveLength(4)
+      expect(container.querySelectorAll(".code-editor .code-editor")).toHaveLength(0)
+      const toggleButton = container.querySelector(".playground-toggle-button")
+      toggleButton.click()
+      expect(toggleButton.getAttribute("aria-expanded")).toBe("true")
+      container.remove()
+    })
+  })
 })
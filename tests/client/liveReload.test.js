@@ -0,0 +1,170 @@
+/**
+ * Tests for liveReload.js - Reloading pages served by the dev server
+ */
+
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest"
+import {
+  connectLiveReload,
+  getLiveReloadUrl,
+  reloadStylesheets,
+  restorePageState,
+  savePageState,
+} from "../../src/liveReload.js"
+
+const createPlayground = (json, query) => {
+  const playground = document.createElement("div")
+  playground.className = "jmespath-playground"
+  playground.innerHTML = `
+    <button class="playground-toggle-button" aria-expanded="false"></button>
+    <textarea class="json-input"></textarea>
+    <textarea class="query-input"></textarea>`
+  playground.querySelector(".json-input").defaultValue = json
+  playground.querySelector(".query-input").defaultValue = query
+  const toggleButton = playground.querySelector(".playground-toggle-button")
+  toggleButton.addEventListener("click", () => toggleButton.setAttribute("aria-expanded", "true"))
+  return playground
+}
+
+const createPage = () => {
+  const container = document.createElement("div")
+  container.append(createPlayground('{"a": 1}', "a"), createPlayground('{"b": 2}', "b"))
+  return container
+}
+
+describe("Live Reload", () => {
+  beforeAll(() => {
+    // The stylesheets of these tests are not served
+    window.happyDOM.settings.disableCSSFileLoading = true
+  })
+
+  beforeEach(() => {
+    sessionStorage.clear()
+    window.location.hash = "#current/page.html"
+  })
+
+  afterEach(() => {
+    document.head.innerHTML = ""
+    vi.unstubAllGlobals()
+  })
+
+  describe("getLiveReloadUrl", () => {
+    it("should read the reload URL the dev server sets", () => {
+      expect(getLiveReloadUrl()).toBeNull()
+
+      document.head.innerHTML = '<meta name="live-reload" content="/__live-reload">'
+      expect(getLiveReloadUrl()).toBe("/__live-reload")
+    })
+  })
+
+  describe("savePageState and restorePageState", () => {
+    it("should restore edited and expanded playgrounds of the same page", () => {
+      const before = createPage()
+      const [edited, expanded] = before.querySelectorAll(".jmespath-playground")
+      edited.querySelector(".query-input").value = "a.edited"
+      expanded.querySelector(".playground-toggle-button").click()
+      savePageState(before)
+
+      const after = createPage()
+      const [rebuiltEdited, rebuiltExpanded] = after.querySelectorAll(".jmespath-playground")
+      rebuiltExpanded.querySelector(".query-input").defaultValue = "b.rebuilt"
+      const inputListener = vi.fn()
+      rebuiltEdited.querySelector(".query-input").addEventListener("input", inputListener)
+
+      expect(restorePageState(after)).toBe(true)
+      expect(rebuiltEdited.querySelector(".query-input").value).toBe("a.edited")
+      expect(inputListener).toHaveBeenCalled()
+      expect(rebuiltEdited.querySelector(".playground-toggle-button").getAttribute("aria-expanded")).toBe("false")
+      // Playgrounds as authored show the rebuilt example
+      expect(rebuiltExpanded.querySelector(".query-input").value).toBe("b.rebuilt")
+      expect(rebuiltExpanded.querySelector(".playground-toggle-button").getAttribute("aria-expanded")).toBe("true")
+    })
+
+    it("should restore a page state once, and only on the page it was saved on", () => {
+      const before = createPage()
+      before.querySelector(".query-input").value = "a.edited"
+      savePageState(before)
+      window.location.hash = "#current/other.html"
+
+      const after = createPage()
+      expect(restorePageState(after)).toBe(false)
+      expect(after.querySelector(".query-input").value).toBe("a")
+
+      window.location.hash = "#current/page.html"
+      expect(restorePageState(after)).toBe(false)
+    })
+
+    it("should not restore edits once playgrounds were added or removed", () => {
+      const before = createPage()
+      before.querySelector(".query-input").value = "a.edited"
+      savePageState(before)
+
+      const after = createPage()
+      after.prepend(createPlayground("{}", "new"))
+      expect(restorePageState(after)).toBe(true)
+      expect([...after.querySelectorAll(".query-input")].map((input) => input.value)).toEqual(["new", "a", "b"])
+    })
+  })
+
+  describe("reloadStylesheets", () => {
+    it("should reload the page's own stylesheets only", () => {
+      document.head.innerHTML = `
+        <link rel="stylesheet" href="style.css">
+        <link rel="stylesheet" href="https://fonts.example.com/css">`
+
+      reloadStylesheets()
+
+      const [own, external] = document.head.querySelectorAll("link")
+      expect(own.href).toMatch(/\/style\.css\?reload=\d+$/)
+      expect(external.href).toBe("https://fonts.example.com/css")
+    })
+  })
+
+  describe("connectLiveReload", () => {
+    let eventSource
+
+    beforeEach(() => {
+      vi.stubGlobal(
+        "EventSource",
+        vi.fn().mockImplementation((url) => {
+          eventSource = new EventTarget()
+          eventSource.url = url
+          return eventSource
+        }),
+      )
+    })
+
+    const sendReload = (data) => {
+      const event = new Event("reload")
+      event.data = JSON.stringify(data)
+      eventSource.dispatchEvent(event)
+    }
+
+    it("should reload stylesheets in place when only styles changed", () => {
+      document.head.innerHTML = '<link rel="stylesheet" href="style.css">'
+      const reload = vi.spyOn(window.location, "reload").mockReturnValue(undefined)
+
+      connectLiveReload("/__live-reload", createPage())
+      sendReload({ type: "css" })
+
+      expect(EventSource).toHaveBeenCalledWith("/__live-reload")
+      expect(document.head.querySelector("link").href).toContain("?reload=")
+      expect(reload).not.toHaveBeenCalled()
+      reload.mockRestore()
+    })
+
+    it("should keep the page state and reload the page on other changes", () => {
+      const reload = vi.spyOn(window.location, "reload").mockReturnValue(undefined)
+      const page = createPage()
+      page.querySelector(".query-input").value = "a.edited"
+
+      connectLiveReload("/__live-reload", page)
+      sendReload({ type: "page" })
+
+      expect(reload).toHaveBeenCalled()
+      const after = createPage()
+      restorePageState(after)
+      expect(after.querySelector(".query-input").value).toBe("a.edited")
+      reload.mockRestore()
+    })
+  })
+})
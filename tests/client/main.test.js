@@ -7,6 +7,7 @@ import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
 // Mock dependencies before importing the main module
 vi.mock("../src/jmespathPlayground.js", () => ({
   initializeJmespathPlaygrounds: vi.fn(),
+  restorePlaygroundLink: vi.fn(),
 }))
 
 vi.mock("../src/navigation.js", () => ({
@@ -117,31 +118,76 @@ describe("Main Application Controller", () => {
     it("should parse empty hash", () => {
       mockWindow.location.hash = ""
       const result = app.parseHash()
-      expect(result).toEqual({ versionId: null, fileName: null, sectionId: null })
+      expect(result).toEqual({ versionId: null, fileName: null, sectionId: null, playgroundLink: null })
     })
 
     it("should parse version and file", () => {
       mockWindow.location.hash = "#current/index.html"
       const result = app.parseHash()
-      expect(result).toEqual({ versionId: "current", fileName: "index.html", sectionId: null })
+      expect(result).toEqual({ versionId: "current", fileName: "index.html", sectionId: null, playgroundLink: null })
     })
 
     it("should parse version, file, and section", () => {
       mockWindow.location.hash = "#current/index.html#section-1"
       const result = app.parseHash()
-      expect(result).toEqual({ versionId: "current", fileName: "index.html", sectionId: "section-1" })
+      expect(result).toEqual({
+        versionId: "current",
+        fileName: "index.html",
+        sectionId: "section-1",
+        playgroundLink: null,
+      })
     })
 
     it("should handle nested paths", () => {
       mockWindow.location.hash = "#current/docs/guide.html"
       const result = app.parseHash()
-      expect(result).toEqual({ versionId: "current", fileName: "docs/guide.html", sectionId: null })
+      expect(result).toEqual({
+        versionId: "current",
+        fileName: "docs/guide.html",
+        sectionId: null,
+        playgroundLink: null,
+      })
     })
 
     it("should handle complex section IDs", () => {
       mockWindow.location.hash = "#current/index.html#complex-section-id-123"
       const result = app.parseHash()
-      expect(result).toEqual({ versionId: "current", fileName: "index.html", sectionId: "complex-section-id-123" })
+      expect(result).toEqual({
+        versionId: "current",
+        fileName: "index.html",
+        sectionId: "complex-section-id-123",
+        playgroundLink: null,
+      })
+    })
+
+    it("should parse a shared playground link", () => {
+      mockWindow.location.hash = "#current/index.html?playground=2&state=zAbC-_"
+      const result = app.parseHash()
+      expect(result).toEqual({
+        versionId: "current",
+        fileName: "index.html",
+        sectionId: null,
+        playgroundLink: { playgroundIndex: 2, state: "zAbC-_" },
+      })
+    })
+
+    it("should recognize the full-page playground route", () => {
+      mockWindow.location.hash = "#playground"
+      expect(app.parseWorkbenchRoute()).toEqual({ state: null })
+
+      mockWindow.location.hash = "#playground?state=zAbC"
+      expect(app.parseWorkbenchRoute()).toEqual({ state: "zAbC" })
+
+      mockWindow.location.hash = "#current/playground.html"
+      expect(app.parseWorkbenchRoute()).toBeNull()
+    })
+
+    it("should ignore malformed playground links", () => {
+      mockWindow.location.hash = "#current/index.html?playground=abc&state=zAbC"
+      expect(app.parseHash().playgroundLink).toBeNull()
+
+      mockWindow.location.hash = "#current/index.html?playground=1"
+      expect(app.parseHash().playgroundLink).toBeNull()
     })
   })
 
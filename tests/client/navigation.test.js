@@ -3,6 +3,7 @@
  */
 
 import { beforeEach, describe, expect, it, vi } from "vitest"
+import { Navigation } from "../../src/navigation.js"
 
 describe("Navigation Functionality", () => {
   let mockSidebarElement
@@ -220,6 +221,61 @@ describe("Navigation Functionality", () => {
     })
   })
 
+  describe("Navigation Sections", () => {
+    const sections = [
+      { id: "compliance", title: "Compliance Tests" },
+      { id: "extensions", title: "Extensions" },
+      { id: "empty", title: "Empty" },
+    ]
+    const pages = [
+      { id: "home", file: "index.html", title: "Home", navOrder: 1 },
+      { id: "extensions/intro", file: "extensions/intro.html", title: "Intro", section: "extensions" },
+      { id: "compliance/readme", file: "compliance/readme.html", title: "Readme", section: "compliance" },
+      {
+        id: "compliance/functions",
+        file: "compliance/functions.html",
+        title: "Functions",
+        parent: "compliance/readme",
+        section: "compliance",
+      },
+    ]
+
+    it("should group the pages of each section after the other pages, in section order", () => {
+      const navigation = new Navigation(document.createElement("ul"))
+
+      const tree = navigation.buildNavigationTree(pages, sections)
+
+      expect(tree.map((node) => node.id)).toEqual(["home", "section-compliance", "section-extensions"])
+      expect(tree[1]).toMatchObject({ title: "Compliance Tests", isNavSection: true })
+      expect(tree[1].children.map((node) => node.id)).toEqual(["compliance/readme"])
+      expect(tree[1].children[0].children.map((node) => node.id)).toEqual(["compliance/functions"])
+      expect(navigation.buildNavigationTree(pages).map((node) => node.id)).toEqual([
+        "home",
+        "extensions/intro",
+        "compliance/readme",
+      ])
+    })
+
+    it("should render sections as labels holding the links of their pages", () => {
+      const sidebar = document.createElement("ul")
+      const navigation = new Navigation(sidebar)
+
+      navigation.populate(
+        { versions: [{ id: "current", pages, sections }], defaultVersionId: "current" },
+        "current",
+        "extensions/intro.html",
+      )
+
+      const sectionItems = sidebar.querySelectorAll("li.nav-section")
+      expect([...sectionItems].map((item) => item.querySelector(".nav-label").textContent)).toEqual([
+        "Compliance Tests",
+        "Extensions",
+      ])
+      const activeLink = sectionItems[1].querySelector("li.active a.nav-link")
+      expect(activeLink.getAttribute("href")).toBe("#current/extensions/intro.html")
+    })
+  })
+
   describe("Navigation HTML Generation", () => {
     const generateNavigationHtml = (tree, activeFile) => {
       const generateItem = (item, level = 0) => {
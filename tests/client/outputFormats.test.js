@@ -0,0 +1,94 @@
+/**
+ * Tests for outputFormats.js - Showing playground results in other formats than indented JSON
+ */
+
+import { describe, expect, it } from "vitest"
+import { formatDelimited, formatOutput, listOutputModes, sortRows, toTable } from "../../src/outputFormats.js"
+
+const people = [
+  { name: "Ada", age: 36 },
+  { name: "Grace, Admiral", age: 85, ships: ["USS Hopper"] },
+]
+
+describe("Output Formats", () => {
+  it("should list JSON first", () => {
+    expect(listOutputModes().map(({ id }) => id)).toEqual(["json", "compact", "yaml", "csv", "tsv", "table", "raw"])
+  })
+
+  it("should format JSON indented or compact", () => {
+    expect(formatOutput({ a: [1] }, "json")).toMatchObject({ text: '{\n  "a": [\n    1\n  ]\n}', language: "json" })
+    expect(formatOutput({ a: [1] }, "compact")).toEqual({
+      text: '{"a":[1]}',
+      language: "json",
+      fileName: "result.json",
+      mimeType: "application/json",
+    })
+  })
+
+  it("should format YAML", () => {
+    expect(formatOutput({ a: [1, "2"], b: null }, "yaml")).toMatchObject({
+      text: "a:\n  - 1\n  - '2'\nb: null",
+      fileName: "result.yaml",
+    })
+  })
+
+  it("should unquote string results in raw mode only", () => {
+    expect(formatOutput('say "hi"\nthere', "raw")).toMatchObject({ text: 'say "hi"\nthere', fileName: "result.txt" })
+    expect(formatOutput(["a"], "raw").text).toBe('[\n  "a"\n]')
+  })
+
+  it("should format unknown modes as JSON", () => {
+    expect(formatOutput(1, "xml")).toMatchObject({ text: "1", fileName: "result.json" })
+  })
+
+  describe("Tables", () => {
+    it("should turn arrays of objects into columns in the order keys appear", () => {
+      expect(toTable(people)).toEqual({
+        columns: ["name", "age", "ships"],
+        hasHeader: true,
+        rows: [
+          ["Ada", 36, undefined],
+          ["Grace, Admiral", 85, ["USS Hopper"]],
+        ],
+      })
+    })
+
+    it("should turn arrays of arrays into rows without a header", () => {
+      expect(toTable([[1, 2], [3]])).toEqual({
+        columns: ["0", "1"],
+        hasHeader: false,
+        rows: [
+          [1, 2],
+          [3, undefined],
+        ],
+      })
+    })
+
+    it("should reject results that are not tables", () => {
+      expect(toTable({ a: 1 })).toBeNull()
+      expect(toTable([1, 2])).toBeNull()
+      expect(toTable([{ a: 1 }, [1]])).toBeNull()
+      expect(formatOutput("a", "csv")).toEqual({ error: "CSV output needs an array of objects or an array of arrays." })
+    })
+
+    it("should write CSV with quoted fields and nested values as JSON", () => {
+      expect(formatOutput(people, "csv")).toMatchObject({
+        text: 'name,age,ships\nAda,36,\n"Grace, Admiral",85,"[""USS Hopper""]"',
+        fileName: "result.csv",
+        mimeType: "text/csv",
+      })
+    })
+
+    it("should escape tabs and line breaks in TSV", () => {
+      const table = toTable([["a\tb", "c\nd\\"]])
+      expect(formatDelimited(table, "tsv")).toBe("a\\tb\tc\\nd\\\\")
+    })
+
+    it("should sort numbers numerically and text naturally, leaving empty cells last", () => {
+      const rows = [["item 10"], [null], ["item 9"], [2], [10]]
+      expect(sortRows(rows, 0)).toEqual([[2], [10], ["item 9"], ["item 10"], [null]])
+      expect(sortRows(rows, 0, true)).toEqual([["item 10"], ["item 9"], [10], [2], [null]])
+      expect(rows[0]).toEqual(["item 10"])
+    })
+  })
+})
@@ -0,0 +1,57 @@
+/**
+ * Tests for playgroundState.js - Shareable playground link encoding
+ */
+
+import { afterEach, describe, expect, it, vi } from "vitest"
+import { buildPlaygroundHash, decodePlaygroundState, encodePlaygroundState } from "../../src/playgroundState.js"
+
+describe("Playground State", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+  })
+
+  const state = {
+    json: '{"people": [{"name": "Zoë", "age": 30}]}',
+    query: "people[?age > `20`].name",
+    inputFormat: "json",
+  }
+
+  it("should round-trip compressed state", async () => {
+    const encoded = await encodePlaygroundState(state)
+    expect(encoded.startsWith("z")).toBe(true)
+    expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/)
+    expect(await decodePlaygroundState(encoded)).toEqual(state)
+  })
+
+  it("should keep the input format, leaving it out for JSON", async () => {
+    vi.stubGlobal("CompressionStream", undefined)
+    const yamlState = { json: "people: []", query: "people", inputFormat: "yaml" }
+    expect(await decodePlaygroundState(await encodePlaygroundState(yamlState))).toEqual(yamlState)
+
+    const encoded = await encodePlaygroundState({ json: "[1]", query: "@" })
+    const payload = atob(encoded.substring(1).replace(/-/g, "+").replace(/_/g, "/"))
+    expect(JSON.parse(payload)).toEqual({ j: "[1]", q: "@" })
+    expect((await decodePlaygroundState(encoded)).inputFormat).toBe("json")
+  })
+
+  it("should fall back to uncompressed state without CompressionStream", async () => {
+    vi.stubGlobal("CompressionStream", undefined)
+    const encoded = await encodePlaygroundState(state)
+    expect(encoded.startsWith("j")).toBe(true)
+    expect(await decodePlaygroundState(encoded)).toEqual(state)
+  })
+
+  it("should return null for invalid state", async () => {
+    vi.spyOn(console, "warn").mockImplementation(vi.fn())
+    expect(await decodePlaygroundState("")).toBeNull()
+    expect(await decodePlaygroundState("xAAAA")).toBeNull()
+    expect(await decodePlaygroundState("j!!!")).toBeNull()
+    expect(await decodePlaygroundState(`j${btoa('{"j": 1}')}`)).toBeNull()
+    expect(console.warn).toHaveBeenCalled()
+  })
+
+  it("should build a hash route for a playground", () => {
+    expect(buildPlaygroundHash("current/index.html", 3, "zAbC")).toBe("#current/index.html?playground=3&state=zAbC")
+  })
+})
@@ -0,0 +1,122 @@
+/**
+ * Tests for playgroundStorage.js - Query histories and saved snippets in localStorage
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest"
+import {
+  buildHistoryKey,
+  deleteSnippet,
+  exportSnippets,
+  HISTORY_LIMIT,
+  importSnippets,
+  loadQueryHistory,
+  loadSnippets,
+  recordQuery,
+  saveSnippet,
+} from "../../src/playgroundStorage.js"
+
+describe("Playground Storage", () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  describe("Query history", () => {
+    const historyKey = buildHistoryKey("v1/index.html", 2)
+
+    it("should key histories by page and playground", () => {
+      expect(historyKey).toBe("v1/index.html#2")
+      recordQuery(historyKey, "a")
+      expect(loadQueryHistory(buildHistoryKey("v1/index.html", 3))).toEqual([])
+    })
+
+    it("should keep the most recent queries first, without duplicates or blank queries", () => {
+      recordQuery(historyKey, "a")
+      recordQuery(historyKey, " b ")
+      recordQuery(historyKey, "  ")
+      expect(recordQuery(historyKey, "a")).toEqual(["a", "b"])
+      expect(loadQueryHistory(historyKey)).toEqual(["a", "b"])
+    })
+
+    it("should drop the oldest queries over the limit", () => {
+      for (let index = 0; index <= HISTORY_LIMIT; index++) recordQuery(historyKey, `q${index}`)
+      const history = loadQueryHistory(historyKey)
+      expect(history).toHaveLength(HISTORY_LIMIT)
+      expect(history[0]).toBe(`q${HISTORY_LIMIT}`)
+      expect(history).not.toContain("q0")
+    })
+
+    it("should read corrupt or unavailable storage as an empty history", () => {
+      const warn = vi.spyOn(console, "warn").mockReturnValue(undefined)
+      localStorage.setItem(`jmespath-playground-history:${historyKey}`, "{")
+      expect(loadQueryHistory(historyKey)).toEqual([])
+
+      vi.spyOn(Storage.prototype, "getItem").mockImplementation(() => {
+        throw new Error("denied")
+      })
+      expect(loadQueryHistory(historyKey)).toEqual([])
+      expect(warn).toHaveBeenCalled()
+      vi.restoreAllMocks()
+    })
+  })
+
+  describe("Snippets", () => {
+    const snippet = { name: "Cities", json: '{"a": 1}', query: "a", inputFormat: "json" }
+
+    it("should save snippets sorted by name, replacing those with the same name", () => {
+      saveSnippet({ ...snippet, name: "Zones" })
+      saveSnippet(snippet)
+      saveSnippet({ ...snippet, query: "b" })
+
+      const snippets = loadSnippets()
+      expect(snippets.map(({ name, query }) => [name, query])).toEqual([
+        ["Cities", "b"],
+        ["Zones", "a"],
+      ])
+      expect(snippets[0].savedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/)
+    })
+
+    it("should require a name", () => {
+      expect(() => saveSnippet({ ...snippet, name: " " })).toThrow("A snippet needs a name and a query.")
+    })
+
+    it("should delete snippets by name", () => {
+      saveSnippet(snippet)
+      expect(deleteSnippet("Cities")).toEqual([])
+    })
+
+    it("should import exported snippets, replacing those with the same name", () => {
+      saveSnippet(snippet)
+      const exported = exportSnippets()
+      localStorage.clear()
+      saveSnippet({ ...snippet, query: "old" })
+      saveSnippet({ ...snippet, name: "Other" })
+
+      const { snippets, importedCount } = importSnippets(exported)
+
+      expect(importedCount).toBe(1)
+      expect(snippets.map(({ name, query }) => [name, query])).toEqual([
+        ["Cities", "a"],
+        ["Other", "a"],
+      ])
+    })
+
+    it("should fill in missing fields and skip invalid snippets when importing", () => {
+      const file = JSON.stringify({
+        format: "jmespath-playground-snippets",
+        version: 1,
+        snippets: [{ name: "Bare", query: "@" }, { name: "No query" }, null],
+      })
+
+      expect(importSnippets(file).snippets).toEqual([
+        { name: "Bare", query: "@", json: "", inputFormat: "json", savedAt: null },
+      ])
+    })
+
+    it("should reject files that are not snippet exports", () => {
+      expect(() => importSnippets("{")).toThrow(/^Not a snippets file: /)
+      expect(() => importSnippets('{"snippets": []}')).toThrow(
+        "Not a snippets file: it was not exported from the playground.",
+      )
+    })
+  })
+})
@@ -0,0 +1,153 @@
+/**
+ * Tests for playgroundWorkbench.js - Full-page playground route
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { PlaygroundWorkbench } from "../../src/playgroundWorkbench.js"
+
+describe("Playground Workbench", () => {
+  let container
+  let workbench
+
+  beforeEach(() => {
+    localStorage.clear()
+    container = document.createElement("div")
+    workbench = new PlaygroundWorkbench()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  const pressEnter = (element) => element.dispatchEvent(new KeyboardEvent("keydown", { key: "Enter" }))
+  const outputText = () => container.querySelector(".output-area code").textContent
+
+  it("should render the given state and evaluate it", async () => {
+    workbench.render(container, { state: { json: '{"foo": [1, 2]}', query: "foo" }, returnHash: "#v1/index.html" })
+
+    expect(container.querySelector(".json-input").value).toBe('{"foo": [1, 2]}')
+    expect(container.querySelector(".query-input").value).toBe("foo")
+    await vi.waitFor(() => expect(outputText()).toBe(JSON.stringify([1, 2], null, 2)))
+    expect(container.querySelector(".workbench-back-link").getAttribute("href")).toBe("#v1/index.html")
+  })
+
+  it("should keep the selected engine across renders", async () => {
+    workbench.render(container, { state: { json: '{"a": 1}', query: "a" }, returnHash: "#" })
+    const engineSelect = container.querySelector(".playground-engine-select")
+    engineSelect.value = "compare"
+    engineSelect.dispatchEvent(new Event("change"))
+
+    await vi.waitFor(() => expect(container.querySelector(".playground-comparison").hidden).toBe(false))
+
+    workbench.render(container, { returnHash: "#" })
+    expect(container.querySelector(".playground-engine-select").value).toBe("compare")
+  })
+
+  it("should keep the input format across renders", async () => {
+    workbench.render(container, { state: { json: "a: 1", query: "a", inputFormat: "yaml" }, returnHash: "#" })
+
+    expect(container.querySelector(".playground-format-select").value).toBe("yaml")
+    await vi.waitFor(() => expect(outputText()).toBe("1"))
+
+    workbench.render(container, { returnHash: "#" })
+    expect(container.querySelector(".playground-format-select").value).toBe("yaml")
+  })
+
+  it("should keep the output mode across renders", async () => {
+    workbench.render(container, { state: { json: '[{"a": 1}]', query: "@" }, returnHash: "#" })
+    const outputSelect = container.querySelector(".playground-output-select")
+    outputSelect.value = "table"
+    outputSelect.dispatchEvent(new Event("change"))
+
+    await vi.waitFor(() => expect(container.querySelector(".playground-output-table td").textContent).toBe("1"))
+
+    workbench.render(container, { returnHash: "#" })
+    expect(container.querySelector(".playground-output-select").value).toBe("table")
+  })
+
+  it("should explain the query in the Explain panel", async () => {
+    workbench.render(container, { state: { json: '{"a": {"b": 1}}', query: "a.b" }, returnHash: "#" })
+
+    container.querySelector(".playground-explain-button").click()
+
+    await vi.waitFor(() => expect(container.querySelector(".explain-position").textContent).toBe("Step 1 of 3"))
+    expect(container.querySelector(".explain-tree .explain-type").textContent).toBe("Subexpression")
+  })
+
+  it("should keep the previous state when rendered again without one", async () => {
+    workbench.render(container, { state: { json: '{"a": 1}', query: "a" }, returnHash: "#" })
+    container.querySelector(".query-input").value = "b"
+    await workbench.evaluate()
+
+    workbench.render(container, { returnHash: "#" })
+    expect(container.querySelector(".query-input").value).toBe("b")
+  })
+
+  it("should re-evaluate after edits", async () => {
+    vi.useFakeTimers()
+    workbench.render(container, { state: { json: '{"a": 1, "b": 2}', query: "a" }, returnHash: "#" })
+    const queryInput = container.querySelector(".query-input")
+
+    queryInput.value = "b"
+    queryInput.dispatchEvent(new Event("input"))
+    await vi.runAllTimersAsync()
+
+    expect(outputText()).toBe("2")
+  })
+
+  it("should record successful queries run with Enter in the history", async () => {
+    workbench.render(container, { state: { json: '{"a": 1, "b": 2}', query: "a" }, returnHash: "#" })
+    const queryInput = container.querySelector(".query-input")
+
+    pressEnter(queryInput)
+    queryInput.value = "b"
+    pressEnter(queryInput)
+    queryInput.value = "a["
+    pressEnter(queryInput)
+    queryInput.value = "a"
+    pressEnter(queryInput)
+
+    const historyItems = () =>
+      [...container.querySelectorAll(".workbench-history-item")].map((item) => item.textContent)
+    await vi.waitFor(() => expect(historyItems()).toEqual(["a", "b"]))
+    expect(container.querySelector(".workbench-history-empty").hidden).toBe(true)
+  })
+
+  it("should restore a query from the history", async () => {
+    workbench.render(container, { state: { json: '{"a": 1, "b": 2}', query: "b" }, returnHash: "#" })
+    workbench.addToHistory("a")
+
+    container.querySelector(".workbench-history-item").click()
+
+    expect(container.querySelector(".query-input").value).toBe("a")
+    await vi.waitFor(() => expect(outputText()).toBe("1"))
+  })
+  it("should keep the history across page loads and recall it with ArrowUp", async () => {
+    workbench.render(container, { state: { json: '{"a": 1, "b": 2}', query: "b" }, returnHash: "#" })
+    workbench.addToHistory("a")
+
+    const reloaded = new PlaygroundWorkbench()
+    reloaded.render(container, { state: { json: '{"a": 1, "b": 2}', query: "b" }, returnHash: "#" })
+    const queryInput = container.querySelector(".query-input")
+    queryInput.setSelectionRange(0, 0)
+    queryInput.dispatchEvent(new KeyboardEvent("keydown", { key: "ArrowUp", cancelable: true }))
+
+    expect(container.querySelector(".workbench-history-item").textContent).toBe("a")
+    expect(queryInput.value).toBe("a")
+    await vi.waitFor(() => expect(outputText()).toBe("1"))
+  })
+
+  it("should load a saved snippet into the workbench", async () => {
+    workbench.render(container, { state: { json: '{"a": 1}', query: "a" }, returnHash: "#" })
+    container.querySelector(".playground-snippets-button").click()
+    const panel = container.querySelector(".playground-snippets")
+    panel.querySelector(".snippets-name").value = "One"
+    panel.querySelector(".snippets-save").dispatchEvent(new Event("submit", { cancelable: true }))
+
+    container.querySelector(".query-input").value = "b"
+    panel.querySelector('[data-action="load"]').click()
+
+    expect(container.querySelector(".query-input").value).toBe("a")
+    await vi.waitFor(() => expect(outputText()).toBe("1"))
+  })
+})
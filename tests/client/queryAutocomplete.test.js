@@ -0,0 +1,96 @@
+/**
+ * Tests for queryAutocomplete.js - Completion list of the query input
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest"
+import { QueryAutocomplete } from "../../src/queryAutocomplete.js"
+
+describe("Query Autocomplete", () => {
+  let queryInput
+  let autocomplete
+
+  beforeEach(() => {
+    document.body.innerHTML = ""
+    queryInput = document.createElement("textarea")
+    document.body.appendChild(queryInput)
+    autocomplete = new QueryAutocomplete(queryInput, { getJson: () => '{"name": "Ann", "nested": {}}' })
+    queryInput.focus()
+  })
+
+  const type = async (text) => {
+    queryInput.value = text
+    queryInput.setSelectionRange(text.length, text.length)
+    queryInput.dispatchEvent(new InputEvent("input", { inputType: "insertText" }))
+    await vi.waitFor(() => expect(autocomplete.list.hidden).toBe(false))
+  }
+  const pressKey = (key) => {
+    const event = new KeyboardEvent("keydown", { key, cancelable: true })
+    queryInput.dispatchEvent(event)
+    return event
+  }
+  const optionLabels = () =>
+    [...autocomplete.list.querySelectorAll(".query-completion-label")].map((label) => label.textContent)
+
+  it("should list completions below the query input while typing", async () => {
+    await type("n")
+
+    expect(queryInput.nextElementSibling).toBe(autocomplete.list)
+    expect(optionLabels()).toEqual(["name", "nested", "not_null"])
+    expect(autocomplete.list.querySelector(".query-completion-function .query-completion-detail").textContent).toBe(
+      "any not_null(any $arg1[, any $arg2, ...])",
+    )
+    expect(queryInput.getAttribute("aria-expanded")).toBe("true")
+  })
+
+  it("should insert the selected completion with Enter without letting other handlers run", async () => {
+    const enterHandler = vi.fn()
+    queryInput.addEventListener("keydown", enterHandler)
+    await type("nes")
+    queryInput.value = "nes | x"
+    queryInput.setSelectionRange(3, 3)
+
+    const event = pressKey("Enter")
+
+    expect(event.defaultPrevented).toBe(true)
+    expect(enterHandler).not.toHaveBeenCalled()
+    expect(queryInput.value).toBe("nested | x")
+    expect(queryInput.selectionStart).toBe(6)
+    expect(autocomplete.list.hidden).toBe(true)
+  })
+
+  it("should move the selection with the arrow keys", async () => {
+    await type("n")
+
+    pressKey("ArrowDown")
+    pressKey("ArrowDown")
+    pressKey("ArrowDown")
+    expect(autocomplete.list.querySelector("[aria-selected='true']").dataset.index).toBe("0")
+    pressKey("ArrowUp")
+    pressKey("Tab")
+
+    expect(queryInput.value).toBe("not_null(")
+  })
+
+  it("should close with Escape and when the input loses the focus", async () => {
+    await type("n")
+    pressKey("Escape")
+    expect(autocomplete.list.hidden).toBe(true)
+
+    await type("n")
+    queryInput.blur()
+    expect(autocomplete.list.hidden).toBe(true)
+  })
+
+  it("should accept a completion by clicking it", async () => {
+    await type("na")
+    autocomplete.list.querySelector(".query-completion").click()
+    expect(queryInput.value).toBe("name")
+  })
+
+  it("should not open without the focus", async () => {
+    queryInput.blur()
+    queryInput.value = "n"
+    await autocomplete.update()
+    expect(autocomplete.list.hidden).toBe(true)
+  })
+})
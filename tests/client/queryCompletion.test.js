@@ -0,0 +1,81 @@
+/**
+ * Tests for queryCompletion.js - Completions for partially typed queries
+ */
+
+import { search } from "@jmespath-community/jmespath"
+import { describe, expect, it } from "vitest"
+import { completeQuery } from "../../src/queryCompletion.js"
+
+const data = {
+  people: [
+    { name: "Ann", age: 40, address: { city: "Oslo" } },
+    { name: "Bob", age: 20, "first name": "Bob" },
+  ],
+  count: 2,
+}
+
+const complete = (query, options = {}) => completeQuery({ data, query, cursor: query.length, search, ...options })
+const labels = (query, options) => complete(query, options).items.map((item) => item.label)
+
+describe("Query Completion", () => {
+  it("should complete fields after a filter projection", () => {
+    expect(complete("people[?age > `30`].na")).toEqual({
+      from: 20,
+      to: 22,
+      items: [{ label: "name", kind: "field", insertText: "name" }],
+    })
+  })
+
+  it("should complete fields, variables and functions at the start of an expression", () => {
+    const items = complete("co").items
+    expect(items.map((item) => item.label)).toEqual(["count", "contains"])
+    expect(items[1]).toEqual({
+      label: "contains",
+      kind: "function",
+      detail: "boolean contains(array|string $subject, any $search)",
+      insertText: "contains(",
+    })
+  })
+
+  it("should complete the fields of projected elements", () => {
+    expect(labels("people[*].")).toEqual(["name", "age", "address", "first name"])
+    expect(labels("people[].address.")).toEqual(["city"])
+    expect(labels("people.")).toEqual([])
+  })
+
+  it("should quote fields that are not identifiers", () => {
+    expect(complete("people[*].fi").items[0].insertText).toBe('"first name"')
+  })
+
+  it("should complete the fields of the current element inside filters and expression references", () => {
+    expect(labels("people[?ad")).toEqual(["address"])
+    expect(labels("people[?address.ci")).toEqual(["city"])
+    expect(labels("sort_by(people, &a")).toEqual(["age", "address", "abs", "avg"])
+  })
+
+  it("should complete the result of the left side of a pipe", () => {
+    expect(labels("people | [0].")).toEqual(["name", "age", "address"])
+    expect(labels("{a: people[0].")).toEqual(["name", "age", "address"])
+  })
+
+  it("should complete variables bound by let expressions", () => {
+    expect(labels("let $x = `1`, $limit = `2` in $")).toEqual(["$x", "$limit"])
+    expect(labels("let $x = `1` in people[?age > $l")).toEqual([])
+  })
+
+  it("should not complete inside literals, numbers or after an operand", () => {
+    expect(labels("`1` ")).toEqual([])
+    expect(labels("people[0")).toEqual([])
+    expect(labels('"na')).toEqual([])
+    expect(labels("people na")).toEqual([])
+  })
+
+  it("should complete the functions the engine provides", () => {
+    expect(labels("my", { functionNames: ["my_function", "abs"] })).toEqual(["my_function"])
+    expect(complete("my_", { functionNames: ["my_function"] }).items[0].detail).toBe("my_function(...)")
+  })
+
+  it("should complete against the text before the cursor", () => {
+    expect(complete("people[*].na | length(@)", { cursor: 12 }).items.map((item) => item.label)).toEqual(["name"])
+  })
+})
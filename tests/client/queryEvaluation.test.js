@@ -0,0 +1,91 @@
+/**
+ * Tests for queryEvaluation.js - Evaluation shared by the worker and the main thread
+ */
+
+import { describe, expect, it } from "vitest"
+import { evaluateRequest, handleRequest, runQuery } from "../../src/queryEvaluation.js"
+
+describe("Query Evaluation", () => {
+  it("should evaluate a query against the parsed input", () => {
+    expect(evaluateRequest({ json: '{"people": [{"age": 30}]}', query: "people[0].age" })).toEqual({
+      outcome: { value: 30 },
+      comparison: null,
+    })
+  })
+
+  it("should evaluate empty input as null", () => {
+    expect(evaluateRequest({ json: "  ", query: "@" }).outcome).toEqual({ value: null })
+  })
+
+  it("should report invalid JSON", () => {
+    expect(evaluateRequest({ json: "{", query: "a" }).inputError).toEqual({
+      message: expect.stringMatching(/^Invalid JSON: /),
+      offset: 1,
+    })
+  })
+
+  it("should parse the input in the requested format", () => {
+    expect(
+      evaluateRequest({ json: "people:\n  - age: 30", inputFormat: "yaml", query: "people[0].age" }).outcome,
+    ).toEqual({
+      value: 30,
+    })
+    expect(evaluateRequest({ json: '{"a": 1}\n{"a": 2}', inputFormat: "ndjson", query: "[].a" }).outcome).toEqual({
+      value: [1, 2],
+    })
+    expect(evaluateRequest({ json: "a: [1", inputFormat: "yaml", query: "a" }).inputError.message).toMatch(
+      /^Invalid YAML: /,
+    )
+    expect(
+      handleRequest({ kind: "complete", json: "name: x", inputFormat: "yaml", query: "na", cursor: 2 }).items[0].label,
+    ).toBe("name")
+  })
+
+  it("should not evaluate an empty query", () => {
+    expect(evaluateRequest({ json: "{}", query: " " })).toEqual({ outcome: null, comparison: null })
+  })
+
+  it("should use the requested engine and compare engines on request", () => {
+    const result = evaluateRequest({ json: '{"a": 1}', query: "items(@)", engineId: "jmespath.js", compare: true })
+    expect(result.outcome.error.message).toMatch(/Unknown function/)
+    expect(result.comparison.map(({ engine }) => engine)).toEqual([
+      { id: "community", label: "Community Edition" },
+      { id: "jmespath.js", label: "jmespath.js (legacy)" },
+    ])
+  })
+
+  it("should reduce errors to plain objects", () => {
+    const outcome = runQuery(
+      {
+        search: () => {
+          throw new TypeError("boom")
+        },
+      },
+      null,
+      "a",
+    )
+    expect(outcome).toEqual({ error: { name: "TypeError", message: "boom", range: null } })
+  })
+
+  it("should locate syntax errors in the query", () => {
+    const { outcome } = evaluateRequest({ json: "{}", query: "a | foo[?b == ] | c" })
+    expect(outcome.error.name).toBe("ParserError")
+    expect(outcome.error.range).toEqual({ start: 14, end: 15 })
+  })
+
+  it("should compute completions for completion requests", () => {
+    const result = handleRequest({ kind: "complete", json: '{"name": 1}', query: "na", cursor: 2 })
+    expect(result.items[0]).toEqual({ label: "name", kind: "field", insertText: "name" })
+
+    const withInvalidJson = handleRequest({ kind: "complete", json: "{", query: "to_n", cursor: 4 })
+    expect(withInvalidJson.items.map((item) => item.label)).toEqual(["to_number"])
+  })
+
+  it("should explain queries for explanation requests", () => {
+    const result = handleRequest({ kind: "explain", json: '{"a": 1}', query: "a" })
+    expect(result.ast).toMatchObject({ type: "Field", detail: "a" })
+    expect(result.steps).toEqual([{ nodeId: 0, depth: 0, input: '{"a": 1}', output: "1", error: null }])
+
+    expect(handleRequest({ kind: "explain", json: "{", query: "a" }).inputError.message).toMatch(/^Invalid JSON: /)
+  })
+})
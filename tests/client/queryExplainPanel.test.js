@@ -0,0 +1,119 @@
+/**
+ * Tests for queryExplainPanel.js - Syntax tree and evaluation steps of a playground's query
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest"
+import { QueryExplainPanel } from "../../src/queryExplainPanel.js"
+
+describe("Query Explain Panel", () => {
+  let panelElement
+  let state
+  let panel
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div class="playground-explain" hidden></div>'
+    panelElement = document.body.firstElementChild
+    state = { json: '{"people": [{"age": 40}, {"age": 20}]}', query: "people[?age > `30`]", engineId: "community" }
+    panel = new QueryExplainPanel(panelElement, {
+      getJson: () => state.json,
+      getQuery: () => state.query,
+      getEngineId: () => state.engineId,
+    })
+  })
+
+  const open = async () => {
+    panel.toggle(true)
+    await vi.waitFor(() => expect(panel.explanation).not.toBeNull())
+  }
+  const text = (selector) => panelElement.querySelector(selector).textContent
+  const currentNode = () => panelElement.querySelector(".explain-current").textContent
+
+  it("should explain the query only while it is shown", async () => {
+    await panel.refresh()
+    expect(panel.explanation).toBeNull()
+
+    await open()
+
+    expect(panelElement.hidden).toBe(false)
+    expect([...panelElement.querySelectorAll(".explain-tree .explain-type")].map((type) => type.textContent)).toEqual([
+      "FilterProjection",
+      "Field",
+      "Identity",
+      "Comparator",
+      "Field",
+      "Literal",
+    ])
+    expect(panelElement.querySelectorAll(".explain-tree details")).toHaveLength(2)
+    expect(panelElement.querySelector(".explain-message").hidden).toBe(true)
+  })
+
+  it("should step through the evaluation, highlighting each step's node", async () => {
+    await open()
+
+    expect(text(".explain-position")).toBe("Step 1 of 9")
+    expect(currentNode()).toBe("left:Fieldpeople")
+    expect(text(".explain-step")).toBe('Input{"people": [{"age": 40}, {"age": 20}]}Output[{"age": 40}, {"age": 20}]')
+    expect(panelElement.querySelector(".explain-previous").disabled).toBe(true)
+
+    panelElement.querySelector(".explain-next").click()
+    panelElement.querySelector(".explain-next").click()
+    panelElement.querySelector(".explain-next").click()
+
+    expect(text(".explain-position")).toBe("Step 4 of 9")
+    expect(currentNode()).toBe("condition:Comparator>")
+    expect(text(".explain-step")).toBe('Input{"age": 40}Outputtrue')
+    expect(panelElement.querySelectorAll(".explain-steps .active")).toHaveLength(1)
+
+    panelElement.querySelectorAll(".explain-step-item")[8].click()
+    expect(currentNode()).toBe("FilterProjection")
+    expect(panelElement.querySelector(".explain-next").disabled).toBe(true)
+  })
+
+  it("should reveal the current node in collapsed branches", async () => {
+    await open()
+    const condition = panelElement.querySelector('[data-node-id="3"]').closest("details")
+    condition.open = false
+
+    panel.selectStep(1)
+
+    expect(condition.open).toBe(true)
+  })
+
+  it("should show the step that failed", async () => {
+    state.query = "abs(people)"
+    await open()
+
+    expect(text(".explain-message")).toMatch(/^Query Error: Invalid type: abs\(\)/)
+    panel.selectStep(1)
+    expect(text(".explain-step")).toMatch(/ErrorInvalid type: abs\(\)/)
+    expect(panelElement.querySelector(".explain-step-item.failed")).not.toBeNull()
+  })
+
+  it("should explain why there is nothing to explain", async () => {
+    state.query = "people[?"
+    await open()
+    expect(text(".explain-message")).toMatch(/^Query Error: Syntax error/)
+    expect(text(".explain-position")).toBe("No steps")
+
+    state.query = " "
+    await panel.refresh()
+    expect(text(".explain-message")).toBe("Enter a query to explain it.")
+
+    state.query = "people"
+    state.json = "{"
+    await panel.refresh()
+    expect(text(".explain-message")).toBe("Fix the input to explain the query.")
+  })
+
+  it("should say which engine traces the steps when another one is selected", async () => {
+    state.engineId = "jmespath.js"
+    await open()
+    expect(text(".explain-message")).toBe("Steps are traced with the Community Edition engine.")
+  })
+
+  it("should hide again when toggled", async () => {
+    await open()
+    expect(panel.toggle()).toBe(false)
+    expect(panelElement.hidden).toBe(true)
+  })
+})
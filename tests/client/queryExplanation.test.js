@@ -0,0 +1,145 @@
+/**
+ * Tests for queryExplanation.js - Syntax trees and evaluation traces of queries
+ */
+
+import { search, TreeInterpreter } from "@jmespath-community/jmespath"
+import { describe, expect, it } from "vitest"
+import { explainQuery, previewValue } from "../../src/queryExplanation.js"
+
+const data = {
+  people: [
+    { name: "Ann", age: 40 },
+    { name: "Bob", age: 20 },
+  ],
+}
+
+// The steps of a trace as "Type detail: input -> output" lines
+const describeSteps = ({ ast, steps }) => {
+  const nodes = new Map()
+  const index = (node) => {
+    nodes.set(node.id, node)
+    node.children.forEach(index)
+  }
+  index(ast)
+  return steps.map(({ nodeId, input, output, error }) => {
+    const { type, detail } = nodes.get(nodeId)
+    return `${[type, detail].filter(Boolean).join(" ")}: ${input} -> ${error ?? output}`
+  })
+}
+
+describe("Query Explanation", () => {
+  it("should describe the syntax tree of a query", () => {
+    const { ast, error } = explainQuery(data, "people[?age > `30`].name | sort(@)")
+
+    expect(error).toBeNull()
+    expect(ast).toEqual({
+      id: 0,
+      type: "Pipe",
+      detail: "",
+      role: null,
+      children: [
+        {
+          id: 1,
+          type: "FilterProjection",
+          detail: "",
+          role: "left",
+          children: [
+            { id: 2, type: "Field", detail: "people", role: "left", children: [] },
+            { id: 3, type: "Field", detail: "name", role: "right", children: [] },
+            {
+              id: 4,
+              type: "Comparator",
+              detail: ">",
+              role: "condition",
+              children: [
+                { id: 5, type: "Field", detail: "age", role: "left", children: [] },
+                { id: 6, type: "Literal", detail: "30", role: "right", children: [] },
+              ],
+            },
+          ],
+        },
+        {
+          id: 7,
+          type: "Function",
+          detail: "sort",
+          role: "right",
+          children: [{ id: 8, type: "Current", detail: "", role: "argument 1", children: [] }],
+        },
+      ],
+    })
+  })
+
+  it("should trace filter predicates, projections and pipes in evaluation order", () => {
+    const explanation = explainQuery(data, "people[?age > `30`].name | sort(@)")
+
+    expect(describeSteps(explanation)).toEqual([
+      `Field people: ${previewValue(data)} -> ${previewValue(data.people)}`,
+      'Field age: {"name": "Ann", "age": 40} -> 40',
+      'Literal 30: {"name": "Ann", "age": 40} -> 30',
+      'Comparator >: {"name": "Ann", "age": 40} -> true',
+      'Field name: {"name": "Ann", "age": 40} -> "Ann"',
+      'Field age: {"name": "Bob", "age": 20} -> 20',
+      'Literal 30: {"name": "Bob", "age": 20} -> 30',
+      'Comparator >: {"name": "Bob", "age": 20} -> false',
+      `FilterProjection: ${previewValue(data)} -> ["Ann"]`,
+      'Current: ["Ann"] -> ["Ann"]',
+      'Function sort: ["Ann"] -> ["Ann"]',
+      `Pipe: ${previewValue(data)} -> ["Ann"]`,
+    ])
+    expect(explanation.steps.map((step) => step.depth)).toEqual([2, 3, 3, 2, 2, 3, 3, 2, 1, 2, 1, 0])
+  })
+
+  it("should trace expression references and let bindings", () => {
+    const sorted = describeSteps(explainQuery(data, "sort_by(people, &age)"))
+    expect(sorted).toContain(`ExpressionReference: ${previewValue(data)} -> &Field age`)
+    expect(sorted).toContain('Field age: {"name": "Bob", "age": 20} -> 20')
+
+    const bound = describeSteps(explainQuery(data, "let $first = people[0] in $first.name"))
+    expect(bound).toContain(`Binding $first: ${previewValue(data)} -> {"first": {"name": "Ann", "age": 40}}`)
+    expect(bound).toContain(`Variable $first: ${previewValue(data)} -> {"name": "Ann", "age": 40}`)
+  })
+
+  it("should blame runtime errors on the innermost failing node", () => {
+    const explanation = explainQuery(data, "people[0].abs(name)")
+
+    expect(explanation.error.message).toMatch(/^Invalid type: abs\(\)/)
+    const failed = explanation.steps.filter((step) => step.error)
+    expect(failed).toHaveLength(1)
+    expect(describeSteps(explanation).at(-1)).toMatch(/^Function abs: .* -> Invalid type: abs\(\)/)
+  })
+
+  it("should report syntax errors without a tree", () => {
+    expect(explainQuery(data, "people[?")).toEqual({
+      ast: null,
+      steps: [],
+      isTruncated: false,
+      error: { name: "ParserError", message: expect.stringMatching(/^Syntax error/) },
+    })
+  })
+
+  it("should cut long traces short, still finishing the nodes in progress", () => {
+    const numbers = Array.from({ length: 2000 }, (_, i) => i)
+    const explanation = explainQuery(numbers, "[*].abs(@)")
+
+    expect(explanation.isTruncated).toBe(true)
+    expect(explanation.steps.length).toBeLessThan(1010)
+    expect(explanation.steps.at(-1)).toMatchObject({ nodeId: 0, depth: 0 })
+  })
+
+  it("should leave the interpreter as it was", () => {
+    const visit = Object.getPrototypeOf(TreeInterpreter).visit
+    explainQuery(data, "people[0].abs(name)")
+
+    expect(Object.getPrototypeOf(TreeInterpreter).visit).toBe(visit)
+    expect(search(data, "people[1].name")).toBe("Bob")
+  })
+
+  it("should preview values as compact JSON cut short after 200 characters", () => {
+    expect(previewValue({ a: [1, "x", null], b: true })).toBe('{"a": [1, "x", null], "b": true}')
+    expect(previewValue(undefined)).toBe("null")
+
+    const preview = previewValue(Array.from({ length: 1000 }, () => "long string"))
+    expect(preview).toHaveLength(201)
+    expect(preview.endsWith("…")).toBe(true)
+  })
+})
@@ -0,0 +1,74 @@
+/**
+ * Tests for queryHistory.js - Recalling earlier queries with the arrow keys
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest"
+import { recordQuery } from "../../src/playgroundStorage.js"
+import { QueryHistory } from "../../src/queryHistory.js"
+
+describe("Query History", () => {
+  let queryInput
+  let onRecall
+  let queryHistory
+
+  beforeEach(() => {
+    localStorage.clear()
+    recordQuery("page#0", "first")
+    recordQuery("page#0", "second")
+    queryInput = document.createElement("textarea")
+    queryInput.value = "draft"
+    onRecall = vi.fn()
+    queryHistory = new QueryHistory(queryInput, { historyKey: "page#0", onRecall })
+  })
+
+  const pressKey = (key, options = {}) => {
+    const event = new KeyboardEvent("keydown", { key, cancelable: true, ...options })
+    queryInput.dispatchEvent(event)
+    return event
+  }
+
+  it("should recall older queries with ArrowUp and return to the draft with ArrowDown", () => {
+    expect(pressKey("ArrowUp").defaultPrevented).toBe(true)
+    expect(queryInput.value).toBe("second")
+    expect(queryInput.selectionStart).toBe(6)
+    pressKey("ArrowUp")
+    expect(queryInput.value).toBe("first")
+    expect(pressKey("ArrowUp").defaultPrevented).toBe(false)
+
+    pressKey("ArrowDown")
+    pressKey("ArrowDown")
+    expect(queryInput.value).toBe("draft")
+    expect(pressKey("ArrowDown").defaultPrevented).toBe(false)
+    expect(onRecall).toHaveBeenCalledTimes(4)
+  })
+
+  it("should leave the arrow keys to multi-line editing away from the first and last lines", () => {
+    queryInput.value = "a |\nb"
+    queryInput.setSelectionRange(5, 5)
+    expect(pressKey("ArrowUp").defaultPrevented).toBe(false)
+    queryInput.setSelectionRange(1, 1)
+    expect(pressKey("ArrowDown").defaultPrevented).toBe(false)
+    expect(queryInput.value).toBe("a |\nb")
+  })
+
+  it("should ignore keys other handlers have taken or with modifiers", () => {
+    queryInput.addEventListener("keydown", (event) => event.preventDefault(), { capture: true })
+    pressKey("ArrowUp")
+    pressKey("ArrowUp", { shiftKey: true })
+    expect(queryInput.value).toBe("draft")
+  })
+
+  it("should record queries and start over from the newest", () => {
+    pressKey("ArrowUp")
+    queryHistory.record("third")
+
+    queryInput.value = "new"
+    pressKey("ArrowUp")
+    expect(queryInput.value).toBe("third")
+    expect(new QueryHistory(document.createElement("textarea"), { historyKey: "page#0" }).entries).toEqual([
+      "third",
+      "second",
+      "first",
+    ])
+  })
+})
@@ -0,0 +1,75 @@
+/**
+ * Tests for queryTabs.js - Switching between the queries of a playground
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest"
+import { QueryTabs } from "../../src/queryTabs.js"
+
+describe("Query Tabs", () => {
+  let tabList
+  let queryInput
+  let onSelect
+
+  beforeEach(() => {
+    tabList = document.createElement("div")
+    tabList.innerHTML = `
+      <button type="button" role="tab" aria-selected="true" tabindex="0" data-query="a">First</button>
+      <button type="button" role="tab" aria-selected="false" tabindex="-1" data-query="b">Second</button>
+      <button type="button" role="tab" aria-selected="false" tabindex="-1" data-query="c">Third</button>`
+    queryInput = document.createElement("textarea")
+    queryInput.defaultValue = "a"
+    onSelect = vi.fn()
+    new QueryTabs(tabList, { queryInput, onSelect })
+  })
+
+  const tabs = () => [...tabList.querySelectorAll("[role=tab]")]
+  const selectedLabels = () =>
+    tabs()
+      .filter((tab) => tab.getAttribute("aria-selected") === "true")
+      .map((tab) => tab.textContent)
+
+  it("should load the query of a clicked tab", () => {
+    tabs()[1].click()
+
+    expect(queryInput.value).toBe("b")
+    expect(queryInput.defaultValue).toBe("b")
+    expect(selectedLabels()).toEqual(["Second"])
+    expect(tabs().map((tab) => tab.tabIndex)).toEqual([-1, 0, -1])
+    expect(onSelect).toHaveBeenCalledWith(tabs()[1])
+  })
+
+  it("should keep the edited query of each tab", () => {
+    queryInput.value = "a.edited"
+    tabs()[2].click()
+    queryInput.value = "c.edited"
+    tabs()[0].click()
+
+    expect(queryInput.value).toBe("a.edited")
+    expect(queryInput.defaultValue).toBe("a")
+    tabs()[2].click()
+    expect(queryInput.value).toBe("c.edited")
+  })
+
+  it("should ignore clicks on the selected tab", () => {
+    tabs()[0].click()
+    expect(onSelect).not.toHaveBeenCalled()
+  })
+
+  it("should move between tabs with the arrow, Home and End keys", () => {
+    const pressKey = (key) => {
+      const event = new KeyboardEvent("keydown", { key, bubbles: true, cancelable: true })
+      tabs()[0].dispatchEvent(event)
+      return event
+    }
+
+    expect(pressKey("ArrowLeft").defaultPrevented).toBe(true)
+    expect(selectedLabels()).toEqual(["Third"])
+    pressKey("ArrowRight")
+    expect(selectedLabels()).toEqual(["First"])
+    pressKey("End")
+    expect(selectedLabels()).toEqual(["Third"])
+    pressKey("Home")
+    expect(selectedLabels()).toEqual(["First"])
+    expect(pressKey("a").defaultPrevented).toBe(false)
+  })
+})
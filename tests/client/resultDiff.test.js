@@ -0,0 +1,61 @@
+/**
+ * Tests for resultDiff.js - Comparing a playground's result with the authored example's
+ */
+
+import { beforeEach, describe, expect, it } from "vitest"
+import { ResultDiff } from "../../src/resultDiff.js"
+
+describe("Result Diff", () => {
+  const originalState = { json: '{"a": [1, 2, 3, 4, 5, 6, 7, 8, 9]}', query: "a", inputFormat: "json" }
+  let container
+  let resultDiff
+
+  beforeEach(() => {
+    container = document.createElement("div")
+    container.hidden = true
+    resultDiff = new ResultDiff(container, { originalState })
+  })
+
+  const lineTexts = () => [...container.querySelectorAll(".diff-line")].map((line) => line.textContent.trimEnd())
+
+  it("should stay hidden while the playground shows the authored example", async () => {
+    await resultDiff.update(originalState, { value: [1] })
+    expect(container.hidden).toBe(true)
+  })
+
+  it("should stay hidden without an outcome to compare", async () => {
+    await resultDiff.update({ ...originalState, query: "a[" }, null)
+    expect(container.hidden).toBe(true)
+  })
+
+  it("should show the changed lines, collapsing unchanged ones far from the changes", async () => {
+    await resultDiff.update({ ...originalState, query: "a[1:]" }, { value: [2, 3, 4, 5, 6, 7, 8, 9] })
+
+    expect(container.hidden).toBe(false)
+    expect(container.querySelector("summary").textContent).toBe("Changes from the original result: +0 −1 lines")
+    expect(lineTexts()).toEqual(["  [", "-   1,", "    2,", "    3,", "    4,", "⋯ 6 unchanged lines"])
+  })
+
+  it("should compare with another authored example once it is set", async () => {
+    resultDiff.setOriginalState({ ...originalState, query: "a[0]" })
+
+    await resultDiff.update({ ...originalState, query: "a[0]" }, { value: 1 })
+    expect(container.hidden).toBe(true)
+
+    await resultDiff.update({ ...originalState, query: "a[1]" }, { value: 2 })
+    expect(container.hidden).toBe(false)
+    expect(lineTexts()).toEqual(["- 1", "+ 2"])
+  })
+
+  it("should compare errors by their message", async () => {
+    await resultDiff.update({ ...originalState, query: "abs(a)" }, { error: { message: "Invalid type" } })
+
+    expect(lineTexts()).toContain("+ Error: Invalid type")
+  })
+
+  it("should say when the result is the same as the original one", async () => {
+    await resultDiff.update({ ...originalState, query: "a[:]" }, { value: [1, 2, 3, 4, 5, 6, 7, 8, 9] })
+
+    expect(container.querySelector("summary").textContent).toBe("Same result as the original example")
+  })
+})
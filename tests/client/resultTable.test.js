@@ -0,0 +1,52 @@
+/**
+ * Tests for resultTable.js - Sortable table view of playground results
+ */
+
+import { beforeEach, describe, expect, it } from "vitest"
+import { toTable } from "../../src/outputFormats.js"
+import { ResultTable } from "../../src/resultTable.js"
+
+describe("Result Table", () => {
+  let container
+  let resultTable
+
+  beforeEach(() => {
+    container = document.createElement("div")
+    container.hidden = true
+    resultTable = new ResultTable(container)
+  })
+
+  const columnText = (index) => [...container.querySelectorAll("tbody tr")].map((row) => row.cells[index].textContent)
+  const clickHeader = (index) => container.querySelectorAll("th button")[index].click()
+
+  it("should render a header and a row per element", () => {
+    resultTable.render(toTable([{ a: "x", b: { c: 1 } }, { a: null }]))
+
+    expect(container.hidden).toBe(false)
+    expect([...container.querySelectorAll("th")].map((header) => header.textContent)).toEqual(["a", "b"])
+    expect(columnText(0)).toEqual(["x", ""])
+    expect(columnText(1)).toEqual(['{"c":1}', ""])
+  })
+
+  it("should sort by a column, reversing the order on a second click", () => {
+    resultTable.render(toTable([{ n: 2 }, { n: 10 }, { n: 1 }]))
+
+    clickHeader(0)
+    expect(columnText(0)).toEqual(["1", "2", "10"])
+    expect(container.querySelector("th").getAttribute("aria-sort")).toBe("ascending")
+    expect(resultTable.text).toBe("n\n1\n2\n10")
+
+    clickHeader(0)
+    expect(columnText(0)).toEqual(["10", "2", "1"])
+    expect(container.querySelector("th").getAttribute("aria-sort")).toBe("descending")
+  })
+
+  it("should hide and empty the view without a table", () => {
+    resultTable.render(toTable([[1]]))
+    resultTable.render(null)
+
+    expect(container.hidden).toBe(true)
+    expect(container.children).toHaveLength(0)
+    expect(resultTable.text).toBe("")
+  })
+})
@@ -0,0 +1,72 @@
+/**
+ * Tests for snippetLibrary.js - Saved snippets panel
+ */
+
+import { beforeEach, describe, expect, it, vi } from "vitest"
+import { exportSnippets, loadSnippets, saveSnippet } from "../../src/playgroundStorage.js"
+import { SnippetLibrary } from "../../src/snippetLibrary.js"
+
+describe("Snippet Library", () => {
+  let panel
+  let onLoad
+  let library
+
+  beforeEach(() => {
+    localStorage.clear()
+    panel = document.createElement("div")
+    panel.hidden = true
+    onLoad = vi.fn()
+    library = new SnippetLibrary(panel, {
+      getState: () => ({ json: '{"a": 1}', query: "a", inputFormat: "json" }),
+      onLoad,
+    })
+  })
+
+  const itemNames = () => [...panel.querySelectorAll(".snippets-item-name")].map((name) => name.textContent)
+  const message = () => panel.querySelector(".snippets-message").textContent
+
+  it("should list the saved snippets when opened", () => {
+    saveSnippet({ name: "Saved", json: "", query: "b" })
+
+    expect(library.toggle()).toBe(true)
+
+    expect(itemNames()).toEqual(["Saved"])
+    expect(panel.querySelector(".snippets-empty").hidden).toBe(true)
+  })
+
+  it("should save the current state under the entered name", () => {
+    library.toggle(true)
+    panel.querySelector(".snippets-name").value = "Mine"
+    panel.querySelector(".snippets-save").dispatchEvent(new Event("submit", { cancelable: true }))
+
+    expect(itemNames()).toEqual(["Mine"])
+    expect(loadSnippets()[0]).toMatchObject({ name: "Mine", json: '{"a": 1}', query: "a" })
+    expect(message()).toBe('Saved "Mine".')
+  })
+
+  it("should load and delete snippets from the list", () => {
+    saveSnippet({ name: "Saved", json: "[]", query: "b" })
+    library.toggle(true)
+
+    panel.querySelector('[data-action="load"]').click()
+    expect(onLoad).toHaveBeenCalledWith(expect.objectContaining({ name: "Saved", query: "b" }))
+
+    panel.querySelector('[data-action="delete"]').click()
+    expect(itemNames()).toEqual([])
+    expect(panel.querySelector(".snippets-empty").hidden).toBe(false)
+  })
+
+  it("should import snippet files and report invalid ones", async () => {
+    saveSnippet({ name: "Shared", json: "", query: "c" })
+    const exported = exportSnippets()
+    localStorage.clear()
+    library.toggle(true)
+
+    await library.import(new Blob([exported]))
+    expect(itemNames()).toEqual(["Shared"])
+    expect(message()).toBe("Imported 1 snippet.")
+
+    await library.import(new Blob(["[]"]))
+    expect(message()).toBe("Not a snippets file: it was not exported from the playground.")
+  })
+})
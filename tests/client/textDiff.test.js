@@ -0,0 +1,41 @@
+/**
+ * Tests for textDiff.js - Line diffs of playground results
+ */
+
+import { describe, expect, it } from "vitest"
+import { diffLines } from "../../src/textDiff.js"
+
+const markLines = (lines) => lines.map(({ type, text }) => `${{ same: " ", added: "+", removed: "-" }[type]}${text}`)
+
+describe("Text Diff", () => {
+  it("should mark every line of equal texts as unchanged", () => {
+    expect(markLines(diffLines("a\nb", "a\nb"))).toEqual([" a", " b"])
+  })
+
+  it("should list removed lines before the lines added in their place", () => {
+    expect(markLines(diffLines("a\nb\nc", "a\nx\nc"))).toEqual([" a", "-b", "+x", " c"])
+  })
+
+  it("should find the fewest changes", () => {
+    expect(markLines(diffLines("1\n2\n3\n4", "0\n1\n3\n4\n5"))).toEqual(["+0", " 1", "-2", " 3", " 4", "+5"])
+  })
+
+  it("should rebuild both texts from the diff", () => {
+    const before = ["[", '  "a",', '  "b",', '  "c"', "]"].join("\n")
+    const after = ["[", '  "b",', '  "c",', '  "d"', "]"].join("\n")
+    const lines = diffLines(before, after)
+
+    const rebuild = (type) =>
+      lines
+        .filter((line) => line.type !== type)
+        .map((line) => line.text)
+        .join("\n")
+    expect(rebuild("added")).toBe(before)
+    expect(rebuild("removed")).toBe(after)
+  })
+
+  it("should give up on texts that differ in too many lines", () => {
+    const numbers = (start) => Array.from({ length: 2500 }, (_, index) => String(start + index)).join("\n")
+    expect(diffLines(numbers(0), numbers(10000))).toBeNull()
+  })
+})
@@ -387,3 +387,135 @@ test.describe("JMESPath Playground", () => {
     }
   })
 })
+
+test.describe("Full-page Playground", () => {
+  test("should open the workbench from the header", async ({ page }) => {
+    await page.goto("/")
+    await page.waitForSelector("#content-area")
+
+    await page.locator("#playground-link").click()
+
+    const workbench = page.locator(".playground-workbench")
+    await expect(workbench).toBeVisible()
+    await expect(page.locator("#sidebar-nav")).toBeHidden()
+    await expect(workbench.locator(".output-area")).toContainText("WashingtonCities")
+  })
+
+  test("should carry an example over with Open in playground", async ({ page }) => {
+    await page.goto("/")
+    await page.waitForSelector("#content-area")
+
+    const playground = page.locator(".jmespath-playground").first()
+    if ((await playground.count()) === 0) return
+
+    const toggleButton = playground.locator(".playground-toggle-button")
+    if ((await toggleButton.getAttribute("aria-expanded")) === "false") {
+      await toggleButton.click()
+    }
+    const query = await playground.locator(".query-input").inputValue()
+
+    await playground.locator(".playground-open-button").click()
+
+    await expect(page.locator(".playground-workbench .query-input")).toHaveValue(query)
+  })
+
+  test("should complete field names and functions in the query", async ({ page }) => {
+    await page.goto("/#playground")
+    const queryInput = page.locator(".playground-workbench .query-input")
+    await expect(queryInput).toBeVisible()
+
+    await queryInput.fill("")
+    await queryInput.pressSequentially("locations[?state == 'WA'].na")
+
+    const completions = page.locator(".playground-workbench .query-completions")
+    await expect(completions).toBeVisible()
+    await expect(completions.locator(".query-completion").first()).toContainText("name")
+
+    await queryInput.press("Enter")
+    await expect(queryInput).toHaveValue("locations[?state == 'WA'].name")
+    await expect(completions).toBeHidden()
+  })
+
+  test("should step through the evaluation in the Explain panel", async ({ page }) => {
+    await page.goto("/#playground")
+    const workbench = page.locator(".playground-workbench")
+    await expect(workbench.locator(".query-input")).toBeVisible()
+
+    await workbench.locator(".playground-explain-button").click()
+
+    const panel = workbench.locator(".playground-explain")
+    await expect(panel.locator(".explain-tree summary").first()).toContainText("Pipe")
+    await expect(panel.locator(".explain-position")).toContainText("Step 1 of")
+    await panel.locator(".explain-next").click()
+    await expect(panel.locator(".explain-position")).toContainText("Step 2 of")
+    await expect(panel.locator(".explain-current")).toHaveCount(1)
+  })
+
+  test("should show the result as a sortable table", async ({ page }) => {
+    await page.goto("/#playground")
+    const workbench = page.locator(".playground-workbench")
+    const queryInput = workbench.locator(".query-input")
+    await expect(queryInput).toBeVisible()
+
+    await queryInput.fill("locations")
+    await workbench.locator(".playground-output-select").selectOption("table")
+
+    const table = workbench.locator(".playground-output-table")
+    await expect(table.locator("tbody tr")).toHaveCount(4)
+    await expect(workbench.locator(".output-area")).toBeHidden()
+    await table.getByRole("button", { name: "name" }).click()
+    await expect(table.locator("tbody tr").first()).toContainText("Bellevue")
+  })
+
+  test("should reset an edited example and show how its result changed", async ({ page }) => {
+    await page.goto("/")
+    await page.waitForSelector("#content-area")
+
+    const playground = page.locator(".jmespath-playground").first()
+    if ((await playground.count()) === 0) return
+
+    const toggleButton = playground.locator(".playground-toggle-button")
+    if ((await toggleButton.getAttribute("aria-expanded")) === "false") {
+      await toggleButton.click()
+    }
+    const queryInput = playground.locator(".query-input")
+    const query = await queryInput.inputValue()
+    const resetButton = playground.locator(".playground-reset-button")
+    await expect(resetButton).toBeDisabled()
+
+    await queryInput.fill("`42`")
+    await expect(playground.locator(".playground-diff")).toBeVisible()
+    await expect(playground.locator(".playground-diff summary")).toContainText("original")
+
+    await resetButton.click()
+    await expect(queryInput).toHaveValue(query)
+    await expect(resetButton).toBeDisabled()
+    await expect(playground.locator(".playground-diff")).toBeHidden()
+  })
+
+  test("should switch between the queries of a multi-query example", async ({ page }) => {
+    await page.goto("/")
+    await page.waitForSelector("#content-area")
+
+    const playground = page.locator(".jmespath-playground:has(.playground-query-tabs)").first()
+    if ((await playground.count()) === 0) return
+
+    const toggleButton = playground.locator(".playground-toggle-button")
+    if ((await toggleButton.getAttribute("aria-expanded")) === "false") {
+      await toggleButton.click()
+    }
+    const queryInput = playground.locator(".query-input")
+    const tabs = playground.getByRole("tab")
+    const firstQuery = await queryInput.inputValue()
+
+    await queryInput.fill("`42`")
+    await tabs.nth(1).click()
+    await expect(tabs.nth(1)).toHaveAttribute("aria-selected", "true")
+    await expect(queryInput).toHaveValue((await tabs.nth(1).getAttribute("data-query")) ?? "")
+
+    await tabs.nth(0).click()
+    await expect(queryInput).toHaveValue("`42`")
+    await playground.locator(".playground-reset-button").click()
+    await expect(queryInput).toHaveValue(firstQuery)
+  })
+})
@@ -0,0 +1,127 @@
+/**
+ * Tests for build-cache.js - reusing the pages rendered by previous builds
+ */
+
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { VersionBuildCache } from "../../scripts/lib/build-cache.js"
+import { processSingleMarkdownFile } from "../../scripts/lib/content-processing.js"
+
+describe("Build Cache", () => {
+  let rootDir
+  let cacheDir
+  const versionConfig = { id: "current" }
+  const fixtures = { directory: null, url: "current/fixtures" }
+  const entry = { html: "<h1>Page</h1>", searchIndexEntry: { id: 0 }, mapEntry: {}, processedPage: null }
+
+  beforeEach(async () => {
+    rootDir = path.join(global.TEST_CONFIG.tempDir, `cache-${Date.now()}`)
+    cacheDir = path.join(rootDir, ".cache")
+    await mkdir(rootDir, { recursive: true })
+  })
+
+  afterEach(async () => {
+    await rm(rootDir, { recursive: true, force: true })
+  })
+
+  describe("VersionBuildCache", () => {
+    it("should reuse pages of the previous build whose markdown did not change", async () => {
+      const first = await VersionBuildCache.load({ cacheDir, versionConfig, functions: [], fixtures })
+      expect(first.get("Local", "page.md", "# Page")).toBeNull()
+      first.set("Local", "page.md", "# Page", entry)
+      await first.save()
+
+      const second = await VersionBuildCache.load({ cacheDir, versionConfig, functions: [], fixtures })
+      expect(second.get("Local", "page.md", "# Page")).toEqual(entry)
+      expect(second.get("Local", "page.md", "# Changed")).toBeNull()
+      expect(second.get("Local", "other.md", "# Page")).toBeNull()
+      expect(second.describe()).toBe("1 hit(s), 2 miss(es)")
+    })
+
+    it("should keep only the pages used by the last build", async () => {
+      const first = await VersionBuildCache.load({ cacheDir, versionConfig, functions: [], fixtures })
+      first.set("Local", "kept.md", "# Kept", entry)
+      first.set("Local", "removed.md", "# Removed", entry)
+      await first.save()
+
+      const second = await VersionBuildCache.load({ cacheDir, versionConfig, functions: [], fixtures })
+      second.get("Local", "kept.md", "# Kept")
+      await second.save()
+
+      const saved = JSON.parse(await readFile(path.join(cacheDir, "current.json"), "utf8"))
+      expect(Object.keys(saved.entries)).toHaveLength(1)
+    })
+
+    it("should render every page again when the version's functions change", async () => {
+      const first = await VersionBuildCache.load({ cacheDir, versionConfig, functions: [], fixtures })
+      first.set("Local", "page.md", "# Page", entry)
+      await first.save()
+
+      const functions = [{ name: "double", signature: [], implementation: "(x) => x * 2" }]
+      const second = await VersionBuildCache.load({ cacheDir, versionConfig, functions, fixtures })
+      expect(second.get("Local", "page.md", "# Page")).toBeNull()
+    })
+
+    it("should render pages using fixtures again when the fixtures change", async () => {
+      const fixturesDir = path.join(rootDir, "fixtures")
+      await mkdir(fixturesDir)
+      await writeFile(path.join(fixturesDir, "people.json"), "[]")
+      const withFixtures = { directory: fixturesDir, url: "current/fixtures" }
+      const usingFixture = "```jmespath-interactive\n@fixture people.json\n---JMESPATH---\n@\n```"
+
+      const first = await VersionBuildCache.load({ cacheDir, versionConfig, functions: [], fixtures: withFixtures })
+      first.set("Local", "fixture.md", usingFixture, entry)
+      first.set("Local", "page.md", "# Page", entry)
+      await first.save()
+      await writeFile(path.join(fixturesDir, "people.json"), '[{"name": "Ann"}]')
+
+      const second = await VersionBuildCache.load({ cacheDir, versionConfig, functions: [], fixtures: withFixtures })
+      expect(second.get("Local", "fixture.md", usingFixture)).toBeNull()
+      expect(second.get("Local", "page.md", "# Page")).toEqual(entry)
+    })
+
+    it("should start empty from an unreadable cache file", async () => {
+      await mkdir(cacheDir)
+      await writeFile(path.join(cacheDir, "current.json"), "{not json")
+
+      const cache = await VersionBuildCache.load({ cacheDir, versionConfig, functions: [], fixtures })
+
+      expect(cache.get("Local", "page.md", "# Page")).toBeNull()
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("Ignoring unreadable build cache"))
+    })
+  })
+
+  describe("processSingleMarkdownFile", () => {
+    it("should write the cached page instead of rendering the markdown again", async () => {
+      const sourceDir = path.join(rootDir, "docs")
+      const versionOutputPath = path.join(rootDir, "output")
+      await mkdir(sourceDir)
+      await writeFile(path.join(sourceDir, "page.md"), "# Page\n\nText")
+      const marked = { parse: vi.fn().mockReturnValue('<h1 id="page">Page</h1><p>Text</p>') }
+      const processPage = async (docId, cache) =>
+        processSingleMarkdownFile({
+          relativeFilePath: "page.md",
+          docId,
+          context: { sourceDir, versionOutputPath, fileSourceType: "Local", cache },
+          marked,
+        })
+
+      const first = await VersionBuildCache.load({ cacheDir, versionConfig, functions: [], fixtures })
+      const rendered = await processPage(3, first)
+      await first.save()
+      const cache = await VersionBuildCache.load({ cacheDir, versionConfig, functions: [], fixtures })
+      await rm(versionOutputPath, { recursive: true })
+      const reused = await processPage(5, cache)
+
+      expect(marked.parse).toHaveBeenCalledTimes(1)
+      expect(cache.hits).toBe(1)
+      expect(await readFile(path.join(versionOutputPath, "page.html"), "utf8")).toBe(
+        '<h1 id="page">Page</h1><p>Text</p>',
+      )
+      expect(reused.searchIndexEntry).toEqual({ ...rendered.searchIndexEntry, id: 5 })
+      expect(reused.searchDocMapEntry).toEqual({ docId: 5, mapEntry: rendered.searchDocMapEntry.mapEntry })
+      expect(reused.processedPage).toEqual(rendered.processedPage)
+    })
+  })
+})
@@ -0,0 +1,188 @@
+/**
+ * Tests for build-config.js - loading, merging and validating the build configuration
+ */
+
+import { mkdir, rm, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import { loadBuildConfig, mergeConfig, resolveBuildConfig } from "../../scripts/lib/build-config.js"
+
+const createConfig = () => ({
+  schemaVersion: 1,
+  specRepoUrl: "https://github.com/jmespath/jmespath.spec.git",
+  versions: [
+    { id: "current", ref: "main", label: "current", includeGlobs: ["jep*.md"] },
+    { id: "2015_09_05", ref: "2015-09-05", label: "2015-09-05", isTag: true, includeGlobs: ["jep*.md"] },
+  ],
+  defaultVersionId: "current",
+})
+
+// Gives the reference to an environment variable that the configuration substitutes, e.g. ${OUT_DIR}
+const envRef = (reference) => `\${${reference}}`
+
+describe("Build Config", () => {
+  describe("resolveBuildConfig", () => {
+    it("should fill in the defaults of the schema", () => {
+      const config = resolveBuildConfig({ config: createConfig(), env: {} })
+
+      expect(config).toMatchObject({ tempDir: "build", outputDir: "docs", cacheDir: ".cache" })
+      expect(config.versions[0].isTag).toBe(false)
+      expect(config.versions[1].isTag).toBe(true)
+    })
+
+    it("should list every problem with the path of its value", () => {
+      const config = createConfig()
+      config.schemaVersion = 2
+      config.outptDir = "site"
+      config.versions[1].includeGlob = config.versions[1].includeGlobs
+      delete config.versions[1].includeGlobs
+      config.versions[1].isTag = "yes"
+
+      expect(() => resolveBuildConfig({ config, env: {} })).toThrow(
+        [
+          "Invalid build configuration (config.json):",
+          '  - outptDir: is not a known property; did you mean "outputDir"?',
+          "  - schemaVersion: must be 1, not 2",
+          "  - versions[1].includeGlobs: is required",
+          '  - versions[1].includeGlob: is not a known property; did you mean "includeGlobs"?',
+          '  - versions[1].isTag: must be boolean, not "yes"',
+        ].join("\n"),
+      )
+    })
+
+    it("should check that version IDs are unique and include the default version", () => {
+      const config = createConfig()
+      config.versions[1].id = "current"
+      config.defaultVersionId = "latest"
+
+      expect(() => resolveBuildConfig({ config, env: {} })).toThrow(
+        [
+          '  - versions[1].id: "current" is already the ID of versions[0]',
+          '  - defaultVersionId: "latest" is not the ID of a version (current, current)',
+        ].join("\n"),
+      )
+    })
+
+    it("should check the sources of versions", () => {
+      const config = createConfig()
+      delete config.specRepoUrl
+      config.versions[0].sources = [
+        { id: "spec", repoUrl: "https://example.com/spec.git", ref: "main", includeGlobs: ["*.md"] },
+        { id: "spec", repoUrl: "https://example.com/tests.git", ref: "main", includeGlobs: ["*.md"], mount: "../up" },
+      ]
+      delete config.versions[0].ref
+
+      expect(() => resolveBuildConfig({ config, env: {} })).toThrow("versions[0].sources[1].mount: must match pattern")
+
+      config.versions[0].sources[1].mount = "tests"
+      expect(() => resolveBuildConfig({ config, env: {} })).toThrow(
+        [
+          "Invalid build configuration (config.json):",
+          '  - versions[0].sources[1].id: "spec" is already the ID of versions[0].sources[0]',
+          "  - specRepoUrl: is required by the versions without sources (2015_09_05)",
+        ].join("\n"),
+      )
+
+      delete config.versions[1].includeGlobs
+      expect(() => resolveBuildConfig({ config, env: {} })).toThrow(
+        "Invalid build configuration (config.json):\n  - versions[1].includeGlobs: is required",
+      )
+    })
+
+    it("should substitute environment variables", () => {
+      const config = createConfig()
+      config.specRepoUrl = envRef("SPEC_REPO_URL")
+      config.versions[0].ref = envRef("SPEC_REF:-main")
+      config.versions[0].label = "$${LABEL}"
+
+      const resolved = resolveBuildConfig({ config, env: { SPEC_REPO_URL: "https://example.com/spec.git" } })
+
+      expect(resolved.specRepoUrl).toBe("https://example.com/spec.git")
+      expect(resolved.versions[0].ref).toBe("main")
+      expect(resolved.versions[0].label).toBe(envRef("LABEL"))
+      expect(() => resolveBuildConfig({ config, env: {} })).toThrow(
+        "specRepoUrl: environment variable SPEC_REPO_URL is not set",
+      )
+    })
+  })
+
+  describe("mergeConfig", () => {
+    it("should merge versions by ID and replace other values", () => {
+      const merged = mergeConfig(createConfig(), {
+        outputDir: "/tmp/site",
+        versions: [
+          { id: "current", ref: "my-branch", includeGlobs: ["jep-012*.md"] },
+          { id: "next", ref: "next", label: "next", includeGlobs: ["*.md"] },
+        ],
+      })
+
+      expect(merged.outputDir).toBe("/tmp/site")
+      expect(merged.versions).toEqual([
+        { id: "current", ref: "my-branch", label: "current", includeGlobs: ["jep-012*.md"] },
+        createConfig().versions[1],
+        { id: "next", ref: "next", label: "next", includeGlobs: ["*.md"] },
+      ])
+    })
+
+    it("should merge the sources of a version by ID", () => {
+      const config = createConfig()
+      config.versions[0].sources = [
+        { id: "spec", repoUrl: "https://example.com/spec.git", ref: "main", includeGlobs: ["*.md"] },
+        { id: "tests", repoUrl: "https://example.com/tests.git", ref: "main", includeGlobs: ["*.md"] },
+      ]
+
+      const merged = mergeConfig(config, {
+        versions: [{ id: "current", sources: [{ id: "tests", ref: "my-branch" }] }],
+      })
+
+      expect(merged.versions[0].sources).toEqual([
+        config.versions[0].sources[0],
+        { ...config.versions[0].sources[1], ref: "my-branch" },
+      ])
+    })
+  })
+
+  describe("loadBuildConfig", () => {
+    let rootDir
+
+    beforeEach(async () => {
+      rootDir = path.join(global.TEST_CONFIG.tempDir, `config-${Date.now()}`)
+      await mkdir(path.join(rootDir, "scripts"), { recursive: true })
+      await writeFile(path.join(rootDir, "config.json"), JSON.stringify(createConfig()))
+    })
+
+    afterEach(async () => {
+      await rm(rootDir, { recursive: true, force: true })
+    })
+
+    it("should apply config.local.json and resolve the configured paths", async () => {
+      await writeFile(path.join(rootDir, "config.local.json"), JSON.stringify({ outputDir: envRef("OUT_DIR") }))
+
+      const buildContext = loadBuildConfig(path.join(rootDir, "scripts"), { env: { OUT_DIR: "site" } })
+
+      expect(buildContext.config.outputDir).toBe("site")
+      expect(buildContext.outputDir).toBe(path.join(rootDir, "site"))
+      expect(buildContext.tempDir).toBe(path.join(rootDir, "build"))
+      expect(buildContext.localConfigPath).toBe(path.join(rootDir, "config.local.json"))
+    })
+
+    it("should name the files of an invalid configuration", async () => {
+      await writeFile(
+        path.join(rootDir, "config.local.json"),
+        JSON.stringify({ versions: [{ id: "current", ref: 1 }] }),
+      )
+      expect(() => loadBuildConfig(path.join(rootDir, "scripts"), { env: {} })).toThrow(
+        "Invalid build configuration (config.json, config.local.json):\n  - versions[0].ref: must be string, not 1",
+      )
+
+      await writeFile(path.join(rootDir, "config.local.json"), "{")
+      expect(() => loadBuildConfig(path.join(rootDir, "scripts"), { env: {} })).toThrow(
+        "Could not read the build configuration config.local.json",
+      )
+    })
+
+    it("should accept the site's own configuration", () => {
+      expect(() => loadBuildConfig(path.join(process.cwd(), "scripts"), { env: {} })).not.toThrow()
+    })
+  })
+})
@@ -0,0 +1,141 @@
+/**
+ * Tests for build-process.js - building versions and validating their pages
+ */
+
+import { globSync } from "node:fs"
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import { loadMarked, performJmespathValidation, rebuildChanges } from "../../scripts/lib/build-process.js"
+import { buildVersions, writeVersionsFile } from "../../scripts/lib/version-processing.js"
+
+// Finding the pages of a version needs fs.globSync, which Node.js has since version 22
+describe.skipIf(!globSync)("Build Process", () => {
+  let rootDir
+  let buildContext
+
+  const writeRootFile = async (relativePath, content) => {
+    const filePath = path.join(rootDir, relativePath)
+    await mkdir(path.dirname(filePath), { recursive: true })
+    await writeFile(filePath, content)
+  }
+
+  beforeEach(async () => {
+    rootDir = path.join(global.TEST_CONFIG.tempDir, `build-process-${Date.now()}`)
+    buildContext = {
+      rootDir,
+      tempDir: path.join(rootDir, "build"),
+      outputDir: path.join(rootDir, "docs"),
+      cacheDir: null,
+      config: {
+        specRepoUrl: "https://github.com/jmespath/jmespath.spec.git",
+        versions: [
+          {
+            id: "current",
+            label: "current",
+            ref: "main",
+            includeGlobs: ["jep*.md"],
+            functionsFile: "extensions/functions.js",
+            fixturesDir: "extensions/fixtures",
+          },
+        ],
+        defaultVersionId: "current",
+      },
+    }
+    await writeRootFile(
+      "extensions/functions.js",
+      `module.exports = {
+  double_it: { signature: ["number"], implementation: ([value]) => value * 2 },
+}
+`,
+    )
+    await writeRootFile("extensions/fixtures/numbers.json", '{"numbers": [1, 2]}')
+    await writeRootFile(
+      "build/current/jep-003-double.md",
+      `# Double
+
+\`\`\`jmespath-interactive Double
+@fixture numbers.json
+---JMESPATH---
+numbers[*].double_it(@)
+---EXPECTED---
+[2, 4]
+\`\`\`
+`,
+    )
+  })
+
+  afterEach(async () => {
+    await rm(rootDir, { recursive: true, force: true })
+  })
+
+  describe("performJmespathValidation", () => {
+    it("should validate spec pages with the functions and fixtures of their version", async () => {
+      const builds = await buildVersions(buildContext, await loadMarked())
+      expect(builds[0].versionData.pages.map(({ file }) => file)).toEqual(["jep-003-double.html"])
+
+      expect(await performJmespathValidation(buildContext, {}, null, builds)).toBe(true)
+      expect(await performJmespathValidation(buildContext, {}, null, [])).toBe(false)
+    })
+  })
+
+  describe("rebuildChanges", () => {
+    const readVersionIds = async () => {
+      const versionsFile = JSON.parse(await readFile(path.join(rootDir, "docs", "versions.json"), "utf8"))
+      return versionsFile.versions.map(({ id }) => id)
+    }
+
+    beforeEach(async () => {
+      buildContext.srcDir = path.join(rootDir, "src")
+      buildContext.config.versions[0].localDocsPath = "local_docs/current"
+      buildContext.config.versions.push({ id: "2015_09_05", label: "2015-09-05", ref: "v1", includeGlobs: ["jep*.md"] })
+      await writeRootFile("local_docs/current/map_function.md", "# Map")
+      await writeRootFile("build/2015_09_05/jep-001-old.md", "# Old")
+    })
+
+    it("should keep the versions a partial build did not build in versions.json", async () => {
+      const marked = await loadMarked()
+      await writeVersionsFile(
+        buildContext,
+        (await buildVersions(buildContext, marked)).map(({ versionData }) => versionData),
+      )
+      const options = { versions: ["current"] }
+      const builds = await buildVersions(buildContext, marked, { versionIds: options.versions })
+      expect(await readVersionIds()).toEqual(["current", "2015_09_05"])
+
+      await writeRootFile("local_docs/current/map_function.md", "# Map, changed")
+      await rebuildChanges(
+        [path.join(rootDir, "local_docs/current/map_function.md")],
+        builds,
+        buildContext,
+        marked,
+        options,
+      )
+
+      expect(await readVersionIds()).toEqual(["current", "2015_09_05"])
+    })
+
+    it("should rebuild only the selected pages when functions.js changes", async () => {
+      const marked = await loadMarked()
+      await writeVersionsFile(
+        buildContext,
+        (await buildVersions(buildContext, marked)).map(({ versionData }) => versionData),
+      )
+      const keptPagePath = path.join(rootDir, "docs", "current", "jep-003-double.html")
+      await writeFile(keptPagePath, "kept")
+      const options = { versions: ["current"], pages: ["map_function.md"] }
+      const builds = await buildVersions(buildContext, marked, {
+        versionIds: options.versions,
+        pageGlobs: options.pages,
+      })
+
+      await rebuildChanges([path.join(rootDir, "extensions/functions.js")], builds, buildContext, marked, options)
+
+      expect(await readFile(keptPagePath, "utf8")).toBe("kept")
+      expect(builds[0].versionData.pages.map(({ file }) => file).sort()).toEqual([
+        "jep-003-double.html",
+        "map_function.html",
+      ])
+    })
+  })
+})
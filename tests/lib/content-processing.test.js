@@ -2,8 +2,14 @@
  * Tests for content-processing.js - HTML escaping and JMESPath playground rendering
  */
 
+import path from "node:path"
 import { describe, expect, it } from "vitest"
-import { renderJmespathInteractiveBlock } from "../../scripts/lib/content-processing.js"
+import {
+  jmespathHighlightExtension,
+  jmespathInteractiveExtension,
+  renderCustomFunctionsScript,
+  renderJmespathInteractiveBlock,
+} from "../../scripts/lib/content-processing.js"
 
 describe("Content Processing - HTML Escaping", () => {
   describe("renderJmespathInteractiveBlock", () => {
@@ -84,5 +90,207 @@ users[?active].name`,
       expect(result).toContain('class="json-input')
       expect(result).toContain('class="query-input')
     })
+
+    it("should expose the expected result without adding it to the query", () => {
+      const token = {
+        text: `{"items": [1, 2]}
+---JMESPATH---
+items[0]
+---EXPECTED---
+1`,
+      }
+
+      const result = renderJmespathInteractiveBlock(token, "Pinned", false)
+
+      expect(result).toContain('data-expected-result="1"')
+      expect(result).toContain('class="playground-result-badge"')
+      expect(result).not.toContain("---EXPECTED---")
+    })
+
+    it("should omit the expected result attribute when none is documented", () => {
+      const token = { text: '{"a": 1}\n---JMESPATH---\na' }
+
+      const result = renderJmespathInteractiveBlock(token, "Unpinned", false)
+
+      expect(result).not.toContain("data-expected-result")
+    })
+
+    it("should annotate blocks that are expected to fail", () => {
+      const token = { text: '{"a": true}\n---JMESPATH---\nupper(a)' }
+
+      const result = renderJmespathInteractiveBlock(token, "Type Error", false, { "expect-error": "invalid-type" })
+
+      expect(result).toContain('data-expect-error="invalid-type"')
+      expect(result).toContain("<code>invalid-type</code>")
+    })
+
+    it("should add a hidden Explain panel and its toggle button", () => {
+      const token = { text: '{"a": 1}\n---JMESPATH---\na' }
+
+      const result = renderJmespathInteractiveBlock(token, "Explained", false)
+
+      expect(result).toContain('class="playground-explain-button" aria-expanded="false"')
+      expect(result).toContain('<div class="playground-explain" hidden></div>')
+    })
+
+    it("should add an input format selector next to the input label", () => {
+      const token = { text: '{"a": 1}\n---JMESPATH---\na' }
+
+      const result = renderJmespathInteractiveBlock(token, "Formats", false)
+
+      expect(result).toContain('<div class="playground-input-header">')
+      expect(result).toContain('<select class="playground-format-select" aria-label="Input format"></select>')
+    })
+
+    it("should add the output mode selector, export buttons and table view to the result", () => {
+      const token = { text: '{"a": 1}\n---JMESPATH---\na' }
+
+      const result = renderJmespathInteractiveBlock(token, "Outputs", false)
+
+      expect(result).toContain('<select class="playground-output-select" aria-label="Output format"></select>')
+      expect(result).toContain('<button type="button" class="playground-copy-button" disabled>Copy</button>')
+      expect(result).toContain('<button type="button" class="playground-download-button" disabled>Download</button>')
+      expect(result).toContain('<div class="playground-output-table" hidden></div>')
+    })
+
+    it("should add a hidden snippets panel and its toggle button", () => {
+      const token = { text: '{"a": 1}\n---JMESPATH---\na' }
+
+      const result = renderJmespathInteractiveBlock(token, "Snippets", false)
+
+      expect(result).toContain('class="playground-snippets-button" aria-expanded="false"')
+      expect(result).toContain('<div class="playground-snippets" hidden></div>')
+    })
+
+    it("should add a disabled Reset button and a hidden diff from the original result", () => {
+      const token = { text: '{"a": 1}\n---JMESPATH---\na' }
+
+      const result = renderJmespathInteractiveBlock(token, "Reset", false)
+
+      expect(result).toContain('<button type="button" class="playground-reset-button" disabled')
+      expect(result).toContain('<div class="playground-diff" hidden></div>')
+    })
+
+    it("should add tabs for the queries of a block with several queries", () => {
+      const token = { text: '{"a": 1, "b": 2}\n---JMESPATH--- First\na\n---EXPECTED---\n1\n---JMESPATH---\nb && "<b>"' }
+
+      const result = renderJmespathInteractiveBlock(token, "Tabs", false)
+      const tabs = [...result.matchAll(/<button type="button" role="tab"[^>]*>[^<]*<\/button>/g)].map(([tab]) => tab)
+
+      expect(result).toContain('<div class="playground-query-tabs" role="tablist" aria-label="Queries">')
+      expect(tabs).toHaveLength(2)
+      expect(tabs[0]).toContain('aria-selected="true"')
+      expect(tabs[0]).toContain('data-query="a" data-expected-result="1">First</button>')
+      expect(tabs[1]).toContain('aria-selected="false"')
+      expect(tabs[1]).toContain('tabindex="-1" data-query="b &amp;&amp; &quot;&lt;b&gt;&quot;">Query 2</button>')
+      // The playground starts on the first query
+      expect(result).toMatch(/<textarea [^>]*class="query-input"[^>]*>a<\/textarea>/)
+      expect(result).toContain('data-expected-result="1"')
+    })
+
+    it("should not add tabs to blocks with a single query", () => {
+      const result = renderJmespathInteractiveBlock({ text: '{"a": 1}\n---JMESPATH---\na' }, "Single", false)
+
+      expect(result).not.toContain("playground-query-tabs")
+    })
+
+    it("should leave fixtures for the playground to fetch", async () => {
+      const fixturePath = await global.testUtils.createTempFile(
+        "rendered-fixtures/fixtures/people.json",
+        '{"people": [{"name": "Ada"}]}',
+      )
+      const fixtures = { directory: path.dirname(fixturePath), url: "current/fixtures" }
+      const token = { text: "@fixture people.json\n---JMESPATH---\npeople[0].name" }
+
+      const result = renderJmespathInteractiveBlock(token, "People", false, {}, fixtures)
+
+      expect(result).toContain('data-fixture="current/fixtures/people.json"')
+      expect(result).toMatch(/<textarea [^>]*class="json-input [^"]*"[^>]*><\/textarea>/)
+      expect(result).not.toContain("error-inline")
+    })
+
+    it("should warn about fixtures that cannot be used", () => {
+      const fixtures = { directory: "/site/extensions/fixtures", url: "current/fixtures", rootDir: "/site" }
+      const token = { text: "@fixture people.json\n---JMESPATH---\npeople[0].name" }
+
+      const result = renderJmespathInteractiveBlock(token, "People", false, {}, fixtures)
+
+      expect(result).not.toContain("data-fixture")
+      expect(result).toContain(
+        "Fixture &quot;people.json&quot; could not be read from extensions/fixtures/people.json: ENOENT",
+      )
+      expect(result).not.toContain("/site")
+    })
+
+    it("should pass a valid evaluation timeout on to the playground", () => {
+      const token = { text: '{"a": 1}\n---JMESPATH---\na' }
+
+      expect(renderJmespathInteractiveBlock(token, "Slow", false, { timeout: "5000" })).toContain(
+        'data-evaluation-timeout="5000"',
+      )
+      expect(renderJmespathInteractiveBlock(token, "Slow", false, { timeout: "soon" })).not.toContain(
+        "data-evaluation-timeout",
+      )
+    })
+  })
+
+  describe("renderCustomFunctionsScript", () => {
+    it("should embed the custom functions of a page as JSON", () => {
+      const functions = [{ name: "lt", signature: ["number", "number"], implementation: "([a, b]) => a < b" }]
+      const script = renderCustomFunctionsScript(functions)
+
+      expect(script).toBe(
+        '<script type="application/json" class="jmespath-functions">[{"name":"lt","signature":["number","number"],"implementation":"([a, b]) => a \\u003c b"}]</script>\n',
+      )
+      expect(JSON.parse(script.match(/>(.*)<\/script>/)[1])).toEqual(functions)
+    })
+
+    it("should render nothing for pages without custom functions", () => {
+      expect(renderCustomFunctionsScript([])).toBe("")
+    })
+  })
+
+  describe("jmespathInteractiveExtension", () => {
+    it("should parse the fence info with the shared attribute grammar", () => {
+      const token = {
+        lang: 'jmespath-interactive expanded expect-error="syntax" Broken Query',
+        text: "{}\n---JMESPATH---\nfoo[",
+      }
+
+      const result = jmespathInteractiveExtension.renderer.code(token)
+
+      expect(result).toContain("<span>Broken Query</span>")
+      expect(result).toContain('aria-expanded="true"')
+      expect(result).toContain('data-expect-error="syntax"')
+    })
+
+    it("should render fixtures with the fixtures passed to marked.parse", () => {
+      const token = { lang: "jmespath-interactive", text: "@fixture people.json\n---JMESPATH---\n@" }
+      const fixtures = { directory: "/site/extensions/fixtures", url: "current/fixtures", rootDir: "/site" }
+      const renderer = { options: { fixtures } }
+
+      expect(jmespathInteractiveExtension.renderer.code.call(renderer, token)).toContain(
+        "could not be read from extensions/fixtures/people.json",
+      )
+    })
+
+    it("should leave other code blocks to the default renderer", () => {
+      expect(jmespathInteractiveExtension.renderer.code({ lang: "json", text: "{}" })).toBe(false)
+    })
+  })
+
+  describe("jmespathHighlightExtension", () => {
+    it("should highlight static jmespath code blocks", () => {
+      const result = jmespathHighlightExtension.renderer.code({ lang: "jmespath", text: "// Names\npeople[*].name" })
+
+      expect(result).toContain('<code class="language-jmespath">')
+      expect(result).toContain('<span class="tok-comment">// Names</span>')
+      expect(result).toContain('<span class="tok-identifier">people</span>')
+    })
+
+    it("should leave interactive and other code blocks alone", () => {
+      expect(jmespathHighlightExtension.renderer.code({ lang: "jmespath-interactive", text: "" })).toBe(false)
+      expect(jmespathHighlightExtension.renderer.code({ lang: "", text: "a" })).toBe(false)
+    })
   })
 })
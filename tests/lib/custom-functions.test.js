@@ -0,0 +1,131 @@
+/**
+ * Tests for custom-functions.js - custom JMESPath functions declared by the docs
+ */
+
+import * as jmespath from "@jmespath-community/jmespath"
+import { afterEach, describe, expect, it } from "vitest"
+import {
+  mergeFunctionDeclarations,
+  normalizeFunctionDeclarations,
+  registerCustomFunctions,
+} from "../../scripts/lib/custom-functions.js"
+
+describe("Custom Functions", () => {
+  describe("normalizeFunctionDeclarations", () => {
+    it("should keep implementations as source text", () => {
+      const functions = normalizeFunctionDeclarations(
+        {
+          double: { signature: ["number"], implementation: "([value]) => value * 2" },
+          first: { signature: [" any... "], implementation: (args) => args[0] },
+        },
+        "functions.js",
+      )
+
+      expect(functions).toEqual([
+        { name: "double", signature: ["number"], implementation: "([value]) => value * 2" },
+        { name: "first", signature: ["any..."], implementation: "(args) => args[0]" },
+      ])
+    })
+
+    it("should accept missing declarations", () => {
+      expect(normalizeFunctionDeclarations(undefined, "page.md")).toEqual([])
+    })
+
+    it("should reject malformed declarations, naming the function and where it comes from", () => {
+      const declare = (declaration) => () => normalizeFunctionDeclarations({ custom: declaration }, "page.md")
+
+      expect(() => normalizeFunctionDeclarations(["custom"], "page.md")).toThrow(
+        "Invalid custom functions in page.md: expected an object of functions by name",
+      )
+      expect(declare({ implementation: "() => 1" })).toThrow(
+        "Invalid custom function custom() in page.md: missing signature list",
+      )
+      expect(declare({ signature: ["text"], implementation: "() => 1" })).toThrow('unknown type "text"')
+      expect(declare({ signature: ["any"] })).toThrow("missing implementation")
+      expect(declare({ signature: ["any"], implementation: "() =>" })).toThrow("implementation does not compile")
+      expect(declare({ signature: ["any"], implementation: "42" })).toThrow("not a function expression")
+      expect(() =>
+        normalizeFunctionDeclarations({ "to-entries": { signature: [], implementation: "() => 1" } }, "page.md"),
+      ).toThrow("not a valid function name")
+    })
+  })
+
+  describe("mergeFunctionDeclarations", () => {
+    it("should let page functions replace version functions with the same name", () => {
+      const version = [
+        { name: "a", signature: [], implementation: "() => 1" },
+        { name: "b", signature: [], implementation: "() => 2" },
+      ]
+      const page = [{ name: "b", signature: [], implementation: "() => 3" }]
+
+      expect(mergeFunctionDeclarations(version, page).map(({ implementation }) => implementation)).toEqual([
+        "() => 1",
+        "() => 3",
+      ])
+    })
+  })
+
+  describe("registerCustomFunctions", () => {
+    afterEach(() => {
+      registerCustomFunctions(jmespath, [])
+    })
+
+    it("should register functions with their signatures", () => {
+      const functions = normalizeFunctionDeclarations(
+        {
+          repeat: { signature: ["string", "number?"], implementation: "([text, count = 2]) => text.repeat(count)" },
+          first: { signature: ["any..."], implementation: "(args) => args[0]" },
+        },
+        "page.md",
+      )
+
+      expect(registerCustomFunctions(jmespath, functions)).toEqual(["repeat", "first"])
+      expect(jmespath.search({ name: "ab" }, "repeat(name)")).toBe("abab")
+      expect(jmespath.search({ name: "ab" }, "repeat(name, `3`)")).toBe("ababab")
+      expect(jmespath.search({}, "first(`1`, `2`)")).toBe(1)
+      expect(() => jmespath.search({}, "repeat(`1`)")).toThrow(/^Invalid type: repeat\(\)/)
+    })
+
+    it("should let implementations evaluate expression arguments", () => {
+      registerCustomFunctions(
+        jmespath,
+        normalizeFunctionDeclarations(
+          {
+            count_by: {
+              signature: ["array", "expression"],
+              implementation: ([items, expression], { evaluate }) => {
+                const counts = {}
+                for (const item of items) {
+                  const key = evaluate(expression, item)
+                  counts[key] = (counts[key] ?? 0) + 1
+                }
+                return counts
+              },
+            },
+          },
+          "functions.js",
+        ),
+      )
+
+      expect(jmespath.search([{ type: "a" }, { type: "b" }, { type: "a" }], "count_by(@, &type)")).toEqual({
+        a: 2,
+        b: 1,
+      })
+    })
+
+    it("should replace the previously registered functions", () => {
+      registerCustomFunctions(jmespath, [{ name: "one", signature: [], implementation: "() => 1" }])
+      registerCustomFunctions(jmespath, [{ name: "two", signature: [], implementation: "() => 2" }])
+
+      expect(jmespath.search({}, "two()")).toBe(2)
+      expect(() => jmespath.search({}, "one()")).toThrow("Unknown function: one()")
+    })
+
+    it("should refuse to replace built-in functions", () => {
+      expect(() =>
+        registerCustomFunctions(jmespath, [{ name: "abs", signature: ["any"], implementation: "() => 0" }]),
+      ).toThrow("Cannot register custom function abs(): it would replace a built-in function")
+      expect(jmespath.search({}, "abs(`-1`)")).toBe(1)
+    })
+  })
+})
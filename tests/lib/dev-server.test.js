@@ -0,0 +1,109 @@
+/**
+ * Tests for dev-server.js - serving the built site with live reload
+ *
+ * @vitest-environment node
+ */
+
+import { once } from "node:events"
+import fs from "node:fs"
+import { mkdir, rm, writeFile } from "node:fs/promises"
+import http from "node:http"
+import path from "node:path"
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { createDevServer, describeReload, injectLiveReload } from "../../scripts/lib/dev-server.js"
+
+describe("Dev Server", () => {
+  describe("injectLiveReload", () => {
+    it("should point pages at the reload events", () => {
+      expect(injectLiveReload("<html><head>\n  </head><body></body></html>")).toBe(
+        '<html><head>\n    <meta name="live-reload" content="/__live-reload">\n  </head><body></body></html>',
+      )
+    })
+  })
+
+  describe("describeReload", () => {
+    it("should swap stylesheets only when styles alone changed", () => {
+      expect(describeReload(["/site/src/style.css"])).toEqual({ type: "css" })
+      expect(describeReload(["/site/src/style.css", "/site/local_docs/current/page.md"])).toEqual({ type: "page" })
+    })
+  })
+
+  describe("createDevServer", () => {
+    let rootDir
+    let devServer
+    let baseUrl
+
+    beforeEach(async () => {
+      rootDir = path.join(global.TEST_CONFIG.tempDir, `site-${Date.now()}`)
+      await mkdir(path.join(rootDir, "current"), { recursive: true })
+      await writeFile(path.join(rootDir, "index.html"), "<html><head></head><body></body></html>")
+      await writeFile(path.join(rootDir, "current", "page.html"), "<h1>Page</h1>")
+      await writeFile(path.join(global.TEST_CONFIG.tempDir, "secret.txt"), "secret")
+
+      devServer = createDevServer({ rootDir })
+      devServer.server.listen(0, "127.0.0.1")
+      await once(devServer.server, "listening")
+      baseUrl = `http://127.0.0.1:${devServer.server.address().port}`
+    })
+
+    afterEach(async () => {
+      await devServer.close()
+      await rm(rootDir, { recursive: true, force: true })
+    })
+
+    it("should serve the site, with the reload events set in index.html", async () => {
+      const index = await fetch(`${baseUrl}/`)
+      expect(index.headers.get("content-type")).toBe("text/html; charset=utf-8")
+      expect(index.headers.get("cache-control")).toBe("no-store")
+      expect(await index.text()).toContain('<meta name="live-reload" content="/__live-reload">')
+
+      const page = await fetch(`${baseUrl}/current/page.html`)
+      expect(await page.text()).toBe("<h1>Page</h1>")
+    })
+
+    it("should not serve missing files or files outside the site", async () => {
+      // fetch() would resolve the dots before sending the path
+      const request = http.get(`${baseUrl}/`, { path: `/../${path.basename(rootDir)}/../secret.txt` })
+      const [outside] = await once(request, "response")
+      outside.resume()
+
+      expect(outside.statusCode).toBe(404)
+      expect((await fetch(`${baseUrl}/current/missing.html`)).status).toBe(404)
+      expect((await fetch(`${baseUrl}/current/`)).status).toBe(404)
+      expect((await fetch(`${baseUrl}/`, { method: "POST" })).status).toBe(405)
+    })
+
+    it("should answer with a 404 for files removed between finding and reading them", async () => {
+      // A rebuild emptying the output directory right after the server found the file
+      const { createReadStream, readFileSync } = fs
+      vi.spyOn(fs, "createReadStream").mockImplementation((filePath, ...args) => {
+        fs.rmSync(filePath, { force: true })
+        return createReadStream(filePath, ...args)
+      })
+      vi.spyOn(fs, "readFileSync").mockImplementation((filePath, ...args) => {
+        if (filePath === path.join(rootDir, "index.html")) fs.rmSync(filePath, { force: true })
+        return readFileSync(filePath, ...args)
+      })
+
+      try {
+        expect((await fetch(`${baseUrl}/current/page.html`)).status).toBe(404)
+        expect((await fetch(`${baseUrl}/`)).status).toBe(404)
+        expect(devServer.server.listening).toBe(true)
+      } finally {
+        vi.restoreAllMocks()
+      }
+    })
+
+    it("should push reload events to connected pages", async () => {
+      const response = await fetch(`${baseUrl}/__live-reload`)
+      expect(response.headers.get("content-type")).toBe("text/event-stream")
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+      expect((await reader.read()).value).toBe("retry: 1000\n\n")
+
+      devServer.notifyReload(["/site/local_docs/current/page.md"])
+
+      expect((await reader.read()).value).toBe('event: reload\ndata: {"type":"page"}\n\n')
+      await reader.cancel()
+    })
+  })
+})
@@ -0,0 +1,77 @@
+/**
+ * Tests for error-positions.js - Locating JMESPath errors and converting offsets to positions
+ */
+
+import jmespath from "@jmespath-community/jmespath"
+import { describe, expect, it } from "vitest"
+import {
+  formatCaretMarker,
+  locateQueryError,
+  offsetToDocumentPosition,
+  offsetToLineColumn,
+} from "../../scripts/lib/error-positions.js"
+
+const locate = (query, compile = jmespath.compile) => {
+  try {
+    jmespath.search({}, query)
+  } catch (error) {
+    const range = locateQueryError(error, query, compile)
+    return range && query.slice(range.start, range.end)
+  }
+  throw new Error(`Query did not fail: ${query}`)
+}
+
+describe("Error Positions", () => {
+  describe("locateQueryError", () => {
+    it("should locate the token a parser error occurred at", () => {
+      expect(locate("foo | ] | bar")).toBe("]")
+      expect(locate("a[?b > `1` && ].c")).toBe("]")
+    })
+
+    it("should locate characters and literals the lexer rejects", () => {
+      expect(locate("a ~ b")).toBe("~")
+      expect(locate("a | `{bad` | b")).toBe("`{bad`")
+      expect(locate('a | "open')).toBe('"open')
+    })
+
+    it("should return an empty range at the end for incomplete queries", () => {
+      const query = "foo.bar["
+      try {
+        jmespath.search({}, query)
+      } catch (error) {
+        expect(locateQueryError(error, query, jmespath.compile)).toEqual({ start: 8, end: 8 })
+      }
+    })
+
+    it("should locate runtime errors from the function or variable they name", () => {
+      expect(locate("a | unknown_fn(@)")).toBe("unknown_fn")
+      expect(locate("abs(`1`, `2`)")).toBe("abs")
+      expect(locate("let $a = `1` in $b")).toBe("$b")
+    })
+
+    it("should fall back to the lexer without a compile function", () => {
+      expect(locate("a ~ b", null)).toBe("~")
+      expect(locate("foo | ] | bar", null)).toBeNull()
+    })
+  })
+
+  describe("offsetToLineColumn", () => {
+    it("should return 1-based lines and columns", () => {
+      expect(offsetToLineColumn("ab\ncd", 0)).toEqual({ line: 1, column: 1 })
+      expect(offsetToLineColumn("ab\ncd", 4)).toEqual({ line: 2, column: 2 })
+    })
+  })
+
+  describe("offsetToDocumentPosition", () => {
+    it("should offset the first line's column by the section start", () => {
+      expect(offsetToDocumentPosition({ line: 10, column: 5 }, "ab\ncd", 1)).toEqual({ line: 10, column: 6 })
+      expect(offsetToDocumentPosition({ line: 10, column: 5 }, "ab\ncd", 4)).toEqual({ line: 11, column: 2 })
+    })
+  })
+
+  describe("formatCaretMarker", () => {
+    it("should mark the position under its line", () => {
+      expect(formatCaretMarker("a |\n\tfoo ]", 9)).toBe("\tfoo ]\n\t    ^")
+    })
+  })
+})
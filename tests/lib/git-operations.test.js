@@ -0,0 +1,149 @@
+/**
+ * Tests for git-operations.js - cloning the source repositories and checking out the versions
+ */
+
+import { execFileSync } from "node:child_process"
+import { mkdir, readdir, readFile, rm, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import {
+  getRepositoryPath,
+  isLocalRepository,
+  performGitOperations,
+  REPOSITORIES_DIR,
+} from "../../scripts/lib/git-operations.js"
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: "Test",
+  GIT_AUTHOR_EMAIL: "test@example.com",
+  GIT_COMMITTER_NAME: "Test",
+  GIT_COMMITTER_EMAIL: "test@example.com",
+}
+
+const git = (cwd, ...args) => execFileSync("git", args, { cwd, env: GIT_ENV, stdio: "ignore" })
+
+describe("Git Operations", () => {
+  let rootDir
+  let fixtureRepo
+  let buildContext
+
+  const commitDoc = async (content) => {
+    await writeFile(path.join(fixtureRepo, "doc.md"), content)
+    git(fixtureRepo, "add", "doc.md")
+    git(fixtureRepo, "commit", "-m", content)
+  }
+
+  const readCheckout = (versionId) => readFile(path.join(buildContext.tempDir, versionId, "doc.md"), "utf8")
+
+  beforeEach(async () => {
+    rootDir = path.join(global.TEST_CONFIG.tempDir, `git-${Date.now()}`)
+    fixtureRepo = path.join(rootDir, "fixture-spec")
+    await mkdir(fixtureRepo, { recursive: true })
+    git(fixtureRepo, "init", "--initial-branch=main")
+    await commitDoc("# Version 1")
+    git(fixtureRepo, "tag", "v1")
+    await commitDoc("# Version 2")
+
+    buildContext = {
+      rootDir,
+      tempDir: path.join(rootDir, "build"),
+      config: {
+        specRepoUrl: "fixture-spec",
+        versions: [
+          { id: "current", label: "current", ref: "main", isTag: false },
+          { id: "old", label: "old", ref: "v1", isTag: true },
+        ],
+      },
+    }
+  })
+
+  afterEach(async () => {
+    await rm(rootDir, { recursive: true, force: true })
+  })
+
+  describe("isLocalRepository", () => {
+    it("should tell paths and file URLs from remote repositories", () => {
+      expect(isLocalRepository("../jmespath.spec")).toBe(true)
+      expect(isLocalRepository("/srv/git/spec.git")).toBe(true)
+      expect(isLocalRepository("file:///srv/git/spec.git")).toBe(true)
+      expect(isLocalRepository("https://github.com/jmespath/jmespath.spec.git")).toBe(false)
+      expect(isLocalRepository("git@github.com:jmespath/jmespath.spec.git")).toBe(false)
+    })
+  })
+
+  describe("performGitOperations", () => {
+    it("should check out each version from a single clone of a local repository", async () => {
+      await performGitOperations(buildContext)
+
+      expect(await readCheckout("current")).toBe("# Version 2")
+      expect(await readCheckout("old")).toBe("# Version 1")
+      expect(await readdir(path.join(buildContext.tempDir, REPOSITORIES_DIR))).toHaveLength(1)
+    })
+
+    it("should fetch the clone of a previous run and recreate the checkouts", async () => {
+      await performGitOperations(buildContext)
+      await writeFile(path.join(buildContext.tempDir, "current", "stale.md"), "# Stale")
+      await commitDoc("# Version 3")
+
+      await performGitOperations(buildContext)
+
+      expect(await readCheckout("current")).toBe("# Version 3")
+      expect(await readdir(path.join(buildContext.tempDir, "current"))).not.toContain("stale.md")
+    })
+
+    it("should check out the sources of a version side by side", async () => {
+      buildContext.config.versions = [
+        {
+          id: "current",
+          label: "current",
+          sources: [
+            { id: "spec", repoUrl: "fixture-spec", ref: "main" },
+            { id: "tests", repoUrl: `file://${fixtureRepo}`, ref: "v1", isTag: true },
+          ],
+        },
+      ]
+
+      await performGitOperations(buildContext)
+
+      expect(await readCheckout(path.join("current", "spec"))).toBe("# Version 2")
+      expect(await readCheckout(path.join("current", "tests"))).toBe("# Version 1")
+    })
+
+    describe("offline", () => {
+      const remoteUrl = "https://git.example.invalid/jmespath.spec.git"
+
+      beforeEach(() => {
+        buildContext.config.specRepoUrl = remoteUrl
+      })
+
+      it("should check out the clone of a previous run without fetching", async () => {
+        const clonePath = getRepositoryPath(remoteUrl, buildContext)
+        await mkdir(path.dirname(clonePath), { recursive: true })
+        git(rootDir, "clone", "--bare", fixtureRepo, clonePath)
+
+        await performGitOperations(buildContext, buildContext.config.versions, { offline: true })
+
+        expect(await readCheckout("current")).toBe("# Version 2")
+        expect(await readCheckout("old")).toBe("# Version 1")
+      })
+
+      it("should fail when a clone or a ref is missing", async () => {
+        await expect(
+          performGitOperations(buildContext, buildContext.config.versions, { offline: true }),
+        ).rejects.toThrow(`  - version current: No clone of ${remoteUrl} to build from offline`)
+
+        const clonePath = getRepositoryPath(remoteUrl, buildContext)
+        await mkdir(path.dirname(clonePath), { recursive: true })
+        git(rootDir, "clone", "--bare", fixtureRepo, clonePath)
+        buildContext.config.versions[1].ref = "v2"
+
+        await expect(
+          performGitOperations(buildContext, buildContext.config.versions, { offline: true }),
+        ).rejects.toThrow(
+          `Offline Git operations failed:\n  - version old: Tag v2 not found in ${remoteUrl}; run without --offline to fetch it`,
+        )
+      })
+    })
+  })
+})
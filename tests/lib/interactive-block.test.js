@@ -0,0 +1,110 @@
+/**
+ * Tests for interactive-block.js - jmespath-interactive fence info and body parsing
+ */
+
+import { describe, expect, it } from "vitest"
+import { parseFenceInfo, parseInteractiveBlockBody } from "../../scripts/lib/interactive-block.js"
+
+describe("Interactive Block Parsing", () => {
+  describe("parseFenceInfo", () => {
+    it("should parse a bare language tag", () => {
+      expect(parseFenceInfo("jmespath-interactive")).toEqual({ expanded: false, attributes: {}, title: "" })
+    })
+
+    it("should parse the expanded flag and title", () => {
+      expect(parseFenceInfo("jmespath-interactive expanded My Example")).toEqual({
+        expanded: true,
+        attributes: {},
+        title: "My Example",
+      })
+    })
+
+    it("should parse quoted, single-quoted and bare attributes in any order with the flag", () => {
+      const info = parseFenceInfo(`jmespath-interactive expect-error="invalid-type" expanded note='a b' level=2 Title`)
+
+      expect(info.expanded).toBe(true)
+      expect(info.attributes).toEqual({ "expect-error": "invalid-type", note: "a b", level: "2" })
+      expect(info.title).toBe("Title")
+    })
+
+    it("should treat everything after the first non-attribute word as the title", () => {
+      const info = parseFenceInfo("jmespath-interactive expanded locations[?state == 'WA'].name | sort(@)")
+
+      expect(info.attributes).toEqual({})
+      expect(info.title).toBe("locations[?state == 'WA'].name | sort(@)")
+    })
+
+    it("should accept an info string without the language tag", () => {
+      expect(parseFenceInfo(' expect-error="syntax" Broken')).toEqual({
+        expanded: false,
+        attributes: { "expect-error": "syntax" },
+        title: "Broken",
+      })
+    })
+  })
+
+  describe("parseInteractiveBlockBody", () => {
+    it("should split input, query and expected result", () => {
+      expect(parseInteractiveBlockBody('{"a": 1}\n---JMESPATH---\na\n---EXPECTED---\n1\n')).toEqual({
+        jsonInput: '{"a": 1}',
+        fixture: null,
+        jmespathQuery: "a",
+        expectedOutput: "1",
+        error: null,
+        jsonInputOffset: 0,
+        jmespathQueryOffset: 24,
+        queries: [{ label: "", jmespathQuery: "a", expectedOutput: "1", jmespathQueryOffset: 24 }],
+      })
+    })
+
+    it("should split several queries against the same input, each with its own expected result", () => {
+      const blockContent = '{"a": 1, "b": 2}\n---JMESPATH--- First\na\n---EXPECTED---\n1\n---JMESPATH---\nb\n'
+      const parsed = parseInteractiveBlockBody(blockContent)
+
+      expect(parsed.error).toBeNull()
+      expect(parsed.jmespathQuery).toBe("a")
+      expect(parsed.queries).toEqual([
+        { label: "First", jmespathQuery: "a", expectedOutput: "1", jmespathQueryOffset: 38 },
+        { label: "", jmespathQuery: "b", expectedOutput: null, jmespathQueryOffset: 72 },
+      ])
+      expect(blockContent.substring(parsed.queries[1].jmespathQueryOffset)).toMatch(/^b\n/)
+    })
+
+    it("should read a fixture directive in place of the JSON input", () => {
+      expect(parseInteractiveBlockBody("@fixture people.json\n---JMESPATH---\npeople[0]").fixture).toBe("people.json")
+      expect(parseInteractiveBlockBody("  @fixture orders/2024.json  \n---JMESPATH---\n@").fixture).toBe(
+        "orders/2024.json",
+      )
+      expect(parseInteractiveBlockBody('{"note": "@fixture people.json"}\n---JMESPATH---\n@').fixture).toBeNull()
+    })
+
+    it("should locate the trimmed input and query in the block content", () => {
+      const blockContent = '\n  {"a": 1}\n  ---JMESPATH---\n\n  a.b\n'
+      const parsed = parseInteractiveBlockBody(blockContent)
+
+      expect(blockContent.substring(parsed.jsonInputOffset)).toMatch(/^\{"a": 1\}/)
+      expect(blockContent.substring(parsed.jmespathQueryOffset)).toMatch(/^a\.b/)
+    })
+
+    it("should report a missing query separator", () => {
+      const parsed = parseInteractiveBlockBody('{"a": 1}\n')
+
+      expect(parsed.jsonInput).toBe('{"a": 1}')
+      expect(parsed.error).toContain("Invalid block format")
+    })
+
+    it("should accept marker lines ending in carriage returns", () => {
+      const parsed = parseInteractiveBlockBody("{}\r\n---JMESPATH--- Name\r\na\r\n---EXPECTED---\r\nnull\r\n")
+
+      expect(parsed.queries).toEqual([
+        expect.objectContaining({ label: "Name", jmespathQuery: "a", expectedOutput: "null" }),
+      ])
+    })
+
+    it("should report duplicate expected sections", () => {
+      const parsed = parseInteractiveBlockBody("1\n---JMESPATH---\n@\n---EXPECTED---\n1\n---EXPECTED---\n1")
+
+      expect(parsed.error).toContain("---EXPECTED---")
+    })
+  })
+})
@@ -2,8 +2,16 @@
  * Tests for jmespath-validation.js - JMESPath query validation in markdown
  */
 
+import path from "node:path"
+import jmespath from "@jmespath-community/jmespath"
 import { describe, expect, it } from "vitest"
-import { extractJmespathBlocks, validateJmespathBlock } from "../../scripts/lib/jmespath-validation.js"
+import {
+  classifyJmespathError,
+  extractJmespathBlocks,
+  validateJmespathBlock,
+  validateMarkdownFile,
+  validateMultipleFiles,
+} from "../../scripts/lib/jmespath-validation.js"
 
 describe("JMESPath Validation", () => {
   describe("extractJmespathBlocks", () => {
@@ -78,6 +86,127 @@ name
       expect(blocks).toHaveLength(1)
       expect(blocks[0].title).toBe("Block 1")
     })
+
+    it("should read expect-error from the fence info without including it in the title", () => {
+      const markdown = `
+\`\`\`jmespath-interactive expect-error="invalid-type" Type Error Example
+{"a": true}
+---JMESPATH---
+upper(a)
+\`\`\`
+`
+
+      const blocks = extractJmespathBlocks(markdown, "test.md")
+
+      expect(blocks[0].title).toBe("Type Error Example")
+      expect(blocks[0].expectError).toBe("invalid-type")
+      expect(blocks[0].error).toBeNull()
+    })
+
+    it("should reject unknown expect-error types", () => {
+      const markdown = `
+\`\`\`jmespath-interactive expect-error=typo
+{"a": true}
+---JMESPATH---
+upper(a)
+\`\`\`
+`
+
+      const blocks = extractJmespathBlocks(markdown, "test.md")
+
+      expect(blocks[0].error).toContain('Unknown expect-error type "typo"')
+    })
+
+    it("should extract an optional expected result section", () => {
+      const markdown = `
+\`\`\`jmespath-interactive Pinned Result
+{"items": [1, 2, 3]}
+---JMESPATH---
+items[0]
+---EXPECTED---
+1
+\`\`\`
+`
+
+      const blocks = extractJmespathBlocks(markdown, "test.md")
+
+      expect(blocks[0].error).toBeNull()
+      expect(blocks[0].jmespathQuery).toBe("items[0]")
+      expect(blocks[0].expectedOutput).toBe("1")
+    })
+
+    it("should default the expected result to null when absent", () => {
+      const markdown = `
+\`\`\`jmespath-interactive
+{"name": "Alice"}
+---JMESPATH---
+name
+\`\`\`
+`
+
+      const blocks = extractJmespathBlocks(markdown, "test.md")
+
+      expect(blocks[0].expectedOutput).toBeNull()
+    })
+
+    it("should reject an expected result placed before the query", () => {
+      const markdown = `
+\`\`\`jmespath-interactive
+{"name": "Alice"}
+---EXPECTED---
+"Alice"
+---JMESPATH---
+name
+\`\`\`
+`
+
+      const blocks = extractJmespathBlocks(markdown, "test.md")
+
+      expect(blocks[0].error).toContain("---EXPECTED--- must follow the JMESPath query")
+    })
+
+    it("should extract one entry per query of a block with several queries", () => {
+      const markdown = `
+\`\`\`jmespath-interactive People
+{"people": [{"name": "a", "age": 1}]}
+---JMESPATH--- Names
+people[].name
+---EXPECTED---
+["a"]
+---JMESPATH---
+people[].age
+\`\`\`
+`
+
+      const blocks = extractJmespathBlocks(markdown, "test.md")
+
+      expect(blocks.map(({ title, index, queryIndex }) => ({ title, index, queryIndex }))).toEqual([
+        { title: "People › Names", index: 0, queryIndex: 0 },
+        { title: "People › Query 2", index: 0, queryIndex: 1 },
+      ])
+      expect(blocks[0]).toMatchObject({ jmespathQuery: "people[].name", expectedOutput: '["a"]' })
+      expect(blocks[1]).toMatchObject({ jmespathQuery: "people[].age", expectedOutput: null })
+      expect(blocks[1].jsonInput).toBe(blocks[0].jsonInput)
+      expect(blocks[1].jmespathQueryPosition).toEqual({ line: 9, column: 1 })
+      expect(blocks.map((block) => validateJmespathBlock(block).success)).toEqual([true, true])
+    })
+
+    it("should record source positions of the block and its sections", () => {
+      const markdown = `# Title
+
+\`\`\`jmespath-interactive Positions
+  {"name": "Alice"}
+---JMESPATH---
+name
+\`\`\`
+`
+
+      const [block] = extractJmespathBlocks(markdown, "test.md", { lineOffset: 3 })
+
+      expect(block.lineNumber).toBe(6)
+      expect(block.jsonInputPosition).toEqual({ line: 7, column: 3 })
+      expect(block.jmespathQueryPosition).toEqual({ line: 9, column: 1 })
+    })
   })
 
   describe("validateJmespathBlock", () => {
@@ -135,6 +264,28 @@ name
       expect(result.errors[0]).toContain("JMESPath query error")
     })
 
+    it("should locate query and JSON errors in the markdown source", () => {
+      const [queryBlock, jsonBlock] = extractJmespathBlocks(
+        `\`\`\`jmespath-interactive
+{}
+---JMESPATH---
+people[?age > ]
+\`\`\`
+
+\`\`\`jmespath-interactive
+{
+  "age": }
+---JMESPATH---
+age
+\`\`\`
+`,
+        "test.md",
+      )
+
+      expect(validateJmespathBlock(queryBlock).errorLocation).toEqual({ line: 4, column: 15 })
+      expect(validateJmespathBlock(jsonBlock).errorLocation).toEqual({ line: 9, column: 10 })
+    })
+
     it("should handle empty inputs with warnings", () => {
       const block = {
         index: 0,
@@ -153,6 +304,178 @@ name
       expect(result.warnings).toContain("Empty JMESPath query")
     })
 
+    it("should no longer infer expected failures from the title", () => {
+      const block = {
+        index: 0,
+        title: "Type Error Example",
+        filePath: "test.md",
+        jsonInput: '{"a": true}',
+        jmespathQuery: "upper(a)",
+        lineNumber: 1,
+        error: null,
+      }
+
+      const result = validateJmespathBlock(block)
+
+      expect(result.expectedToFail).toBe(false)
+      expect(result.success).toBe(false)
+    })
+
+    it("should pass when the query fails with the declared error type", () => {
+      const block = {
+        index: 0,
+        title: "Test",
+        filePath: "test.md",
+        expectError: "invalid-type",
+        jsonInput: '{"a": true}',
+        jmespathQuery: "upper(a)",
+        lineNumber: 1,
+        error: null,
+      }
+
+      const result = validateJmespathBlock(block)
+
+      expect(result.success).toBe(true)
+      expect(result.expectedToFail).toBe(true)
+      expect(result.errorType).toBe("invalid-type")
+      expect(result.warnings[0]).toContain("Expected error occurred")
+    })
+
+    it("should fail when the query fails with a different error type", () => {
+      const block = {
+        index: 0,
+        title: "Test",
+        filePath: "test.md",
+        expectError: "invalid-arity",
+        jsonInput: '{"a": true}',
+        jmespathQuery: "upper(a)",
+        lineNumber: 1,
+        error: null,
+      }
+
+      const result = validateJmespathBlock(block)
+
+      expect(result.success).toBe(false)
+      expect(result.errors[0]).toContain("Expected a invalid-arity error, but got invalid-type")
+    })
+
+    it("should fail when a query declared to fail succeeds", () => {
+      const block = {
+        index: 0,
+        title: "Test",
+        filePath: "test.md",
+        expectError: "syntax",
+        jsonInput: '{"a": "x"}',
+        jmespathQuery: "upper(a)",
+        lineNumber: 1,
+        error: null,
+      }
+
+      const result = validateJmespathBlock(block)
+
+      expect(result.success).toBe(false)
+      expect(result.errors[0]).toContain("Expected this query to fail with a syntax error")
+    })
+
+    it("should classify errors thrown by the JMESPath library", () => {
+      const classify = (query, data = {}) => {
+        try {
+          jmespath.search(data, query)
+        } catch (error) {
+          return classifyJmespathError(error)
+        }
+        return null
+      }
+
+      expect(classifyJmespathError({ name: "ParserError", message: "Syntax error: expected Star" })).toBe("syntax")
+      expect(classify("foo[")).toBe("syntax")
+      expect(classify("`{bad`")).toBe("syntax")
+      expect(classify("upper(a)", { a: true })).toBe("invalid-type")
+      expect(classify("nope(a)")).toBe("unknown-function")
+      expect(classify("upper(a, b)")).toBe("invalid-arity")
+      expect(classify("$x")).toBe("undefined-variable")
+      expect(classifyJmespathError(new Error("something else"))).toBe("unknown")
+    })
+
+    it("should pass when the result matches the expected output", () => {
+      const block = {
+        index: 0,
+        title: "Test",
+        filePath: "test.md",
+        jsonInput: '{"people": [{"name": "a", "age": 1}, {"name": "b", "age": 2}]}',
+        jmespathQuery: "people[?age > `1`]",
+        expectedOutput: '[{"age": 2, "name": "b"}]',
+        lineNumber: 1,
+        error: null,
+      }
+
+      const result = validateJmespathBlock(block)
+
+      expect(result.success).toBe(true)
+      expect(result.resultDiff).toEqual([])
+    })
+
+    it("should report a structured diff when the result drifts from the expected output", () => {
+      const block = {
+        index: 0,
+        title: "Test",
+        filePath: "test.md",
+        jsonInput: '{"people": [{"name": "a", "age": 1}, {"name": "b", "age": 2}]}',
+        jmespathQuery: "people[*].{name: name}",
+        expectedOutput: '[{"name": "a", "age": 1}, {"name": "c"}, {"name": "d"}]',
+        lineNumber: 1,
+        error: null,
+      }
+
+      const result = validateJmespathBlock(block)
+
+      expect(result.success).toBe(false)
+      expect(result.resultDiff).toEqual([
+        { path: "[0].age", kind: "missing", expected: 1 },
+        { path: "[1].name", kind: "value", expected: "c", actual: "b" },
+        { path: "[2]", kind: "missing", expected: { name: "d" } },
+      ])
+      expect(result.errors[0]).toContain("3 difference(s)")
+      expect(result.errors).toContain('  [1].name: expected "c", got "b"')
+    })
+
+    it("should report type mismatches against the expected output", () => {
+      const block = {
+        index: 0,
+        title: "Test",
+        filePath: "test.md",
+        jsonInput: '{"count": 3}',
+        jmespathQuery: "to_string(count)",
+        expectedOutput: "3",
+        lineNumber: 1,
+        error: null,
+      }
+
+      const result = validateJmespathBlock(block)
+
+      expect(result.success).toBe(false)
+      expect(result.resultDiff).toEqual([{ path: "", kind: "type", expected: 3, actual: "3" }])
+      expect(result.errors).toContain('  @: expected number 3, got string "3"')
+    })
+
+    it("should reject expected output that is not valid JSON", () => {
+      const block = {
+        index: 0,
+        title: "Test",
+        filePath: "test.md",
+        jsonInput: '{"name": "Alice"}',
+        jmespathQuery: "name",
+        expectedOutput: "Alice",
+        lineNumber: 1,
+        error: null,
+      }
+
+      const result = validateJmespathBlock(block)
+
+      expect(result.success).toBe(false)
+      expect(result.errors[0]).toContain("Invalid expected result JSON")
+    })
+
     it("should handle blocks with extraction errors", () => {
       const block = {
         index: 0,
@@ -170,4 +493,121 @@ name
       expect(result.errors).toContain("Some extraction error")
     })
   })
+
+  describe("custom functions", () => {
+    const example = `
+\`\`\`jmespath-interactive
+{"a": 1, "b": 2}
+---JMESPATH---
+to_entries(@)[].key
+---EXPECTED---
+["a", "b"]
+\`\`\`
+`
+
+    it("should validate examples with the functions declared in the front matter", async () => {
+      const filePath = await global.testUtils.createTempFile(
+        "custom-functions/front-matter.md",
+        `---
+functions:
+  to_entries:
+    signature: [object]
+    implementation: "([obj]) => Object.entries(obj).map(([key, value]) => ({ key, value }))"
+---
+${example}`,
+      )
+
+      const result = await validateMarkdownFile(filePath)
+
+      expect(result.success).toBe(true)
+      expect(result.blocks[0].queryResult).toEqual(["a", "b"])
+      // The functions are only registered while their file is validated
+      expect(() => jmespath.search({}, "to_entries(@)")).toThrow("Unknown function: to_entries()")
+    })
+
+    it("should validate examples with the functions of the nearest functions.js", async () => {
+      await global.testUtils.createTempFile(
+        "custom-functions/version/functions.js",
+        `module.exports = {
+  to_entries: {
+    signature: ["object"],
+    implementation: ([obj]) => Object.entries(obj).map(([key, value]) => ({ key, value })),
+  },
+}
+`,
+      )
+      const filePath = await global.testUtils.createTempFile("custom-functions/version/guide/page.md", example)
+
+      const results = await validateMultipleFiles([filePath])
+
+      expect(results.success).toBe(true)
+      expect(results.results[0].blocks[0].queryResult).toEqual(["a", "b"])
+    })
+
+    it("should report invalid declarations as a file error", async () => {
+      const filePath = await global.testUtils.createTempFile(
+        "custom-functions/invalid.md",
+        `---
+functions:
+  to_entries:
+    signature: [dictionary]
+    implementation: "([obj]) => obj"
+---
+${example}`,
+      )
+
+      const result = await validateMarkdownFile(filePath)
+
+      expect(result.success).toBe(false)
+      expect(result.fileError).toMatch(
+        /^Invalid custom function to_entries\(\) in .*invalid\.md: unknown type "dictionary"/,
+      )
+    })
+  })
+
+  describe("fixtures", () => {
+    const example = `
+\`\`\`jmespath-interactive People
+@fixture people.json
+---JMESPATH---
+people[*].name
+---EXPECTED---
+["Ada", "Grace"]
+\`\`\`
+`
+
+    it("should validate examples with the fixtures of the nearest fixtures directory", async () => {
+      await global.testUtils.createTempFile(
+        "fixtures-validation/version/fixtures/people.json",
+        '{"people": [{"name": "Ada"}, {"name": "Grace"}]}',
+      )
+      const filePath = await global.testUtils.createTempFile("fixtures-validation/version/guide/page.md", example)
+
+      const results = await validateMultipleFiles([filePath])
+
+      expect(results.success).toBe(true)
+      expect(results.results[0].blocks[0].block.fixture).toBe("people.json")
+      expect(results.results[0].blocks[0].queryResult).toEqual(["Ada", "Grace"])
+    })
+
+    it("should report fixtures that are missing, invalid or outside the fixtures directory", async () => {
+      const fixturesDir = path.dirname(
+        await global.testUtils.createTempFile("fixtures-validation/invalid/fixtures/broken.json", '{"people": ['),
+      )
+      const extract = (name) =>
+        extractJmespathBlocks(`\`\`\`jmespath-interactive\n@fixture ${name}\n---JMESPATH---\n@\n\`\`\``, "page.md", {
+          fixturesDir,
+        })[0].error
+
+      expect(extract("people.json")).toMatch(/^Fixture "people\.json" could not be read from .*: ENOENT$/)
+      expect(extract("broken.json")).toMatch(/^Fixture "broken\.json" is not valid JSON: /)
+      expect(extract("../secrets.json")).toBe(
+        'Invalid fixture name "../secrets.json": expected the path of a .json file in the fixtures directory',
+      )
+      expect(
+        extractJmespathBlocks("```jmespath-interactive\n@fixture people.json\n---JMESPATH---\n@\n```", "page.md")[0]
+          .error,
+      ).toBe('Fixture "people.json" has no fixtures directory to be read from')
+    })
+  })
 })
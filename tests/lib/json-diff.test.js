@@ -0,0 +1,28 @@
+/**
+ * Tests for json-diff.js - comparing query results with their documented result
+ */
+
+import { describe, expect, it } from "vitest"
+import { diffJsonValues, formatJsonDifference, isJsonEqual } from "../../scripts/lib/json-diff.js"
+
+describe("JSON Diff", () => {
+  describe("isJsonEqual", () => {
+    it("should compare JSON values structurally", () => {
+      expect(isJsonEqual({ a: [1, { b: null }] }, { a: [1, { b: null }] })).toBe(true)
+      expect(isJsonEqual({ a: 1, b: 2 }, { b: 2, a: 1 })).toBe(true)
+      expect(isJsonEqual([1, 2], [2, 1])).toBe(false)
+      expect(isJsonEqual({ a: 1 }, { a: 1, b: 2 })).toBe(false)
+      expect(isJsonEqual([], {})).toBe(false)
+      expect(isJsonEqual(null, {})).toBe(false)
+      expect(isJsonEqual("1", 1)).toBe(false)
+    })
+
+    it("should agree with the differences the validator reports", () => {
+      const expected = { names: ["Ada"], total: 1 }
+      const actual = { names: ["Ada", "Grace"], total: 1 }
+
+      expect(isJsonEqual(expected, actual)).toBe(false)
+      expect(diffJsonValues(expected, actual).map(formatJsonDifference)).toEqual(['names[1]: unexpected "Grace"'])
+    })
+  })
+})
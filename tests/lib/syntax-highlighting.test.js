@@ -0,0 +1,155 @@
+/**
+ * Tests for syntax-highlighting.js - JSON and JMESPath tokenizers and highlighting
+ */
+
+import { describe, expect, it } from "vitest"
+import {
+  findJsonSyntaxError,
+  findMatchingBracket,
+  HIGHLIGHT_SIZE_LIMIT,
+  highlightCode,
+  locateJsonError,
+  tokenizeJmespath,
+  tokenizeJson,
+} from "../../scripts/lib/syntax-highlighting.js"
+
+const significant = (tokens) =>
+  tokens.filter((token) => token.type !== "whitespace").map(({ type, value }) => [type, value])
+
+describe("Syntax Highlighting", () => {
+  describe("tokenizeJmespath", () => {
+    it("should recognize the JMESPath grammar", () => {
+      const tokens = tokenizeJmespath("people[?age > `30` && name != 'Bob'].\"first name\" | sort_by(@, &age) || $root")
+
+      expect(significant(tokens)).toEqual([
+        ["identifier", "people"],
+        ["bracket", "["],
+        ["operator", "?"],
+        ["identifier", "age"],
+        ["operator", ">"],
+        ["literal", "`30`"],
+        ["operator", "&&"],
+        ["identifier", "name"],
+        ["operator", "!="],
+        ["raw-string", "'Bob'"],
+        ["bracket", "]"],
+        ["operator", "."],
+        ["string", '"first name"'],
+        ["operator", "|"],
+        ["function", "sort_by"],
+        ["bracket", "("],
+        ["operator", "@"],
+        ["operator", ","],
+        ["operator", "&"],
+        ["identifier", "age"],
+        ["bracket", ")"],
+        ["operator", "||"],
+        ["variable", "$root"],
+      ])
+    })
+
+    it("should record token offsets", () => {
+      expect(tokenizeJmespath("a.b")[2]).toEqual({ type: "identifier", value: "b", start: 2, end: 3 })
+    })
+
+    it("should mark unterminated strings and unknown characters as invalid", () => {
+      expect(significant(tokenizeJmespath("a[`1"))).toEqual([
+        ["identifier", "a"],
+        ["bracket", "["],
+        ["invalid", "`1"],
+      ])
+      expect(significant(tokenizeJmespath("a#b"))[1]).toEqual(["invalid", "#"])
+    })
+
+    it("should only recognize line comments when asked to", () => {
+      const text = "// Comment\nfoo // bar"
+      expect(significant(tokenizeJmespath(text, { comments: true }))).toEqual([
+        ["comment", "// Comment"],
+        ["identifier", "foo"],
+        ["operator", "//"],
+        ["identifier", "bar"],
+      ])
+      expect(significant(tokenizeJmespath(text))[0]).toEqual(["operator", "//"])
+    })
+  })
+
+  describe("tokenizeJson", () => {
+    it("should distinguish keys from string values", () => {
+      expect(significant(tokenizeJson('{"a": ["b", -1.5e3, true, null]}'))).toEqual([
+        ["bracket", "{"],
+        ["key", '"a"'],
+        ["punctuation", ":"],
+        ["bracket", "["],
+        ["string", '"b"'],
+        ["punctuation", ","],
+        ["number", "-1.5e3"],
+        ["punctuation", ","],
+        ["keyword", "true"],
+        ["punctuation", ","],
+        ["keyword", "null"],
+        ["bracket", "]"],
+        ["bracket", "}"],
+      ])
+    })
+
+    it("should mark bare words as invalid", () => {
+      expect(significant(tokenizeJson("{foo: 1}"))[1]).toEqual(["invalid", "foo"])
+    })
+  })
+
+  describe("findMatchingBracket", () => {
+    const tokens = tokenizeJmespath("a[?b == `1`].c(d)")
+
+    it("should match brackets in both directions", () => {
+      expect(findMatchingBracket(tokens, 1)).toEqual({ bracket: 1, match: 11 })
+      expect(findMatchingBracket(tokens, 12)).toEqual({ bracket: 11, match: 1 })
+    })
+
+    it("should report unmatched and mismatched brackets", () => {
+      expect(findMatchingBracket(tokenizeJmespath("a[0"), 1)).toEqual({ bracket: 1, match: null })
+      expect(findMatchingBracket(tokenizeJmespath("(]"), 0)).toEqual({ bracket: 0, match: null })
+    })
+
+    it("should return null away from brackets", () => {
+      expect(findMatchingBracket(tokens, 4)).toBeNull()
+    })
+  })
+
+  describe("highlightCode", () => {
+    it("should wrap tokens in classed spans and escape HTML", () => {
+      expect(highlightCode("a < `1`", "jmespath")).toBe(
+        '<span class="tok-identifier">a</span> <span class="tok-operator">&lt;</span> <span class="tok-literal">`1`</span>',
+      )
+    })
+
+    it("should apply decorations across token boundaries", () => {
+      const html = highlightCode('{"ab": 1}', "json", { decorations: [{ start: 2, end: 3, className: "code-error" }] })
+      expect(html).toContain('<span class="tok-key">"</span><span class="tok-key code-error">a</span>')
+    })
+
+    it("should only escape plain text, keeping decorations", () => {
+      const html = highlightCode("a: <b>", "text", { decorations: [{ start: 0, end: 1, className: "code-error" }] })
+      expect(html).toBe('<span class="code-error">a</span>: &lt;b&gt;')
+    })
+
+    it("should only escape text over the size limit", () => {
+      const text = `"${"<".repeat(HIGHLIGHT_SIZE_LIMIT)}"`
+      expect(highlightCode(text, "json")).toBe(`"${"&lt;".repeat(HIGHLIGHT_SIZE_LIMIT)}"`)
+    })
+  })
+
+  describe("JSON error positions", () => {
+    it("should find the token that breaks the grammar", () => {
+      expect(findJsonSyntaxError('{"a": }')).toBe(6)
+      expect(findJsonSyntaxError("[1 2]")).toBe(3)
+      expect(findJsonSyntaxError('{"a": 1')).toBe(7)
+      expect(findJsonSyntaxError('{"a": [1, {"b": null}]}')).toBeNull()
+    })
+
+    it("should prefer positions reported in the error message", () => {
+      expect(locateJsonError("Unexpected token } in JSON at position 4", "[1, }")).toBe(4)
+      expect(locateJsonError("JSON.parse: unexpected character at line 2 column 3 of the JSON data", "{\n  x}")).toBe(4)
+      expect(locateJsonError("Unexpected token", "[1,,2]")).toBe(3)
+    })
+  })
+})
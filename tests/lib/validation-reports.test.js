@@ -0,0 +1,228 @@
+/**
+ * Tests for validation-reports.js - machine-readable validator reports
+ */
+
+import { readFile } from "node:fs/promises"
+import path from "node:path"
+import { describe, expect, it, vi } from "vitest"
+import {
+  collectValidationIssues,
+  renderValidationReport,
+  reportValidationResults,
+} from "../../scripts/lib/validation-reports.js"
+
+const createBlockResult = (title, lineNumber, overrides = {}) => ({
+  block: { title, lineNumber, error: null },
+  success: true,
+  errors: [],
+  warnings: [],
+  expectedToFail: false,
+  expectedErrorType: null,
+  ...overrides,
+})
+
+const results = {
+  success: false,
+  totalFiles: 2,
+  successfulFiles: 0,
+  failedFiles: 2,
+  totalBlocks: 3,
+  successfulBlocks: 2,
+  failedBlocks: 1,
+  blocksWithWarnings: 1,
+  results: [
+    {
+      filePath: path.join(process.cwd(), "docs", "guide.md"),
+      success: false,
+      totalBlocks: 3,
+      failedBlocks: 1,
+      blocks: [
+        createBlockResult("Names", 5),
+        createBlockResult('Filter, "active"', 12, {
+          success: false,
+          errors: ["JMESPath query error: Syntax error", "<details>"],
+          errorType: "syntax",
+          errorLocation: { line: 15, column: 7 },
+        }),
+        createBlockResult("Empty", 20, { warnings: ["Empty JMESPath query"] }),
+      ],
+    },
+    {
+      filePath: path.join(process.cwd(), "docs", "broken.md"),
+      success: false,
+      totalBlocks: 0,
+      failedBlocks: 0,
+      blocks: [],
+      fileError: "Failed to read file: EACCES",
+    },
+  ],
+}
+
+describe("Validation Reports", () => {
+  describe("collectValidationIssues", () => {
+    it("should locate failed blocks at their error, or else at the block", () => {
+      expect(collectValidationIssues(results)).toEqual([
+        {
+          file: "docs/guide.md",
+          line: 15,
+          column: 7,
+          title: 'Block "Filter, "active""',
+          rule: "query-error",
+          level: "error",
+          message: "JMESPath query error: Syntax error\n<details>",
+        },
+        {
+          file: "docs/guide.md",
+          line: 20,
+          column: null,
+          title: 'Block "Empty"',
+          rule: "block-warning",
+          level: "warning",
+          message: "Empty JMESPath query",
+        },
+        {
+          file: "docs/broken.md",
+          line: null,
+          column: null,
+          title: "File Error",
+          rule: "file-error",
+          level: "error",
+          message: "Failed to read file: EACCES",
+        },
+      ])
+      expect(collectValidationIssues(results, { showWarnings: false }).map(({ level }) => level)).toEqual([
+        "error",
+        "error",
+      ])
+    })
+
+    it("should classify failures by their cause", () => {
+      const classify = (overrides) =>
+        collectValidationIssues({
+          results: [
+            {
+              filePath: "page.md",
+              blocks: [createBlockResult("Block", 1, { success: false, errors: ["failed"], ...overrides })],
+            },
+          ],
+        })[0].rule
+
+      expect(classify({ block: { title: "Block", lineNumber: 1, error: "Invalid block format" } })).toBe(
+        "invalid-block",
+      )
+      expect(classify({ expectedToFail: true, expectedErrorType: "syntax" })).toBe("expected-error-mismatch")
+      expect(classify({ resultDiff: [{ path: [], kind: "changed" }] })).toBe("result-mismatch")
+      expect(classify({})).toBe("invalid-json")
+    })
+  })
+
+  describe("renderValidationReport", () => {
+    it("should render JSON with the totals and every block", () => {
+      const report = JSON.parse(renderValidationReport(results, "json"))
+
+      expect(report).toMatchObject({ success: false, totalBlocks: 3, failedBlocks: 1 })
+      expect(report.files[0].blocks[1]).toEqual({
+        title: 'Filter, "active"',
+        line: 12,
+        success: false,
+        rule: "query-error",
+        expectedError: null,
+        errorType: "syntax",
+        errorLocation: { line: 15, column: 7 },
+        errors: ["JMESPath query error: Syntax error", "<details>"],
+        warnings: [],
+      })
+      expect(report.files[1]).toEqual({
+        file: "docs/broken.md",
+        success: false,
+        fileError: "Failed to read file: EACCES",
+        blocks: [],
+      })
+    })
+
+    it("should render JUnit XML with a test suite per file and a test case per block", () => {
+      const report = renderValidationReport(results, "junit")
+
+      expect(report).toMatch(
+        /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites name="JMESPath validation" tests="4" failures="1" errors="1">/,
+      )
+      expect(report).toContain('<testsuite name="docs/guide.md" tests="3" failures="1" errors="0">')
+      expect(report).toContain(
+        '<testcase name="Names (line 5)" classname="docs/guide.md" file="docs/guide.md" line="5"/>',
+      )
+      expect(report).toContain(
+        '<failure type="query-error" message="JMESPath query error: Syntax error">JMESPath query error: Syntax error\n&lt;details&gt;</failure>',
+      )
+      expect(report).toContain('name="Filter, &quot;active&quot; (line 12)"')
+      expect(report).toContain("<system-out>Empty JMESPath query</system-out>")
+      expect(report).toContain('<error type="file-error" message="Failed to read file: EACCES"/>')
+    })
+
+    it("should drop the control characters XML cannot hold from JUnit XML", () => {
+      const controlResults = {
+        ...results,
+        results: [{ ...results.results[0], blocks: [createBlockResult("Bell\u0007 and\ttab", 5)] }],
+      }
+
+      expect(renderValidationReport(controlResults, "junit")).toContain('<testcase name="Bell and\ttab (line 5)"')
+    })
+
+    it("should render a SARIF log with a result per problem", () => {
+      const log = JSON.parse(renderValidationReport(results, "sarif"))
+      const [run] = log.runs
+
+      expect(log.version).toBe("2.1.0")
+      expect(run.tool.driver.rules.map(({ id }) => id)).toContain("query-error")
+      expect(run.results[0]).toEqual({
+        ruleId: "query-error",
+        level: "error",
+        message: { text: 'Block "Filter, "active"": JMESPath query error: Syntax error\n<details>' },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri: "docs/guide.md" },
+              region: { startLine: 15, startColumn: 7 },
+            },
+          },
+        ],
+      })
+      expect(run.results[2].locations[0].physicalLocation).toEqual({ artifactLocation: { uri: "docs/broken.md" } })
+    })
+
+    it("should render GitHub Actions annotations with escaped properties and messages", () => {
+      expect(renderValidationReport(results, "github")).toBe(
+        [
+          '::error file=docs/guide.md,line=15,col=7,title=Block "Filter%2C "active""::JMESPath query error: Syntax error%0A<details>',
+          '::warning file=docs/guide.md,line=20,title=Block "Empty"::Empty JMESPath query',
+          "::error file=docs/broken.md,title=File Error::Failed to read file: EACCES",
+          "",
+        ].join("\n"),
+      )
+    })
+
+    it("should reject unknown formats", () => {
+      expect(() => renderValidationReport(results, "xml")).toThrow(
+        'Unknown report format "xml". Expected one of: text, json, junit, sarif, github',
+      )
+    })
+  })
+
+  describe("reportValidationResults", () => {
+    it("should write reports to the output file", async () => {
+      const output = path.join(global.TEST_CONFIG.tempDir, "reports", "validation.xml")
+
+      await reportValidationResults(results, { format: "junit", output })
+
+      await expect(readFile(output, "utf8")).resolves.toBe(renderValidationReport(results, "junit"))
+    })
+
+    it("should print reports without an output file to the standard output", async () => {
+      const write = vi.spyOn(process.stdout, "write").mockReturnValue(true)
+
+      await reportValidationResults(results, { format: "github", showWarnings: false })
+
+      expect(write).toHaveBeenCalledWith(renderValidationReport(results, "github", { showWarnings: false }))
+      write.mockRestore()
+    })
+  })
+})
@@ -0,0 +1,88 @@
+/**
+ * Tests for version-processing.js - selecting versions and pages and merging partial builds
+ */
+
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { afterEach, beforeEach, describe, expect, it } from "vitest"
+import { exportSearchData, loadSearchData, SearchProcessingState } from "../../scripts/lib/search-index.js"
+import { matchesPageGlobs, selectVersions, writeVersionsFile } from "../../scripts/lib/version-processing.js"
+
+describe("Version Processing", () => {
+  const versions = [{ id: "current" }, { id: "2015_09_05" }, { id: "next" }]
+
+  describe("selectVersions", () => {
+    it("should give the versions with the given IDs, in configuration order", () => {
+      expect(selectVersions(versions, [])).toBe(versions)
+      expect(selectVersions(versions, ["next", "current"])).toEqual([{ id: "current" }, { id: "next" }])
+    })
+
+    it("should reject IDs that are not configured", () => {
+      expect(() => selectVersions(versions, ["current", "nope"])).toThrow(
+        "Unknown version(s): nope. Configured versions: current, 2015_09_05, next",
+      )
+    })
+  })
+
+  describe("matchesPageGlobs", () => {
+    it("should match the markdown path within the source directory", () => {
+      expect(matchesPageGlobs("jep-012-raw-strings.md", [])).toBe(true)
+      expect(matchesPageGlobs("jep-012-raw-strings.md", ["jep-012*"])).toBe(true)
+      expect(matchesPageGlobs("guide/intro.md", ["guide/**", "jep-012*"])).toBe(true)
+      expect(matchesPageGlobs("jep-011-let.md", ["jep-012*"])).toBe(false)
+    })
+  })
+
+  describe("partial builds", () => {
+    let outputDir
+    let buildContext
+
+    beforeEach(async () => {
+      outputDir = path.join(global.TEST_CONFIG.tempDir, `output-${Date.now()}`)
+      await mkdir(outputDir, { recursive: true })
+      buildContext = {
+        rootDir: global.TEST_CONFIG.tempDir,
+        outputDir,
+        config: { versions, defaultVersionId: "current" },
+      }
+    })
+
+    afterEach(async () => {
+      await rm(outputDir, { recursive: true, force: true })
+    })
+
+    it("should merge the versions built into the previous versions.json", async () => {
+      await writeFile(
+        path.join(outputDir, "versions.json"),
+        JSON.stringify({ versions: [{ id: "current", pages: ["old"] }, { id: "removed" }, { id: "next", pages: [] }] }),
+      )
+
+      await writeVersionsFile(buildContext, [{ id: "current", pages: ["new"] }], { merge: true })
+
+      const written = JSON.parse(await readFile(path.join(outputDir, "versions.json"), "utf8"))
+      expect(written).toEqual({
+        versions: [
+          { id: "current", pages: ["new"] },
+          { id: "next", pages: [] },
+        ],
+        defaultVersionId: "current",
+      })
+    })
+
+    it("should load the previous search data, keeping the doc IDs of rebuilt pages", async () => {
+      const previous = new SearchProcessingState()
+      previous.searchIndex.add({ id: 0, title: "Intro", content: "apples" })
+      previous.searchIndex.add({ id: 1, title: "Guide", content: "bananas" })
+      previous.searchDocMap = { 0: { href: "intro.html" }, 1: { href: "guide.html" } }
+      await exportSearchData({ versionOutputPath: outputDir, ...previous })
+
+      const searchState = new SearchProcessingState()
+      expect(await loadSearchData({ versionOutputPath: outputDir, searchState })).toBe(true)
+
+      expect(searchState.searchIndex.search("bananas")).toEqual([{ field: "content", result: [1] }])
+      expect(searchState.allocateDocId("/docs/guide.md", "guide.html")).toBe(1)
+      expect(searchState.allocateDocId("/docs/new.md", "new.html")).toBe(2)
+      expect(await loadSearchData({ versionOutputPath: path.join(outputDir, "none"), searchState })).toBe(false)
+    })
+  })
+})
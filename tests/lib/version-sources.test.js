@@ -0,0 +1,100 @@
+/**
+ * Tests for version-sources.js - the source repositories of a version
+ */
+
+import { mkdir, readFile, rm, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { processSingleMarkdownFile } from "../../scripts/lib/content-processing.js"
+import { getNavSections, resolveVersionSources } from "../../scripts/lib/version-sources.js"
+
+describe("Version Sources", () => {
+  const buildContext = {
+    tempDir: "/site/build",
+    config: { specRepoUrl: "https://github.com/jmespath/jmespath.spec.git" },
+  }
+
+  describe("resolveVersionSources", () => {
+    it("should build a version without sources from the spec repository", () => {
+      const versionConfig = { id: "current", ref: "main", sourcePath: "docs", includeGlobs: ["jep*.md"] }
+
+      expect(resolveVersionSources(versionConfig, buildContext)).toEqual([
+        {
+          id: "spec",
+          repoUrl: "https://github.com/jmespath/jmespath.spec.git",
+          ref: "main",
+          isTag: false,
+          sourcePath: "docs",
+          includeGlobs: ["jep*.md"],
+          excludeGlobs: undefined,
+          mount: "",
+          navSection: null,
+          clonePath: path.join("/site/build", "current"),
+        },
+      ])
+    })
+
+    it("should clone each declared source into a directory of its own", () => {
+      const versionConfig = {
+        id: "current",
+        ref: "ignored",
+        sources: [
+          { id: "spec", repoUrl: "https://example.com/spec.git", ref: "main", includeGlobs: ["*.md"] },
+          {
+            id: "compliance",
+            repoUrl: "https://example.com/tests.git",
+            ref: "v1",
+            isTag: true,
+            includeGlobs: ["**/*.md"],
+            mount: "compliance",
+            navSection: "Compliance Tests",
+          },
+        ],
+      }
+
+      const [spec, compliance] = resolveVersionSources(versionConfig, buildContext)
+
+      expect(spec).toMatchObject({ ref: "main", isTag: false, sourcePath: "", mount: "", navSection: null })
+      expect(spec.clonePath).toBe(path.join("/site/build", "current", "spec"))
+      expect(compliance).toMatchObject({ ref: "v1", isTag: true, mount: "compliance", navSection: "Compliance Tests" })
+      expect(compliance.clonePath).toBe(path.join("/site/build", "current", "compliance"))
+      expect(getNavSections(versionConfig)).toEqual([{ id: "compliance", title: "Compliance Tests" }])
+      expect(getNavSections({ id: "current" })).toEqual([])
+    })
+  })
+
+  describe("mounted pages", () => {
+    let rootDir
+
+    beforeEach(async () => {
+      rootDir = path.join(global.TEST_CONFIG.tempDir, `sources-${Date.now()}`)
+      await mkdir(path.join(rootDir, "tests"), { recursive: true })
+    })
+
+    afterEach(async () => {
+      await rm(rootDir, { recursive: true, force: true })
+    })
+
+    it("should write the pages of a source under its mount prefix", async () => {
+      await writeFile(path.join(rootDir, "tests", "readme.md"), "# Readme")
+      const marked = { parse: vi.fn().mockReturnValue('<h1 id="readme">Readme</h1>') }
+      const versionOutputPath = path.join(rootDir, "output")
+
+      const result = await processSingleMarkdownFile({
+        relativeFilePath: "readme.md",
+        docId: 0,
+        context: {
+          sourceDir: path.join(rootDir, "tests"),
+          versionOutputPath,
+          fileSourceType: "compliance",
+          mount: "compliance",
+        },
+        marked,
+      })
+
+      expect(result.processedPage).toMatchObject({ id: "compliance/readme", file: "compliance/readme.html" })
+      expect(result.searchDocMapEntry.mapEntry.href).toBe("compliance/readme.html")
+      expect(await readFile(path.join(versionOutputPath, "compliance", "readme.html"), "utf8")).toContain("Readme")
+    })
+  })
+})
@@ -0,0 +1,111 @@
+/**
+ * Tests for watch.js - watching the docs for watch mode
+ */
+
+import { mkdir, rm, writeFile } from "node:fs/promises"
+import path from "node:path"
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest"
+import { watchPaths } from "../../scripts/lib/watch.js"
+
+// Recursive watchers set themselves up asynchronously
+const settle = () => new Promise((resolve) => setTimeout(resolve, 100))
+
+describe("Watch", () => {
+  let watchedDir
+  let watcher
+
+  beforeEach(async () => {
+    watchedDir = path.join(global.TEST_CONFIG.tempDir, `watched-${Date.now()}`)
+    await mkdir(path.join(watchedDir, "nested"), { recursive: true })
+  })
+
+  afterEach(async () => {
+    watcher?.close()
+    await rm(watchedDir, { recursive: true, force: true })
+  })
+
+  describe("watchPaths", () => {
+    it("should call back once with the files changed while changes settle", async () => {
+      const onChange = vi.fn()
+      watcher = watchPaths([watchedDir], onChange, { debounceMs: 50 })
+      await settle()
+
+      await writeFile(path.join(watchedDir, "page.md"), "# Page")
+      await writeFile(path.join(watchedDir, "nested", "other.md"), "# Other")
+
+      await vi.waitFor(() => expect(onChange).toHaveBeenCalled())
+      expect(onChange).toHaveBeenCalledTimes(1)
+      expect(onChange.mock.calls[0][0]).toEqual([
+        path.join(watchedDir, "nested", "other.md"),
+        path.join(watchedDir, "page.md"),
+      ])
+    })
+
+    it("should watch single files and ignore their neighbours, hidden files and editor backups", async () => {
+      const watchedFile = path.join(watchedDir, "config.json")
+      await writeFile(watchedFile, "{}")
+      const onChange = vi.fn()
+      watcher = watchPaths([watchedFile, path.join(watchedDir, "missing")], onChange, { debounceMs: 50 })
+      await settle()
+
+      await writeFile(path.join(watchedDir, "other.json"), "{}")
+      await writeFile(path.join(watchedDir, ".config.json.swp"), "")
+      await writeFile(watchedFile, '{ "changed": true }')
+
+      await vi.waitFor(() => expect(onChange).toHaveBeenCalled())
+      expect(onChange.mock.calls[0][0]).toEqual([watchedFile])
+    })
+
+    it("should notice files created after watching started", async () => {
+      const localConfigFile = path.join(watchedDir, "config.local.json")
+      const onChange = vi.fn()
+      watcher = watchPaths([localConfigFile, path.join(watchedDir, "missing", "functions.js")], onChange, {
+        debounceMs: 50,
+      })
+      await settle()
+
+      await writeFile(localConfigFile, "{}")
+
+      await vi.waitFor(() => expect(onChange).toHaveBeenCalled())
+      expect(onChange.mock.calls[0][0]).toEqual([localConfigFile])
+    })
+
+    it("should handle changes made while a callback runs after it", async () => {
+      const events = []
+      let finishFirstCall
+      const firstCallFinished = new Promise((resolve) => {
+        finishFirstCall = resolve
+      })
+      const onChange = vi.fn(async (changedFiles) => {
+        const fileName = path.basename(changedFiles[0])
+        events.push(`start ${fileName}`)
+        if (events.length === 1) await firstCallFinished
+        events.push(`end ${fileName}`)
+      })
+      watcher = watchPaths([watchedDir], onChange, { debounceMs: 20 })
+      await settle()
+
+      await writeFile(path.join(watchedDir, "first.md"), "# First")
+      await vi.waitFor(() => expect(onChange).toHaveBeenCalledTimes(1))
+      await writeFile(path.join(watchedDir, "second.md"), "# Second")
+      await settle()
+      expect(onChange).toHaveBeenCalledTimes(1)
+
+      finishFirstCall()
+      await vi.waitFor(() => expect(events).toHaveLength(4))
+      expect(events).toEqual(["start first.md", "end first.md", "start second.md", "end second.md"])
+    })
+
+    it("should stop calling back once closed", async () => {
+      const onChange = vi.fn()
+      watcher = watchPaths([watchedDir], onChange, { debounceMs: 20 })
+      await settle()
+
+      await writeFile(path.join(watchedDir, "page.md"), "# Page")
+      watcher.close()
+      await settle()
+
+      expect(onChange).not.toHaveBeenCalled()
+    })
+  })
+})